@@ -0,0 +1,41 @@
+const AuditService = require('../services/auditService');
+
+class AuditController {
+  /**
+   * Get audit trail entries with filtering
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getAuditLogs(req, res) {
+    try {
+      const { entity, ...query } = req.query;
+      const result = await AuditService.getAuditLogs({
+        ...query,
+        entityType: query.entityType || entity,
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Audit logs retrieved successfully',
+        data: result.logs,
+        pagination: result.pagination,
+      });
+    } catch (error) {
+      console.error('Error getting audit logs:', error);
+
+      if (error.message.startsWith('Invalid entity type') || error.message.startsWith('Invalid action')) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get audit logs',
+      });
+    }
+  }
+}
+
+module.exports = AuditController;
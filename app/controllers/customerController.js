@@ -0,0 +1,296 @@
+const CustomerService = require('../services/customerService');
+const ExportService = require('../services/exportService');
+
+class CustomerController {
+  /**
+   * Create a new customer
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async createCustomer(req, res) {
+    try {
+      const body = { ...req.body };
+      if (body.contact_person && !body.contactPerson) body.contactPerson = body.contact_person;
+      const customer = await CustomerService.createCustomer(body);
+
+      res.status(201).json({
+        success: true,
+        message: 'Customer created successfully',
+        data: customer,
+      });
+    } catch (error) {
+      console.error('Error creating customer:', error);
+
+      // Handle specific errors
+      if (error.message.includes('already exists')) {
+        return res.status(409).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (error.name === 'SequelizeValidationError') {
+        const errors = error.errors.map(err => ({
+          field: err.path,
+          message: err.message,
+        }));
+
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+      });
+    }
+  }
+
+  /**
+   * Get all customers with pagination and filtering
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getAllCustomers(req, res) {
+    try {
+      const q = { ...req.query };
+      const format = ExportService.getFormat(req);
+      if (format) {
+        return ExportService.respond(res, {
+          format,
+          resource: 'customers',
+          role: req.user && req.user.role,
+          filename: 'customers',
+          batches: CustomerService.exportCustomers(q),
+        });
+      }
+      const result = await CustomerService.getAllCustomers(q);
+
+      res.status(200).json({
+        success: true,
+        message: 'Customers retrieved successfully',
+        data: result.customers,
+        pagination: result.pagination,
+      });
+    } catch (error) {
+      console.error('Error getting customers:', error);
+
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+      });
+    }
+  }
+
+  /**
+   * Get customer by ID
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getCustomerById(req, res) {
+    try {
+      const customer = await CustomerService.getCustomerById(req.params.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Customer retrieved successfully',
+        data: customer,
+      });
+    } catch (error) {
+      console.error('Error getting customer by ID:', error);
+
+      if (error.message === 'Customer not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+      });
+    }
+  }
+
+  /**
+   * Update customer by ID
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async updateCustomer(req, res) {
+    try {
+      const body = { ...req.body };
+      if (body.contact_person && !body.contactPerson) body.contactPerson = body.contact_person;
+      const customer = await CustomerService.updateCustomer(req.params.id, body);
+
+      res.status(200).json({
+        success: true,
+        message: 'Customer updated successfully',
+        data: customer,
+      });
+    } catch (error) {
+      console.error('Error updating customer:', error);
+
+      if (error.message === 'Customer not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (error.message.includes('already exists')) {
+        return res.status(409).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (error.name === 'SequelizeValidationError') {
+        const errors = error.errors.map(err => ({
+          field: err.path,
+          message: err.message,
+        }));
+
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+      });
+    }
+  }
+
+  /**
+   * Delete customer by ID
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async deleteCustomer(req, res) {
+    try {
+      await CustomerService.deleteCustomer(req.params.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Customer deleted successfully',
+      });
+    } catch (error) {
+      console.error('Error deleting customer:', error);
+
+      if (error.message === 'Customer not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+      });
+    }
+  }
+
+  /**
+   * Restore a soft-deleted customer
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async restoreCustomer(req, res) {
+    try {
+      const customer = await CustomerService.restoreCustomer(req.params.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Customer restored successfully',
+        data: customer,
+      });
+    } catch (error) {
+      console.error('Error restoring customer:', error);
+
+      if (error.message === 'Customer not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (error.message.includes('not deleted')) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to restore customer',
+      });
+    }
+  }
+
+  /**
+   * Get active customers only
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getActiveCustomers(req, res) {
+    try {
+      const customers = await CustomerService.getActiveCustomers();
+
+      res.status(200).json({
+        success: true,
+        message: 'Active customers retrieved successfully',
+        data: customers,
+      });
+    } catch (error) {
+      console.error('Error getting active customers:', error);
+
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+      });
+    }
+  }
+
+  /**
+   * Toggle customer status (active/inactive)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async toggleCustomerStatus(req, res) {
+    try {
+      const customer = await CustomerService.toggleCustomerStatus(req.params.id);
+
+      res.status(200).json({
+        success: true,
+        message: `Customer status changed to ${customer.status}`,
+        data: customer,
+      });
+    } catch (error) {
+      console.error('Error toggling customer status:', error);
+
+      if (error.message === 'Customer not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+      });
+    }
+  }
+}
+
+module.exports = CustomerController;
\ No newline at end of file
@@ -0,0 +1,155 @@
+const InventoryService = require('../services/inventoryService');
+
+class InventoryController {
+  /**
+   * Get current balance per lot
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getBalances(req, res) {
+    try {
+      const balances = await InventoryService.getBalances(req.query);
+
+      res.status(200).json({
+        success: true,
+        message: 'Inventory balances retrieved successfully',
+        data: balances,
+      });
+    } catch (error) {
+      console.error('Error getting inventory balances:', error);
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get inventory balances',
+      });
+    }
+  }
+
+  /**
+   * Get stock movement history
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getMovements(req, res) {
+    try {
+      const result = await InventoryService.getMovements(req.query);
+
+      res.status(200).json({
+        success: true,
+        message: 'Inventory movements retrieved successfully',
+        data: result.movements,
+        pagination: result.pagination,
+      });
+    } catch (error) {
+      console.error('Error getting inventory movements:', error);
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get inventory movements',
+      });
+    }
+  }
+
+  /**
+   * Record a manual stock adjustment
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async createAdjustment(req, res) {
+    try {
+      const adjustment = await InventoryService.createAdjustment(req.body);
+
+      res.status(201).json({
+        success: true,
+        message: 'Inventory adjustment recorded successfully',
+        data: adjustment,
+      });
+    } catch (error) {
+      console.error('Error creating inventory adjustment:', error);
+
+      if (['Purchase not found', 'Milling output not found', 'Location not found'].includes(error.message)) {
+        return res.status(404).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (error.message.includes('negative') || error.message.includes('does not change')) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to record inventory adjustment',
+      });
+    }
+  }
+
+  /**
+   * Move stock of one lot between locations
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async createTransfer(req, res) {
+    try {
+      const transfer = await InventoryService.createTransfer(req.body);
+
+      res.status(201).json({
+        success: true,
+        message: 'Stock transfer recorded successfully',
+        data: transfer,
+      });
+    } catch (error) {
+      console.error('Error creating stock transfer:', error);
+
+      if (['Purchase not found', 'Milling output not found', 'Location not found'].includes(error.message)) {
+        return res.status(404).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (error.message.includes('Insufficient stock') || error.message.includes('different locations')) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to record stock transfer',
+      });
+    }
+  }
+
+  /**
+   * Get stock transfer history
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getTransfers(req, res) {
+    try {
+      const result = await InventoryService.getTransfers(req.query);
+
+      res.status(200).json({
+        success: true,
+        message: 'Stock transfers retrieved successfully',
+        data: result.transfers,
+        pagination: result.pagination,
+      });
+    } catch (error) {
+      console.error('Error getting stock transfers:', error);
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get stock transfers',
+      });
+    }
+  }
+}
+
+module.exports = InventoryController;
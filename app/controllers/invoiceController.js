@@ -1,4 +1,7 @@
 const InvoiceService = require('../services/invoiceService');
+const ExportService = require('../services/exportService');
+const ReminderService = require('../services/reminderService');
+const { validatePaymentCreate, validateStatementQuery, validateReminderRun } = require('../validators/invoiceValidator');
 
 class InvoiceController {
   /**
@@ -14,14 +17,11 @@ class InvoiceController {
       if (body.invoice_date && !body.date) body.date = body.invoice_date;
       if (body.due_date && !body.dueDate) body.dueDate = body.due_date;
       if (body.customer_name && !body.customer) body.customer = body.customer_name;
+      if (body.customer_id !== undefined && body.customerId === undefined) body.customerId = body.customer_id;
       if (body.total_amount && !body.amount) body.amount = body.total_amount;
-
-      // Generate invoice number if not provided
-      if (!body.invoiceNumber) {
-        body.invoiceNumber = await InvoiceService.generateInvoiceNumber(
-          body.date ? new Date(body.date) : new Date()
-        );
-      }
+      if (body.credit_override !== undefined && body.creditOverride === undefined) body.creditOverride = body.credit_override;
+      if (body.credit_override_reason && !body.creditOverrideReason) body.creditOverrideReason = body.credit_override_reason;
+      // invoiceNumber is allocated by the service from the invoice numbering series; sending one is a 400
 
       const invoice = await InvoiceService.createInvoice(body);
       
@@ -33,6 +33,29 @@ class InvoiceController {
     } catch (error) {
       console.error('Error creating invoice:', error);
       
+      if (error.message === 'Product not found' || error.message === 'Customer not found'
+        || error.message === 'A reason is required to override the credit check'
+        || error.message.startsWith('Invoice numbers are assigned')) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (error.message === 'Only a manager or admin can override the credit check') {
+        return res.status(403).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (error.message.startsWith('Credit check failed')) {
+        return res.status(409).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
       if (error.name === 'SequelizeValidationError') {
         const errors = error.errors.map(err => ({
           field: err.path,
@@ -70,12 +93,23 @@ class InvoiceController {
   // Normalize query params
   const q = { ...req.query };
   if (q.customer_name && !q.customer) q.customer = q.customer_name;
+  if (q.customer_id && !q.customerId) q.customerId = q.customer_id;
   if (q.invoice_number && !q.invoiceNumber) q.invoiceNumber = q.invoice_number; // service uses invoiceNumber only for number generation; filtering by number could be added later
   if (q.start_date && !q.startDate) q.startDate = q.start_date;
   if (q.end_date && !q.endDate) q.endDate = q.end_date;
   if (q.min_amount && !q.minAmount) q.minAmount = q.min_amount;
   if (q.max_amount && !q.maxAmount) q.maxAmount = q.max_amount;
   if (q.due_date && !q.dueDate) q.dueDate = q.due_date;
+  const format = ExportService.getFormat(req);
+  if (format) {
+    return ExportService.respond(res, {
+      format,
+      resource: 'invoices',
+      role: req.user && req.user.role,
+      filename: 'invoices',
+      batches: InvoiceService.exportInvoices(q),
+    });
+  }
   const result = await InvoiceService.getAllInvoices(q);
       
       res.status(200).json({
@@ -137,7 +171,10 @@ class InvoiceController {
   if (body.invoice_date && !body.date) body.date = body.invoice_date;
   if (body.due_date && !body.dueDate) body.dueDate = body.due_date;
   if (body.customer_name && !body.customer) body.customer = body.customer_name;
+  if (body.customer_id !== undefined && body.customerId === undefined) body.customerId = body.customer_id;
   if (body.total_amount && !body.amount) body.amount = body.total_amount;
+  if (body.credit_override !== undefined && body.creditOverride === undefined) body.creditOverride = body.credit_override;
+  if (body.credit_override_reason && !body.creditOverrideReason) body.creditOverrideReason = body.credit_override_reason;
   const invoice = await InvoiceService.updateInvoice(req.params.id, body);
       
       res.status(200).json({
@@ -155,6 +192,37 @@ class InvoiceController {
         });
       }
 
+      if (error.message.startsWith('Invoice amount cannot be below')
+        || error.message.startsWith('Cannot replace the items')
+        || error.message.startsWith('Invoice numbers are assigned')) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (error.message === 'Customer not found'
+        || error.message === 'A reason is required to override the credit check') {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (error.message === 'Only a manager or admin can override the credit check') {
+        return res.status(403).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (error.message.startsWith('Credit check failed')) {
+        return res.status(409).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
       if (error.name === 'SequelizeValidationError') {
         const errors = error.errors.map(err => ({
           field: err.path,
@@ -205,6 +273,88 @@ class InvoiceController {
     }
   }
 
+  /**
+   * Restore a soft-deleted invoice
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async restoreInvoice(req, res) {
+    try {
+      const invoice = await InvoiceService.restoreInvoice(req.params.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Invoice restored successfully',
+        data: invoice,
+      });
+    } catch (error) {
+      console.error('Error restoring invoice:', error);
+
+      if (error.message === 'Invoice not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (error.message.includes('not deleted')) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (error.message.includes('already invoiced')) {
+        return res.status(409).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to restore invoice',
+      });
+    }
+  }
+
+  /**
+   * Download invoice as PDF (?format=html previews the rendered template)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getInvoicePdf(req, res) {
+    try {
+      const format = req.query.format === 'html' ? 'html' : 'pdf';
+      const { filename, content } = await InvoiceService.renderInvoiceDocument(req.params.id, { format });
+
+      if (format === 'html') {
+        return res.status(200).type('html').send(content);
+      }
+
+      res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `${req.query.download === 'true' ? 'attachment' : 'inline'}; filename="${filename}"`,
+        'Content-Length': content.length,
+      });
+      res.status(200).end(content);
+    } catch (error) {
+      console.error('Error rendering invoice PDF:', error);
+
+      if (error.message === 'Invoice not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to render invoice PDF',
+      });
+    }
+  }
+
   /**
    * Mark invoice as paid
    * @param {Object} req - Express request object
@@ -212,7 +362,8 @@ class InvoiceController {
    */
   static async markAsPaid(req, res) {
     try {
-  const invoice = await InvoiceService.markAsPaid(req.params.id);
+      const { method, reference, notes } = req.body || {};
+      const invoice = await InvoiceService.markAsPaid(req.params.id, { method, reference, notes });
       
       res.status(200).json({
         success: true,
@@ -229,7 +380,7 @@ class InvoiceController {
         });
       }
 
-      if (error.message.includes('already paid')) {
+      if (error.message.includes('already paid') || error.message.includes('outstanding balance')) {
         return res.status(400).json({
           success: false,
           message: error.message,
@@ -243,6 +394,103 @@ class InvoiceController {
     }
   }
 
+  /**
+   * Record a payment against an invoice
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async recordPayment(req, res) {
+    try {
+      const body = { ...req.body };
+      if (body.payment_date && !body.date) body.date = body.payment_date;
+      delete body.payment_date;
+      const { error, value } = validatePaymentCreate(body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: error.details.map(detail => ({
+            field: detail.path.join('.'),
+            message: detail.message,
+          })),
+        });
+      }
+
+      const result = await InvoiceService.recordPayment(req.params.id, value);
+
+      res.status(201).json({
+        success: true,
+        message: 'Payment recorded successfully',
+        data: result,
+      });
+    } catch (error) {
+      console.error('Error recording invoice payment:', error);
+
+      if (error.message === 'Invoice not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (error.message.includes('already paid') || error.message.includes('outstanding balance') || error.message.includes('greater than 0')) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (error.name === 'SequelizeValidationError') {
+        const errors = error.errors.map(err => ({
+          field: err.path,
+          message: err.message,
+        }));
+
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to record payment',
+      });
+    }
+  }
+
+  /**
+   * Get payments recorded against an invoice
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getInvoicePayments(req, res) {
+    try {
+      const result = await InvoiceService.getInvoicePayments(req.params.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Invoice payments retrieved successfully',
+        data: result,
+      });
+    } catch (error) {
+      console.error('Error getting invoice payments:', error);
+
+      if (error.message === 'Invoice not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get invoice payments',
+      });
+    }
+  }
+
   /**
    * Add item to invoice
    * @param {Object} req - Express request object
@@ -252,6 +500,8 @@ class InvoiceController {
     try {
   const body = { ...req.body };
   // item fields are already camelCase (name, quantity, price)
+  if (body.credit_override !== undefined && body.creditOverride === undefined) body.creditOverride = body.credit_override;
+  if (body.credit_override_reason && !body.creditOverrideReason) body.creditOverrideReason = body.credit_override_reason;
   const item = await InvoiceService.addInvoiceItem(req.params.id, body);
       
       res.status(201).json({
@@ -269,6 +519,34 @@ class InvoiceController {
         });
       }
 
+      if (error.message === 'Product not found') {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (error.message === 'A reason is required to override the credit check') {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (error.message === 'Only a manager or admin can override the credit check') {
+        return res.status(403).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (error.message.startsWith('Credit check failed')) {
+        return res.status(409).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
       if (error.message.includes('paid invoice')) {
         return res.status(403).json({
           success: false,
@@ -305,6 +583,8 @@ class InvoiceController {
   static async updateInvoiceItem(req, res) {
     try {
   const body = { ...req.body };
+  if (body.credit_override !== undefined && body.creditOverride === undefined) body.creditOverride = body.credit_override;
+  if (body.credit_override_reason && !body.creditOverrideReason) body.creditOverrideReason = body.credit_override_reason;
   const item = await InvoiceService.updateInvoiceItem(req.params.itemId, body);
       
       res.status(200).json({
@@ -322,6 +602,41 @@ class InvoiceController {
         });
       }
 
+      if (error.message === 'Product not found') {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (error.message.startsWith('Invoice amount cannot be below')) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (error.message === 'A reason is required to override the credit check') {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (error.message === 'Only a manager or admin can override the credit check') {
+        return res.status(403).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (error.message.startsWith('Credit check failed')) {
+        return res.status(409).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
       if (error.message.includes('paid invoice')) {
         return res.status(400).json({
           success: false,
@@ -372,6 +687,13 @@ class InvoiceController {
         });
       }
 
+      if (error.message.startsWith('Invoice amount cannot be below')) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
       if (error.message.includes('paid invoice')) {
         return res.status(400).json({
           success: false,
@@ -477,8 +799,8 @@ class InvoiceController {
    */
   static async getMonthlyTrends(req, res) {
     try {
-      const { year } = req.query;
-      const trends = await InvoiceService.getMonthlyTrends(year ? parseInt(year) : undefined);
+      const { year, productId } = req.query;
+      const trends = await InvoiceService.getMonthlyTrends(year ? parseInt(year) : undefined, { productId });
       
       res.status(200).json({
         success: true,
@@ -519,6 +841,119 @@ class InvoiceController {
     }
   }
 
+  /**
+   * Statement of account for one customer (?format=pdf|html renders the document, csv|xlsx exports the ledger)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getCustomerStatement(req, res) {
+    try {
+      const { error, value } = validateStatementQuery({ ...req.query });
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: error.details.map(detail => ({
+            field: detail.path.join('.'),
+            message: detail.message,
+          })),
+        });
+      }
+      const { format, download, ...options } = value;
+
+      if (format === 'pdf' || format === 'html') {
+        const { filename, content } = await InvoiceService.renderCustomerStatement({ ...options, format });
+        if (format === 'html') {
+          return res.status(200).type('html').send(content);
+        }
+        res.set({
+          'Content-Type': 'application/pdf',
+          'Content-Disposition': `${download ? 'attachment' : 'inline'}; filename="${filename}"`,
+          'Content-Length': content.length,
+        });
+        return res.status(200).end(content);
+      }
+
+      const statement = await InvoiceService.getCustomerStatement(options);
+
+      if (format === 'csv' || format === 'xlsx') {
+        const opening = { type: 'opening', description: 'Opening balance', balance: statement.openingBalance };
+        const closing = { date: statement.period.to, type: 'closing', description: 'Closing balance', balance: statement.closingBalance };
+        const slug = String(statement.customer.id || statement.customer.name).toLowerCase().replace(/[^a-z0-9]+/g, '-');
+        return ExportService.respond(res, {
+          format,
+          resource: 'customerStatement',
+          role: req.user && req.user.role,
+          filename: `statement-customer-${slug}`,
+          batches: [[opening, ...statement.entries, closing]],
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Customer statement retrieved successfully',
+        data: statement,
+      });
+    } catch (error) {
+      console.error('Error getting customer statement:', error);
+
+      if (error.message === 'Customer not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get customer statement',
+      });
+    }
+  }
+
+  /**
+   * Send the invoice reminders due on a day now (dryRun lists them without sending)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async runReminders(req, res) {
+    try {
+      const { error, value } = validateReminderRun(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: error.details.map(detail => ({
+            field: detail.path.join('.'),
+            message: detail.message,
+          })),
+        });
+      }
+
+      const summary = await ReminderService.run(value);
+
+      res.status(200).json({
+        success: true,
+        message: value.dryRun ? 'Due reminders listed' : `${summary.sent} reminder(s) sent`,
+        data: summary,
+      });
+    } catch (error) {
+      console.error('Error running invoice reminders:', error);
+
+      if (error.message === 'Reminder run already in progress') {
+        return res.status(409).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to send invoice reminders',
+      });
+    }
+  }
+
   /**
    * Generate invoice number
    * @param {Object} req - Express request object
@@ -527,14 +962,12 @@ class InvoiceController {
   static async generateInvoiceNumber(req, res) {
     try {
       const { date } = req.query;
-      const invoiceNumber = await InvoiceService.generateInvoiceNumber(
-        date ? new Date(date) : new Date()
-      );
+      const invoiceNumber = await InvoiceService.generateInvoiceNumber(date || new Date());
       
       res.status(200).json({
         success: true,
         message: 'Invoice number generated successfully',
-        data: { invoiceNumber },
+        data: { invoiceNumber, reserved: false },
       });
     } catch (error) {
       console.error('Error generating invoice number:', error);
@@ -0,0 +1,230 @@
+const LocationService = require('../services/locationService');
+
+class LocationController {
+  /**
+   * Create a new storage location
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async createLocation(req, res) {
+    try {
+      const location = await LocationService.createLocation(req.body);
+
+      res.status(201).json({
+        success: true,
+        message: 'Location created successfully',
+        data: location,
+      });
+    } catch (error) {
+      console.error('Error creating location:', error);
+
+      if (error.message.includes('already exists')) {
+        return res.status(409).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (error.name === 'SequelizeValidationError') {
+        const errors = error.errors.map(err => ({
+          field: err.path,
+          message: err.message,
+        }));
+
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create location',
+      });
+    }
+  }
+
+  /**
+   * Get all storage locations
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getAllLocations(req, res) {
+    try {
+      const locations = await LocationService.getAllLocations(req.query);
+
+      res.status(200).json({
+        success: true,
+        message: 'Locations retrieved successfully',
+        data: locations,
+      });
+    } catch (error) {
+      console.error('Error getting locations:', error);
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get locations',
+      });
+    }
+  }
+
+  /**
+   * Get location by ID
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getLocationById(req, res) {
+    try {
+      const location = await LocationService.getLocationById(req.params.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Location retrieved successfully',
+        data: location,
+      });
+    } catch (error) {
+      console.error('Error getting location by ID:', error);
+
+      if (error.message === 'Location not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get location',
+      });
+    }
+  }
+
+  /**
+   * Update location by ID
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async updateLocation(req, res) {
+    try {
+      const location = await LocationService.updateLocation(req.params.id, req.body);
+
+      res.status(200).json({
+        success: true,
+        message: 'Location updated successfully',
+        data: location,
+      });
+    } catch (error) {
+      console.error('Error updating location:', error);
+
+      if (error.message === 'Location not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (error.message.includes('already exists')) {
+        return res.status(409).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (error.name === 'SequelizeValidationError') {
+        const errors = error.errors.map(err => ({
+          field: err.path,
+          message: err.message,
+        }));
+
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update location',
+      });
+    }
+  }
+
+  /**
+   * Delete location by ID
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async deleteLocation(req, res) {
+    try {
+      await LocationService.deleteLocation(req.params.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Location deleted successfully',
+      });
+    } catch (error) {
+      console.error('Error deleting location:', error);
+
+      if (error.message === 'Location not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (error.message.includes('with stock')) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete location',
+      });
+    }
+  }
+
+  /**
+   * Restore a soft-deleted location
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async restoreLocation(req, res) {
+    try {
+      const location = await LocationService.restoreLocation(req.params.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Location restored successfully',
+        data: location,
+      });
+    } catch (error) {
+      console.error('Error restoring location:', error);
+
+      if (error.message === 'Location not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (error.message.includes('not deleted')) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to restore location',
+      });
+    }
+  }
+}
+
+module.exports = LocationController;
@@ -0,0 +1,265 @@
+const MillingBatchService = require('../services/millingBatchService');
+
+// Messages from MillingBatchService that point at bad input rather than a server fault
+const isBatchInputError = (message) => (
+  message === 'Purchase not found'
+  || message === 'Product not found'
+  || message === 'Location not found'
+  || message.includes('Insufficient inventory')
+  || message.includes('cannot exceed')
+  || message.includes('must be milled rice')
+);
+
+class MillingBatchController {
+  /**
+   * Record a milling batch
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async createBatch(req, res) {
+    try {
+      const batch = await MillingBatchService.createBatch(req.body);
+
+      res.status(201).json({
+        success: true,
+        message: 'Milling batch created successfully',
+        data: batch,
+      });
+    } catch (error) {
+      console.error('Error creating milling batch:', error);
+
+      if (isBatchInputError(error.message)) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (error.name === 'SequelizeValidationError') {
+        const errors = error.errors.map(err => ({
+          field: err.path,
+          message: err.message,
+        }));
+
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create milling batch',
+      });
+    }
+  }
+
+  /**
+   * Get milling batches with pagination and filtering
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getAllBatches(req, res) {
+    try {
+      const result = await MillingBatchService.getAllBatches(req.query);
+
+      res.status(200).json({
+        success: true,
+        message: 'Milling batches retrieved successfully',
+        data: result.batches,
+        pagination: result.pagination,
+      });
+    } catch (error) {
+      console.error('Error getting milling batches:', error);
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get milling batches',
+      });
+    }
+  }
+
+  /**
+   * Get milled output still in stock
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getOutputInventory(req, res) {
+    try {
+      const inventory = await MillingBatchService.getOutputInventory(req.query);
+
+      res.status(200).json({
+        success: true,
+        message: 'Milled output inventory retrieved successfully',
+        data: inventory,
+      });
+    } catch (error) {
+      console.error('Error getting milled output inventory:', error);
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get milled output inventory',
+      });
+    }
+  }
+
+  /**
+   * Get milling batch by ID
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getBatchById(req, res) {
+    try {
+      const batch = await MillingBatchService.getBatchById(req.params.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Milling batch retrieved successfully',
+        data: batch,
+      });
+    } catch (error) {
+      console.error('Error getting milling batch by ID:', error);
+
+      if (error.message === 'Milling batch not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get milling batch',
+      });
+    }
+  }
+
+  /**
+   * Update milling batch by ID
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async updateBatch(req, res) {
+    try {
+      const batch = await MillingBatchService.updateBatch(req.params.id, req.body);
+
+      res.status(200).json({
+        success: true,
+        message: 'Milling batch updated successfully',
+        data: batch,
+      });
+    } catch (error) {
+      console.error('Error updating milling batch:', error);
+
+      if (error.message === 'Milling batch not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (isBatchInputError(error.message) || error.message.includes('has been sold')) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (error.name === 'SequelizeValidationError') {
+        const errors = error.errors.map(err => ({
+          field: err.path,
+          message: err.message,
+        }));
+
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update milling batch',
+      });
+    }
+  }
+
+  /**
+   * Delete milling batch by ID
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async deleteBatch(req, res) {
+    try {
+      await MillingBatchService.deleteBatch(req.params.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Milling batch deleted successfully',
+      });
+    } catch (error) {
+      console.error('Error deleting milling batch:', error);
+
+      if (error.message === 'Milling batch not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (error.message.includes('sold output')) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete milling batch',
+      });
+    }
+  }
+
+  /**
+   * Restore a soft-deleted milling batch
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async restoreBatch(req, res) {
+    try {
+      const batch = await MillingBatchService.restoreBatch(req.params.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Milling batch restored successfully',
+        data: batch,
+      });
+    } catch (error) {
+      console.error('Error restoring milling batch:', error);
+
+      if (error.message === 'Milling batch not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (error.message.includes('not deleted') || isBatchInputError(error.message)) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to restore milling batch',
+      });
+    }
+  }
+}
+
+module.exports = MillingBatchController;
@@ -0,0 +1,223 @@
+const ProductService = require('../services/productService');
+
+class ProductController {
+  /**
+   * Create a new product
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async createProduct(req, res) {
+    try {
+      const product = await ProductService.createProduct(req.body);
+
+      res.status(201).json({
+        success: true,
+        message: 'Product created successfully',
+        data: product,
+      });
+    } catch (error) {
+      console.error('Error creating product:', error);
+
+      if (error.message.includes('already exists')) {
+        return res.status(409).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (error.name === 'SequelizeValidationError') {
+        const errors = error.errors.map(err => ({
+          field: err.path,
+          message: err.message,
+        }));
+
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create product',
+      });
+    }
+  }
+
+  /**
+   * Get the product catalogue
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getAllProducts(req, res) {
+    try {
+      const products = await ProductService.getAllProducts(req.query);
+
+      res.status(200).json({
+        success: true,
+        message: 'Products retrieved successfully',
+        data: products,
+      });
+    } catch (error) {
+      console.error('Error getting products:', error);
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get products',
+      });
+    }
+  }
+
+  /**
+   * Get product by ID
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getProductById(req, res) {
+    try {
+      const product = await ProductService.getProductById(req.params.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Product retrieved successfully',
+        data: product,
+      });
+    } catch (error) {
+      console.error('Error getting product by ID:', error);
+
+      if (error.message === 'Product not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get product',
+      });
+    }
+  }
+
+  /**
+   * Update product by ID
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async updateProduct(req, res) {
+    try {
+      const product = await ProductService.updateProduct(req.params.id, req.body);
+
+      res.status(200).json({
+        success: true,
+        message: 'Product updated successfully',
+        data: product,
+      });
+    } catch (error) {
+      console.error('Error updating product:', error);
+
+      if (error.message === 'Product not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (error.message.includes('already exists')) {
+        return res.status(409).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (error.name === 'SequelizeValidationError') {
+        const errors = error.errors.map(err => ({
+          field: err.path,
+          message: err.message,
+        }));
+
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update product',
+      });
+    }
+  }
+
+  /**
+   * Delete product by ID
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async deleteProduct(req, res) {
+    try {
+      await ProductService.deleteProduct(req.params.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Product deleted successfully',
+      });
+    } catch (error) {
+      console.error('Error deleting product:', error);
+
+      if (error.message === 'Product not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete product',
+      });
+    }
+  }
+
+  /**
+   * Restore a soft-deleted product
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async restoreProduct(req, res) {
+    try {
+      const product = await ProductService.restoreProduct(req.params.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Product restored successfully',
+        data: product,
+      });
+    } catch (error) {
+      console.error('Error restoring product:', error);
+
+      if (error.message === 'Product not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (error.message.includes('not deleted')) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to restore product',
+      });
+    }
+  }
+}
+
+module.exports = ProductController;
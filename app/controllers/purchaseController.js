@@ -1,4 +1,6 @@
 const PurchaseService = require('../services/purchaseService');
+const ExportService = require('../services/exportService');
+const ImportService = require('../services/importService');
 
 class PurchaseController {
   /**
@@ -74,6 +76,17 @@ class PurchaseController {
       if (q.end_date && !q.endDate) q.endDate = q.end_date;
       if (q.min_total_cost && !q.minTotalCost) q.minTotalCost = q.min_total_cost;
       if (q.max_total_cost && !q.maxTotalCost) q.maxTotalCost = q.max_total_cost;
+      if (q.payment_status && !q.paymentStatus) q.paymentStatus = q.payment_status;
+      const format = ExportService.getFormat(req);
+      if (format) {
+        return ExportService.respond(res, {
+          format,
+          resource: 'purchases',
+          role: req.user && req.user.role,
+          filename: 'purchases',
+          batches: PurchaseService.exportPurchases(q),
+        });
+      }
       const result = await PurchaseService.getAllPurchases(q);
       
       res.status(200).json({
@@ -154,7 +167,8 @@ class PurchaseController {
         });
       }
 
-      if (error.message.includes('not found') || error.message.includes('inactive')) {
+      if (error.message.includes('not found') || error.message.includes('inactive') || error.message.includes('Cannot change') || error.message.includes('already paid')
+        || error.message.startsWith('Purchase weight cannot be less than')) {
         return res.status(400).json({
           success: false,
           message: error.message,
@@ -204,7 +218,7 @@ class PurchaseController {
         });
       }
 
-      if (error.message.includes('associated sales')) {
+      if (error.message.includes('associated sales') || error.message.includes('milling batches') || error.message.includes('supplier payments')) {
         return res.status(400).json({
           success: false,
           message: error.message,
@@ -218,6 +232,44 @@ class PurchaseController {
     }
   }
 
+  /**
+   * Restore a soft-deleted purchase
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async restorePurchase(req, res) {
+    try {
+      const purchase = await PurchaseService.restorePurchase(req.params.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Purchase restored successfully',
+        data: purchase,
+      });
+    } catch (error) {
+      console.error('Error restoring purchase:', error);
+
+      if (error.message === 'Purchase not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (error.message.includes('not deleted')) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to restore purchase',
+      });
+    }
+  }
+
   /**
    * Get purchases by supplier
    * @param {Object} req - Express request object
@@ -340,8 +392,8 @@ class PurchaseController {
    */
   static async getMonthlyTrends(req, res) {
     try {
-      const { year } = req.query;
-      const trends = await PurchaseService.getMonthlyTrends(year ? parseInt(year) : undefined);
+      const { year, productId, groupBy } = req.query;
+      const trends = await PurchaseService.getMonthlyTrends(year ? parseInt(year) : undefined, { productId, groupBy });
       
       res.status(200).json({
         success: true,
@@ -357,6 +409,54 @@ class PurchaseController {
       });
     }
   }
+
+  /**
+   * Import purchases from CSV (raw text/csv body, or JSON { csv, mapping }); ?dryRun=true only validates
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async importPurchases(req, res) {
+    try {
+      const body = typeof req.body === 'string' ? { csv: req.body } : (req.body || {});
+      const dryRun = req.query.dryRun === 'true' || body.dryRun === true;
+      const report = await ImportService.importPurchases(body.csv, { dryRun, mapping: body.mapping });
+
+      res.status(dryRun ? 200 : 201).json({
+        success: true,
+        message: dryRun
+          ? `Dry run: ${report.validRows} of ${report.totalRows} rows valid`
+          : `Imported ${report.imported} of ${report.totalRows} rows`,
+        data: report,
+      });
+    } catch (error) {
+      console.error('Error importing purchases:', error);
+
+      if (error.message.includes('CSV')) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (error.name === 'SequelizeValidationError') {
+        const errors = error.errors.map(err => ({
+          field: err.path,
+          message: err.message,
+        }));
+
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to import purchases',
+      });
+    }
+  }
 }
 
 module.exports = PurchaseController;
\ No newline at end of file
@@ -1,4 +1,7 @@
 const SaleService = require('../services/saleService');
+const ExportService = require('../services/exportService');
+const ImportService = require('../services/importService');
+const InvoiceService = require('../services/invoiceService');
 
 class SaleController {
   /**
@@ -11,6 +14,7 @@ class SaleController {
       // Backward compatibility normalization
       const body = { ...req.body };
       if (body.purchase_id && !body.purchaseId) body.purchaseId = body.purchase_id;
+      if (body.customer_id && !body.customerId) body.customerId = body.customer_id;
   if (body.extra_weight && !body.extraWeight) body.extraWeight = body.extra_weight;
       // cost related legacy snake_case (if any)
       if (body.net_profit && !body.netProfit) body.netProfit = body.net_profit; // Normally computed by hook
@@ -67,12 +71,23 @@ class SaleController {
     try {
       const q = { ...req.query };
       if (q.purchase_id && !q.purchaseId) q.purchaseId = q.purchase_id;
+      if (q.customer_id && !q.customerId) q.customerId = q.customer_id;
       if (q.start_date && !q.startDate) q.startDate = q.start_date;
       if (q.end_date && !q.endDate) q.endDate = q.end_date;
       if (q.min_revenue && !q.minRevenue) q.minRevenue = q.min_revenue;
       if (q.max_revenue && !q.maxRevenue) q.maxRevenue = q.max_revenue;
       if (q.min_net_profit && !q.minNetProfit) q.minNetProfit = q.min_net_profit;
       if (q.max_net_profit && !q.maxNetProfit) q.maxNetProfit = q.max_net_profit;
+      const format = ExportService.getFormat(req);
+      if (format) {
+        return ExportService.respond(res, {
+          format,
+          resource: 'sales',
+          role: req.user && req.user.role,
+          filename: 'sales',
+          batches: SaleService.exportSales(q),
+        });
+      }
       const result = await SaleService.getAllSales(q);
       
       res.status(200).json({
@@ -131,6 +146,7 @@ class SaleController {
     try {
       const body = { ...req.body };
       if (body.purchase_id && !body.purchaseId) body.purchaseId = body.purchase_id;
+      if (body.customer_id && !body.customerId) body.customerId = body.customer_id;
   if (body.extra_weight && !body.extraWeight) body.extraWeight = body.extra_weight;
       if (body.net_profit && !body.netProfit) body.netProfit = body.net_profit;
       const sale = await SaleService.updateSale(req.params.id, body);
@@ -157,6 +173,13 @@ class SaleController {
         });
       }
 
+      if (error.message.includes('has been invoiced')) {
+        return res.status(409).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
       if (error.name === 'SequelizeValidationError') {
         const errors = error.errors.map(err => ({
           field: err.path,
@@ -200,6 +223,13 @@ class SaleController {
         });
       }
 
+      if (error.message.includes('has been invoiced')) {
+        return res.status(409).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
       res.status(500).json({
         success: false,
         message: 'Failed to delete sale',
@@ -207,6 +237,44 @@ class SaleController {
     }
   }
 
+  /**
+   * Restore a soft-deleted sale
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async restoreSale(req, res) {
+    try {
+      const sale = await SaleService.restoreSale(req.params.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Sale restored successfully',
+        data: sale,
+      });
+    } catch (error) {
+      console.error('Error restoring sale:', error);
+
+      if (error.message === 'Sale not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (error.message.includes('not deleted') || error.message.includes('deleted purchase') || error.message.includes('Insufficient inventory')) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to restore sale',
+      });
+    }
+  }
+
   /**
    * Get sales by purchase
    * @param {Object} req - Express request object
@@ -335,7 +403,7 @@ class SaleController {
    */
   static async getInventoryTurnover(req, res) {
     try {
-      const turnover = await SaleService.getInventoryTurnover();
+      const turnover = await SaleService.getInventoryTurnover(req.query);
       
       res.status(200).json({
         success: true,
@@ -351,6 +419,155 @@ class SaleController {
       });
     }
   }
+
+  /**
+   * Import sales from CSV (raw text/csv body, or JSON { csv, mapping }); ?dryRun=true only validates
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async importSales(req, res) {
+    try {
+      const body = typeof req.body === 'string' ? { csv: req.body } : (req.body || {});
+      const dryRun = req.query.dryRun === 'true' || body.dryRun === true;
+      const report = await ImportService.importSales(body.csv, { dryRun, mapping: body.mapping });
+
+      res.status(dryRun ? 200 : 201).json({
+        success: true,
+        message: dryRun
+          ? `Dry run: ${report.validRows} of ${report.totalRows} rows valid`
+          : `Imported ${report.imported} of ${report.totalRows} rows`,
+        data: report,
+      });
+    } catch (error) {
+      console.error('Error importing sales:', error);
+
+      if (error.message.includes('CSV')) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (error.name === 'SequelizeValidationError') {
+        const errors = error.errors.map(err => ({
+          field: err.path,
+          message: err.message,
+        }));
+
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to import sales',
+      });
+    }
+  }
+
+  /**
+   * Invoice a single sale
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async createInvoiceForSale(req, res) {
+    return SaleController._invoiceSales(req, res, [req.params.id]);
+  }
+
+  /**
+   * Invoice several sales of one customer on a single invoice
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async createInvoiceForSales(req, res) {
+    const saleIds = req.body.saleIds || req.body.sale_ids;
+    if (!Array.isArray(saleIds) || !saleIds.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'saleIds must be a non-empty array',
+      });
+    }
+    return SaleController._invoiceSales(req, res, saleIds);
+  }
+
+  static async _invoiceSales(req, res, saleIds) {
+    try {
+      // Backward compatibility mapping snake_case -> camelCase
+      const body = { ...req.body };
+      if (body.invoice_number && !body.invoiceNumber) body.invoiceNumber = body.invoice_number;
+      if (body.due_date && !body.dueDate) body.dueDate = body.due_date;
+      if (body.customer_id && !body.customerId) body.customerId = body.customer_id;
+      if (body.credit_override !== undefined && body.creditOverride === undefined) body.creditOverride = body.credit_override;
+      if (body.credit_override_reason && !body.creditOverrideReason) body.creditOverrideReason = body.credit_override_reason;
+
+      const invoice = await InvoiceService.createInvoiceFromSales(saleIds, body);
+
+      res.status(201).json({
+        success: true,
+        message: 'Invoice created successfully',
+        data: invoice,
+      });
+    } catch (error) {
+      console.error('Error invoicing sales:', error);
+
+      if (error.message === 'Sale not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (error.message.includes('already invoiced') || error.message.startsWith('Credit check failed')) {
+        return res.status(409).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (error.message === 'Only a manager or admin can override the credit check') {
+        return res.status(403).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (error.message.includes('not found') || error.message.includes('required')
+        || error.message.includes('customer') || error.message.startsWith('Invoice numbers are assigned')) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (error.name === 'SequelizeValidationError') {
+        const errors = error.errors.map(err => ({
+          field: err.path,
+          message: err.message,
+        }));
+
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors,
+        });
+      }
+
+      if (error.name === 'SequelizeUniqueConstraintError') {
+        return res.status(409).json({
+          success: false,
+          message: 'Invoice number already exists',
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create invoice',
+      });
+    }
+  }
 }
 
 module.exports = SaleController;
\ No newline at end of file
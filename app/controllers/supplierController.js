@@ -1,4 +1,6 @@
 const SupplierService = require('../services/supplierService');
+const ExportService = require('../services/exportService');
+const SupplierPaymentService = require('../services/supplierPaymentService');
 
 class SupplierController {
   /**
@@ -58,6 +60,16 @@ class SupplierController {
     try {
       const q = { ...req.query };
       if (q.contact_person && !q.contactPerson) q.contactPerson = q.contact_person; // even if service not using directly
+      const format = ExportService.getFormat(req);
+      if (format) {
+        return ExportService.respond(res, {
+          format,
+          resource: 'suppliers',
+          role: req.user && req.user.role,
+          filename: 'suppliers',
+          batches: SupplierService.exportSuppliers(q),
+        });
+      }
       const result = await SupplierService.getAllSuppliers(q);
       
       res.status(200).json({
@@ -190,6 +202,44 @@ class SupplierController {
     }
   }
 
+  /**
+   * Restore a soft-deleted supplier
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async restoreSupplier(req, res) {
+    try {
+      const supplier = await SupplierService.restoreSupplier(req.params.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Supplier restored successfully',
+        data: supplier,
+      });
+    } catch (error) {
+      console.error('Error restoring supplier:', error);
+
+      if (error.message === 'Supplier not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (error.message.includes('not deleted')) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to restore supplier',
+      });
+    }
+  }
+
   /**
    * Get active suppliers only
    * @param {Object} req - Express request object
@@ -301,6 +351,242 @@ class SupplierController {
       });
     }
   }
+
+  /**
+   * Record a payment to a supplier
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async recordPayment(req, res) {
+    try {
+      const payment = await SupplierPaymentService.recordPayment(req.params.id, req.body);
+
+      res.status(201).json({
+        success: true,
+        message: 'Supplier payment recorded successfully',
+        data: payment,
+      });
+    } catch (error) {
+      console.error('Error recording supplier payment:', error);
+
+      if (error.message === 'Supplier not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (error.message.includes('exceed') || error.message.includes('not an unpaid purchase') || error.message.includes('greater than 0')) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (error.name === 'SequelizeValidationError') {
+        const errors = error.errors.map(err => ({
+          field: err.path,
+          message: err.message,
+        }));
+
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+      });
+    }
+  }
+
+  /**
+   * Get the payments made to a supplier
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getSupplierPayments(req, res) {
+    try {
+      const result = await SupplierPaymentService.getSupplierPayments(req.params.id, req.query);
+
+      res.status(200).json({
+        success: true,
+        message: 'Supplier payments retrieved successfully',
+        data: result,
+      });
+    } catch (error) {
+      console.error('Error getting supplier payments:', error);
+
+      if (error.message === 'Supplier not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+      });
+    }
+  }
+
+  /**
+   * Delete a supplier payment
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async deletePayment(req, res) {
+    try {
+      await SupplierPaymentService.deletePayment(req.params.paymentId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Supplier payment deleted successfully',
+      });
+    } catch (error) {
+      console.error('Error deleting supplier payment:', error);
+
+      if (error.message === 'Supplier payment not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+      });
+    }
+  }
+
+  /**
+   * Supplier statement as JSON, or printed (?format=pdf, ?format=html previews the template)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getSupplierStatement(req, res) {
+    try {
+      const { from, to, format, download } = req.query;
+      if (format === 'json') {
+        const statement = await SupplierService.getSupplierStatement(req.params.id, { from, to });
+        return res.status(200).json({
+          success: true,
+          message: 'Supplier statement retrieved successfully',
+          data: statement,
+        });
+      }
+
+      const { filename, content } = await SupplierService.renderSupplierStatement(req.params.id, { from, to, format });
+      if (format === 'html') {
+        return res.status(200).type('html').send(content);
+      }
+
+      res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `${download === true ? 'attachment' : 'inline'}; filename="${filename}"`,
+        'Content-Length': content.length,
+      });
+      res.status(200).end(content);
+    } catch (error) {
+      console.error('Error getting supplier statement:', error);
+
+      if (error.message === 'Supplier not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+      });
+    }
+  }
+
+  /**
+   * Get a supplier's performance scorecard
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getSupplierPerformance(req, res) {
+    try {
+      const scorecard = await SupplierService.getSupplierPerformance(req.params.id, req.query);
+
+      res.status(200).json({
+        success: true,
+        message: 'Supplier performance retrieved successfully',
+        data: scorecard,
+      });
+    } catch (error) {
+      console.error('Error getting supplier performance:', error);
+
+      if (error.message === 'Supplier not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+      });
+    }
+  }
+
+  /**
+   * Rank suppliers by performance
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getSupplierRanking(req, res) {
+    try {
+      const ranking = await SupplierService.getSupplierRanking(req.query);
+
+      res.status(200).json({
+        success: true,
+        message: 'Supplier ranking retrieved successfully',
+        data: ranking,
+      });
+    } catch (error) {
+      console.error('Error getting supplier ranking:', error);
+
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+      });
+    }
+  }
+
+  /**
+   * Get the payables aging report
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getPayablesAgingReport(req, res) {
+    try {
+      const report = await SupplierPaymentService.getPayablesAgingReport(req.query);
+
+      res.status(200).json({
+        success: true,
+        message: 'Payables aging report retrieved successfully',
+        data: report,
+      });
+    } catch (error) {
+      console.error('Error getting payables aging report:', error);
+
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+      });
+    }
+  }
 }
 
 module.exports = SupplierController;
\ No newline at end of file
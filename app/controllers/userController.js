@@ -85,6 +85,49 @@ class UserController {
     }
   }
 
+  /**
+   * Exchange refresh token for a new token pair
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async refresh(req, res) {
+    try {
+      const refreshToken = req.body.refreshToken || req.body.refresh_token;
+      const result = await UserService.refreshSession(refreshToken);
+
+      res.status(200).json({
+        success: true,
+        message: 'Token refreshed successfully',
+        data: {
+          user: result.user,
+          token: result.token,
+          refreshToken: result.refreshToken,
+        },
+      });
+    } catch (error) {
+      console.error('Error refreshing token:', error);
+
+      if (error.message === 'Refresh token is required') {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (error.message.toLowerCase().includes('refresh token')) {
+        return res.status(401).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to refresh token',
+      });
+    }
+  }
+
   /**
    * Get current user profile
    * @param {Object} req - Express request object
@@ -167,6 +210,50 @@ class UserController {
     }
   }
 
+  /**
+   * Create a user with a role (admin only)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async createUser(req, res) {
+    try {
+      const user = await UserService.createUser(req.body);
+
+      res.status(201).json({
+        success: true,
+        message: 'User created successfully',
+        data: user,
+      });
+    } catch (error) {
+      console.error('Error creating user:', error);
+
+      if (error.message.includes('already exists')) {
+        return res.status(409).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (error.name === 'SequelizeValidationError') {
+        const errors = error.errors.map(err => ({
+          field: err.path,
+          message: err.message,
+        }));
+
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create user',
+      });
+    }
+  }
+
   /**
    * Get all users (admin only)
    * @param {Object} req - Express request object
@@ -363,8 +450,9 @@ class UserController {
    */
   static async logout(req, res) {
     try {
-      // In a more sophisticated implementation, you would maintain a blacklist of tokens
-      // For now, we'll just send a success response
+      const refreshToken = req.body.refreshToken || req.body.refresh_token;
+      await UserService.logoutSession(req.user, req.tokenInfo, refreshToken);
+
       res.status(200).json({
         success: true,
         message: 'Logout successful',
@@ -378,6 +466,37 @@ class UserController {
       });
     }
   }
+
+  /**
+   * Force logout all sessions of a user (admin only)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async revokeUserSessions(req, res) {
+    try {
+      const user = await UserService.revokeUserSessions(req.params.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'User sessions revoked successfully',
+        data: user,
+      });
+    } catch (error) {
+      console.error('Error revoking user sessions:', error);
+
+      if (error.message === 'User not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to revoke user sessions',
+      });
+    }
+  }
 }
 
 module.exports = UserController;
\ No newline at end of file
@@ -1,5 +1,22 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const User = require('../models/user');
+const RevokedToken = require('../models/revokedToken');
+const config = require('../../config/environment');
+const { getAllowedRoles } = require('../../config/permissions');
+
+// A token is revoked if its jti was blacklisted (logout) or it was issued
+// before the user's tokenVersion was bumped (force logout, role change)
+const isTokenRevoked = async (decoded, user) => {
+  if ((decoded.tokenVersion || 0) !== (user.tokenVersion || 0)) {
+    return true;
+  }
+  return RevokedToken.isRevoked(decoded.jti);
+};
+
+// Refresh tokens only buy new access tokens; without JWT_REFRESH_SECRET they share the
+// access token secret, so they are told apart by their type
+const isRefreshToken = decoded => decoded.type === 'refresh';
 
 // Middleware to verify JWT token
 const authenticateToken = async (req, res, next) => {
@@ -16,6 +33,12 @@ const authenticateToken = async (req, res, next) => {
 
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (isRefreshToken(decoded)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid token',
+      });
+    }
     
     // Get user from database
     const user = await User.findByPk(decoded.userId);
@@ -26,8 +49,16 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
-    // Add user to request object
+    if (await isTokenRevoked(decoded, user)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Token has been revoked',
+      });
+    }
+
+    // Add user and token payload to request object
     req.user = user;
+    req.tokenInfo = decoded;
     next();
   } catch (error) {
     console.error('Authentication error:', error);
@@ -97,9 +128,9 @@ const optionalAuth = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findByPk(decoded.userId);
+    const user = isRefreshToken(decoded) ? null : await User.findByPk(decoded.userId);
     
-    req.user = user || null;
+    req.user = user && !(await isTokenRevoked(decoded, user)) ? user : null;
     next();
   } catch (error) {
     // For optional auth, we don't fail on invalid tokens
@@ -108,6 +139,19 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
+// Guard a route with the permission matrix in config/permissions.js.
+// When auth is bypassed (test/dev toggle) the token is still read if present, but never required.
+const authorize = (resource, action) => {
+  const checkRole = requireRole(getAllowedRoles(resource, action));
+
+  return (req, res, next) => {
+    if (config.isAuthBypassed()) {
+      return optionalAuth(req, res, next);
+    }
+    return authenticateToken(req, res, () => checkRole(req, res, next));
+  };
+};
+
 // Generate JWT token
 const generateToken = (user) => {
   return jwt.sign(
@@ -115,28 +159,33 @@ const generateToken = (user) => {
       userId: user.id,
       username: user.username,
       role: user.role,
+      tokenVersion: user.tokenVersion || 0,
     },
     process.env.JWT_SECRET,
     { 
       expiresIn: process.env.JWT_EXPIRES_IN || '24h',
       issuer: 'ricemill-api',
       audience: 'ricemill-app',
+      jwtid: crypto.randomUUID(),
     }
   );
 };
 
 // Generate refresh token (longer expiry)
-const generateRefreshToken = (user) => {
+// tokenId/familyId identify the token in the refresh_tokens table for rotation
+const generateRefreshToken = (user, { tokenId = crypto.randomUUID(), familyId = tokenId } = {}) => {
   return jwt.sign(
-    { 
+    {
       userId: user.id,
       type: 'refresh',
+      family: familyId,
     },
     process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET,
-    { 
+    {
       expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d',
       issuer: 'ricemill-api',
       audience: 'ricemill-app',
+      jwtid: tokenId,
     }
   );
 };
@@ -172,6 +221,7 @@ module.exports = {
   requireAdmin,
   requireManagerOrAdmin,
   optionalAuth,
+  authorize,
   generateToken,
   generateRefreshToken,
   verifyRefreshToken,
@@ -0,0 +1,47 @@
+const { getRestrictedFields } = require('../../config/permissions');
+
+// Recursively drop restricted keys from plain objects/arrays (Sequelize instances are serialized first)
+const stripFields = (value, fields) => {
+  if (Array.isArray(value)) {
+    return value.map(item => stripFields(item, fields));
+  }
+
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    const source = typeof value.toJSON === 'function' ? value.toJSON() : value;
+    if (source !== value) {
+      return stripFields(source, fields);
+    }
+
+    return Object.keys(source).reduce((acc, key) => {
+      if (!fields.includes(key)) {
+        acc[key] = stripFields(source[key], fields);
+      }
+      return acc;
+    }, {});
+  }
+
+  return value;
+};
+
+// Middleware to hide fields the current role may not see (see restrictedFields in config/permissions.js).
+// The role is resolved when the response is sent, so this can be mounted before authorize().
+const filterResponseFields = (resource) => {
+  return (req, res, next) => {
+    const originalJson = res.json.bind(res);
+
+    res.json = (body) => {
+      const fields = req.user ? getRestrictedFields(req.user.role, resource) : [];
+      if (!fields.length || !body || body.data === undefined) {
+        return originalJson(body);
+      }
+      return originalJson({ ...body, data: stripFields(body.data, fields) });
+    };
+
+    next();
+  };
+};
+
+module.exports = {
+  filterResponseFields,
+  stripFields,
+};
@@ -0,0 +1,21 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Per-request context so model hooks (e.g. audit trail) can see who is acting
+// without threading req.user through every service call
+const storage = new AsyncLocalStorage();
+
+// Must be mounted after the body parsers so the context survives into route handlers
+const requestContext = (req, res, next) => {
+  storage.run({ req }, () => next());
+};
+
+// Current authenticated user, or null outside a request / for anonymous requests
+const getCurrentUser = () => {
+  const store = storage.getStore();
+  return (store && store.req && store.req.user) || null;
+};
+
+module.exports = {
+  requestContext,
+  getCurrentUser,
+};
@@ -0,0 +1,173 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../../config/db');
+const { getCurrentUser } = require('../middleware/requestContext');
+
+const ACTIONS = ['create', 'update', 'delete', 'restore'];
+
+const AuditLog = sequelize.define('AuditLog', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  entityType: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    field: 'entity_type',
+  },
+  entityId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'entity_id',
+  },
+  action: {
+    type: DataTypes.ENUM(...ACTIONS),
+    allowNull: false,
+  },
+  // No foreign key: the trail must survive deletion of the acting user
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'user_id',
+  },
+  username: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+  },
+  before: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+  },
+  after: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+  },
+}, {
+  tableName: 'audit_logs',
+  updatedAt: false, // Audit entries are append-only
+  indexes: [
+    {
+      unique: false,
+      fields: ['entity_type', 'entity_id'],
+    },
+    {
+      unique: false,
+      fields: ['user_id'],
+    },
+    {
+      unique: false,
+      fields: ['created_at'],
+    },
+  ],
+});
+
+// Never copy credentials or session counters into the trail
+const EXCLUDED_FIELDS = ['passwordHash', 'password', 'tokenVersion', 'created_at', 'updated_at', 'deleted_at'];
+
+const snapshot = (instance) => {
+  const values = {};
+  Object.keys(instance.constructor.rawAttributes).forEach(field => {
+    if (!EXCLUDED_FIELDS.includes(field) && instance.dataValues[field] !== undefined) {
+      values[field] = instance.dataValues[field];
+    }
+  });
+  return values;
+};
+
+// DECIMAL columns come back as strings, so '100.00' -> 100 is not a real change
+const isSameValue = (a, b) => {
+  if (a === b) return true;
+  if (a == null || b == null) return false;
+  if (a instanceof Date || b instanceof Date) {
+    return new Date(a).getTime() === new Date(b).getTime();
+  }
+  if (!Number.isNaN(Number(a)) && !Number.isNaN(Number(b)) && a !== '' && b !== '') {
+    return Number(a) === Number(b);
+  }
+  return JSON.stringify(a) === JSON.stringify(b);
+};
+
+const diff = (instance) => {
+  const before = {};
+  const after = {};
+  (instance.changed() || []).forEach(field => {
+    if (EXCLUDED_FIELDS.includes(field)) return;
+    const previous = instance.previous(field);
+    const current = instance.get(field);
+    if (!isSameValue(previous, current)) {
+      before[field] = previous === undefined ? null : previous;
+      after[field] = current === undefined ? null : current;
+    }
+  });
+  return { before, after };
+};
+
+const writeEntry = (entityType, action, instance, changes, options = {}) => {
+  const user = getCurrentUser();
+  return AuditLog.create({
+    entityType,
+    entityId: instance.id,
+    action,
+    userId: user ? user.id : null,
+    username: user ? user.username : null,
+    before: changes.before,
+    after: changes.after,
+  }, { transaction: options.transaction });
+};
+
+// Entity types with an audit trail, filled in as the models register their hooks
+const ENTITY_TYPES = [];
+
+// Attach create/update/delete/restore hooks to a model. Bulk operations are switched to
+// individual hooks so rows changed through Model.update/destroy/restore are recorded too.
+AuditLog.registerHooks = function (Model, entityType) {
+  ENTITY_TYPES.push(entityType);
+
+  Model.addHook('afterCreate', 'audit', (instance, options) =>
+    writeEntry(entityType, 'create', instance, { before: null, after: snapshot(instance) }, options));
+
+  Model.addHook('afterBulkCreate', 'audit', (instances, options) => {
+    if (options.individualHooks) return undefined; // afterCreate already ran per row
+    return Promise.all(instances.map(instance =>
+      writeEntry(entityType, 'create', instance, { before: null, after: snapshot(instance) }, options)));
+  });
+
+  Model.addHook('afterUpdate', 'audit', (instance, options) => {
+    const changes = diff(instance);
+    if (!Object.keys(changes.after).length) return undefined;
+    return writeEntry(entityType, 'update', instance, changes, options);
+  });
+
+  Model.addHook('afterDestroy', 'audit', (instance, options) =>
+    writeEntry(entityType, 'delete', instance, { before: snapshot(instance), after: null }, options));
+
+  // Only fires for paranoid (soft-delete) models
+  Model.addHook('afterRestore', 'audit', (instance, options) =>
+    writeEntry(entityType, 'restore', instance, { before: null, after: snapshot(instance) }, options));
+
+  Model.addHook('beforeBulkUpdate', 'audit', (options) => {
+    options.individualHooks = true;
+  });
+
+  Model.addHook('beforeBulkDestroy', 'audit', (options) => {
+    options.individualHooks = true;
+  });
+
+  Model.addHook('beforeBulkRestore', 'audit', (options) => {
+    options.individualHooks = true;
+  });
+};
+
+// Instance methods
+AuditLog.prototype.toJSON = function () {
+  const values = { ...this.get() };
+  if (values.created_at) {
+    values.created_at = values.created_at.toISOString();
+  }
+  return values;
+};
+
+AuditLog.ACTIONS = ACTIONS;
+AuditLog.ENTITY_TYPES = ENTITY_TYPES;
+
+module.exports = AuditLog;
@@ -0,0 +1,172 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../../config/db');
+const AuditLog = require('./auditLog');
+
+// "Toko  Makmur " and "toko makmur" are the same customer
+const normalizeName = name => String(name).trim().replace(/\s+/g, ' ');
+
+// Buyers of rice and by-products. Invoices and sales link to a customer; the invoice keeps the
+// customer's name as printed on it, so renaming a customer does not rewrite issued invoices.
+const Customer = sequelize.define('Customer', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  name: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    validate: {
+      notEmpty: {
+        msg: 'Customer name cannot be empty',
+      },
+      len: {
+        args: [2, 255],
+        msg: 'Customer name must be between 2 and 255 characters',
+      },
+    },
+  },
+  contactPerson: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    field: 'contact_person',
+    validate: {
+      len: {
+        args: [0, 255],
+        msg: 'Contact person name must not exceed 255 characters',
+      },
+    },
+  },
+  phone: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    validate: {
+      is: {
+        args: /^[\+]?[1-9][\d]{0,15}$/,
+        msg: 'Phone number format is invalid',
+      },
+    },
+  },
+  // Where invoice reminders are emailed (REMINDER_CHANNEL=smtp)
+  email: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    validate: {
+      isEmail: {
+        msg: 'Email format is invalid',
+      },
+    },
+  },
+  address: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+  },
+  // Maximum outstanding invoice balance; null means no limit
+  creditLimit: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: true,
+    field: 'credit_limit',
+    validate: {
+      min: {
+        args: [0],
+        msg: 'Credit limit cannot be negative',
+      },
+    },
+  },
+  status: {
+    type: DataTypes.ENUM('active', 'inactive'),
+    allowNull: false,
+    defaultValue: 'active',
+    validate: {
+      isIn: {
+        args: [['active', 'inactive']],
+        msg: 'Status must be either active or inactive',
+      },
+    },
+  },
+}, {
+  tableName: 'customers',
+  paranoid: true, // Soft delete: destroy() sets deleted_at, restore() clears it
+  deletedAt: 'deleted_at',
+  indexes: [
+    {
+      unique: false,
+      fields: ['name'],
+    },
+    {
+      unique: false,
+      fields: ['status'],
+    },
+  ],
+});
+
+// Associations are declared on the invoice and sale side (see invoice.js and sale.js)
+
+// Instance methods
+Customer.prototype.toJSON = function () {
+  const values = { ...this.get() };
+  // Format timestamps for better readability
+  if (values.created_at) {
+    values.created_at = values.created_at.toISOString();
+  }
+  if (values.updated_at) {
+    values.updated_at = values.updated_at.toISOString();
+  }
+  if (values.deleted_at) {
+    values.deleted_at = values.deleted_at.toISOString();
+  }
+  if (values.creditLimit !== null && values.creditLimit !== undefined) {
+    values.creditLimit = parseFloat(values.creditLimit);
+  }
+  return values;
+};
+
+// Class methods
+Customer.findActiveCustomers = function () {
+  return this.findAll({
+    where: { status: 'active' },
+    order: [['name', 'ASC']],
+  });
+};
+
+// Customer whose name matches exactly, ignoring case and surrounding/repeated whitespace
+Customer.findByExactName = function (name) {
+  return this.findOne({
+    where: sequelize.where(
+      sequelize.fn('LOWER', sequelize.fn('REGEXP_REPLACE', sequelize.fn('TRIM', sequelize.col('name')), '\\s+', ' ', 'g')),
+      normalizeName(name).toLowerCase()
+    ),
+  });
+};
+
+Customer.findByName = function (name) {
+  return this.findAll({
+    where: {
+      name: {
+        [require('sequelize').Op.iLike]: `%${name}%`,
+      },
+    },
+    order: [['name', 'ASC']],
+  });
+};
+
+// id -> customer (including soft-deleted ones), for labelling aggregated rows
+Customer.nameMap = async function (ids) {
+  const uniqueIds = [...new Set(ids.filter(Boolean).map(Number))];
+  if (!uniqueIds.length) return new Map();
+  const customers = await this.findAll({
+    where: { id: uniqueIds },
+    attributes: ['id', 'name'],
+    paranoid: false,
+  });
+  return new Map(customers.map(c => [c.id, c]));
+};
+
+// Audit trail for create/update/delete
+AuditLog.registerHooks(Customer, 'Customer');
+
+Customer.normalizeName = normalizeName;
+// Attributes included as customerData on invoices and sales
+Customer.SUMMARY_ATTRIBUTES = ['id', 'name', 'phone', 'status'];
+
+module.exports = Customer;
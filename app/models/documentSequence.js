@@ -0,0 +1,64 @@
+const { DataTypes, QueryTypes } = require('sequelize');
+const { sequelize } = require('../../config/db');
+
+// One counter row per document series and period (e.g. invoice / 202610)
+const DocumentSequence = sequelize.define('DocumentSequence', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  series: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+  },
+  period: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+  },
+  lastValue: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    field: 'last_value',
+  },
+}, {
+  tableName: 'document_sequences',
+  indexes: [
+    {
+      unique: true,
+      fields: ['series', 'period'],
+    },
+  ],
+});
+
+// Class methods
+
+/**
+ * Atomically take the next value of a counter.
+ * The upsert keeps the row locked until the surrounding transaction ends, so concurrent callers
+ * queue up, and a rollback gives the value back (no gaps).
+ */
+DocumentSequence.nextValue = async function (series, period, { transaction } = {}) {
+  const rows = await sequelize.query(
+    `INSERT INTO document_sequences (series, period, last_value, created_at, updated_at)
+     VALUES (:series, :period, 1, NOW(), NOW())
+     ON CONFLICT (series, period)
+     DO UPDATE SET last_value = document_sequences.last_value + 1, updated_at = NOW()
+     RETURNING last_value`,
+    {
+      replacements: { series, period },
+      type: QueryTypes.SELECT,
+      transaction,
+    }
+  );
+  return parseInt(rows[0].last_value);
+};
+
+// Current value without consuming it (0 when the period has not started)
+DocumentSequence.currentValue = async function (series, period, { transaction } = {}) {
+  const row = await this.findOne({ where: { series, period }, transaction });
+  return row ? row.lastValue : 0;
+};
+
+module.exports = DocumentSequence;
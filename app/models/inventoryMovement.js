@@ -0,0 +1,296 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../../config/db');
+const Purchase = require('./purchase');
+const Product = require('./product');
+const MillingBatchOutput = require('./millingBatchOutput');
+const Location = require('./location');
+
+// in: stock entering a lot, out: stock leaving it, adjust: manual correction (shrinkage, stock count, ...),
+// transfer: stock moved between storage locations (a pair of rows: out of one location, into the other)
+const MOVEMENT_TYPES = ['in', 'out', 'adjust', 'transfer'];
+// Documents that post movements; sourceId points at the row of that document
+const SOURCE_TYPES = ['purchase', 'sale', 'milling_batch', 'adjustment', 'transfer'];
+const ADJUSTMENT_REASONS = ['shrinkage', 'drying_loss', 'spoilage', 'stock_count', 'correction'];
+
+// Stock ledger: every change to the weight of a lot (a purchase or a milling batch output) is one row.
+// Rows are never edited; a changed or deleted document posts the difference (see InventoryService.postSource),
+// so the balance of a lot is the sum of its signed weights.
+const InventoryMovement = sequelize.define('InventoryMovement', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  date: {
+    type: DataTypes.DATEONLY,
+    allowNull: false,
+    validate: {
+      isDate: {
+        msg: 'Movement date must be a valid date',
+      },
+    },
+  },
+  type: {
+    type: DataTypes.ENUM(...MOVEMENT_TYPES),
+    allowNull: false,
+    validate: {
+      isIn: {
+        args: [MOVEMENT_TYPES],
+        msg: `Movement type must be one of: ${MOVEMENT_TYPES.join(', ')}`,
+      },
+    },
+  },
+  reason: {
+    type: DataTypes.ENUM(...ADJUSTMENT_REASONS),
+    allowNull: true,
+    validate: {
+      isIn: {
+        args: [ADJUSTMENT_REASONS],
+        msg: `Reason must be one of: ${ADJUSTMENT_REASONS.join(', ')}`,
+      },
+    },
+  },
+  purchaseId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'purchase_id',
+    references: {
+      model: 'purchases',
+      key: 'id',
+    },
+  },
+  millingOutputId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'milling_output_id',
+    references: {
+      model: 'milling_batch_outputs',
+      key: 'id',
+    },
+  },
+  productId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'product_id',
+    references: {
+      model: 'products',
+      key: 'id',
+    },
+  },
+  // Where the stock is; null is unassigned stock (recorded before locations existed)
+  locationId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'location_id',
+    references: {
+      model: 'locations',
+      key: 'id',
+    },
+  },
+  // Signed: positive adds to the lot, negative takes from it
+  weight: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+  },
+  sourceType: {
+    type: DataTypes.ENUM(...SOURCE_TYPES),
+    allowNull: false,
+    field: 'source_type',
+  },
+  sourceId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'source_id',
+  },
+  // No foreign key: the ledger must survive deletion of the acting user
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'user_id',
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+  },
+}, {
+  tableName: 'inventory_movements',
+  updatedAt: false, // Ledger rows are append-only
+  validate: {
+    singleLot() {
+      if (!this.purchaseId === !this.millingOutputId) {
+        throw new Error('Movement must reference either a purchase or a milling output');
+      }
+    },
+  },
+  indexes: [
+    {
+      unique: false,
+      fields: ['purchase_id'],
+    },
+    {
+      unique: false,
+      fields: ['milling_output_id'],
+    },
+    {
+      unique: false,
+      fields: ['product_id'],
+    },
+    {
+      unique: false,
+      fields: ['location_id'],
+    },
+    {
+      unique: false,
+      fields: ['source_type', 'source_id'],
+    },
+    {
+      unique: false,
+      fields: ['date'],
+    },
+  ],
+});
+
+// Associations
+InventoryMovement.belongsTo(Purchase, {
+  foreignKey: 'purchaseId',
+  as: 'purchaseData',
+  onDelete: 'RESTRICT',
+  onUpdate: 'CASCADE',
+});
+
+Purchase.hasMany(InventoryMovement, {
+  foreignKey: 'purchaseId',
+  as: 'movements',
+  onDelete: 'RESTRICT',
+  onUpdate: 'CASCADE',
+});
+
+// Outputs are only replaced while nothing but their batch has moved them, so their rows go with them
+InventoryMovement.belongsTo(MillingBatchOutput, {
+  foreignKey: 'millingOutputId',
+  as: 'outputData',
+  onDelete: 'CASCADE',
+  onUpdate: 'CASCADE',
+});
+
+MillingBatchOutput.hasMany(InventoryMovement, {
+  foreignKey: 'millingOutputId',
+  as: 'movements',
+  onDelete: 'CASCADE',
+  onUpdate: 'CASCADE',
+});
+
+InventoryMovement.belongsTo(Product, {
+  foreignKey: 'productId',
+  as: 'productData',
+  onDelete: 'SET NULL',
+  onUpdate: 'CASCADE',
+});
+
+InventoryMovement.belongsTo(Location, {
+  foreignKey: 'locationId',
+  as: 'locationData',
+  onDelete: 'RESTRICT',
+  onUpdate: 'CASCADE',
+});
+
+// Instance methods
+InventoryMovement.prototype.toJSON = function () {
+  const values = { ...this.get() };
+  if (values.created_at) {
+    values.created_at = values.created_at.toISOString();
+  }
+  if (values.weight !== null && values.weight !== undefined) {
+    values.weight = parseFloat(values.weight);
+  }
+  return values;
+};
+
+// Class methods
+
+// Sums of the ledger rows of lots, grouped on the lot (and on the location when byLocation is set).
+// excludeSource leaves out what one document posted, e.g. the sale being re-drawn;
+// locationId limits the sums to one location (null: unassigned stock).
+const queryTotals = async function (model, lotField, lotIds, { excludeSource, locationId, byLocation, transaction } = {}) {
+  const ids = [...new Set(lotIds.filter(Boolean).map(Number))];
+  if (!ids.length) return [];
+
+  const { Op } = require('sequelize');
+  const column = model.rawAttributes[lotField].field;
+  const where = { [lotField]: ids };
+  if (excludeSource && excludeSource.sourceId) {
+    where[Op.not] = { sourceType: excludeSource.sourceType, sourceId: excludeSource.sourceId };
+  }
+  if (locationId !== undefined) {
+    where.locationId = locationId;
+  }
+
+  const sumWhere = (condition) => sequelize.literal(`COALESCE(SUM(CASE WHEN ${condition} THEN "weight" END), 0)`);
+  const rows = await model.findAll({
+    where,
+    attributes: [
+      lotField,
+      ...(byLocation ? ['locationId'] : []),
+      [sumWhere(`"type" = 'in'`), 'inWeight'],
+      [sumWhere(`"type" = 'out'`), 'outWeight'],
+      [sumWhere(`"type" = 'adjust'`), 'adjustedWeight'],
+      [sumWhere(`"type" = 'transfer'`), 'transferredWeight'],
+      [sumWhere(`"source_type" = 'sale'`), 'soldWeight'],
+      [sumWhere(`"source_type" = 'milling_batch' AND "purchase_id" IS NOT NULL`), 'milledWeight'],
+      [sequelize.fn('SUM', sequelize.col('weight')), 'balance'],
+    ],
+    group: byLocation ? [column, 'location_id'] : [column],
+    raw: true,
+    transaction,
+  });
+
+  return rows.map(r => ({
+    lotId: r[lotField],
+    locationId: byLocation ? r.locationId : undefined,
+    totals: {
+      inWeight: parseFloat(r.inWeight) || 0,
+      outWeight: -(parseFloat(r.outWeight) || 0),
+      adjustedWeight: parseFloat(r.adjustedWeight) || 0,
+      // Net weight moved in (+) or out (-) by transfers; zero over all locations
+      transferredWeight: parseFloat(r.transferredWeight) || 0,
+      soldWeight: -(parseFloat(r.soldWeight) || 0),
+      // Paddy taken from a purchase lot by milling batches
+      milledWeight: -(parseFloat(r.milledWeight) || 0),
+      balance: parseFloat(r.balance) || 0,
+    },
+  }));
+};
+
+// lot id -> { inWeight, outWeight, adjustedWeight, transferredWeight, soldWeight, milledWeight, balance },
+// grouped on purchaseId or millingOutputId (options: excludeSource, locationId, transaction; see queryTotals)
+InventoryMovement.totalsByLot = async function (lotField, lotIds, options = {}) {
+  const rows = await queryTotals(this, lotField, lotIds, { ...options, byLocation: false });
+  return new Map(rows.map(row => [row.lotId, row.totals]));
+};
+
+// lot id -> Map(location id (null: unassigned) -> totals), for lots whose stock is spread over locations
+InventoryMovement.totalsByLotAndLocation = async function (lotField, lotIds, options = {}) {
+  const rows = await queryTotals(this, lotField, lotIds, { ...options, byLocation: true, locationId: undefined });
+  const lots = new Map();
+  rows.forEach(row => {
+    if (!lots.has(row.lotId)) lots.set(row.lotId, new Map());
+    lots.get(row.lotId).set(row.locationId || null, row.totals);
+  });
+  return lots;
+};
+
+InventoryMovement.totalsByPurchase = function (purchaseIds, options) {
+  return this.totalsByLot('purchaseId', purchaseIds, options);
+};
+
+InventoryMovement.totalsByOutput = function (outputIds, options) {
+  return this.totalsByLot('millingOutputId', outputIds, options);
+};
+
+// No audit hooks: the ledger is its own trail (who, when, why) and rows are never changed
+
+InventoryMovement.MOVEMENT_TYPES = MOVEMENT_TYPES;
+InventoryMovement.SOURCE_TYPES = SOURCE_TYPES;
+InventoryMovement.ADJUSTMENT_REASONS = ADJUSTMENT_REASONS;
+
+module.exports = InventoryMovement;
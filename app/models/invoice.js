@@ -1,5 +1,10 @@
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../../config/db');
+const AuditLog = require('./auditLog');
+const Customer = require('./customer');
+
+// partially_paid is derived from recorded payments, never set by hand
+const INVOICE_STATUSES = ['paid', 'unpaid', 'partially_paid'];
 
 const Invoice = sequelize.define('Invoice', {
   id: {
@@ -47,6 +52,16 @@ const Invoice = sequelize.define('Invoice', {
       },
     },
   },
+  // Customer master record; null for invoices to a customer not (yet) in the customer list
+  customerId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'customer_id',
+    references: {
+      model: 'customers',
+      key: 'id',
+    },
+  },
   amount: {
     type: DataTypes.DECIMAL(15, 2),
     allowNull: true, // Will be computed from items if not provided
@@ -78,19 +93,48 @@ const Invoice = sequelize.define('Invoice', {
       },
     },
   },
+  paidAmount: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: false,
+    defaultValue: 0,
+    field: 'paid_amount',
+    validate: {
+      isDecimal: {
+        msg: 'Paid amount must be a decimal number',
+      },
+      min: {
+        args: [0],
+        msg: 'Paid amount must be non-negative',
+      },
+    },
+  },
   status: {
-    type: DataTypes.ENUM('paid', 'unpaid'),
+    type: DataTypes.ENUM(...INVOICE_STATUSES),
     allowNull: false,
     defaultValue: 'unpaid',
     validate: {
       isIn: {
-        args: [['paid', 'unpaid']],
-        msg: 'Status must be either paid or unpaid',
+        args: [INVOICE_STATUSES],
+        msg: 'Status must be paid, unpaid or partially_paid',
       },
     },
   },
+  // Set when a manager issued the invoice despite the customer's credit limit or overdue invoices.
+  // No foreign key, like the audit trail: the record must survive deletion of the user
+  creditOverrideBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'credit_override_by',
+  },
+  creditOverrideReason: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    field: 'credit_override_reason',
+  },
 }, {
   tableName: 'invoices',
+  paranoid: true, // Soft delete: destroy() sets deleted_at, restore() clears it
+  deletedAt: 'deleted_at',
   indexes: [
     {
       unique: true,
@@ -112,23 +156,31 @@ const Invoice = sequelize.define('Invoice', {
       unique: false,
       fields: ['customer'],
     },
-  ],
-  hooks: {
-    beforeCreate: (invoice) => {
-      // Auto-generate invoice number if not provided
-      if (!invoice.invoiceNumber) {
-        const date = new Date(invoice.date);
-        const year = date.getFullYear();
-        const month = String(date.getMonth() + 1).padStart(2, '0');
-        const day = String(date.getDate()).padStart(2, '0');
-        const timestamp = Date.now().toString().slice(-4); // Last 4 digits of timestamp
-        invoice.invoiceNumber = `INV-${year}${month}${day}-${timestamp}`;
-      }
-      // If amount explicitly zero or missing with items (items created later), leave null; service will recalc after items insert
+    {
+      unique: false,
+      fields: ['customer_id'],
     },
-  },
+  ],
+  // invoiceNumber is allocated by InvoiceService.createInvoice from the 'invoice' numbering series
+});
+
+// Associations
+Invoice.belongsTo(Customer, {
+  foreignKey: 'customerId',
+  as: 'customerData',
+  onDelete: 'SET NULL',
+  onUpdate: 'CASCADE',
 });
 
+if (!Customer.associations || !Customer.associations.invoices) {
+  Customer.hasMany(Invoice, {
+    foreignKey: 'customerId',
+    as: 'invoices',
+    onDelete: 'SET NULL',
+    onUpdate: 'CASCADE',
+  });
+}
+
 // Instance methods
 Invoice.prototype.toJSON = function () {
   const values = { ...this.get() };
@@ -138,15 +190,27 @@ Invoice.prototype.toJSON = function () {
   if (values.updated_at) {
     values.updated_at = values.updated_at.toISOString();
   }
+  if (values.deleted_at) {
+    values.deleted_at = values.deleted_at.toISOString();
+  }
   // Convert amount to number for better JSON representation
   if (values.amount) {
     values.amount = parseFloat(values.amount);
   }
+  if (values.paidAmount !== null && values.paidAmount !== undefined) {
+    values.paidAmount = parseFloat(values.paidAmount);
+    values.outstandingBalance = this.getOutstandingBalance();
+  }
   return values;
 };
 
+Invoice.prototype.getOutstandingBalance = function () {
+  const balance = (parseFloat(this.amount) || 0) - (parseFloat(this.paidAmount) || 0);
+  return Math.max(0, Math.round(balance * 100) / 100);
+};
+
 Invoice.prototype.isOverdue = function () {
-  return this.status === 'unpaid' && new Date() > new Date(this.dueDate);
+  return this.status !== 'paid' && new Date() > new Date(this.dueDate);
 };
 
 Invoice.prototype.getDaysUntilDue = function () {
@@ -167,6 +231,13 @@ Invoice.prototype.getDaysOverdue = function () {
 };
 
 // Class methods
+Invoice.deriveStatus = function (amount, paidAmount) {
+  const total = parseFloat(amount) || 0;
+  const paid = parseFloat(paidAmount) || 0;
+  if (paid <= 0) return 'unpaid';
+  return paid >= total ? 'paid' : 'partially_paid';
+};
+
 Invoice.findByStatus = function (status) {
   return this.findAll({
     where: { status },
@@ -178,7 +249,7 @@ Invoice.findOverdue = function () {
   const { Op } = require('sequelize');
   return this.findAll({
     where: {
-      status: 'unpaid',
+      status: { [Op.ne]: 'paid' },
       dueDate: {
         [Op.lt]: new Date(),
       },
@@ -195,7 +266,7 @@ Invoice.findDueSoon = function (days = 7) {
   
   return this.findAll({
     where: {
-      status: 'unpaid',
+      status: { [Op.ne]: 'paid' },
       dueDate: {
         [Op.between]: [today, futureDate],
       },
@@ -228,6 +299,58 @@ Invoice.findByDateRange = function (startDate, endDate) {
   });
 };
 
+// Where conditions (to OR together) for a customer's invoices: those linked to the customer record,
+// plus unlinked invoices issued to the same name (compared ignoring case and spacing)
+Invoice.customerMatches = function ({ customerId = null, customer = null } = {}) {
+  const { Op } = require('sequelize');
+  const matches = [];
+  if (customerId) {
+    matches.push({ customerId });
+  }
+  if (customer) {
+    matches.push({
+      customerId: null,
+      [Op.and]: [sequelize.where(
+        sequelize.fn('LOWER', sequelize.fn('REGEXP_REPLACE', sequelize.fn('TRIM', sequelize.col('Invoice.customer')), '\\s+', ' ', 'g')),
+        Customer.normalizeName(customer).toLowerCase()
+      )],
+    });
+  }
+  return matches;
+};
+
+// Unpaid balance of one customer's invoices (see customerMatches); options: { transaction, exceptInvoiceId }
+Invoice.getCustomerExposure = async function ({ customerId = null, customer = null } = {}, options = {}) {
+  const { Op } = require('sequelize');
+  const matches = this.customerMatches({ customerId, customer });
+
+  const exposure = { outstandingBalance: 0, overdueBalance: 0, unpaidInvoices: 0, maxDaysOverdue: 0 };
+  if (!matches.length) return exposure;
+
+  const where = { status: { [Op.ne]: 'paid' }, [Op.or]: matches };
+  if (options.exceptInvoiceId) where.id = { [Op.ne]: options.exceptInvoiceId };
+  const rows = await this.findAll({
+    where,
+    attributes: ['id', 'amount', 'paidAmount', 'dueDate', 'status'],
+    transaction: options.transaction,
+  });
+  const now = new Date();
+  rows.forEach(inv => {
+    const balance = inv.getOutstandingBalance();
+    // Same day count as the aging report
+    const daysOverdue = Math.floor((now - new Date(inv.dueDate)) / (1000 * 60 * 60 * 24));
+    exposure.outstandingBalance += balance;
+    exposure.unpaidInvoices += 1;
+    if (daysOverdue > 0) {
+      exposure.overdueBalance += balance;
+      exposure.maxDaysOverdue = Math.max(exposure.maxDaysOverdue, daysOverdue);
+    }
+  });
+  exposure.outstandingBalance = Math.round(exposure.outstandingBalance * 100) / 100;
+  exposure.overdueBalance = Math.round(exposure.overdueBalance * 100) / 100;
+  return exposure;
+};
+
 Invoice.getStatusSummary = async function () {
   return await this.findAll({
     attributes: [
@@ -248,8 +371,8 @@ Invoice.getMonthlyTotals = async function (year, month) {
     attributes: [
       [sequelize.fn('COUNT', sequelize.col('id')), 'totalInvoices'],
       [sequelize.fn('SUM', sequelize.col('amount')), 'totalAmount'],
-      [sequelize.fn('SUM', sequelize.literal("CASE WHEN status = 'paid' THEN amount ELSE 0 END")), 'paidAmount'],
-      [sequelize.fn('SUM', sequelize.literal("CASE WHEN status = 'unpaid' THEN amount ELSE 0 END")), 'unpaidAmount'],
+      [sequelize.fn('SUM', sequelize.col('paid_amount')), 'paidAmount'],
+      [sequelize.fn('SUM', sequelize.literal('amount - paid_amount')), 'unpaidAmount'],
     ],
     where: {
       date: {
@@ -259,4 +382,9 @@ Invoice.getMonthlyTotals = async function (year, month) {
   });
 };
 
-module.exports = Invoice;
\ No newline at end of file
+// Audit trail for create/update/delete
+AuditLog.registerHooks(Invoice, 'Invoice');
+
+Invoice.INVOICE_STATUSES = INVOICE_STATUSES;
+
+module.exports = Invoice;
@@ -1,6 +1,9 @@
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../../config/db');
+const AuditLog = require('./auditLog');
 const Invoice = require('./invoice');
+const Product = require('./product');
+const Sale = require('./sale');
 
 const InvoiceItem = sequelize.define('InvoiceItem', {
   id: {
@@ -17,6 +20,25 @@ const InvoiceItem = sequelize.define('InvoiceItem', {
       key: 'id',
     },
   },
+  productId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'product_id',
+    references: {
+      model: 'products',
+      key: 'id',
+    },
+  },
+  // Sale this item bills (set by InvoiceService.createInvoiceFromSales); a sale is on at most one live invoice
+  saleId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'sale_id',
+    references: {
+      model: 'sales',
+      key: 'id',
+    },
+  },
   name: {
     type: DataTypes.STRING(255),
     allowNull: false,
@@ -30,19 +52,20 @@ const InvoiceItem = sequelize.define('InvoiceItem', {
       },
     },
   },
+  // Decimal so items billed from a sale can carry its weight in kg
   quantity: {
-    type: DataTypes.INTEGER,
+    type: DataTypes.DECIMAL(12, 2),
     allowNull: false,
     validate: {
       notEmpty: {
         msg: 'Quantity is required',
       },
-      isInt: {
-        msg: 'Quantity must be an integer',
+      isDecimal: {
+        msg: 'Quantity must be a decimal number',
       },
       min: {
-        args: 1,
-        msg: 'Quantity must be at least 1',
+        args: 0.01,
+        msg: 'Quantity must be greater than 0',
       },
     },
   },
@@ -84,6 +107,14 @@ const InvoiceItem = sequelize.define('InvoiceItem', {
       unique: false,
       fields: ['invoice_id'],
     },
+    {
+      unique: false,
+      fields: ['product_id'],
+    },
+    {
+      unique: false,
+      fields: ['sale_id'],
+    },
     {
       unique: false,
       fields: ['name'],
@@ -126,6 +157,38 @@ Invoice.hasMany(InvoiceItem, {
   onUpdate: 'CASCADE',
 });
 
+InvoiceItem.belongsTo(Product, {
+  foreignKey: 'productId',
+  as: 'productData',
+  onDelete: 'SET NULL',
+  onUpdate: 'CASCADE',
+});
+
+if (!Product.associations || !Product.associations.invoiceItems) {
+  Product.hasMany(InvoiceItem, {
+    foreignKey: 'productId',
+    as: 'invoiceItems',
+    onDelete: 'SET NULL',
+    onUpdate: 'CASCADE',
+  });
+}
+
+InvoiceItem.belongsTo(Sale, {
+  foreignKey: 'saleId',
+  as: 'saleData',
+  onDelete: 'SET NULL',
+  onUpdate: 'CASCADE',
+});
+
+if (!Sale.associations || !Sale.associations.invoiceItems) {
+  Sale.hasMany(InvoiceItem, {
+    foreignKey: 'saleId',
+    as: 'invoiceItems',
+    onDelete: 'SET NULL',
+    onUpdate: 'CASCADE',
+  });
+}
+
 // Instance methods
 InvoiceItem.prototype.toJSON = function () {
   const values = { ...this.get() };
@@ -133,7 +196,7 @@ InvoiceItem.prototype.toJSON = function () {
     values.created_at = values.created_at.toISOString();
   }
   // Convert decimals to numbers for better JSON representation
-  ['price', 'total'].forEach(field => {
+  ['quantity', 'price', 'total'].forEach(field => {
     if (values[field]) {
       values[field] = parseFloat(values[field]);
     }
@@ -153,6 +216,17 @@ InvoiceItem.findByInvoice = function (invoiceId) {
   });
 };
 
+// saleId -> live (not deleted) invoice already billing that sale, for the given sales
+InvoiceItem.findInvoicedSales = async function (saleIds, options = {}) {
+  const items = await this.findAll({
+    where: { saleId: saleIds },
+    attributes: ['id', 'saleId', 'invoiceId'],
+    include: [{ model: Invoice, as: 'invoice', attributes: ['id', 'invoiceNumber', 'status'], required: true }],
+    transaction: options.transaction,
+  });
+  return new Map(items.map(item => [item.saleId, item.invoice]));
+};
+
 InvoiceItem.findByName = function (name) {
   const { Op } = require('sequelize');
   return this.findAll({
@@ -210,4 +284,7 @@ InvoiceItem.getTotalsByDateRange = async function (startDate, endDate) {
   });
 };
 
-module.exports = InvoiceItem;
\ No newline at end of file
+// Audit trail for create/update/delete
+AuditLog.registerHooks(InvoiceItem, 'InvoiceItem');
+
+module.exports = InvoiceItem;
@@ -0,0 +1,123 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../../config/db');
+const AuditLog = require('./auditLog');
+const Invoice = require('./invoice');
+
+const PAYMENT_METHODS = ['cash', 'transfer', 'giro', 'cheque', 'other'];
+
+const InvoicePayment = sequelize.define('InvoicePayment', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  invoiceId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'invoice_id',
+    references: {
+      model: 'invoices',
+      key: 'id',
+    },
+  },
+  amount: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: false,
+    validate: {
+      notEmpty: {
+        msg: 'Payment amount is required',
+      },
+      isDecimal: {
+        msg: 'Payment amount must be a decimal number',
+      },
+      min: {
+        args: 0.01,
+        msg: 'Payment amount must be greater than 0',
+      },
+    },
+  },
+  date: {
+    type: DataTypes.DATEONLY,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+    validate: {
+      isDate: {
+        msg: 'Payment date must be a valid date',
+      },
+    },
+  },
+  method: {
+    type: DataTypes.ENUM(...PAYMENT_METHODS),
+    allowNull: false,
+    defaultValue: 'cash',
+    validate: {
+      isIn: {
+        args: [PAYMENT_METHODS],
+        msg: `Payment method must be one of: ${PAYMENT_METHODS.join(', ')}`,
+      },
+    },
+  },
+  reference: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    validate: {
+      len: {
+        args: [0, 100],
+        msg: 'Payment reference must not exceed 100 characters',
+      },
+    },
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+  },
+}, {
+  tableName: 'invoice_payments',
+  indexes: [
+    {
+      unique: false,
+      fields: ['invoice_id'],
+    },
+    {
+      unique: false,
+      fields: ['date'],
+    },
+  ],
+});
+
+// Associations
+InvoicePayment.belongsTo(Invoice, {
+  foreignKey: 'invoiceId',
+  as: 'invoice',
+  onDelete: 'CASCADE',
+  onUpdate: 'CASCADE',
+});
+
+Invoice.hasMany(InvoicePayment, {
+  foreignKey: 'invoiceId',
+  as: 'payments',
+  onDelete: 'CASCADE',
+  onUpdate: 'CASCADE',
+});
+
+// Instance methods
+InvoicePayment.prototype.toJSON = function () {
+  const values = { ...this.get() };
+  if (values.created_at) {
+    values.created_at = values.created_at.toISOString();
+  }
+  if (values.updated_at) {
+    values.updated_at = values.updated_at.toISOString();
+  }
+  if (values.amount !== null && values.amount !== undefined) {
+    values.amount = parseFloat(values.amount);
+  }
+  return values;
+};
+
+InvoicePayment.PAYMENT_METHODS = PAYMENT_METHODS;
+
+// Audit trail for create/update/delete
+AuditLog.registerHooks(InvoicePayment, 'InvoicePayment');
+
+module.exports = InvoicePayment;
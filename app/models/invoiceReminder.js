@@ -0,0 +1,103 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../../config/db');
+const Invoice = require('./invoice');
+
+const REMINDER_STATUSES = ['sent', 'failed'];
+
+// A reminder sent (or attempted) for an invoice at one threshold, see app/services/reminderService.js
+const InvoiceReminder = sequelize.define('InvoiceReminder', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  invoiceId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'invoice_id',
+    references: {
+      model: 'invoices',
+      key: 'id',
+    },
+  },
+  // Days relative to the due date the reminder is for: -3 = due in 3 days, 30 = 30 days overdue
+  threshold: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  daysOverdue: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'days_overdue',
+  },
+  outstandingBalance: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: false,
+    field: 'outstanding_balance',
+  },
+  channel: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+  },
+  recipient: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+  },
+  status: {
+    type: DataTypes.ENUM(...REMINDER_STATUSES),
+    allowNull: false,
+    defaultValue: 'sent',
+  },
+  error: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+  },
+}, {
+  tableName: 'invoice_reminders',
+  updatedAt: false,
+  indexes: [
+    {
+      unique: false,
+      fields: ['invoice_id'],
+    },
+    {
+      // One sent reminder per invoice and threshold; failed attempts are retried on the next run
+      unique: true,
+      fields: ['invoice_id', 'threshold'],
+      where: { status: 'sent' },
+    },
+  ],
+});
+
+// Associations
+InvoiceReminder.belongsTo(Invoice, {
+  foreignKey: 'invoiceId',
+  as: 'invoice',
+  onDelete: 'CASCADE',
+  onUpdate: 'CASCADE',
+});
+
+if (!Invoice.associations || !Invoice.associations.reminders) {
+  Invoice.hasMany(InvoiceReminder, {
+    foreignKey: 'invoiceId',
+    as: 'reminders',
+    onDelete: 'CASCADE',
+    onUpdate: 'CASCADE',
+  });
+}
+
+// Instance methods
+InvoiceReminder.prototype.toJSON = function () {
+  const values = { ...this.get() };
+  if (values.created_at) {
+    values.created_at = values.created_at.toISOString();
+  }
+  if (values.outstandingBalance !== null && values.outstandingBalance !== undefined) {
+    values.outstandingBalance = parseFloat(values.outstandingBalance);
+  }
+  return values;
+};
+
+InvoiceReminder.REMINDER_STATUSES = REMINDER_STATUSES;
+
+module.exports = InvoiceReminder;
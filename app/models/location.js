@@ -0,0 +1,82 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../../config/db');
+const AuditLog = require('./auditLog');
+
+// warehouse: gudang where paddy and rice are stored; mill: the mill floor where paddy is milled
+const LOCATION_TYPES = ['warehouse', 'mill'];
+
+// Storage location of stock. Purchases are received at, sales ship from and milling batches run at a location;
+// stock without a location (recorded before locations existed) is "unassigned" and can be transferred into one.
+const Location = sequelize.define('Location', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    validate: {
+      notEmpty: {
+        msg: 'Location name cannot be empty',
+      },
+      len: {
+        args: [2, 100],
+        msg: 'Location name must be between 2 and 100 characters',
+      },
+    },
+  },
+  type: {
+    type: DataTypes.ENUM(...LOCATION_TYPES),
+    allowNull: false,
+    defaultValue: 'warehouse',
+    validate: {
+      isIn: {
+        args: [LOCATION_TYPES],
+        msg: `Location type must be one of: ${LOCATION_TYPES.join(', ')}`,
+      },
+    },
+  },
+  address: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+  },
+}, {
+  tableName: 'locations',
+  paranoid: true, // Soft delete: stock history keeps pointing at closed locations
+  deletedAt: 'deleted_at',
+  indexes: [
+    {
+      unique: false,
+      fields: ['name'],
+    },
+  ],
+});
+
+// Instance methods
+Location.prototype.toJSON = function () {
+  const values = { ...this.get() };
+  if (values.created_at) {
+    values.created_at = values.created_at.toISOString();
+  }
+  if (values.updated_at) {
+    values.updated_at = values.updated_at.toISOString();
+  }
+  if (values.deleted_at) {
+    values.deleted_at = values.deleted_at.toISOString();
+  }
+  return values;
+};
+
+// Audit trail for create/update/delete
+AuditLog.registerHooks(Location, 'Location');
+
+Location.LOCATION_TYPES = LOCATION_TYPES;
+// Attributes included as locationData on purchases, sales, milling batches and stock movements
+Location.SUMMARY_ATTRIBUTES = ['id', 'name', 'type'];
+
+module.exports = Location;
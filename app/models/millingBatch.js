@@ -0,0 +1,154 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../../config/db');
+const AuditLog = require('./auditLog');
+const Location = require('./location');
+
+const SHIFTS = ['morning', 'afternoon', 'night'];
+
+// One milling run: paddy weight consumed from purchases (inputs) and the products it yielded (outputs).
+// Weights, costs and rendement are derived from inputs/outputs by MillingBatchService.
+const MillingBatch = sequelize.define('MillingBatch', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  date: {
+    type: DataTypes.DATEONLY,
+    allowNull: false,
+    validate: {
+      notEmpty: {
+        msg: 'Milling date is required',
+      },
+      isDate: {
+        msg: 'Milling date must be a valid date',
+      },
+    },
+  },
+  machine: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+  },
+  // Where the batch is milled: inputs are taken from and outputs stored at this location (unassigned when null)
+  locationId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'location_id',
+    references: {
+      model: 'locations',
+      key: 'id',
+    },
+  },
+  shift: {
+    type: DataTypes.ENUM(...SHIFTS),
+    allowNull: true,
+    validate: {
+      isIn: {
+        args: [SHIFTS],
+        msg: `Shift must be one of: ${SHIFTS.join(', ')}`,
+      },
+    },
+  },
+  inputWeight: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+    defaultValue: 0,
+    field: 'input_weight',
+  },
+  outputWeight: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+    defaultValue: 0,
+    field: 'output_weight',
+  },
+  // Milled rice output as a percentage of paddy input (by-products excluded)
+  rendement: {
+    type: DataTypes.DECIMAL(5, 2),
+    allowNull: true,
+  },
+  inputCost: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: false,
+    defaultValue: 0,
+    field: 'input_cost',
+  },
+  processingCost: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: false,
+    defaultValue: 0,
+    field: 'processing_cost',
+    validate: {
+      min: {
+        args: [0],
+        msg: 'Processing cost must be non-negative',
+      },
+    },
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+  },
+}, {
+  tableName: 'milling_batches',
+  paranoid: true, // Soft delete: destroy() sets deleted_at, restore() clears it
+  deletedAt: 'deleted_at',
+  indexes: [
+    {
+      unique: false,
+      fields: ['date'],
+    },
+    {
+      unique: false,
+      fields: ['machine'],
+    },
+    {
+      unique: false,
+      fields: ['location_id'],
+    },
+  ],
+});
+
+// Associations
+MillingBatch.belongsTo(Location, {
+  foreignKey: 'locationId',
+  as: 'locationData',
+  onDelete: 'SET NULL',
+  onUpdate: 'CASCADE',
+});
+
+if (!Location.associations || !Location.associations.millingBatches) {
+  Location.hasMany(MillingBatch, {
+    foreignKey: 'locationId',
+    as: 'millingBatches',
+    onDelete: 'SET NULL',
+    onUpdate: 'CASCADE',
+  });
+}
+
+// Instance methods
+MillingBatch.prototype.toJSON = function () {
+  const values = { ...this.get() };
+  if (values.created_at) {
+    values.created_at = values.created_at.toISOString();
+  }
+  if (values.updated_at) {
+    values.updated_at = values.updated_at.toISOString();
+  }
+  if (values.deleted_at) {
+    values.deleted_at = values.deleted_at.toISOString();
+  }
+  // Convert decimals to numbers for better JSON representation
+  ['inputWeight', 'outputWeight', 'rendement', 'inputCost', 'processingCost'].forEach(field => {
+    if (values[field] !== null && values[field] !== undefined) {
+      values[field] = parseFloat(values[field]);
+    }
+  });
+  return values;
+};
+
+// Audit trail for create/update/delete
+AuditLog.registerHooks(MillingBatch, 'MillingBatch');
+
+MillingBatch.SHIFTS = SHIFTS;
+
+module.exports = MillingBatch;
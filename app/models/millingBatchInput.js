@@ -0,0 +1,141 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../../config/db');
+const AuditLog = require('./auditLog');
+const MillingBatch = require('./millingBatch');
+const Purchase = require('./purchase');
+
+// Paddy weight a milling batch consumes from one purchase lot
+const MillingBatchInput = sequelize.define('MillingBatchInput', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  batchId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'batch_id',
+    references: {
+      model: 'milling_batches',
+      key: 'id',
+    },
+  },
+  purchaseId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'purchase_id',
+    references: {
+      model: 'purchases',
+      key: 'id',
+    },
+  },
+  weight: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+    validate: {
+      min: {
+        args: 0.01,
+        msg: 'Input weight must be greater than 0',
+      },
+    },
+  },
+  unitCost: {
+    type: DataTypes.DECIMAL(15, 4),
+    allowNull: false,
+    field: 'unit_cost',
+  },
+  cost: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: false,
+  },
+}, {
+  tableName: 'milling_batch_inputs',
+  indexes: [
+    {
+      unique: false,
+      fields: ['batch_id'],
+    },
+    {
+      unique: false,
+      fields: ['purchase_id'],
+    },
+  ],
+});
+
+// Associations
+MillingBatchInput.belongsTo(MillingBatch, {
+  foreignKey: 'batchId',
+  as: 'batch',
+  onDelete: 'CASCADE',
+  onUpdate: 'CASCADE',
+});
+
+MillingBatch.hasMany(MillingBatchInput, {
+  foreignKey: 'batchId',
+  as: 'inputs',
+  onDelete: 'CASCADE',
+  onUpdate: 'CASCADE',
+});
+
+MillingBatchInput.belongsTo(Purchase, {
+  foreignKey: 'purchaseId',
+  as: 'purchaseData',
+  onDelete: 'RESTRICT',
+  onUpdate: 'CASCADE',
+});
+
+Purchase.hasMany(MillingBatchInput, {
+  foreignKey: 'purchaseId',
+  as: 'millingInputs',
+  onDelete: 'RESTRICT',
+  onUpdate: 'CASCADE',
+});
+
+// Instance methods
+MillingBatchInput.prototype.toJSON = function () {
+  const values = { ...this.get() };
+  if (values.created_at) {
+    values.created_at = values.created_at.toISOString();
+  }
+  if (values.updated_at) {
+    values.updated_at = values.updated_at.toISOString();
+  }
+  ['weight', 'unitCost', 'cost'].forEach(field => {
+    if (values[field] !== null && values[field] !== undefined) {
+      values[field] = parseFloat(values[field]);
+    }
+  });
+  return values;
+};
+
+// Class methods
+
+// purchaseId -> weight consumed by milling batches that are not deleted
+MillingBatchInput.totalsByPurchase = async function (purchaseIds, { excludeBatchId, transaction } = {}) {
+  const ids = [...new Set(purchaseIds.filter(Boolean).map(Number))];
+  if (!ids.length) return new Map();
+
+  const { Op } = require('sequelize');
+  const where = { purchaseId: ids };
+  if (excludeBatchId) where.batchId = { [Op.ne]: excludeBatchId };
+
+  const rows = await this.findAll({
+    where,
+    attributes: [
+      'purchaseId',
+      [sequelize.fn('SUM', sequelize.col('MillingBatchInput.weight')), 'weight'],
+    ],
+    // Inner join so a soft-deleted batch gives its paddy back to the lot
+    include: [{ model: MillingBatch, as: 'batch', attributes: [], required: true }],
+    group: ['MillingBatchInput.purchase_id'],
+    raw: true,
+    transaction,
+  });
+
+  return new Map(rows.map(r => [r.purchaseId, parseFloat(r.weight) || 0]));
+};
+
+// Audit trail for create/update/delete
+AuditLog.registerHooks(MillingBatchInput, 'MillingBatchInput');
+
+module.exports = MillingBatchInput;
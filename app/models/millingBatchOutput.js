@@ -0,0 +1,118 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../../config/db');
+const AuditLog = require('./auditLog');
+const MillingBatch = require('./millingBatch');
+const Product = require('./product');
+
+// Weight of one product (head rice, broken rice, bran, husk, ...) a milling batch yielded.
+// Each output is a lot that sales draw from (see AllocationService).
+const MillingBatchOutput = sequelize.define('MillingBatchOutput', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  batchId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'batch_id',
+    references: {
+      model: 'milling_batches',
+      key: 'id',
+    },
+  },
+  productId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'product_id',
+    references: {
+      model: 'products',
+      key: 'id',
+    },
+  },
+  weight: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+    validate: {
+      min: {
+        args: 0.01,
+        msg: 'Output weight must be greater than 0',
+      },
+    },
+  },
+  // Batch cost (paddy + processing) spread over all outputs per kg
+  unitCost: {
+    type: DataTypes.DECIMAL(15, 4),
+    allowNull: false,
+    field: 'unit_cost',
+  },
+  cost: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: false,
+  },
+}, {
+  tableName: 'milling_batch_outputs',
+  indexes: [
+    {
+      unique: false,
+      fields: ['batch_id'],
+    },
+    {
+      unique: false,
+      fields: ['product_id'],
+    },
+  ],
+});
+
+// Associations
+MillingBatchOutput.belongsTo(MillingBatch, {
+  foreignKey: 'batchId',
+  as: 'batch',
+  onDelete: 'CASCADE',
+  onUpdate: 'CASCADE',
+});
+
+MillingBatch.hasMany(MillingBatchOutput, {
+  foreignKey: 'batchId',
+  as: 'outputs',
+  onDelete: 'CASCADE',
+  onUpdate: 'CASCADE',
+});
+
+MillingBatchOutput.belongsTo(Product, {
+  foreignKey: 'productId',
+  as: 'productData',
+  onDelete: 'RESTRICT',
+  onUpdate: 'CASCADE',
+});
+
+if (!Product.associations || !Product.associations.millingOutputs) {
+  Product.hasMany(MillingBatchOutput, {
+    foreignKey: 'productId',
+    as: 'millingOutputs',
+    onDelete: 'RESTRICT',
+    onUpdate: 'CASCADE',
+  });
+}
+
+// Instance methods
+MillingBatchOutput.prototype.toJSON = function () {
+  const values = { ...this.get() };
+  if (values.created_at) {
+    values.created_at = values.created_at.toISOString();
+  }
+  if (values.updated_at) {
+    values.updated_at = values.updated_at.toISOString();
+  }
+  ['weight', 'unitCost', 'cost'].forEach(field => {
+    if (values[field] !== null && values[field] !== undefined) {
+      values[field] = parseFloat(values[field]);
+    }
+  });
+  return values;
+};
+
+// Audit trail for create/update/delete
+AuditLog.registerHooks(MillingBatchOutput, 'MillingBatchOutput');
+
+module.exports = MillingBatchOutput;
@@ -0,0 +1,103 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../../config/db');
+const AuditLog = require('./auditLog');
+
+// paddy: gabah bought from farmers; milled: beras grades we sell; by_product: bran (dedak), husk (sekam), broken rice (menir)
+const PRODUCT_CATEGORIES = ['paddy', 'milled', 'by_product'];
+
+const Product = sequelize.define('Product', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  name: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    validate: {
+      notEmpty: {
+        msg: 'Product name cannot be empty',
+      },
+      len: {
+        args: [2, 255],
+        msg: 'Product name must be between 2 and 255 characters',
+      },
+    },
+  },
+  category: {
+    type: DataTypes.ENUM(...PRODUCT_CATEGORIES),
+    allowNull: false,
+    validate: {
+      isIn: {
+        args: [PRODUCT_CATEGORIES],
+        msg: `Category must be one of: ${PRODUCT_CATEGORIES.join(', ')}`,
+      },
+    },
+  },
+  unit: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'kg',
+    validate: {
+      notEmpty: {
+        msg: 'Unit cannot be empty',
+      },
+    },
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+  },
+}, {
+  tableName: 'products',
+  paranoid: true, // Soft delete: history keeps pointing at retired products
+  deletedAt: 'deleted_at',
+  indexes: [
+    {
+      unique: false,
+      fields: ['name'],
+    },
+    {
+      unique: false,
+      fields: ['category'],
+    },
+  ],
+});
+
+// Instance methods
+Product.prototype.toJSON = function () {
+  const values = { ...this.get() };
+  if (values.created_at) {
+    values.created_at = values.created_at.toISOString();
+  }
+  if (values.updated_at) {
+    values.updated_at = values.updated_at.toISOString();
+  }
+  if (values.deleted_at) {
+    values.deleted_at = values.deleted_at.toISOString();
+  }
+  return values;
+};
+
+// Class methods
+
+// id -> name lookup for grouped statistics (includes soft-deleted products)
+Product.nameMap = async function (ids) {
+  const uniqueIds = [...new Set(ids.filter(Boolean).map(Number))];
+  if (!uniqueIds.length) return new Map();
+  const products = await this.findAll({
+    where: { id: uniqueIds },
+    attributes: ['id', 'name', 'category'],
+    paranoid: false,
+  });
+  return new Map(products.map(p => [p.id, p]));
+};
+
+// Audit trail for create/update/delete
+AuditLog.registerHooks(Product, 'Product');
+
+Product.PRODUCT_CATEGORIES = PRODUCT_CATEGORIES;
+// Attributes included as productData on purchases, sales and invoice items
+Product.SUMMARY_ATTRIBUTES = ['id', 'name', 'category', 'unit'];
+
+module.exports = Product;
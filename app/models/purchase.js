@@ -1,6 +1,19 @@
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../../config/db');
+const AuditLog = require('./auditLog');
 const Supplier = require('./supplier');
+const Product = require('./product');
+const Location = require('./location');
+const config = require('../../config/environment');
+
+// What the mill has paid the supplier for a purchase, derived from paidAmount against totalCost
+const PAYMENT_STATUSES = ['unpaid', 'partially_paid', 'paid'];
+
+// Quality deduction (rafaksi) formulas for moisture (kadar air) and impurity (kotoran), see calculateNetWeight
+const DEDUCTION_FORMULAS = ['excess', 'dry_weight', 'none'];
+
+// Fields netWeight, deductionWeight and totalCost are computed from
+const COST_FIELDS = ['quantity', 'weight', 'extraWeight', 'price', 'moistureContent', 'impurityContent', 'pelletCost', 'truckCost', 'laborCost'];
 
 const Purchase = sequelize.define('Purchase', {
   id: {
@@ -39,6 +52,25 @@ const Purchase = sequelize.define('Purchase', {
       },
     },
   },
+  productId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'product_id',
+    references: {
+      model: 'products',
+      key: 'id',
+    },
+  },
+  // Where the paddy was received; null for purchases recorded before locations existed
+  locationId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'location_id',
+    references: {
+      model: 'locations',
+      key: 'id',
+    },
+  },
   quantity: {
     type: DataTypes.INTEGER,
     allowNull: false,
@@ -147,6 +179,53 @@ const Purchase = sequelize.define('Purchase', {
       },
     },
   },
+  moistureContent: {
+    type: DataTypes.DECIMAL(5, 2),
+    allowNull: true,
+    field: 'moisture_content',
+    validate: {
+      isDecimal: {
+        msg: 'Moisture content must be a decimal number',
+      },
+      min: {
+        args: [0],
+        msg: 'Moisture content must be non-negative',
+      },
+      max: {
+        args: [100],
+        msg: 'Moisture content cannot exceed 100%',
+      },
+    },
+  },
+  impurityContent: {
+    type: DataTypes.DECIMAL(5, 2),
+    allowNull: true,
+    field: 'impurity_content',
+    validate: {
+      isDecimal: {
+        msg: 'Impurity content must be a decimal number',
+      },
+      min: {
+        args: [0],
+        msg: 'Impurity content must be non-negative',
+      },
+      max: {
+        args: [100],
+        msg: 'Impurity content cannot exceed 100%',
+      },
+    },
+  },
+  deductionWeight: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+    defaultValue: 0,
+    field: 'deduction_weight', // calculated by the save hooks
+  },
+  netWeight: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: true, // calculated by the save hooks: total weight less the quality deduction
+    field: 'net_weight',
+  },
   totalCost: {
     type: DataTypes.DECIMAL(15, 2),
     allowNull: true,  // Allow null, will be calculated by beforeSave hook
@@ -161,8 +240,23 @@ const Purchase = sequelize.define('Purchase', {
       },
     },
   },
+  // Sum of the supplier payments allocated to this purchase (maintained by SupplierPaymentService)
+  paidAmount: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: false,
+    defaultValue: 0,
+    field: 'paid_amount',
+    validate: {
+      min: {
+        args: [0],
+        msg: 'Paid amount must be non-negative',
+      },
+    },
+  },
 }, {
   tableName: 'purchases',
+  paranoid: true, // Soft delete: destroy() sets deleted_at, restore() clears it
+  deletedAt: 'deleted_at',
   indexes: [
     {
       unique: false,
@@ -172,6 +266,14 @@ const Purchase = sequelize.define('Purchase', {
       unique: false,
       fields: ['supplier_id'],
     },
+    {
+      unique: false,
+      fields: ['product_id'],
+    },
+    {
+      unique: false,
+      fields: ['location_id'],
+    },
     {
       unique: false,
       fields: ['total_cost'],
@@ -179,34 +281,31 @@ const Purchase = sequelize.define('Purchase', {
   ],
   hooks: {
     beforeCreate: (purchase) => {
-      const quantity = parseFloat(purchase.quantity) || 0;
-      const weightPerSack = parseFloat(purchase.weight) || 0;
-      const extraWeight = parseFloat(purchase.extraWeight || 0);
-      const pricePerKg = parseFloat(purchase.price) || 0;
-      const truckCost = parseFloat(purchase.truckCost) || 0;
-      const laborCost = parseFloat(purchase.laborCost) || 0;
-      const pelletCost = parseFloat(purchase.pelletCost) || 0;
-
-      const totalWeight = quantity * weightPerSack + extraWeight;
-      const productCost = totalWeight * pricePerKg;
-      purchase.totalCost = productCost + truckCost + laborCost + pelletCost;
+      applyDeductionAndCost(purchase);
     },
     beforeUpdate: (purchase) => {
-      const quantity = parseFloat(purchase.quantity) || 0;
-      const weightPerSack = parseFloat(purchase.weight) || 0;
-      const extraWeight = parseFloat(purchase.extraWeight || 0);
-      const pricePerKg = parseFloat(purchase.price) || 0;
-      const truckCost = parseFloat(purchase.truckCost) || 0;
-      const laborCost = parseFloat(purchase.laborCost) || 0;
-      const pelletCost = parseFloat(purchase.pelletCost) || 0;
-
-      const totalWeight = quantity * weightPerSack + extraWeight;
-      const productCost = totalWeight * pricePerKg;
-      purchase.totalCost = productCost + truckCost + laborCost + pelletCost;
+      // Payments only touch paidAmount; keep the stored weight and cost unless their inputs changed,
+      // so a later change of the deduction settings does not reprice old purchases
+      if (COST_FIELDS.some(field => purchase.changed(field))) {
+        applyDeductionAndCost(purchase);
+      }
     },
   },
 });
 
+// Net payable weight and total cost (net weight x price + truck, labor and pellet costs)
+function applyDeductionAndCost(purchase) {
+  const truckCost = parseFloat(purchase.truckCost) || 0;
+  const laborCost = parseFloat(purchase.laborCost) || 0;
+  const pelletCost = parseFloat(purchase.pelletCost) || 0;
+
+  const totalWeight = purchase.calculateTotalWeight();
+  const netWeight = purchase.calculateNetWeight();
+  purchase.netWeight = netWeight;
+  purchase.deductionWeight = Math.round((totalWeight - netWeight) * 100) / 100;
+  purchase.totalCost = netWeight * (parseFloat(purchase.price) || 0) + truckCost + laborCost + pelletCost;
+}
+
 // Associations
 Purchase.belongsTo(Supplier, {
   foreignKey: 'supplierId',
@@ -225,6 +324,38 @@ if (!Supplier.associations || !Supplier.associations.purchases) {
   });
 }
 
+Purchase.belongsTo(Product, {
+  foreignKey: 'productId',
+  as: 'productData',
+  onDelete: 'SET NULL',
+  onUpdate: 'CASCADE',
+});
+
+if (!Product.associations || !Product.associations.purchases) {
+  Product.hasMany(Purchase, {
+    foreignKey: 'productId',
+    as: 'purchases',
+    onDelete: 'SET NULL',
+    onUpdate: 'CASCADE',
+  });
+}
+
+Purchase.belongsTo(Location, {
+  foreignKey: 'locationId',
+  as: 'locationData',
+  onDelete: 'SET NULL',
+  onUpdate: 'CASCADE',
+});
+
+if (!Location.associations || !Location.associations.purchases) {
+  Location.hasMany(Purchase, {
+    foreignKey: 'locationId',
+    as: 'purchases',
+    onDelete: 'SET NULL',
+    onUpdate: 'CASCADE',
+  });
+}
+
 // Purchase -> Sales association is defined in sale.js after Sale model creation to avoid circular require
 
 // Instance methods
@@ -236,20 +367,33 @@ Purchase.prototype.toJSON = function () {
   if (values.updated_at) {
     values.updated_at = values.updated_at.toISOString();
   }
+  if (values.deleted_at) {
+    values.deleted_at = values.deleted_at.toISOString();
+  }
   // Convert decimals to numbers for better JSON representation
   ['weight', 'price', 'truckCost', 'laborCost', 'totalCost'].forEach(field => {
     if (values[field] !== null && values[field] !== undefined) {
       values[field] = parseFloat(values[field]);
     }
   });
-  ['extraWeight', 'pelletCost'].forEach(field => {
+  ['extraWeight', 'pelletCost', 'moistureContent', 'impurityContent', 'deductionWeight', 'netWeight', 'paidAmount'].forEach(field => {
     if (values[field] !== null && values[field] !== undefined) {
       values[field] = parseFloat(values[field]);
     }
   });
+  if (values.totalCost !== null && values.totalCost !== undefined && values.paidAmount !== undefined) {
+    values.outstandingPayable = this.getOutstandingPayable();
+    values.paymentStatus = Purchase.derivePaymentStatus(values.totalCost, values.paidAmount);
+  }
   return values;
 };
 
+// What the mill still owes the supplier for this purchase
+Purchase.prototype.getOutstandingPayable = function () {
+  const balance = (parseFloat(this.totalCost) || 0) - (parseFloat(this.paidAmount) || 0);
+  return Math.max(0, Math.round(balance * 100) / 100);
+};
+
 Purchase.prototype.calculateTotalWeight = function () {
   const quantity = parseFloat(this.quantity) || 0;
   const weightPerSack = parseFloat(this.weight) || 0;
@@ -257,12 +401,47 @@ Purchase.prototype.calculateTotalWeight = function () {
   return quantity * weightPerSack + extraWeight;
 };
 
-Purchase.prototype.calculateProductCost = function () {
+/**
+ * Net payable weight after the quality deduction, per config.purchasing.deductionFormula:
+ * - excess: every point of moisture/impurity above its standard deducts 1% of the weight
+ * - dry_weight: the weight is converted to the standard moisture, (100 - moisture) / (100 - standard),
+ *   and impurity above its standard is deducted as a percentage
+ * - none: no deduction
+ * Purchases without a measured moisture or impurity are not deducted for it.
+ */
+Purchase.prototype.calculateNetWeight = function (settings = config.purchasing) {
+  if (!DEDUCTION_FORMULAS.includes(settings.deductionFormula)) {
+    throw new Error(`Unknown purchase deduction formula: ${settings.deductionFormula}`);
+  }
   const totalWeight = this.calculateTotalWeight();
-  return totalWeight * (parseFloat(this.price) || 0);
+  const moisture = this.moistureContent === null || this.moistureContent === undefined ? null : parseFloat(this.moistureContent);
+  const impurity = this.impurityContent === null || this.impurityContent === undefined ? null : parseFloat(this.impurityContent);
+  const excessMoisture = moisture === null ? 0 : Math.max(0, moisture - settings.moistureStandard);
+  const excessImpurity = impurity === null ? 0 : Math.max(0, impurity - settings.impurityStandard);
+
+  let factor = 1;
+  if (settings.deductionFormula === 'excess') {
+    factor = 1 - (excessMoisture + excessImpurity) / 100;
+  } else if (settings.deductionFormula === 'dry_weight') {
+    const dryFactor = excessMoisture > 0 ? (100 - moisture) / (100 - settings.moistureStandard) : 1;
+    factor = dryFactor * (1 - excessImpurity / 100);
+  }
+
+  return Math.round(totalWeight * Math.min(1, Math.max(0, factor)) * 100) / 100;
+};
+
+Purchase.prototype.calculateProductCost = function () {
+  return this.calculateNetWeight() * (parseFloat(this.price) || 0);
 };
 
 // Class methods
+Purchase.derivePaymentStatus = function (totalCost, paidAmount) {
+  const total = parseFloat(totalCost) || 0;
+  const paid = parseFloat(paidAmount) || 0;
+  if (paid >= total) return 'paid';
+  return paid > 0 ? 'partially_paid' : 'unpaid';
+};
+
 Purchase.findByDateRange = function (startDate, endDate) {
   const { Op } = require('sequelize');
   return this.findAll({
@@ -282,17 +461,27 @@ Purchase.findByDateRange = function (startDate, endDate) {
   });
 };
 
-Purchase.findBySupplier = function (supplierId) {
+// options: startDate/endDate (inclusive) and order ('DESC' newest first by default)
+Purchase.findBySupplier = function (supplierId, options = {}) {
+  const { Op } = require('sequelize');
+  const { startDate, endDate, order = 'DESC' } = options;
+  const where = { supplierId };
+  if (startDate || endDate) {
+    where.date = {};
+    if (startDate) where.date[Op.gte] = startDate;
+    if (endDate) where.date[Op.lte] = endDate;
+  }
   return this.findAll({
-    where: { supplierId },
+    where,
     include: [
       {
         model: Supplier,
         as: 'supplierData',
         attributes: ['id', 'name', 'contactPerson'],
+        paranoid: false,
       },
     ],
-    order: [['date', 'DESC']],
+    order: [['date', order], ['id', order]],
   });
 };
 
@@ -316,4 +505,10 @@ Purchase.getTotalsByMonth = async function (year, month) {
   });
 };
 
-module.exports = Purchase;
\ No newline at end of file
+// Audit trail for create/update/delete
+AuditLog.registerHooks(Purchase, 'Purchase');
+
+Purchase.DEDUCTION_FORMULAS = DEDUCTION_FORMULAS;
+Purchase.PAYMENT_STATUSES = PAYMENT_STATUSES;
+
+module.exports = Purchase;
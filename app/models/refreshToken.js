@@ -0,0 +1,108 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../../config/db');
+const User = require('./user');
+
+const RefreshToken = sequelize.define('RefreshToken', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'user_id',
+    references: {
+      model: 'users',
+      key: 'id',
+    },
+  },
+  tokenId: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true,
+    field: 'token_id',
+  },
+  familyId: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    field: 'family_id',
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    field: 'expires_at',
+  },
+  usedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'used_at',
+  },
+  replacedBy: {
+    type: DataTypes.STRING(64),
+    allowNull: true,
+    field: 'replaced_by',
+  },
+  revokedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'revoked_at',
+  },
+}, {
+  tableName: 'refresh_tokens',
+  indexes: [
+    {
+      unique: true,
+      fields: ['token_id'],
+    },
+    {
+      unique: false,
+      fields: ['family_id'],
+    },
+    {
+      unique: false,
+      fields: ['user_id'],
+    },
+  ],
+});
+
+// Associations
+RefreshToken.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'user',
+  onDelete: 'CASCADE',
+  onUpdate: 'CASCADE',
+});
+
+User.hasMany(RefreshToken, {
+  foreignKey: 'userId',
+  as: 'refreshTokens',
+  onDelete: 'CASCADE',
+  onUpdate: 'CASCADE',
+});
+
+// Instance methods
+RefreshToken.prototype.isExpired = function () {
+  return new Date() > new Date(this.expiresAt);
+};
+
+// Class methods
+RefreshToken.findByTokenId = function (tokenId, options = {}) {
+  return this.findOne({
+    where: { tokenId },
+    ...options,
+  });
+};
+
+// Revoke every token issued from the same login (rotation chain)
+RefreshToken.revokeFamily = function (familyId, options = {}) {
+  return this.update(
+    { revokedAt: new Date() },
+    {
+      where: { familyId, revokedAt: null },
+      ...options,
+    }
+  );
+};
+
+module.exports = RefreshToken;
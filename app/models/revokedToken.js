@@ -0,0 +1,63 @@
+const { DataTypes, Op } = require('sequelize');
+const { sequelize } = require('../../config/db');
+
+const RevokedToken = sequelize.define('RevokedToken', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  tokenId: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true,
+    field: 'token_id',
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'user_id',
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    field: 'expires_at',
+  },
+  reason: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+  },
+}, {
+  tableName: 'revoked_tokens',
+  updatedAt: false, // Revocations are never modified
+  indexes: [
+    {
+      unique: true,
+      fields: ['token_id'],
+    },
+    {
+      unique: false,
+      fields: ['expires_at'],
+    },
+  ],
+});
+
+// Class methods
+RevokedToken.isRevoked = async function (tokenId) {
+  if (!tokenId) return false;
+  const count = await this.count({ where: { tokenId } });
+  return count > 0;
+};
+
+// Once a token has expired it is rejected by jwt.verify anyway, so its revocation row can go
+RevokedToken.purgeExpired = function () {
+  return this.destroy({
+    where: {
+      expiresAt: {
+        [Op.lt]: new Date(),
+      },
+    },
+  });
+};
+
+module.exports = RevokedToken;
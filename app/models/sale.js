@@ -1,6 +1,10 @@
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../../config/db');
+const AuditLog = require('./auditLog');
 const Purchase = require('./purchase');
+const Product = require('./product');
+const Location = require('./location');
+const Customer = require('./customer');
 
 const Sale = sequelize.define('Sale', {
   id: {
@@ -20,6 +24,7 @@ const Sale = sequelize.define('Sale', {
       },
     },
   },
+  // Optional: pins the sale to one purchase lot; otherwise it draws from lots automatically (sale_allocations)
   purchaseId: {
     type: DataTypes.INTEGER,
     allowNull: true,
@@ -29,6 +34,34 @@ const Sale = sequelize.define('Sale', {
       key: 'id',
     },
   },
+  productId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'product_id',
+    references: {
+      model: 'products',
+      key: 'id',
+    },
+  },
+  customerId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'customer_id',
+    references: {
+      model: 'customers',
+      key: 'id',
+    },
+  },
+  // Where the sale ships from: its weight is drawn from stock at this location (unassigned stock when null)
+  locationId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'location_id',
+    references: {
+      model: 'locations',
+      key: 'id',
+    },
+  },
   quantity: {
     type: DataTypes.INTEGER,
     allowNull: false,
@@ -151,6 +184,8 @@ const Sale = sequelize.define('Sale', {
   },
 }, {
   tableName: 'sales',
+  paranoid: true, // Soft delete: destroy() sets deleted_at, restore() clears it
+  deletedAt: 'deleted_at',
   indexes: [
     {
       unique: false,
@@ -160,13 +195,25 @@ const Sale = sequelize.define('Sale', {
       unique: false,
       fields: ['purchase_id'],
     },
+    {
+      unique: false,
+      fields: ['product_id'],
+    },
+    {
+      unique: false,
+      fields: ['customer_id'],
+    },
+    {
+      unique: false,
+      fields: ['location_id'],
+    },
     {
       unique: false,
       fields: ['net_profit'],
     },
   ],
   hooks: {
-    beforeSave: async (sale) => {
+    beforeSave: async (sale, options) => {
       const quantity = parseFloat(sale.quantity) || 0;
       const weightPerSack = parseFloat(sale.weight) || 0;
       const extraWeight = parseFloat(sale.extraWeight || 0);
@@ -178,33 +225,39 @@ const Sale = sequelize.define('Sale', {
       // Calculate operational costs
       const operationalCosts = parseFloat(sale.pellet || 0) + parseFloat(sale.fuel || 0) + parseFloat(sale.labor || 0);
       
-      // Get purchase cost if purchaseId is provided
-      let purchaseCost = 0;
-      if (sale.purchaseId) {
-        const purchase = await Purchase.findByPk(sale.purchaseId);
-        if (purchase) {
-          // Calculate proportional purchase cost based on weight sold vs total purchase weight
-          const purchaseQuantity = parseFloat(purchase.quantity) || 0;
-          const purchaseWeightPerSack = parseFloat(purchase.weight) || 0;
-          const purchaseExtraWeight = parseFloat(purchase.extraWeight || 0);
-          const totalPurchaseWeight = purchaseQuantity * purchaseWeightPerSack + purchaseExtraWeight;
-          const soldWeight = totalWeight;
-          const proportion = soldWeight / totalPurchaseWeight;
-          purchaseCost = parseFloat(purchase.totalCost) * proportion;
-        }
+      // Cost of goods sold from the lots (purchases, milling outputs) this sale draws from.
+      // Allocations just planned by AllocationService sit on sale.allocations; otherwise use the saved ones.
+      const SaleAllocation = require('./saleAllocation'); // required here: saleAllocation.js requires this file
+      let allocations = sale.allocations;
+      if (!allocations) {
+        allocations = sale.id
+          ? await SaleAllocation.findAll({ where: { saleId: sale.id }, transaction: options.transaction })
+          : [];
       }
+      const purchaseCost = allocations.reduce((sum, allocation) => sum + (parseFloat(allocation.cost) || 0), 0);
       
-      // Calculate net profit: Revenue - Purchase Cost - Operational Costs
+      // Calculate net profit: Revenue - Cost of Goods Sold - Operational Costs
       sale.netProfit = revenue - purchaseCost - operationalCosts;
       
-      // Calculate rendement if purchase is linked
-      if (sale.purchaseId && purchaseCost > 0) {
-        const soldWeight = totalWeight;
-        const purchase = await Purchase.findByPk(sale.purchaseId);
-        if (purchase) {
-          const purchaseWeight = (parseFloat(purchase.quantity) || 0) * (parseFloat(purchase.weight) || 0) + (parseFloat(purchase.extraWeight || 0));
-          const rendementPercentage = (soldWeight / purchaseWeight) * 100;
-          sale.rendement = `${rendementPercentage.toFixed(1)}%`;
+      // Rendement is the milling yield of the batches the sold rice came from, weighted by weight drawn.
+      // Sales straight from purchases (paddy) keep the rendement entered on the sale, if any.
+      const outputAllocations = allocations.filter(allocation => allocation.millingOutputId);
+      if (outputAllocations.length) {
+        const MillingBatchOutput = require('./millingBatchOutput');
+        const MillingBatch = require('./millingBatch');
+        const outputs = await MillingBatchOutput.findAll({
+          where: { id: [...new Set(outputAllocations.map(allocation => allocation.millingOutputId))] },
+          include: [{ model: MillingBatch, as: 'batch', attributes: ['id', 'rendement'], paranoid: false }],
+          transaction: options.transaction,
+        });
+        const batchRendement = new Map(outputs.map(output => [output.id, parseFloat(output.batch.rendement) || 0]));
+        const drawnWeight = outputAllocations.reduce((sum, allocation) => sum + parseFloat(allocation.weight), 0);
+        const weighted = outputAllocations.reduce(
+          (sum, allocation) => sum + parseFloat(allocation.weight) * (batchRendement.get(allocation.millingOutputId) || 0),
+          0
+        );
+        if (drawnWeight > 0) {
+          sale.rendement = `${(weighted / drawnWeight).toFixed(1)}%`;
         }
       }
     },
@@ -229,6 +282,54 @@ if (!Purchase.associations || !Purchase.associations.sales) {
   });
 }
 
+Sale.belongsTo(Product, {
+  foreignKey: 'productId',
+  as: 'productData',
+  onDelete: 'SET NULL',
+  onUpdate: 'CASCADE',
+});
+
+if (!Product.associations || !Product.associations.sales) {
+  Product.hasMany(Sale, {
+    foreignKey: 'productId',
+    as: 'sales',
+    onDelete: 'SET NULL',
+    onUpdate: 'CASCADE',
+  });
+}
+
+Sale.belongsTo(Location, {
+  foreignKey: 'locationId',
+  as: 'locationData',
+  onDelete: 'SET NULL',
+  onUpdate: 'CASCADE',
+});
+
+if (!Location.associations || !Location.associations.sales) {
+  Location.hasMany(Sale, {
+    foreignKey: 'locationId',
+    as: 'sales',
+    onDelete: 'SET NULL',
+    onUpdate: 'CASCADE',
+  });
+}
+
+Sale.belongsTo(Customer, {
+  foreignKey: 'customerId',
+  as: 'customerData',
+  onDelete: 'SET NULL',
+  onUpdate: 'CASCADE',
+});
+
+if (!Customer.associations || !Customer.associations.sales) {
+  Customer.hasMany(Sale, {
+    foreignKey: 'customerId',
+    as: 'sales',
+    onDelete: 'SET NULL',
+    onUpdate: 'CASCADE',
+  });
+}
+
 // Instance methods
 Sale.prototype.toJSON = function () {
   const values = { ...this.get() };
@@ -238,6 +339,9 @@ Sale.prototype.toJSON = function () {
   if (values.updated_at) {
     values.updated_at = values.updated_at.toISOString();
   }
+  if (values.deleted_at) {
+    values.deleted_at = values.deleted_at.toISOString();
+  }
   // Convert decimals to numbers for better JSON representation
   ['weight', 'price', 'pellet', 'fuel', 'labor', 'netProfit'].forEach(field => {
     if (values[field] !== null && values[field] !== undefined) {
@@ -341,4 +445,7 @@ Sale.getProfitAnalysis = async function (startDate, endDate) {
   });
 };
 
-module.exports = Sale;
\ No newline at end of file
+// Audit trail for create/update/delete
+AuditLog.registerHooks(Sale, 'Sale');
+
+module.exports = Sale;
@@ -0,0 +1,200 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../../config/db');
+const Sale = require('./sale');
+const Purchase = require('./purchase');
+const MillingBatchOutput = require('./millingBatchOutput');
+
+// fifo: oldest lot's own cost; weighted_average: average cost of the stock on hand when the sale is made
+const COSTING_METHODS = ['fifo', 'weighted_average'];
+
+// Weight a sale draws from one lot -- a purchase or a milling batch output -- with the cost of goods sold for that part
+const SaleAllocation = sequelize.define('SaleAllocation', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  saleId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'sale_id',
+    references: {
+      model: 'sales',
+      key: 'id',
+    },
+  },
+  purchaseId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'purchase_id',
+    references: {
+      model: 'purchases',
+      key: 'id',
+    },
+  },
+  millingOutputId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'milling_output_id',
+    references: {
+      model: 'milling_batch_outputs',
+      key: 'id',
+    },
+  },
+  weight: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+    validate: {
+      min: {
+        args: 0.01,
+        msg: 'Allocated weight must be greater than 0',
+      },
+    },
+  },
+  unitCost: {
+    type: DataTypes.DECIMAL(15, 4),
+    allowNull: false,
+    field: 'unit_cost',
+  },
+  cost: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: false,
+  },
+  costingMethod: {
+    type: DataTypes.ENUM(...COSTING_METHODS),
+    allowNull: false,
+    field: 'costing_method',
+  },
+}, {
+  tableName: 'sale_allocations',
+  validate: {
+    singleLot() {
+      if (!this.purchaseId === !this.millingOutputId) {
+        throw new Error('Allocation must reference either a purchase or a milling output');
+      }
+    },
+  },
+  indexes: [
+    {
+      unique: false,
+      fields: ['sale_id'],
+    },
+    {
+      unique: false,
+      fields: ['purchase_id'],
+    },
+    {
+      unique: false,
+      fields: ['milling_output_id'],
+    },
+  ],
+});
+
+// Associations
+SaleAllocation.belongsTo(Sale, {
+  foreignKey: 'saleId',
+  as: 'sale',
+  onDelete: 'CASCADE',
+  onUpdate: 'CASCADE',
+});
+
+Sale.hasMany(SaleAllocation, {
+  foreignKey: 'saleId',
+  as: 'allocations',
+  onDelete: 'CASCADE',
+  onUpdate: 'CASCADE',
+});
+
+SaleAllocation.belongsTo(Purchase, {
+  foreignKey: 'purchaseId',
+  as: 'purchaseData',
+  onDelete: 'RESTRICT',
+  onUpdate: 'CASCADE',
+});
+
+Purchase.hasMany(SaleAllocation, {
+  foreignKey: 'purchaseId',
+  as: 'allocations',
+  onDelete: 'RESTRICT',
+  onUpdate: 'CASCADE',
+});
+
+// Allocations of deleted sales are dropped with the output; restoring such a sale draws again
+SaleAllocation.belongsTo(MillingBatchOutput, {
+  foreignKey: 'millingOutputId',
+  as: 'outputData',
+  onDelete: 'CASCADE',
+  onUpdate: 'CASCADE',
+});
+
+MillingBatchOutput.hasMany(SaleAllocation, {
+  foreignKey: 'millingOutputId',
+  as: 'allocations',
+  onDelete: 'CASCADE',
+  onUpdate: 'CASCADE',
+});
+
+// Instance methods
+SaleAllocation.prototype.toJSON = function () {
+  const values = { ...this.get() };
+  if (values.created_at) {
+    values.created_at = values.created_at.toISOString();
+  }
+  if (values.updated_at) {
+    values.updated_at = values.updated_at.toISOString();
+  }
+  ['weight', 'unitCost', 'cost'].forEach(field => {
+    if (values[field] !== null && values[field] !== undefined) {
+      values[field] = parseFloat(values[field]);
+    }
+  });
+  return values;
+};
+
+// Class methods
+
+// lot id -> { weight, cost, saleCount } drawn by sales that are not deleted, grouped on purchaseId or millingOutputId
+SaleAllocation.totalsByLot = async function (lotField, lotIds, { excludeSaleId, transaction } = {}) {
+  const ids = [...new Set(lotIds.filter(Boolean).map(Number))];
+  if (!ids.length) return new Map();
+
+  const { Op } = require('sequelize');
+  const column = this.rawAttributes[lotField].field;
+  const where = { [lotField]: ids };
+  if (excludeSaleId) where.saleId = { [Op.ne]: excludeSaleId };
+
+  const rows = await this.findAll({
+    where,
+    attributes: [
+      lotField,
+      [sequelize.fn('SUM', sequelize.col('SaleAllocation.weight')), 'weight'],
+      [sequelize.fn('SUM', sequelize.col('SaleAllocation.cost')), 'cost'],
+      [sequelize.fn('COUNT', sequelize.fn('DISTINCT', sequelize.col('SaleAllocation.sale_id'))), 'saleCount'],
+    ],
+    // Inner join so soft-deleted sales give their weight back to the lot
+    include: [{ model: Sale, as: 'sale', attributes: [], required: true }],
+    group: [`SaleAllocation.${column}`],
+    raw: true,
+    transaction,
+  });
+
+  return new Map(rows.map(r => [r[lotField], {
+    weight: parseFloat(r.weight) || 0,
+    cost: parseFloat(r.cost) || 0,
+    saleCount: parseInt(r.saleCount) || 0,
+  }]));
+};
+
+SaleAllocation.totalsByPurchase = function (purchaseIds, options) {
+  return this.totalsByLot('purchaseId', purchaseIds, options);
+};
+
+SaleAllocation.totalsByOutput = function (outputIds, options) {
+  return this.totalsByLot('millingOutputId', outputIds, options);
+};
+
+// No audit hooks: allocations are rebuilt along with their sale, whose audit trail covers the change
+
+SaleAllocation.COSTING_METHODS = COSTING_METHODS;
+
+module.exports = SaleAllocation;
@@ -0,0 +1,175 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../../config/db');
+const Purchase = require('./purchase');
+const Product = require('./product');
+const Location = require('./location');
+const MillingBatchOutput = require('./millingBatchOutput');
+
+// Stock of one lot moved from one location to another. Posts a pair of 'transfer' rows to the stock ledger
+// (see InventoryService.createTransfer). Transfers are never edited: a transfer back reverses one.
+const StockTransfer = sequelize.define('StockTransfer', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  date: {
+    type: DataTypes.DATEONLY,
+    allowNull: false,
+    validate: {
+      isDate: {
+        msg: 'Transfer date must be a valid date',
+      },
+    },
+  },
+  purchaseId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'purchase_id',
+    references: {
+      model: 'purchases',
+      key: 'id',
+    },
+  },
+  millingOutputId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'milling_output_id',
+    references: {
+      model: 'milling_batch_outputs',
+      key: 'id',
+    },
+  },
+  productId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'product_id',
+    references: {
+      model: 'products',
+      key: 'id',
+    },
+  },
+  // null: unassigned stock (recorded before locations existed)
+  fromLocationId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'from_location_id',
+    references: {
+      model: 'locations',
+      key: 'id',
+    },
+  },
+  toLocationId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'to_location_id',
+    references: {
+      model: 'locations',
+      key: 'id',
+    },
+  },
+  weight: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+    validate: {
+      min: {
+        args: [0.01],
+        msg: 'Transfer weight must be greater than 0',
+      },
+    },
+  },
+  // No foreign key: the transfer must survive deletion of the acting user
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'user_id',
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+  },
+}, {
+  tableName: 'stock_transfers',
+  updatedAt: false, // Transfers are append-only, like the ledger rows they post
+  validate: {
+    singleLot() {
+      if (!this.purchaseId === !this.millingOutputId) {
+        throw new Error('Transfer must reference either a purchase or a milling output');
+      }
+    },
+  },
+  indexes: [
+    {
+      unique: false,
+      fields: ['date'],
+    },
+    {
+      unique: false,
+      fields: ['purchase_id'],
+    },
+    {
+      unique: false,
+      fields: ['milling_output_id'],
+    },
+    {
+      unique: false,
+      fields: ['from_location_id'],
+    },
+    {
+      unique: false,
+      fields: ['to_location_id'],
+    },
+  ],
+});
+
+// Associations
+StockTransfer.belongsTo(Purchase, {
+  foreignKey: 'purchaseId',
+  as: 'purchaseData',
+  onDelete: 'RESTRICT',
+  onUpdate: 'CASCADE',
+});
+
+StockTransfer.belongsTo(MillingBatchOutput, {
+  foreignKey: 'millingOutputId',
+  as: 'outputData',
+  onDelete: 'CASCADE',
+  onUpdate: 'CASCADE',
+});
+
+StockTransfer.belongsTo(Product, {
+  foreignKey: 'productId',
+  as: 'productData',
+  onDelete: 'SET NULL',
+  onUpdate: 'CASCADE',
+});
+
+StockTransfer.belongsTo(Location, {
+  foreignKey: 'fromLocationId',
+  as: 'fromLocation',
+  onDelete: 'RESTRICT',
+  onUpdate: 'CASCADE',
+});
+
+StockTransfer.belongsTo(Location, {
+  foreignKey: 'toLocationId',
+  as: 'toLocation',
+  onDelete: 'RESTRICT',
+  onUpdate: 'CASCADE',
+});
+
+// Instance methods
+StockTransfer.prototype.toJSON = function () {
+  const values = { ...this.get() };
+  if (values.created_at) {
+    values.created_at = values.created_at.toISOString();
+  }
+  if (values.weight !== null && values.weight !== undefined) {
+    values.weight = parseFloat(values.weight);
+  }
+  return values;
+};
+
+// No audit hooks: transfers are never changed and their ledger rows record who moved what
+
+module.exports = StockTransfer;
@@ -1,5 +1,6 @@
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../../config/db');
+const AuditLog = require('./auditLog');
 
 const Supplier = sequelize.define('Supplier', {
   id: {
@@ -58,6 +59,8 @@ const Supplier = sequelize.define('Supplier', {
   },
 }, {
   tableName: 'suppliers',
+  paranoid: true, // Soft delete: destroy() sets deleted_at, restore() clears it
+  deletedAt: 'deleted_at',
   indexes: [
     {
       unique: false,
@@ -83,6 +86,9 @@ Supplier.prototype.toJSON = function () {
   if (values.updated_at) {
     values.updated_at = values.updated_at.toISOString();
   }
+  if (values.deleted_at) {
+    values.deleted_at = values.deleted_at.toISOString();
+  }
   return values;
 };
 
@@ -105,4 +111,7 @@ Supplier.findByName = function (name) {
   });
 };
 
-module.exports = Supplier;
\ No newline at end of file
+// Audit trail for create/update/delete
+AuditLog.registerHooks(Supplier, 'Supplier');
+
+module.exports = Supplier;
@@ -0,0 +1,129 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../../config/db');
+const AuditLog = require('./auditLog');
+const Supplier = require('./supplier');
+const InvoicePayment = require('./invoicePayment');
+
+// Same methods as customer payments on invoices
+const PAYMENT_METHODS = InvoicePayment.PAYMENT_METHODS;
+
+// A payment the mill made to a supplier; its amount is allocated to the supplier's purchases
+// (supplier_payment_allocations), which is what marks those purchases paid
+const SupplierPayment = sequelize.define('SupplierPayment', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  supplierId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'supplier_id',
+    references: {
+      model: 'suppliers',
+      key: 'id',
+    },
+  },
+  amount: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: false,
+    validate: {
+      notEmpty: {
+        msg: 'Payment amount is required',
+      },
+      isDecimal: {
+        msg: 'Payment amount must be a decimal number',
+      },
+      min: {
+        args: 0.01,
+        msg: 'Payment amount must be greater than 0',
+      },
+    },
+  },
+  date: {
+    type: DataTypes.DATEONLY,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+    validate: {
+      isDate: {
+        msg: 'Payment date must be a valid date',
+      },
+    },
+  },
+  method: {
+    type: DataTypes.ENUM(...PAYMENT_METHODS),
+    allowNull: false,
+    defaultValue: 'cash',
+    validate: {
+      isIn: {
+        args: [PAYMENT_METHODS],
+        msg: `Payment method must be one of: ${PAYMENT_METHODS.join(', ')}`,
+      },
+    },
+  },
+  reference: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    validate: {
+      len: {
+        args: [0, 100],
+        msg: 'Payment reference must not exceed 100 characters',
+      },
+    },
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+  },
+}, {
+  tableName: 'supplier_payments',
+  indexes: [
+    {
+      unique: false,
+      fields: ['supplier_id'],
+    },
+    {
+      unique: false,
+      fields: ['date'],
+    },
+  ],
+});
+
+// Associations
+SupplierPayment.belongsTo(Supplier, {
+  foreignKey: 'supplierId',
+  as: 'supplierData',
+  onDelete: 'RESTRICT',
+  onUpdate: 'CASCADE',
+});
+
+if (!Supplier.associations || !Supplier.associations.payments) {
+  Supplier.hasMany(SupplierPayment, {
+    foreignKey: 'supplierId',
+    as: 'payments',
+    onDelete: 'RESTRICT',
+    onUpdate: 'CASCADE',
+  });
+}
+
+// Instance methods
+SupplierPayment.prototype.toJSON = function () {
+  const values = { ...this.get() };
+  if (values.created_at) {
+    values.created_at = values.created_at.toISOString();
+  }
+  if (values.updated_at) {
+    values.updated_at = values.updated_at.toISOString();
+  }
+  if (values.amount !== null && values.amount !== undefined) {
+    values.amount = parseFloat(values.amount);
+  }
+  return values;
+};
+
+SupplierPayment.PAYMENT_METHODS = PAYMENT_METHODS;
+
+// Audit trail for create/update/delete
+AuditLog.registerHooks(SupplierPayment, 'SupplierPayment');
+
+module.exports = SupplierPayment;
@@ -0,0 +1,99 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../../config/db');
+const SupplierPayment = require('./supplierPayment');
+const Purchase = require('./purchase');
+
+// Part of a supplier payment applied to one purchase
+const SupplierPaymentAllocation = sequelize.define('SupplierPaymentAllocation', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  paymentId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'payment_id',
+    references: {
+      model: 'supplier_payments',
+      key: 'id',
+    },
+  },
+  purchaseId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'purchase_id',
+    references: {
+      model: 'purchases',
+      key: 'id',
+    },
+  },
+  amount: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: false,
+    validate: {
+      min: {
+        args: 0.01,
+        msg: 'Allocated amount must be greater than 0',
+      },
+    },
+  },
+}, {
+  tableName: 'supplier_payment_allocations',
+  updatedAt: false,
+  indexes: [
+    {
+      unique: false,
+      fields: ['payment_id'],
+    },
+    {
+      unique: false,
+      fields: ['purchase_id'],
+    },
+  ],
+});
+
+// Associations
+SupplierPaymentAllocation.belongsTo(SupplierPayment, {
+  foreignKey: 'paymentId',
+  as: 'payment',
+  onDelete: 'CASCADE',
+  onUpdate: 'CASCADE',
+});
+
+SupplierPayment.hasMany(SupplierPaymentAllocation, {
+  foreignKey: 'paymentId',
+  as: 'allocations',
+  onDelete: 'CASCADE',
+  onUpdate: 'CASCADE',
+});
+
+SupplierPaymentAllocation.belongsTo(Purchase, {
+  foreignKey: 'purchaseId',
+  as: 'purchaseData',
+  onDelete: 'RESTRICT',
+  onUpdate: 'CASCADE',
+});
+
+if (!Purchase.associations || !Purchase.associations.paymentAllocations) {
+  Purchase.hasMany(SupplierPaymentAllocation, {
+    foreignKey: 'purchaseId',
+    as: 'paymentAllocations',
+    onDelete: 'RESTRICT',
+    onUpdate: 'CASCADE',
+  });
+}
+
+// Instance methods
+SupplierPaymentAllocation.prototype.toJSON = function () {
+  const values = { ...this.get() };
+  if (values.created_at) {
+    values.created_at = values.created_at.toISOString();
+  }
+  if (values.amount !== null && values.amount !== undefined) {
+    values.amount = parseFloat(values.amount);
+  }
+  return values;
+};
+
+module.exports = SupplierPaymentAllocation;
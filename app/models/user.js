@@ -1,6 +1,8 @@
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../../config/db');
+const AuditLog = require('./auditLog');
 const bcrypt = require('bcryptjs');
+const { ROLES } = require('../../config/permissions');
 
 const User = sequelize.define('User', {
   id: {
@@ -28,16 +30,22 @@ const User = sequelize.define('User', {
     field: 'password_hash',
   },
   role: {
-    type: DataTypes.ENUM('admin', 'manager'),
+    type: DataTypes.ENUM(...ROLES),
     allowNull: false,
     defaultValue: 'manager',
     validate: {
       isIn: {
-        args: [['admin', 'manager']],
-        msg: 'Role must be either admin or manager',
+        args: [ROLES],
+        msg: `Role must be one of: ${ROLES.join(', ')}`,
       },
     },
   },
+  tokenVersion: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    field: 'token_version',
+  },
 }, {
   tableName: 'users',
   indexes: [
@@ -70,6 +78,7 @@ const User = sequelize.define('User', {
 User.prototype.toJSON = function () {
   const values = { ...this.get() };
   delete values.passwordHash; // Never return password hash
+  delete values.tokenVersion; // Internal session revocation counter
   if (values.created_at) {
     values.created_at = values.created_at.toISOString();
   }
@@ -97,4 +106,7 @@ User.findAdmins = function () {
   });
 };
 
-module.exports = User;
\ No newline at end of file
+// Audit trail for create/update/delete
+AuditLog.registerHooks(User, 'User');
+
+module.exports = User;
@@ -0,0 +1,75 @@
+const express = require('express');
+const AuditController = require('../controllers/auditController');
+const { authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Audit
+ *   description: Audit trail of create/update/delete operations on business entities
+ */
+
+/**
+ * @swagger
+ * /api/audit:
+ *   get:
+ *     summary: Get audit trail entries
+ *     tags: [Audit]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: entity
+ *         schema:
+ *           type: string
+ *           enum: [Purchase, Sale, Invoice, InvoiceItem, InvoicePayment, Supplier, SupplierPayment, Customer, Product, Location, MillingBatch, MillingBatchInput, MillingBatchOutput, User]
+ *         description: Entity type (any case)
+ *       - in: query
+ *         name: entityId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: integer
+ *         description: Acting user
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           enum: [create, update, delete, restore]
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Audit logs retrieved successfully
+ *       400:
+ *         description: Unknown entity type or action
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ */
+router.get('/', authorize('audit', 'read'), AuditController.getAuditLogs);
+
+module.exports = router;
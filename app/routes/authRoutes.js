@@ -1,6 +1,7 @@
 const express = require('express');
 const UserController = require('../controllers/userController');
 const { validateUser } = require('../validators/userValidator');
+const { authenticateToken } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -16,6 +17,7 @@ const router = express.Router();
  * /api/auth/register:
  *   post:
  *     summary: Register a new user
+ *     description: Self-registered users always get the operator role; an admin grants more (POST /api/users, PATCH /api/users/{id}/role)
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -52,7 +54,7 @@ const router = express.Router();
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/register', validateUser, UserController.register);
+router.post('/register', validateUser('register'), UserController.register);
 
 /**
  * @swagger
@@ -97,14 +99,80 @@ router.post('/register', validateUser, UserController.register);
  */
 router.post('/login', UserController.login);
 
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new access/refresh token pair
+ *     description: Refresh tokens are single-use and rotated on every call. Presenting a refresh token that was already used revokes every token issued from the same login.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [refreshToken]
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *                 example: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
+ *     responses:
+ *       200:
+ *         description: Token refreshed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Token refreshed successfully"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     user:
+ *                       $ref: '#/components/schemas/User'
+ *                     token:
+ *                       type: string
+ *                     refreshToken:
+ *                       type: string
+ *       400:
+ *         description: Refresh token missing
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Refresh token invalid, expired, revoked or reused
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/refresh', UserController.refresh);
+
 /**
  * @swagger
  * /api/auth/logout:
  *   post:
  *     summary: Logout user
+ *     description: Revokes the presented access token. Pass the session's refresh token to revoke it (and its rotation chain) as well.
  *     tags: [Authentication]
  *     security:
  *       - bearerAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
  *     responses:
  *       200:
  *         description: Logout successful
@@ -119,6 +187,6 @@ router.post('/login', UserController.login);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/logout', UserController.logout);
+router.post('/logout', authenticateToken, UserController.logout);
 
 module.exports = router;
\ No newline at end of file
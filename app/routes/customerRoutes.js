@@ -0,0 +1,230 @@
+const express = require('express');
+const CustomerController = require('../controllers/customerController');
+const { validateCustomer } = require('../validators/customerValidator');
+const { authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Customers
+ *   description: Customer master data that invoices and sales link to
+ */
+
+/**
+ * @swagger
+ * /api/customers/active:
+ *   get:
+ *     summary: Get all active customers
+ *     tags: [Customers]
+ *     responses:
+ *       200:
+ *         description: Active customers retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Customer'
+ */
+router.get('/active', authorize('customers', 'read'), CustomerController.getActiveCustomers);
+
+/**
+ * @swagger
+ * /api/customers:
+ *   get:
+ *     summary: Get all customers with pagination and filtering
+ *     tags: [Customers]
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search term for name, contact person or phone
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, inactive, all]
+ *           default: all
+ *       - in: query
+ *         name: includeDeleted
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Include soft-deleted customers
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv, xlsx]
+ *         description: Export every matching row as CSV or Excel instead of a JSON page (Accept text/csv works too)
+ *     responses:
+ *       200:
+ *         description: Customers retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Customer'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/PaginationInfo'
+ *   post:
+ *     summary: Create a new customer
+ *     tags: [Customers]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CustomerCreate'
+ *     responses:
+ *       201:
+ *         description: Customer created successfully
+ *       400:
+ *         description: Validation error
+ *       409:
+ *         description: Customer with this name already exists (names are compared ignoring case and spacing)
+ */
+router.get('/', authorize('customers', 'read'), validateCustomer('query'), CustomerController.getAllCustomers);
+router.post('/', authorize('customers', 'create'), validateCustomer('create'), CustomerController.createCustomer);
+
+/**
+ * @swagger
+ * /api/customers/{id}:
+ *   get:
+ *     summary: Get customer by ID
+ *     tags: [Customers]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Customer retrieved successfully
+ *       404:
+ *         description: Customer not found
+ *   put:
+ *     summary: Update customer by ID
+ *     tags: [Customers]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CustomerCreate'
+ *     responses:
+ *       200:
+ *         description: Customer updated successfully
+ *       404:
+ *         description: Customer not found
+ *       409:
+ *         description: Customer with this name already exists
+ *   delete:
+ *     summary: Delete customer by ID (soft delete)
+ *     tags: [Customers]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Customer deleted successfully
+ *       404:
+ *         description: Customer not found
+ */
+router.get('/:id', authorize('customers', 'read'), validateCustomer('id'), CustomerController.getCustomerById);
+
+router.put('/:id',
+  authorize('customers', 'update'),
+  validateCustomer('id'),
+  validateCustomer('update'),
+  CustomerController.updateCustomer
+);
+
+router.delete('/:id', authorize('customers', 'delete'), validateCustomer('id'), CustomerController.deleteCustomer);
+
+/**
+ * @swagger
+ * /api/customers/{id}/restore:
+ *   post:
+ *     summary: Restore a soft-deleted customer
+ *     tags: [Customers]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Customer restored successfully
+ *       400:
+ *         description: Customer is not deleted
+ *       404:
+ *         description: Customer not found
+ */
+router.post('/:id/restore', authorize('customers', 'restore'), validateCustomer('id'), CustomerController.restoreCustomer);
+
+/**
+ * @swagger
+ * /api/customers/{id}/toggle-status:
+ *   patch:
+ *     summary: Toggle customer status (active/inactive)
+ *     tags: [Customers]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Customer status changed
+ *       404:
+ *         description: Customer not found
+ */
+router.patch('/:id/toggle-status',
+  authorize('customers', 'update'),
+  validateCustomer('id'),
+  CustomerController.toggleCustomerStatus
+);
+
+module.exports = router;
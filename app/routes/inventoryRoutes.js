@@ -0,0 +1,284 @@
+const express = require('express');
+const InventoryController = require('../controllers/inventoryController');
+const { validateInventory } = require('../validators/inventoryValidator');
+const { authorize } = require('../middleware/auth');
+const { filterResponseFields } = require('../middleware/fieldFilter');
+
+const router = express.Router();
+
+// Access per role is defined in config/permissions.js (inventory)
+router.use(filterResponseFields('inventory'));
+
+/**
+ * @swagger
+ * tags:
+ *   name: Inventory
+ *   description: Stock ledger - balances, movements and transfers between locations of purchase and milling output lots
+ */
+
+/**
+ * @swagger
+ * /api/inventory:
+ *   get:
+ *     summary: Get the current balance of each lot
+ *     description: Balances are sums of the stock ledger, one entry per lot and location (locationId null is unassigned stock). Lots of deleted purchases and batches are left out.
+ *     tags: [Inventory]
+ *     parameters:
+ *       - in: query
+ *         name: productId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: locationId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: lotType
+ *         schema:
+ *           type: string
+ *           enum: [purchase, milling_output]
+ *       - in: query
+ *         name: includeEmpty
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Include lots with nothing left
+ *       - in: query
+ *         name: groupBy
+ *         schema:
+ *           type: string
+ *           enum: [product, location]
+ *         description: Sum balances per product or per location
+ *     responses:
+ *       200:
+ *         description: Inventory balances retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/InventoryBalance'
+ */
+router.get('/', authorize('inventory', 'read'), validateInventory('balances'), InventoryController.getBalances);
+
+/**
+ * @swagger
+ * /api/inventory/movements:
+ *   get:
+ *     summary: Get stock movement history (filter by lot for the history of one lot)
+ *     tags: [Inventory]
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - in: query
+ *         name: purchaseId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: millingOutputId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: productId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: locationId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [in, out, adjust, transfer]
+ *       - in: query
+ *         name: sourceType
+ *         schema:
+ *           type: string
+ *           enum: [purchase, sale, milling_batch, adjustment, transfer]
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Inventory movements retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/InventoryMovement'
+ */
+router.get('/movements', authorize('inventory', 'read'), validateInventory('movements'), InventoryController.getMovements);
+
+/**
+ * @swagger
+ * /api/inventory/adjustments:
+ *   post:
+ *     summary: Record a stock adjustment (shrinkage, drying loss, spoilage, stock count)
+ *     description: Give either a signed weight change, or the counted weight of a stock count; the difference to the balance is then posted.
+ *     tags: [Inventory]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date
+ *               purchaseId:
+ *                 type: integer
+ *                 description: Lot to adjust (or millingOutputId)
+ *               millingOutputId:
+ *                 type: integer
+ *               locationId:
+ *                 type: integer
+ *                 description: Location of the stock being adjusted (omit for unassigned stock)
+ *               reason:
+ *                 type: string
+ *                 enum: [shrinkage, drying_loss, spoilage, stock_count, correction]
+ *               weight:
+ *                 type: number
+ *                 example: -25.5
+ *               countedWeight:
+ *                 type: number
+ *                 example: 480
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Inventory adjustment recorded successfully
+ *       400:
+ *         description: Validation failed, or the adjustment would make the stock negative
+ *       404:
+ *         description: Purchase, milling output or location not found
+ */
+router.post('/adjustments', authorize('inventory', 'adjust'), validateInventory('adjustment'), InventoryController.createAdjustment);
+
+/**
+ * @swagger
+ * /api/inventory/transfers:
+ *   get:
+ *     summary: Get stock transfers between locations
+ *     tags: [Inventory]
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - in: query
+ *         name: purchaseId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: millingOutputId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: productId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: locationId
+ *         schema:
+ *           type: integer
+ *         description: Transfers out of or into this location
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Stock transfers retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/StockTransfer'
+ *   post:
+ *     summary: Move stock of one lot from one location to another
+ *     description: Posts a pair of transfer movements to the ledger. Omit fromLocationId to move unassigned stock into a location. To undo a transfer, transfer back.
+ *     tags: [Inventory]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [toLocationId, weight]
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date
+ *               purchaseId:
+ *                 type: integer
+ *                 description: Lot to move (or millingOutputId)
+ *               millingOutputId:
+ *                 type: integer
+ *               fromLocationId:
+ *                 type: integer
+ *               toLocationId:
+ *                 type: integer
+ *               weight:
+ *                 type: number
+ *                 example: 1500
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Stock transfer recorded successfully
+ *       400:
+ *         description: Validation failed, same location on both sides, or not enough stock at the source location
+ *       404:
+ *         description: Purchase, milling output or location not found
+ */
+router.get('/transfers', authorize('inventory', 'read'), validateInventory('transfers'), InventoryController.getTransfers);
+router.post('/transfers', authorize('inventory', 'transfer'), validateInventory('transfer'), InventoryController.createTransfer);
+
+module.exports = router;
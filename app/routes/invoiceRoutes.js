@@ -1,58 +1,66 @@
 const express = require('express');
 const InvoiceController = require('../controllers/invoiceController');
-const { authenticateToken, requireRole } = require('../middleware/auth');
+const { authorize } = require('../middleware/auth');
 
 const router = express.Router();
 
-// All routes require authentication
-// router.use(authenticateToken);  // COMMENTED FOR TESTING
+// Access per role is defined in config/permissions.js (invoices)
 
-// Create invoice - admin and manager only
-// router.post('/', requireRole(['admin', 'manager']), InvoiceController.createInvoice);
-router.post('/', InvoiceController.createInvoice);  // NO AUTH FOR TESTING
+// Create invoice
+router.post('/', authorize('invoices', 'create'), InvoiceController.createInvoice);
 
-// Get all invoices with pagination and filtering
-router.get('/', InvoiceController.getAllInvoices);
+// Get all invoices with pagination and filtering (?format=csv|xlsx or Accept: text/csv exports every matching row)
+router.get('/', authorize('invoices', 'read'), InvoiceController.getAllInvoices);
 
 // Search invoices
-router.get('/search', InvoiceController.searchInvoices);
+router.get('/search', authorize('invoices', 'read'), InvoiceController.searchInvoices);
 
 // Get invoice statistics
-router.get('/stats', InvoiceController.getInvoiceStats);
+router.get('/stats', authorize('invoices', 'read'), InvoiceController.getInvoiceStats);
 
 // Get monthly trends
-router.get('/trends', InvoiceController.getMonthlyTrends);
+router.get('/trends', authorize('invoices', 'read'), InvoiceController.getMonthlyTrends);
 
 // Get overdue invoices
-router.get('/overdue', InvoiceController.getOverdueInvoices);
+router.get('/overdue', authorize('invoices', 'read'), InvoiceController.getOverdueInvoices);
 
 // Get aging report
-router.get('/aging-report', InvoiceController.getAgingReport);
+router.get('/aging-report', authorize('invoices', 'read'), InvoiceController.getAgingReport);
+
+// Get customer statement (?customer= or ?customerId=, from, to, format=json|pdf|html|csv|xlsx)
+router.get('/statement', authorize('invoices', 'read'), InvoiceController.getCustomerStatement);
+
+// Send the invoice reminders due today (body: date, dryRun)
+router.post('/reminders/run', authorize('invoices', 'sendReminders'), InvoiceController.runReminders);
 
 // Generate invoice number
-router.get('/generate-number', InvoiceController.generateInvoiceNumber);
+router.get('/generate-number', authorize('invoices', 'read'), InvoiceController.generateInvoiceNumber);
 
 // Get invoice by ID
-router.get('/:id', InvoiceController.getInvoiceById);
+router.get('/:id', authorize('invoices', 'read'), InvoiceController.getInvoiceById);
+
+// Printable invoice (PDF, or ?format=html to preview the template)
+router.get('/:id/pdf', authorize('invoices', 'read'), InvoiceController.getInvoicePdf);
+
+// Update invoice
+router.put('/:id', authorize('invoices', 'update'), InvoiceController.updateInvoice);
+
+// Delete invoice
+router.delete('/:id', authorize('invoices', 'delete'), InvoiceController.deleteInvoice);
 
-// Update invoice - admin and manager only
-// router.put('/:id', requireRole(['admin', 'manager']), InvoiceController.updateInvoice);
-router.put('/:id', InvoiceController.updateInvoice);  // NO AUTH FOR TESTING
+// Restore soft-deleted invoice
+router.post('/:id/restore', authorize('invoices', 'restore'), InvoiceController.restoreInvoice);
 
-// Delete invoice - admin only
-// router.delete('/:id', requireRole('admin'), InvoiceController.deleteInvoice);
-router.delete('/:id', InvoiceController.deleteInvoice);  // NO AUTH FOR TESTING
+// Mark invoice as paid
+router.patch('/:id/paid', authorize('invoices', 'update'), InvoiceController.markAsPaid);
 
-// Mark invoice as paid - admin and manager only
-// router.patch('/:id/paid', requireRole(['admin', 'manager']), InvoiceController.markAsPaid);
-router.patch('/:id/paid', InvoiceController.markAsPaid);  // NO AUTH FOR TESTING
+// Invoice payments (partial payments allowed)
+router.get('/:id/payments', authorize('invoices', 'read'), InvoiceController.getInvoicePayments);
+router.post('/:id/payments', authorize('invoices', 'update'), InvoiceController.recordPayment);
 
-// Invoice items management - admin and manager only
-// router.post('/:id/items', requireRole(['admin', 'manager']), InvoiceController.addInvoiceItem);
-// router.put('/items/:itemId', requireRole(['admin', 'manager']), InvoiceController.updateInvoiceItem);
-// router.delete('/items/:itemId', requireRole(['admin', 'manager']), InvoiceController.deleteInvoiceItem);
-router.post('/:id/items', InvoiceController.addInvoiceItem);  // NO AUTH FOR TESTING
-router.put('/items/:itemId', InvoiceController.updateInvoiceItem);  // NO AUTH FOR TESTING
-router.delete('/items/:itemId', InvoiceController.deleteInvoiceItem);  // NO AUTH FOR TESTING
+// Invoice items management
+router.post('/:id/items', authorize('invoices', 'update'), InvoiceController.addInvoiceItem);
+router.put('/items/:itemId', authorize('invoices', 'update'), InvoiceController.updateInvoiceItem);
+router.delete('/items/:itemId', authorize('invoices', 'update'), InvoiceController.deleteInvoiceItem);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
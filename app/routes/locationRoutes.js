@@ -0,0 +1,171 @@
+const express = require('express');
+const LocationController = require('../controllers/locationController');
+const { validateLocation } = require('../validators/locationValidator');
+const { authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Locations
+ *   description: Storage locations (gudang and the mill floor) that stock is held at
+ */
+
+/**
+ * @swagger
+ * /api/locations:
+ *   get:
+ *     summary: Get all storage locations
+ *     tags: [Locations]
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Filter by location name
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [warehouse, mill]
+ *       - in: query
+ *         name: includeDeleted
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Include soft-deleted locations
+ *     responses:
+ *       200:
+ *         description: Locations retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Location'
+ *   post:
+ *     summary: Create a new storage location
+ *     tags: [Locations]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Gudang 1
+ *               type:
+ *                 type: string
+ *                 enum: [warehouse, mill]
+ *                 default: warehouse
+ *               address:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Location created successfully
+ *       409:
+ *         description: Location with this name already exists
+ */
+router.get('/', authorize('locations', 'read'), validateLocation('query'), LocationController.getAllLocations);
+router.post('/', authorize('locations', 'create'), validateLocation('create'), LocationController.createLocation);
+
+/**
+ * @swagger
+ * /api/locations/{id}:
+ *   get:
+ *     summary: Get location by ID
+ *     tags: [Locations]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Location retrieved successfully
+ *       404:
+ *         description: Location not found
+ *   put:
+ *     summary: Update location by ID
+ *     tags: [Locations]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Location'
+ *     responses:
+ *       200:
+ *         description: Location updated successfully
+ *       404:
+ *         description: Location not found
+ *   delete:
+ *     summary: Delete location by ID (soft delete)
+ *     description: Only locations without stock can be deleted; transfer remaining stock out first.
+ *     tags: [Locations]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Location deleted successfully
+ *       400:
+ *         description: Location still holds stock
+ *       404:
+ *         description: Location not found
+ */
+router.get('/:id', authorize('locations', 'read'), validateLocation('id'), LocationController.getLocationById);
+
+router.put('/:id',
+  authorize('locations', 'update'),
+  validateLocation('id'),
+  validateLocation('update'),
+  LocationController.updateLocation
+);
+
+router.delete('/:id', authorize('locations', 'delete'), validateLocation('id'), LocationController.deleteLocation);
+
+/**
+ * @swagger
+ * /api/locations/{id}/restore:
+ *   post:
+ *     summary: Restore a soft-deleted location
+ *     tags: [Locations]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Location restored successfully
+ *       400:
+ *         description: Location is not deleted
+ *       404:
+ *         description: Location not found
+ */
+router.post('/:id/restore', authorize('locations', 'restore'), validateLocation('id'), LocationController.restoreLocation);
+
+module.exports = router;
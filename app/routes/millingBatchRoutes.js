@@ -0,0 +1,256 @@
+const express = require('express');
+const MillingBatchController = require('../controllers/millingBatchController');
+const { validateMillingBatch } = require('../validators/millingBatchValidator');
+const { authorize } = require('../middleware/auth');
+const { filterResponseFields } = require('../middleware/fieldFilter');
+
+const router = express.Router();
+
+// Access per role is defined in config/permissions.js (milling)
+router.use(filterResponseFields('milling'));
+
+/**
+ * @swagger
+ * tags:
+ *   name: Milling
+ *   description: Milling batches - paddy from purchases milled into rice and by-products
+ */
+
+/**
+ * @swagger
+ * /api/milling-batches:
+ *   get:
+ *     summary: Get milling batches with pagination and filtering
+ *     tags: [Milling]
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: machine
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: shift
+ *         schema:
+ *           type: string
+ *           enum: [morning, afternoon, night]
+ *       - in: query
+ *         name: productId
+ *         schema:
+ *           type: integer
+ *         description: Batches with an output of this product
+ *       - in: query
+ *         name: locationId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: includeDeleted
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *     responses:
+ *       200:
+ *         description: Milling batches retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/MillingBatch'
+ *   post:
+ *     summary: Record a milling batch
+ *     description: Consumes paddy weight from purchases and records the weight of each product milled from it. Rendement is milled rice output over paddy input.
+ *     tags: [Milling]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [date, inputs, outputs]
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date
+ *               locationId:
+ *                 type: integer
+ *                 description: Where the batch runs; paddy is taken from and output stored at this location (empty for unassigned stock)
+ *               machine:
+ *                 type: string
+ *                 example: Huller 1
+ *               shift:
+ *                 type: string
+ *                 enum: [morning, afternoon, night]
+ *               processingCost:
+ *                 type: number
+ *                 description: Fuel, labor and other milling costs added to the output cost
+ *               notes:
+ *                 type: string
+ *               inputs:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required: [purchaseId, weight]
+ *                   properties:
+ *                     purchaseId:
+ *                       type: integer
+ *                     weight:
+ *                       type: number
+ *                       example: 1000
+ *               outputs:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required: [productId, weight]
+ *                   properties:
+ *                     productId:
+ *                       type: integer
+ *                     weight:
+ *                       type: number
+ *                       example: 620
+ *     responses:
+ *       201:
+ *         description: Milling batch created successfully
+ *       400:
+ *         description: Validation failed, insufficient paddy in a purchase, or output heavier than input
+ */
+router.get('/', authorize('milling', 'read'), validateMillingBatch('query'), MillingBatchController.getAllBatches);
+router.post('/', authorize('milling', 'create'), validateMillingBatch('create'), MillingBatchController.createBatch);
+
+/**
+ * @swagger
+ * /api/milling-batches/inventory:
+ *   get:
+ *     summary: Get milled output still in stock (lots that sales draw from)
+ *     tags: [Milling]
+ *     parameters:
+ *       - in: query
+ *         name: productId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: groupBy
+ *         schema:
+ *           type: string
+ *           enum: [product]
+ *         description: Sum remaining weight per product
+ *     responses:
+ *       200:
+ *         description: Milled output inventory retrieved successfully
+ */
+router.get('/inventory', authorize('milling', 'read'), validateMillingBatch('inventory'), MillingBatchController.getOutputInventory);
+
+/**
+ * @swagger
+ * /api/milling-batches/{id}:
+ *   get:
+ *     summary: Get milling batch by ID with inputs and outputs
+ *     tags: [Milling]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Milling batch retrieved successfully
+ *       404:
+ *         description: Milling batch not found
+ *   put:
+ *     summary: Update milling batch by ID
+ *     description: Inputs and outputs replace the existing lines. Inputs, outputs and processing cost cannot change once output has been sold or adjusted.
+ *     tags: [Milling]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MillingBatch'
+ *     responses:
+ *       200:
+ *         description: Milling batch updated successfully
+ *       400:
+ *         description: Output already sold or adjusted, or invalid inputs/outputs
+ *       404:
+ *         description: Milling batch not found
+ *   delete:
+ *     summary: Delete milling batch by ID (soft delete; its paddy returns to the purchases)
+ *     tags: [Milling]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Milling batch deleted successfully
+ *       400:
+ *         description: Milling batch has sold output
+ *       404:
+ *         description: Milling batch not found
+ */
+router.get('/:id', authorize('milling', 'read'), validateMillingBatch('id'), MillingBatchController.getBatchById);
+
+router.put('/:id',
+  authorize('milling', 'update'),
+  validateMillingBatch('id'),
+  validateMillingBatch('update'),
+  MillingBatchController.updateBatch
+);
+
+router.delete('/:id', authorize('milling', 'delete'), validateMillingBatch('id'), MillingBatchController.deleteBatch);
+
+/**
+ * @swagger
+ * /api/milling-batches/{id}/restore:
+ *   post:
+ *     summary: Restore a soft-deleted milling batch
+ *     tags: [Milling]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Milling batch restored successfully
+ *       400:
+ *         description: Milling batch is not deleted, or its paddy is no longer available
+ *       404:
+ *         description: Milling batch not found
+ */
+router.post('/:id/restore', authorize('milling', 'restore'), validateMillingBatch('id'), MillingBatchController.restoreBatch);
+
+module.exports = router;
@@ -0,0 +1,168 @@
+const express = require('express');
+const ProductController = require('../controllers/productController');
+const { validateProduct } = require('../validators/productValidator');
+const { authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Products
+ *   description: Product catalogue (paddy, milled rice grades and by-products)
+ */
+
+/**
+ * @swagger
+ * /api/products:
+ *   get:
+ *     summary: Get the product catalogue
+ *     tags: [Products]
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Filter by product name
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *           enum: [paddy, milled, by_product]
+ *       - in: query
+ *         name: includeDeleted
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Include soft-deleted products
+ *     responses:
+ *       200:
+ *         description: Products retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Product'
+ *   post:
+ *     summary: Create a new product
+ *     tags: [Products]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, category]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Beras Medium
+ *               category:
+ *                 type: string
+ *                 enum: [paddy, milled, by_product]
+ *               unit:
+ *                 type: string
+ *                 default: kg
+ *               description:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Product created successfully
+ *       409:
+ *         description: Product with this name already exists
+ */
+router.get('/', authorize('products', 'read'), validateProduct('query'), ProductController.getAllProducts);
+router.post('/', authorize('products', 'create'), validateProduct('create'), ProductController.createProduct);
+
+/**
+ * @swagger
+ * /api/products/{id}:
+ *   get:
+ *     summary: Get product by ID
+ *     tags: [Products]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Product retrieved successfully
+ *       404:
+ *         description: Product not found
+ *   put:
+ *     summary: Update product by ID
+ *     tags: [Products]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Product'
+ *     responses:
+ *       200:
+ *         description: Product updated successfully
+ *       404:
+ *         description: Product not found
+ *   delete:
+ *     summary: Delete product by ID (soft delete)
+ *     tags: [Products]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Product deleted successfully
+ *       404:
+ *         description: Product not found
+ */
+router.get('/:id', authorize('products', 'read'), validateProduct('id'), ProductController.getProductById);
+
+router.put('/:id',
+  authorize('products', 'update'),
+  validateProduct('id'),
+  validateProduct('update'),
+  ProductController.updateProduct
+);
+
+router.delete('/:id', authorize('products', 'delete'), validateProduct('id'), ProductController.deleteProduct);
+
+/**
+ * @swagger
+ * /api/products/{id}/restore:
+ *   post:
+ *     summary: Restore a soft-deleted product
+ *     tags: [Products]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Product restored successfully
+ *       400:
+ *         description: Product is not deleted
+ *       404:
+ *         description: Product not found
+ */
+router.post('/:id/restore', authorize('products', 'restore'), validateProduct('id'), ProductController.restoreProduct);
+
+module.exports = router;
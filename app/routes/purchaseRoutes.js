@@ -1,12 +1,14 @@
 const express = require('express');
 const PurchaseController = require('../controllers/purchaseController');
-const { authenticateToken, requireRole } = require('../middleware/auth');
+const { authorize } = require('../middleware/auth');
+const { filterResponseFields } = require('../middleware/fieldFilter');
 const { validatePurchase } = require('../validators/purchaseValidator');
 
 const router = express.Router();
+const csvBody = express.text({ type: ['text/csv', 'application/csv', 'text/plain'], limit: '10mb' });
 
-// All routes require authentication
-// router.use(authenticateToken);  // COMMENTED FOR TESTING
+// Access per role is defined in config/permissions.js (purchases)
+router.use(filterResponseFields('purchases'));
 
 /**
  * @swagger
@@ -43,6 +45,24 @@ const router = express.Router();
  *           type: string
  *           enum: [asc, desc]
  *           default: desc
+ *       - in: query
+ *         name: includeDeleted
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Include soft-deleted purchases
+ *       - in: query
+ *         name: paymentStatus
+ *         schema:
+ *           type: string
+ *           enum: [paid, unpaid, partially_paid, outstanding]
+ *         description: Filter by supplier payment (outstanding = unpaid or partially paid)
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv, xlsx]
+ *         description: Export every matching row as CSV or Excel instead of a JSON page (Accept text/csv works too)
  *     responses:
  *       200:
  *         description: List of purchases retrieved successfully
@@ -98,6 +118,16 @@ const router = express.Router();
  *               labor_cost:
  *                 type: number
  *                 minimum: 0
+ *               moisture_content:
+ *                 type: number
+ *                 minimum: 0
+ *                 maximum: 100
+ *                 description: Moisture (kadar air) in %
+ *               impurity_content:
+ *                 type: number
+ *                 minimum: 0
+ *                 maximum: 100
+ *                 description: Impurity (kotoran) in %
  *     responses:
  *       201:
  *         description: Purchase created successfully
@@ -116,12 +146,53 @@ const router = express.Router();
  *         $ref: '#/components/responses/BadRequest'
  */
 // Get all purchases with pagination and filtering
-router.get('/', PurchaseController.getAllPurchases);
+router.get('/', authorize('purchases', 'read'), PurchaseController.getAllPurchases);
 
 // Create purchase - admin and manager only
-// router.post('/', requireRole(['admin', 'manager']), validatePurchase, PurchaseController.createPurchase);
-// router.post('/', validatePurchase, PurchaseController.createPurchase);  // NO AUTH FOR TESTING
-router.post('/', PurchaseController.createPurchase);  // BYPASS VALIDATOR FOR TESTING
+router.post('/', authorize('purchases', 'create'), validatePurchase('create'), PurchaseController.createPurchase);
+
+/**
+ * @swagger
+ * /api/purchases/import:
+ *   post:
+ *     summary: Import purchases from a CSV ledger
+ *     description: |
+ *       Columns are matched by header (date/tanggal, supplier/supplierId, quantity/qty/karung, weight/berat,
+ *       extraWeight, price/harga, pelletCost, truckCost, laborCost). DD/MM/YYYY dates and ';' separated files
+ *       are accepted. Suppliers must already exist (matched by id or by name, ignoring case). Valid rows are inserted
+ *       in one transaction; invalid rows are reported per line.
+ *     tags: [Purchases]
+ *     parameters:
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *         description: Validate and preview without saving
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               csv:
+ *                 type: string
+ *               mapping:
+ *                 type: object
+ *                 description: 'Explicit CSV header to field overrides, e.g. {"Nama Pemasok": "supplier"}'
+ *     responses:
+ *       200:
+ *         description: Dry-run report
+ *       201:
+ *         description: Import report (imported, errors per row)
+ *       400:
+ *         description: Empty CSV or too many rows
+ */
+// Import purchases from CSV
+router.post('/import', authorize('purchases', 'import'), csvBody, PurchaseController.importPurchases);
 
 /**
  * @swagger
@@ -161,7 +232,7 @@ router.post('/', PurchaseController.createPurchase);  // BYPASS VALIDATOR FOR TE
  *                     $ref: '#/components/schemas/Purchase'
  */
 // Search purchases
-router.get('/search', PurchaseController.searchPurchases);
+router.get('/search', authorize('purchases', 'read'), PurchaseController.searchPurchases);
 
 /**
  * @swagger
@@ -188,15 +259,29 @@ router.get('/search', PurchaseController.searchPurchases);
  *                       type: number
  *                     totalQuantity:
  *                       type: integer
+ *                     totalNetWeight:
+ *                       type: number
+ *                       description: Weight paid for after moisture and impurity deductions
  *                     totalCost:
  *                       type: number
+ *                     averageMoisture:
+ *                       type: number
+ *                       nullable: true
+ *                     averageImpurity:
+ *                       type: number
+ *                       nullable: true
+ *                     bySupplier:
+ *                       type: array
+ *                       description: Net weight and weight-averaged moisture and impurity per supplier
+ *                       items:
+ *                         type: object
  *                     avgCostPerKg:
  *                       type: number
  *                     avgCostPerSack:
  *                       type: number
  */
 // Get purchase statistics
-router.get('/stats', PurchaseController.getPurchaseStats);
+router.get('/stats', authorize('purchases', 'read'), PurchaseController.getPurchaseStats);
 
 /**
  * @swagger
@@ -204,6 +289,12 @@ router.get('/stats', PurchaseController.getPurchaseStats);
  *   get:
  *     summary: Get available inventory from purchases
  *     tags: [Purchases]
+ *     parameters:
+ *       - in: query
+ *         name: locationId
+ *         schema:
+ *           type: integer
+ *         description: Only stock held at this location (remainingWeight is the balance there)
  *     responses:
  *       200:
  *         description: Available inventory retrieved successfully
@@ -233,7 +324,7 @@ router.get('/stats', PurchaseController.getPurchaseStats);
  *                         type: number
  */
 // Get available inventory
-router.get('/inventory', PurchaseController.getAvailableInventory);
+router.get('/inventory', authorize('purchases', 'read'), PurchaseController.getAvailableInventory);
 
 /**
  * @swagger
@@ -266,7 +357,7 @@ router.get('/inventory', PurchaseController.getAvailableInventory);
  *                         type: number
  */
 // Get monthly trends
-router.get('/trends', PurchaseController.getMonthlyTrends);
+router.get('/trends', authorize('purchases', 'read'), PurchaseController.getMonthlyTrends);
 
 /**
  * @swagger
@@ -296,7 +387,7 @@ router.get('/trends', PurchaseController.getMonthlyTrends);
  *                     $ref: '#/components/schemas/Purchase'
  */
 // Get purchases by supplier
-router.get('/supplier/:supplierId', PurchaseController.getPurchasesBySupplier);
+router.get('/supplier/:supplierId', authorize('purchases', 'read'), PurchaseController.getPurchasesBySupplier);
 
 /**
  * @swagger
@@ -362,6 +453,16 @@ router.get('/supplier/:supplierId', PurchaseController.getPurchasesBySupplier);
  *               labor_cost:
  *                 type: number
  *                 minimum: 0
+ *               moisture_content:
+ *                 type: number
+ *                 minimum: 0
+ *                 maximum: 100
+ *                 description: Moisture (kadar air) in %
+ *               impurity_content:
+ *                 type: number
+ *                 minimum: 0
+ *                 maximum: 100
+ *                 description: Impurity (kotoran) in %
  *     responses:
  *       200:
  *         description: Purchase updated successfully
@@ -405,14 +506,35 @@ router.get('/supplier/:supplierId', PurchaseController.getPurchasesBySupplier);
  *         $ref: '#/components/responses/NotFound'
  */
 // Get purchase by ID
-router.get('/:id', PurchaseController.getPurchaseById);
+router.get('/:id', authorize('purchases', 'read'), PurchaseController.getPurchaseById);
 
 // Update purchase - admin and manager only
-// router.put('/:id', requireRole(['admin', 'manager']), PurchaseController.updatePurchase);
-router.put('/:id', PurchaseController.updatePurchase);  // NO AUTH FOR TESTING
+router.put('/:id', authorize('purchases', 'update'), validatePurchase('update'), PurchaseController.updatePurchase);
 
 // Delete purchase - admin only
-// router.delete('/:id', requireRole('admin'), PurchaseController.deletePurchase);
-router.delete('/:id', PurchaseController.deletePurchase);  // NO AUTH FOR TESTING
+router.delete('/:id', authorize('purchases', 'delete'), PurchaseController.deletePurchase);
+
+/**
+ * @swagger
+ * /api/purchases/{id}/restore:
+ *   post:
+ *     summary: Restore a soft-deleted purchase
+ *     tags: [Purchases]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Purchase restored successfully
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+// Restore purchase - admin only
+router.post('/:id/restore', authorize('purchases', 'restore'), PurchaseController.restorePurchase);
 
 module.exports = router;
\ No newline at end of file
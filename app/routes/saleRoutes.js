@@ -1,43 +1,54 @@
 const express = require('express');
 const SaleController = require('../controllers/saleController');
-const { authenticateToken, requireRole } = require('../middleware/auth');
+const { authorize } = require('../middleware/auth');
+const { filterResponseFields } = require('../middleware/fieldFilter');
 
 const router = express.Router();
+const csvBody = express.text({ type: ['text/csv', 'application/csv', 'text/plain'], limit: '10mb' });
 
-// All routes require authentication
-// router.use(authenticateToken);  // COMMENTED FOR TESTING
+// Access per role is defined in config/permissions.js (sales)
+router.use(filterResponseFields('sales'));
 
-// Create sale - admin and manager only
-// router.post('/', requireRole(['admin', 'manager']), SaleController.createSale);
-router.post('/', SaleController.createSale);  // NO AUTH FOR TESTING
+// Create sale
+router.post('/', authorize('sales', 'create'), SaleController.createSale);
 
-// Get all sales with pagination and filtering
-router.get('/', SaleController.getAllSales);
+// Get all sales with pagination and filtering (?format=csv|xlsx or Accept: text/csv exports every matching row)
+router.get('/', authorize('sales', 'read'), SaleController.getAllSales);
 
 // Search sales
-router.get('/search', SaleController.searchSales);
+router.get('/search', authorize('sales', 'read'), SaleController.searchSales);
 
 // Get sale statistics
-router.get('/stats', SaleController.getSaleStats);
+router.get('/stats', authorize('sales', 'read'), SaleController.getSaleStats);
 
 // Get profitability analysis
-router.get('/profitability', SaleController.getProfitabilityAnalysis);
+router.get('/profitability', authorize('sales', 'viewProfit'), SaleController.getProfitabilityAnalysis);
 
 // Get inventory turnover analysis
-router.get('/inventory-turnover', SaleController.getInventoryTurnover);
+router.get('/inventory-turnover', authorize('sales', 'read'), SaleController.getInventoryTurnover);
+
+// Import sales from CSV (raw text/csv or JSON { csv, mapping }; ?dryRun=true to preview)
+router.post('/import', authorize('sales', 'import'), csvBody, SaleController.importSales);
+
+// Invoice several sales of one customer on one invoice
+router.post('/invoice', authorize('invoices', 'create'), SaleController.createInvoiceForSales);
 
 // Get sales by purchase
-router.get('/purchase/:purchaseId', SaleController.getSalesByPurchase);
+router.get('/purchase/:purchaseId', authorize('sales', 'read'), SaleController.getSalesByPurchase);
 
 // Get sale by ID
-router.get('/:id', SaleController.getSaleById);
+router.get('/:id', authorize('sales', 'read'), SaleController.getSaleById);
+
+// Update sale
+router.put('/:id', authorize('sales', 'update'), SaleController.updateSale);
+
+// Delete sale
+router.delete('/:id', authorize('sales', 'delete'), SaleController.deleteSale);
 
-// Update sale - admin and manager only
-// router.put('/:id', requireRole(['admin', 'manager']), SaleController.updateSale);
-router.put('/:id', SaleController.updateSale);  // NO AUTH FOR TESTING
+// Invoice a single sale
+router.post('/:id/invoice', authorize('invoices', 'create'), SaleController.createInvoiceForSale);
 
-// Delete sale - admin only
-// router.delete('/:id', requireRole('admin'), SaleController.deleteSale);
-router.delete('/:id', SaleController.deleteSale);  // NO AUTH FOR TESTING
+// Restore soft-deleted sale
+router.post('/:id/restore', authorize('sales', 'restore'), SaleController.restoreSale);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -1,9 +1,14 @@
 const express = require('express');
 const SupplierController = require('../controllers/supplierController');
 const { validateSupplier } = require('../validators/supplierValidator');
+const { authorize } = require('../middleware/auth');
+const { filterResponseFields } = require('../middleware/fieldFilter');
 
 const router = express.Router();
 
+// Access per role is defined in config/permissions.js (suppliers); operators do not see payables
+router.use(filterResponseFields('suppliers'));
+
 /**
  * @swagger
  * tags:
@@ -41,7 +46,7 @@ const router = express.Router();
  *                       type: integer
  *                       example: 5
  */
-router.get('/stats', SupplierController.getSupplierStats);
+router.get('/stats', authorize('suppliers', 'read'), SupplierController.getSupplierStats);
 
 /**
  * @swagger
@@ -65,7 +70,7 @@ router.get('/stats', SupplierController.getSupplierStats);
  *                   items:
  *                     $ref: '#/components/schemas/Supplier'
  */
-router.get('/active', SupplierController.getActiveSuppliers);
+router.get('/active', authorize('suppliers', 'read'), SupplierController.getActiveSuppliers);
 
 /**
  * @swagger
@@ -97,7 +102,105 @@ router.get('/active', SupplierController.getActiveSuppliers);
  *                   items:
  *                     $ref: '#/components/schemas/Supplier'
  */
-router.get('/search', SupplierController.searchSuppliers);
+router.get('/search', authorize('suppliers', 'read'), SupplierController.searchSuppliers);
+
+/**
+ * @swagger
+ * /api/suppliers/performance:
+ *   get:
+ *     summary: Rank suppliers by performance
+ *     description: >
+ *       One scorecard per supplier with purchases in the period (see /api/suppliers/{id}/performance),
+ *       ranked by sortBy. Price, moisture and impurity rank lowest first unless sortOrder is given;
+ *       suppliers without a value for the sort field come last.
+ *     tags: [Suppliers]
+ *     parameters:
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *           enum: [profitContributed, profitPerKg, totalWeight, averageRendement, averagePricePerKg, averageMoisture, averageImpurity]
+ *           default: profitContributed
+ *       - in: query
+ *         name: sortOrder
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Supplier ranking retrieved successfully
+ */
+router.get('/performance',
+  authorize('suppliers', 'viewPerformance'),
+  validateSupplier('performanceQuery'),
+  SupplierController.getSupplierRanking
+);
+
+/**
+ * @swagger
+ * /api/suppliers/payables/aging:
+ *   get:
+ *     summary: Payables aging report (what the mill owes suppliers, by days overdue)
+ *     description: >
+ *       Unpaid purchases bucketed like the invoice aging report (current, 1-30, 31-60, 61-90, 90+ days
+ *       overdue), with totals per supplier. A purchase is due PAYABLE_TERM_DAYS after its date.
+ *     tags: [Suppliers]
+ *     parameters:
+ *       - in: query
+ *         name: supplierId
+ *         schema:
+ *           type: integer
+ *         description: Only this supplier's purchases
+ *     responses:
+ *       200:
+ *         description: Payables aging report retrieved successfully
+ */
+router.get('/payables/aging',
+  authorize('supplierPayments', 'read'),
+  validateSupplier('agingQuery'),
+  SupplierController.getPayablesAgingReport
+);
+
+/**
+ * @swagger
+ * /api/suppliers/payments/{paymentId}:
+ *   delete:
+ *     summary: Delete a supplier payment
+ *     description: The amounts the payment allocated are taken back off the purchases it paid.
+ *     tags: [Suppliers]
+ *     parameters:
+ *       - in: path
+ *         name: paymentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Supplier payment deleted successfully
+ *       404:
+ *         description: Supplier payment not found
+ */
+router.delete('/payments/:paymentId',
+  authorize('supplierPayments', 'delete'),
+  validateSupplier('paymentId'),
+  SupplierController.deletePayment
+);
 
 /**
  * @swagger
@@ -133,6 +236,18 @@ router.get('/search', SupplierController.searchSuppliers);
  *           enum: [active, inactive, all]
  *           default: all
  *         description: Filter by status
+ *       - in: query
+ *         name: includeDeleted
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Include soft-deleted suppliers
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv, xlsx]
+ *         description: Export every matching row as CSV or Excel instead of a JSON page (Accept text/csv works too)
  *     responses:
  *       200:
  *         description: Suppliers retrieved successfully
@@ -182,16 +297,16 @@ router.get('/search', SupplierController.searchSuppliers);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/', validateSupplier('query'), SupplierController.getAllSuppliers);
-router.post('/', validateSupplier('create'), SupplierController.createSupplier);
+router.get('/', authorize('suppliers', 'read'), validateSupplier('query'), SupplierController.getAllSuppliers);
+router.post('/', authorize('suppliers', 'create'), validateSupplier('create'), SupplierController.createSupplier);
 
 /**
  * @route GET /api/suppliers/:id
- * @desc Get supplier by ID
+ * @desc Get supplier by ID, with its payables summary (totalPayable, totalPaid, outstandingBalance)
  * @access Public
  * @param {number} id - Supplier ID
  */
-router.get('/:id', validateSupplier('id'), SupplierController.getSupplierById);
+router.get('/:id', authorize('suppliers', 'read'), validateSupplier('id'), SupplierController.getSupplierById);
 
 /**
  * @route PUT /api/suppliers/:id
@@ -205,6 +320,7 @@ router.get('/:id', validateSupplier('id'), SupplierController.getSupplierById);
  * @body {string} status - Status: active or inactive (optional)
  */
 router.put('/:id', 
+  authorize('suppliers', 'update'),
   validateSupplier('id'), 
   validateSupplier('update'), 
   SupplierController.updateSupplier
@@ -216,7 +332,191 @@ router.put('/:id',
  * @access Public
  * @param {number} id - Supplier ID
  */
-router.delete('/:id', validateSupplier('id'), SupplierController.deleteSupplier);
+router.delete('/:id', authorize('suppliers', 'delete'), validateSupplier('id'), SupplierController.deleteSupplier);
+
+/**
+ * @route POST /api/suppliers/:id/restore
+ * @desc Restore a soft-deleted supplier
+ * @access Admin
+ * @param {number} id - Supplier ID
+ */
+router.post('/:id/restore', authorize('suppliers', 'restore'), validateSupplier('id'), SupplierController.restoreSupplier);
+
+/**
+ * @swagger
+ * /api/suppliers/{id}/payments:
+ *   get:
+ *     summary: Get the payments made to a supplier
+ *     tags: [Suppliers]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Payments (newest first) and their total
+ *       404:
+ *         description: Supplier not found
+ *   post:
+ *     summary: Record a payment to a supplier
+ *     description: >
+ *       The amount is allocated to the purchases listed in `purchases` first, then to the supplier's
+ *       oldest unpaid purchases. A payment larger than what the supplier is owed is rejected.
+ *     tags: [Suppliers]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SupplierPaymentCreate'
+ *     responses:
+ *       201:
+ *         description: Supplier payment recorded successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/SupplierPayment'
+ *       400:
+ *         description: Validation error, or the payment exceeds what is owed
+ *       404:
+ *         description: Supplier not found
+ */
+router.get('/:id/payments',
+  authorize('supplierPayments', 'read'),
+  validateSupplier('id'),
+  validateSupplier('paymentQuery'),
+  SupplierController.getSupplierPayments
+);
+router.post('/:id/payments',
+  authorize('supplierPayments', 'create'),
+  validateSupplier('id'),
+  validateSupplier('payment'),
+  SupplierController.recordPayment
+);
+
+/**
+ * @swagger
+ * /api/suppliers/{id}/statement:
+ *   get:
+ *     summary: Supplier statement (ledger of purchases, payments and stock adjustments)
+ *     description: >
+ *       Entries in date order with the running payable balance, the opening balance (everything before
+ *       `from`) and closing balance, and totals by weight. Stock adjustments on the supplier's lots are
+ *       listed with their weight and do not change the balance.
+ *     tags: [Suppliers]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: First day of the period (default since the first purchase)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Last day of the period (default today)
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, pdf, html]
+ *           default: json
+ *         description: pdf prints the statement; html previews the template
+ *       - in: query
+ *         name: download
+ *         schema:
+ *           type: boolean
+ *         description: Send the PDF as an attachment instead of inline
+ *     responses:
+ *       200:
+ *         description: Supplier statement
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Supplier not found
+ */
+router.get('/:id/statement',
+  authorize('supplierPayments', 'read'),
+  validateSupplier('id'),
+  validateSupplier('statementQuery'),
+  SupplierController.getSupplierStatement
+);
+
+/**
+ * @swagger
+ * /api/suppliers/{id}/performance:
+ *   get:
+ *     summary: Supplier performance scorecard
+ *     description: >
+ *       Over the supplier's purchases dated in the period: weight delivered (gross, net, deductions),
+ *       average price per kg of net weight, weight-averaged moisture and impurity, and the sales their
+ *       paddy went into, directly or through milling batches (a batch is split between suppliers by
+ *       input weight): traced weight, average rendement and the share of the sales' net profit.
+ *     tags: [Suppliers]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Supplier performance retrieved successfully
+ *       404:
+ *         description: Supplier not found
+ */
+router.get('/:id/performance',
+  authorize('suppliers', 'viewPerformance'),
+  validateSupplier('id'),
+  validateSupplier('performanceQuery'),
+  SupplierController.getSupplierPerformance
+);
 
 /**
  * @route PATCH /api/suppliers/:id/toggle-status
@@ -225,6 +525,7 @@ router.delete('/:id', validateSupplier('id'), SupplierController.deleteSupplier)
  * @param {number} id - Supplier ID
  */
 router.patch('/:id/toggle-status', 
+  authorize('suppliers', 'update'),
   validateSupplier('id'), 
   SupplierController.toggleSupplierStatus
 );
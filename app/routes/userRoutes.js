@@ -1,34 +1,26 @@
 const express = require('express');
 const UserController = require('../controllers/userController');
-const { authenticateToken, requireRole } = require('../middleware/auth');
+const { authenticateToken, authorize } = require('../middleware/auth');
 const { validateUser } = require('../validators/userValidator');
 
 const router = express.Router();
 
-// Public routes
-router.post('/register', validateUser, UserController.register);
+// Public routes (registration is at /api/auth/register)
 router.post('/login', UserController.login);
 
-// Protected routes - require authentication
-// router.get('/profile', authenticateToken, UserController.getProfile);
-// router.put('/profile', authenticateToken, UserController.updateProfile);
-// router.post('/logout', authenticateToken, UserController.logout);
-router.get('/profile', UserController.getProfile);  // NO AUTH FOR TESTING
-router.put('/profile', UserController.updateProfile);  // NO AUTH FOR TESTING
-router.post('/logout', UserController.logout);  // NO AUTH FOR TESTING
+// Protected routes - any authenticated user, acting on their own account
+router.get('/profile', authenticateToken, UserController.getProfile);
+router.put('/profile', authenticateToken, validateUser('update'), UserController.updateProfile);
+router.post('/logout', authenticateToken, UserController.logout);
 
-// Admin only routes
-// router.get('/', authenticateToken, requireRole('admin'), UserController.getAllUsers);
-// router.get('/search', authenticateToken, requireRole('admin'), UserController.searchUsers);
-// router.get('/stats', authenticateToken, requireRole('admin'), UserController.getUserStats);
-// router.get('/:id', authenticateToken, requireRole('admin'), UserController.getUserById);
-// router.delete('/:id', authenticateToken, requireRole('admin'), UserController.deleteUser);
-// router.patch('/:id/role', authenticateToken, requireRole('admin'), UserController.changeUserRole);
-router.get('/', UserController.getAllUsers);  // NO AUTH FOR TESTING
-router.get('/search', UserController.searchUsers);  // NO AUTH FOR TESTING
-router.get('/stats', UserController.getUserStats);  // NO AUTH FOR TESTING
-router.get('/:id', UserController.getUserById);  // NO AUTH FOR TESTING
-router.delete('/:id', UserController.deleteUser);  // NO AUTH FOR TESTING
-router.patch('/:id/role', UserController.changeUserRole);  // NO AUTH FOR TESTING
+// User management - access per role is defined in config/permissions.js (users)
+router.get('/', authorize('users', 'read'), UserController.getAllUsers);
+router.post('/', authorize('users', 'create'), validateUser('create'), UserController.createUser);
+router.get('/search', authorize('users', 'read'), UserController.searchUsers);
+router.get('/stats', authorize('users', 'read'), UserController.getUserStats);
+router.get('/:id', authorize('users', 'read'), UserController.getUserById);
+router.delete('/:id', authorize('users', 'delete'), UserController.deleteUser);
+router.patch('/:id/role', authorize('users', 'update'), UserController.changeUserRole);
+router.post('/:id/revoke-sessions', authorize('users', 'update'), UserController.revokeUserSessions);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,218 @@
+const Purchase = require('../models/purchase');
+const SaleAllocation = require('../models/saleAllocation');
+const MillingBatch = require('../models/millingBatch');
+const MillingBatchInput = require('../models/millingBatchInput');
+const MillingBatchOutput = require('../models/millingBatchOutput');
+const InventoryMovement = require('../models/inventoryMovement');
+const InventoryService = require('./inventoryService');
+const config = require('../../config/environment');
+
+// Fields that change which lots a sale draws from, or how much
+const ALLOCATION_FIELDS = ['quantity', 'weight', 'extraWeight', 'purchaseId', 'productId', 'locationId'];
+
+const round = (value, digits) => Number(value.toFixed(digits));
+
+/**
+ * AllocationService
+ * Draws the weight of a sale from lots that still have stock (sale_allocations)
+ * and prices it with the configured costing method (config.inventory.costing).
+ *
+ * Lots are purchases (paddy bought in) and milling batch outputs (rice and by-products milled from it);
+ * what is left in a lot is its balance in the stock ledger (inventory_movements).
+ * The sale's purchaseId pins a single purchase; otherwise lots of the sale's product
+ * (any lot when the sale has no product), oldest first. Only stock at the sale's location is drawn
+ * (unassigned stock when the sale has no location).
+ */
+class AllocationService {
+  static getCostingMethod() {
+    const method = config.inventory.costing;
+    if (!SaleAllocation.COSTING_METHODS.includes(method)) {
+      throw new Error(`Unknown inventory costing method: ${method}`);
+    }
+    return method;
+  }
+
+  // Lots a sale may draw from, out of lots already loaded (import preview)
+  static lotsFor(lots, sale) {
+    const atLocation = lots.filter(lot => lot.locationId === (sale.locationId || null));
+    if (sale.purchaseId) return atLocation.filter(lot => lot.purchaseId === sale.purchaseId);
+    if (sale.productId) return atLocation.filter(lot => lot.productId === sale.productId);
+    return atLocation;
+  }
+
+  /**
+   * Weight already taken from purchases by sales and by milling batches (deleted ones excluded)
+   * @param {Array<number>} purchaseIds - Purchase IDs
+   * @param {Object} options - { excludeSaleId, excludeBatchId, transaction }
+   * @returns {Promise<Map>} purchaseId -> { soldWeight, milledWeight, saleCount }
+   */
+  static async purchaseUsage(purchaseIds, { excludeSaleId, excludeBatchId, transaction } = {}) {
+    const [sold, milled] = await Promise.all([
+      SaleAllocation.totalsByPurchase(purchaseIds, { excludeSaleId, transaction }),
+      MillingBatchInput.totalsByPurchase(purchaseIds, { excludeBatchId, transaction }),
+    ]);
+    return new Map(purchaseIds.map(id => [id, {
+      soldWeight: sold.has(id) ? sold.get(id).weight : 0,
+      milledWeight: milled.get(id) || 0,
+      saleCount: sold.has(id) ? sold.get(id).saleCount : 0,
+    }]));
+  }
+
+  /**
+   * Load lots with their remaining weight (ledger balance) at each location, oldest first
+   * @param {Object} criteria - { purchaseId, productId, locationId } of the sale (see lotsFor). With locationId
+   *   (null: unassigned stock) every lot has one entry, its balance there; without it, one entry per location it has stock history at.
+   * @param {Object} options - { excludeSaleId, transaction }; rows are locked when a transaction is given.
+   *   excludeSaleId leaves out what that sale took, so it can be drawn again.
+   * @returns {Promise<Array>} Lots: { purchaseId | millingOutputId, productId, locationId, date, totalWeight, remainingWeight, unitCost }
+   */
+  static async loadLots({ purchaseId, productId, locationId } = {}, { excludeSaleId, transaction } = {}) {
+    let purchaseWhere = {};
+    if (purchaseId) purchaseWhere = { id: purchaseId };
+    else if (productId) purchaseWhere = { productId };
+
+    const purchases = await Purchase.findAll({
+      where: purchaseWhere,
+      order: [['date', 'ASC'], ['id', 'ASC']],
+      transaction,
+      lock: transaction ? transaction.LOCK.UPDATE : undefined,
+    });
+    const excludeSource = { sourceType: 'sale', sourceId: excludeSaleId };
+    // [locationId, balance] pairs of a lot: at the requested location, or at every location it has been at
+    const atLocations = (balances) => {
+      if (locationId !== undefined) {
+        const totals = balances ? balances.get(locationId || null) : null;
+        return [[locationId || null, totals ? totals.balance : 0]];
+      }
+      return balances && balances.size
+        ? Array.from(balances.entries()).map(([lotLocationId, totals]) => [lotLocationId, totals.balance])
+        : [[null, 0]];
+    };
+
+    const balances = await InventoryMovement.totalsByLotAndLocation('purchaseId', purchases.map(p => p.id), { excludeSource, transaction });
+    const lots = purchases.flatMap(purchase => {
+      const totalWeight = purchase.calculateTotalWeight();
+      return atLocations(balances.get(purchase.id)).map(([lotLocationId, remainingWeight]) => ({
+        purchaseId: purchase.id,
+        productId: purchase.productId,
+        locationId: lotLocationId,
+        date: purchase.date,
+        totalWeight,
+        remainingWeight,
+        // Landed cost per kg: goods plus truck, labor and pellet costs
+        unitCost: totalWeight > 0 ? (parseFloat(purchase.totalCost) || 0) / totalWeight : 0,
+      }));
+    });
+    if (purchaseId) return lots;
+
+    const outputs = await MillingBatchOutput.findAll({
+      where: productId ? { productId } : {},
+      include: [{ model: MillingBatch, as: 'batch', attributes: ['id', 'date'], required: true }],
+      order: [[{ model: MillingBatch, as: 'batch' }, 'date', 'ASC'], ['id', 'ASC']],
+      transaction,
+      lock: transaction ? { level: transaction.LOCK.UPDATE, of: MillingBatchOutput } : undefined,
+    });
+    const outputBalances = await InventoryMovement.totalsByLotAndLocation('millingOutputId', outputs.map(o => o.id), { excludeSource, transaction });
+    outputs.forEach(output => {
+      const totalWeight = parseFloat(output.weight) || 0;
+      atLocations(outputBalances.get(output.id)).forEach(([lotLocationId, remainingWeight]) => {
+        lots.push({
+          millingOutputId: output.id,
+          batchId: output.batchId,
+          productId: output.productId,
+          locationId: lotLocationId,
+          date: output.batch.date,
+          totalWeight,
+          remainingWeight,
+          unitCost: parseFloat(output.unitCost) || 0,
+        });
+      });
+    });
+
+    // DATEONLY strings sort as dates; the sort is stable, so same-day lots keep their order
+    return lots.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+  }
+
+  /**
+   * Take weight from lots in order, lowering their remainingWeight
+   * @param {Array} lots - Lots from loadLots, oldest first
+   * @param {number} weight - Weight to draw (kg)
+   * @param {string} method - 'fifo' | 'weighted_average'
+   * @returns {Array} Allocations: { purchaseId, millingOutputId, productId, weight, unitCost, cost, costingMethod }
+   */
+  static draw(lots, weight, method = this.getCostingMethod()) {
+    const open = lots.filter(lot => lot.remainingWeight > 0);
+    const available = open.reduce((sum, lot) => sum + lot.remainingWeight, 0);
+    if (round(weight, 2) > round(available, 2)) {
+      throw new Error(`Insufficient inventory. Available: ${available.toFixed(2)}kg, Requested: ${weight.toFixed(2)}kg`);
+    }
+
+    const averageCost = available > 0
+      ? open.reduce((sum, lot) => sum + lot.remainingWeight * lot.unitCost, 0) / available
+      : 0;
+
+    const allocations = [];
+    let needed = weight;
+    for (const lot of open) {
+      if (needed < 0.005) break;
+      const taken = Math.min(lot.remainingWeight, needed);
+      const unitCost = method === 'weighted_average' ? averageCost : lot.unitCost;
+      lot.remainingWeight -= taken;
+      needed -= taken;
+      if (taken < 0.005) continue;
+      allocations.push({
+        purchaseId: lot.purchaseId || null,
+        millingOutputId: lot.millingOutputId || null,
+        productId: lot.productId || null,
+        weight: round(taken, 2),
+        unitCost: round(unitCost, 4),
+        cost: round(taken * unitCost, 2),
+        costingMethod: method,
+      });
+    }
+    return allocations;
+  }
+
+  /**
+   * Plan the allocations for a sale (not yet saved) and keep them on sale.allocations,
+   * where the Sale profit hook picks them up
+   * @param {Object} sale - Sale instance
+   * @param {Object} options - { transaction }
+   * @returns {Promise<Array>} Planned allocations
+   */
+  static async allocate(sale, { transaction } = {}) {
+    const criteria = { purchaseId: sale.purchaseId, productId: sale.productId, locationId: sale.locationId || null };
+    const lots = await this.loadLots(criteria, { excludeSaleId: sale.id, transaction });
+    if (sale.purchaseId && !lots.length) {
+      throw new Error('Purchase not found');
+    }
+    sale.allocations = this.draw(lots, sale.calculateTotalWeight());
+    return sale.allocations;
+  }
+
+  /**
+   * Save a sale, drawing its weight from lots when it is new or its weight/lot changed,
+   * and post what it takes to the stock ledger
+   * @param {Object} sale - Sale instance with pending changes
+   * @param {Object} options - { transaction, reallocate } (reallocate forces a new draw, e.g. on restore)
+   * @returns {Promise<Object>} Saved sale
+   */
+  static async saveSale(sale, { transaction, reallocate = false } = {}) {
+    const needsAllocation = reallocate || sale.isNewRecord || ALLOCATION_FIELDS.some(field => sale.changed(field));
+    if (!needsAllocation) {
+      return sale.save({ transaction });
+    }
+
+    await this.allocate(sale, { transaction });
+    await sale.save({ transaction });
+    await SaleAllocation.destroy({ where: { saleId: sale.id }, transaction });
+    await SaleAllocation.bulkCreate(
+      sale.allocations.map(allocation => ({ ...allocation, saleId: sale.id })),
+      { transaction }
+    );
+    await InventoryService.postSale(sale, sale.allocations, { transaction });
+    return sale;
+  }
+}
+
+module.exports = AllocationService;
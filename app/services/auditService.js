@@ -0,0 +1,76 @@
+const AuditLog = require('../models/auditLog');
+const { Op } = require('sequelize');
+
+class AuditService {
+  /**
+   * Get audit log entries with pagination and filtering
+   * @param {Object} options - Query options (entityType, entityId, userId, action, startDate, endDate)
+   * @returns {Promise<Object>} Audit entries with pagination
+   */
+  static async getAuditLogs(options = {}) {
+    try {
+      const {
+        page = 1,
+        limit = 20,
+        entityType,
+        entityId,
+        userId,
+        action,
+        startDate,
+        endDate,
+        sortOrder = 'DESC',
+      } = options;
+
+      const where = {};
+      if (entityType) {
+        // Entity types match regardless of case (entity=sale)
+        const match = AuditLog.ENTITY_TYPES.find(type => type.toLowerCase() === String(entityType).toLowerCase());
+        if (!match) {
+          throw new Error(`Invalid entity type: ${entityType}. Use one of: ${AuditLog.ENTITY_TYPES.join(', ')}`);
+        }
+        where.entityType = match;
+      }
+      if (entityId) where.entityId = parseInt(entityId);
+      if (userId) where.userId = parseInt(userId);
+      if (action) {
+        if (!AuditLog.ACTIONS.includes(action)) {
+          throw new Error(`Invalid action: ${action}. Use one of: ${AuditLog.ACTIONS.join(', ')}`);
+        }
+        where.action = action;
+      }
+      if (startDate || endDate) {
+        where.created_at = {};
+        if (startDate) where.created_at[Op.gte] = new Date(startDate);
+        if (endDate) {
+          // Include the whole end day when only a date is given
+          const end = new Date(endDate);
+          if (/^\d{4}-\d{2}-\d{2}$/.test(endDate)) end.setUTCHours(23, 59, 59, 999);
+          where.created_at[Op.lte] = end;
+        }
+      }
+
+      const offset = (page - 1) * limit;
+      const { count, rows } = await AuditLog.findAndCountAll({
+        where,
+        order: [['created_at', sortOrder.toUpperCase() === 'ASC' ? 'ASC' : 'DESC']],
+        limit: parseInt(limit),
+        offset,
+      });
+
+      return {
+        logs: rows,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(count / limit),
+          totalItems: count,
+          itemsPerPage: parseInt(limit),
+        },
+      };
+    } catch (error) {
+      console.error('Error getting audit logs:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = AuditService;
@@ -0,0 +1,284 @@
+const Customer = require('../models/customer');
+const { Op } = require('sequelize');
+const ExportService = require('./exportService');
+
+class CustomerService {
+  /**
+   * Create a new customer
+   * @param {Object} customerData - The customer data
+   * @returns {Promise<Object>} Created customer
+   */
+  static async createCustomer(customerData) {
+    try {
+      const name = Customer.normalizeName(customerData.name);
+      // Names are compared ignoring case and whitespace so the same shop is not entered twice
+      const existingCustomer = await Customer.findByExactName(name);
+
+      if (existingCustomer) {
+        throw new Error('Customer with this name already exists');
+      }
+
+      const customer = await Customer.create({ ...customerData, name });
+      return customer;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Build the where/order options shared by the listing and the export
+   * @param {Object} options - Query options
+   * @returns {Object} findAll options
+   */
+  static _buildListQuery(options = {}) {
+    const {
+      search = '',
+      status = 'all',
+      includeDeleted,
+    } = options;
+
+    const whereClause = {};
+
+    if (search) {
+      whereClause[Op.or] = [
+        {
+          name: {
+            [Op.iLike]: `%${search}%`,
+          },
+        },
+        {
+          contact_person: {
+            [Op.iLike]: `%${search}%`,
+          },
+        },
+        {
+          phone: {
+            [Op.iLike]: `%${search}%`,
+          },
+        },
+      ];
+    }
+
+    if (status !== 'all') {
+      whereClause.status = status;
+    }
+
+    return {
+      where: whereClause,
+      order: [['name', 'ASC']],
+      paranoid: !(includeDeleted === true || includeDeleted === 'true'),
+    };
+  }
+
+  /**
+   * Get all customers with pagination and filtering
+   * @param {Object} options - Query options
+   * @returns {Promise<Object>} Customers with pagination info
+   */
+  static async getAllCustomers(options = {}) {
+    try {
+      const {
+        page = 1,
+        limit = 10,
+      } = options;
+
+      const offset = (page - 1) * limit;
+
+      const { count, rows: customers } = await Customer.findAndCountAll({
+        ...this._buildListQuery(options),
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+      });
+
+      const totalPages = Math.ceil(count / limit);
+
+      return {
+        customers,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalItems: count,
+          itemsPerPage: parseInt(limit),
+          hasNextPage: page < totalPages,
+          hasPreviousPage: page > 1,
+        },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Every customer matching the listing filters (no pagination), in batches
+   * @param {Object} options - Query options
+   * @returns {AsyncGenerator<Array>} Batches of customers
+   */
+  static exportCustomers(options = {}) {
+    return ExportService.findInBatches(Customer, this._buildListQuery(options));
+  }
+
+  /**
+   * Get customer by ID
+   * @param {number} id - Customer ID
+   * @returns {Promise<Object>} Customer data
+   */
+  static async getCustomerById(id) {
+    try {
+      const customer = await Customer.findByPk(id);
+
+      if (!customer) {
+        throw new Error('Customer not found');
+      }
+
+      return customer;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Check that a customer referenced by a sale exists
+   * @param {number|null} customerId - Customer ID (empty values are allowed)
+   * @returns {Promise<Object|null>} Customer, or null when no customer was given
+   */
+  static async assertCustomerExists(customerId) {
+    if (customerId === undefined || customerId === null || customerId === '') return null;
+    const customer = await Customer.findByPk(customerId);
+    if (!customer) {
+      throw new Error('Customer not found');
+    }
+    return customer;
+  }
+
+  /**
+   * Resolve the customer of an invoice: customerId wins and sets the name; a name alone is linked
+   * to the customer of that name when there is one, otherwise it stays a free-text customer
+   * @param {Object} data - { customerId, customer }
+   * @returns {Promise<Object>} { customerId, customer } to store on the invoice
+   */
+  static async resolveCustomer({ customerId, customer } = {}) {
+    if (customerId) {
+      const found = await Customer.findByPk(customerId);
+      if (!found) {
+        throw new Error('Customer not found');
+      }
+      return { customerId: found.id, customer: found.name };
+    }
+    if (customer) {
+      const found = await Customer.findByExactName(customer);
+      return found
+        ? { customerId: found.id, customer: found.name }
+        : { customerId: null, customer: Customer.normalizeName(customer) };
+    }
+    return { customerId: null, customer };
+  }
+
+  /**
+   * Update customer by ID
+   * @param {number} id - Customer ID
+   * @param {Object} updateData - Data to update
+   * @returns {Promise<Object>} Updated customer
+   */
+  static async updateCustomer(id, updateData) {
+    try {
+      const customer = await Customer.findByPk(id);
+
+      if (!customer) {
+        throw new Error('Customer not found');
+      }
+
+      const data = { ...updateData };
+      if (data.name) {
+        data.name = Customer.normalizeName(data.name);
+        const existingCustomer = await Customer.findByExactName(data.name);
+        if (existingCustomer && existingCustomer.id !== customer.id) {
+          throw new Error('Customer with this name already exists');
+        }
+      }
+
+      await customer.update(data);
+      return customer;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Delete customer by ID (soft delete; existing invoices and sales keep their customer link)
+   * @param {number} id - Customer ID
+   * @returns {Promise<boolean>} Success status
+   */
+  static async deleteCustomer(id) {
+    try {
+      const customer = await Customer.findByPk(id);
+
+      if (!customer) {
+        throw new Error('Customer not found');
+      }
+
+      await customer.destroy();
+      return true;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Restore a soft-deleted customer
+   * @param {number} id - Customer ID
+   * @returns {Promise<Object>} Restored customer
+   */
+  static async restoreCustomer(id) {
+    try {
+      const customer = await Customer.findByPk(id, { paranoid: false });
+
+      if (!customer) {
+        throw new Error('Customer not found');
+      }
+      if (!customer.deleted_at) {
+        throw new Error('Customer is not deleted');
+      }
+
+      await customer.restore();
+      return customer;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get active customers only
+   * @returns {Promise<Array>} Active customers
+   */
+  static async getActiveCustomers() {
+    try {
+      return await Customer.findActiveCustomers();
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Toggle customer status
+   * @param {number} id - Customer ID
+   * @returns {Promise<Object>} Updated customer
+   */
+  static async toggleCustomerStatus(id) {
+    try {
+      const customer = await Customer.findByPk(id);
+
+      if (!customer) {
+        throw new Error('Customer not found');
+      }
+
+      const newStatus = customer.status === 'active' ? 'inactive' : 'active';
+      await customer.update({ status: newStatus });
+
+      return customer;
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = CustomerService;
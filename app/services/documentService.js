@@ -0,0 +1,154 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../../config/environment');
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const lookup = (context, key) => {
+  if (key === '.') return context;
+  return key.split('.').reduce((value, part) => (value == null ? undefined : value[part]), context);
+};
+
+const isEmpty = (value) => value == null || value === false || value === '' || (Array.isArray(value) && value.length === 0);
+
+/**
+ * DocumentService
+ * Renders HTML templates (a small mustache subset) and prints them to PDF with puppeteer.
+ *
+ * Template syntax:
+ *   {{key}} / {{a.b}}     escaped value
+ *   {{{key}}}             raw value
+ *   {{#key}}...{{/key}}   repeat for each array item, or render once if truthy
+ *   {{^key}}...{{/key}}   render if falsy / empty
+ */
+class DocumentService {
+  static _render(template, context) {
+    const sections = /\{\{([#^])\s*([\w.]+)\s*\}\}([\s\S]*?)\{\{\/\s*\2\s*\}\}/g;
+    const withSections = template.replace(sections, (match, type, key, inner) => {
+      const value = lookup(context, key);
+      if (type === '^') return isEmpty(value) ? this._render(inner, context) : '';
+      if (isEmpty(value)) return '';
+      if (Array.isArray(value)) {
+        return value.map(item => this._render(inner, typeof item === 'object' ? { ...context, ...item } : { ...context, '.': item })).join('');
+      }
+      return this._render(inner, typeof value === 'object' ? { ...context, ...value } : context);
+    });
+
+    return withSections
+      .replace(/\{\{\{\s*([\w.]+)\s*\}\}\}/g, (match, key) => {
+        const value = lookup(context, key);
+        return value == null ? '' : String(value);
+      })
+      .replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, key) => {
+        const value = lookup(context, key);
+        return value == null ? '' : escapeHtml(value);
+      });
+  }
+
+  /**
+   * Resolve a template file, preferring DOCUMENT_TEMPLATE_DIR over the built-in templates
+   * @param {string} name - Template file name (e.g. 'invoice.html')
+   * @returns {string} Absolute template path
+   */
+  static resolveTemplate(name) {
+    const { templateDir, defaultTemplateDir } = config.documents;
+    if (templateDir) {
+      const custom = path.join(templateDir, name);
+      if (fs.existsSync(custom)) return custom;
+    }
+    const builtIn = path.join(defaultTemplateDir, name);
+    if (!fs.existsSync(builtIn)) {
+      throw new Error(`Document template not found: ${name}`);
+    }
+    return builtIn;
+  }
+
+  /**
+   * Render an HTML template with data
+   * @param {string} name - Template file name
+   * @param {Object} data - Template data
+   * @returns {Promise<string>} Rendered HTML
+   */
+  static async renderTemplate(name, data) {
+    const template = await fs.promises.readFile(this.resolveTemplate(name), 'utf8');
+    return this._render(template, data);
+  }
+
+  /**
+   * Print HTML to an A4 PDF
+   * @param {string} html - Full HTML document
+   * @returns {Promise<Buffer>} PDF bytes
+   */
+  static async htmlToPdf(html) {
+    // Loaded lazily: puppeteer is heavy and only needed when a document is printed
+    const puppeteer = require('puppeteer');
+    const browser = await puppeteer.launch({
+      headless: true,
+      args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage'],
+    });
+    try {
+      const page = await browser.newPage();
+      await page.setContent(html, { waitUntil: 'load' });
+      const pdf = await page.pdf({
+        format: 'A4',
+        printBackground: true,
+        margin: { top: '15mm', right: '12mm', bottom: '15mm', left: '12mm' },
+      });
+      return Buffer.from(pdf);
+    } finally {
+      await browser.close();
+    }
+  }
+
+  /**
+   * Render a template straight to PDF
+   * @param {string} name - Template file name
+   * @param {Object} data - Template data
+   * @returns {Promise<Buffer>} PDF bytes
+   */
+  static async renderPdf(name, data) {
+    const html = await this.renderTemplate(name, data);
+    return this.htmlToPdf(html);
+  }
+
+  /**
+   * Format a number as money using the configured locale/currency
+   * @param {number|string} value - Amount
+   * @returns {string} Formatted amount
+   */
+  static formatMoney(value) {
+    const { locale, currency } = config.documents;
+    return new Intl.NumberFormat(locale, { style: 'currency', currency }).format(parseFloat(value) || 0);
+  }
+
+  /**
+   * Format a quantity (whole numbers without decimals, weights with up to 2)
+   * @param {number|string} value - Quantity
+   * @returns {string} Formatted quantity
+   */
+  static formatNumber(value) {
+    return new Intl.NumberFormat(config.documents.locale, { maximumFractionDigits: 2 }).format(parseFloat(value) || 0);
+  }
+
+  /**
+   * Format a date (or YYYY-MM-DD string) for documents
+   * @param {Date|string} value - Date
+   * @returns {string} Formatted date
+   */
+  static formatDate(value) {
+    if (!value) return '';
+    return new Intl.DateTimeFormat(config.documents.locale, {
+      day: '2-digit',
+      month: 'long',
+      year: 'numeric',
+      timeZone: 'UTC',
+    }).format(new Date(value));
+  }
+}
+
+module.exports = DocumentService;
@@ -0,0 +1,246 @@
+const { createObjectCsvStringifier } = require('csv-writer');
+const ExcelJS = require('exceljs');
+const { getRestrictedFields } = require('../../config/permissions');
+
+const EXPORT_BATCH_SIZE = 500;
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+};
+
+const num = value => (value === null || value === undefined || value === '' ? null : parseFloat(value));
+const day = value => (value ? String(value instanceof Date ? value.toISOString() : value).slice(0, 10) : null);
+
+// Export columns per resource. Keys match the JSON field names so restrictedFields applies to them too.
+const COLUMNS = {
+  purchases: [
+    { key: 'id', header: 'ID' },
+    { key: 'date', header: 'Date', value: r => day(r.date) },
+    { key: 'supplierId', header: 'Supplier ID' },
+    { key: 'supplier', header: 'Supplier', value: r => (r.supplierData && r.supplierData.name) || r.supplier },
+    { key: 'product', header: 'Product', value: r => (r.productData ? r.productData.name : null) },
+    { key: 'location', header: 'Location', value: r => (r.locationData ? r.locationData.name : null) },
+    { key: 'quantity', header: 'Quantity (sacks)', value: r => num(r.quantity) },
+    { key: 'weight', header: 'Weight per sack (kg)', value: r => num(r.weight) },
+    { key: 'extraWeight', header: 'Extra weight (kg)', value: r => num(r.extraWeight) },
+    { key: 'totalWeight', header: 'Total weight (kg)', value: r => (num(r.quantity) || 0) * (num(r.weight) || 0) + (num(r.extraWeight) || 0) },
+    { key: 'moistureContent', header: 'Moisture (%)', value: r => num(r.moistureContent) },
+    { key: 'impurityContent', header: 'Impurity (%)', value: r => num(r.impurityContent) },
+    { key: 'deductionWeight', header: 'Deduction (kg)', value: r => num(r.deductionWeight) },
+    { key: 'netWeight', header: 'Net weight (kg)', value: r => num(r.netWeight) },
+    { key: 'price', header: 'Price per kg', value: r => num(r.price) },
+    { key: 'pelletCost', header: 'Pellet cost', value: r => num(r.pelletCost) },
+    { key: 'truckCost', header: 'Truck cost', value: r => num(r.truckCost) },
+    { key: 'laborCost', header: 'Labor cost', value: r => num(r.laborCost) },
+    { key: 'totalCost', header: 'Total cost', value: r => num(r.totalCost) },
+    { key: 'paidAmount', header: 'Paid to supplier', value: r => num(r.paidAmount) },
+    { key: 'paymentStatus', header: 'Payment status' },
+  ],
+  sales: [
+    { key: 'id', header: 'ID' },
+    { key: 'date', header: 'Date', value: r => day(r.date) },
+    { key: 'purchaseId', header: 'Purchase ID' },
+    { key: 'supplier', header: 'Supplier', value: r => (r.purchaseData && (r.purchaseData.supplierData ? r.purchaseData.supplierData.name : r.purchaseData.supplier)) || null },
+    { key: 'customer', header: 'Customer', value: r => (r.customerData ? r.customerData.name : null) },
+    { key: 'product', header: 'Product', value: r => (r.productData ? r.productData.name : null) },
+    { key: 'location', header: 'Location', value: r => (r.locationData ? r.locationData.name : null) },
+    { key: 'quantity', header: 'Quantity (sacks)', value: r => num(r.quantity) },
+    { key: 'weight', header: 'Weight per sack (kg)', value: r => num(r.weight) },
+    { key: 'extraWeight', header: 'Extra weight (kg)', value: r => num(r.extraWeight) },
+    { key: 'totalWeight', header: 'Total weight (kg)', value: r => num(r.totalWeight) },
+    { key: 'price', header: 'Price per kg', value: r => num(r.price) },
+    { key: 'revenue', header: 'Revenue', value: r => num(r.revenue) },
+    { key: 'pellet', header: 'Pellet cost', value: r => num(r.pellet) },
+    { key: 'fuel', header: 'Fuel cost', value: r => num(r.fuel) },
+    { key: 'labor', header: 'Labor cost', value: r => num(r.labor) },
+    { key: 'netProfit', header: 'Net profit', value: r => num(r.netProfit) },
+  ],
+  invoices: [
+    { key: 'id', header: 'ID' },
+    { key: 'invoiceNumber', header: 'Invoice number' },
+    { key: 'date', header: 'Date', value: r => day(r.date) },
+    { key: 'dueDate', header: 'Due date', value: r => day(r.dueDate) },
+    { key: 'customerId', header: 'Customer ID' },
+    { key: 'customer', header: 'Customer' },
+    { key: 'amount', header: 'Amount', value: r => num(r.amount) },
+    { key: 'paidAmount', header: 'Paid', value: r => num(r.paidAmount) },
+    { key: 'outstandingBalance', header: 'Outstanding', value: r => num(r.outstandingBalance) },
+    { key: 'status', header: 'Status' },
+    { key: 'itemCount', header: 'Items', value: r => (r.items ? r.items.length : null) },
+  ],
+  customerStatement: [
+    { key: 'date', header: 'Date', value: r => day(r.date) },
+    { key: 'type', header: 'Type' },
+    { key: 'reference', header: 'Reference' },
+    { key: 'description', header: 'Description' },
+    { key: 'charge', header: 'Invoiced', value: r => num(r.charge) },
+    { key: 'payment', header: 'Paid', value: r => num(r.payment) },
+    { key: 'balance', header: 'Balance', value: r => num(r.balance) },
+  ],
+  customers: [
+    { key: 'id', header: 'ID' },
+    { key: 'name', header: 'Name' },
+    { key: 'contactPerson', header: 'Contact person' },
+    { key: 'phone', header: 'Phone' },
+    { key: 'email', header: 'Email' },
+    { key: 'address', header: 'Address' },
+    { key: 'creditLimit', header: 'Credit limit', value: r => num(r.creditLimit) },
+    { key: 'status', header: 'Status' },
+    { key: 'created_at', header: 'Created at' },
+  ],
+  suppliers: [
+    { key: 'id', header: 'ID' },
+    { key: 'name', header: 'Name' },
+    { key: 'contactPerson', header: 'Contact person' },
+    { key: 'phone', header: 'Phone' },
+    { key: 'address', header: 'Address' },
+    { key: 'status', header: 'Status' },
+    { key: 'created_at', header: 'Created at' },
+  ],
+};
+
+/**
+ * ExportService
+ * Streams listing endpoints as CSV or XLSX. Rows are read in batches so a full export never
+ * loads the whole table, and columns hidden from the caller's role are left out.
+ */
+class ExportService {
+  /**
+   * Requested export format from ?format=csv|xlsx or the Accept header
+   * @param {Object} req - Express request object
+   * @returns {string|null} 'csv', 'xlsx' or null for the normal JSON response
+   */
+  static getFormat(req) {
+    const format = String(req.query.format || '').toLowerCase();
+    if (format) return FORMATS[format] ? format : null;
+
+    const accept = req.get('Accept') || '';
+    if (accept.includes('text/csv')) return 'csv';
+    if (accept.includes(FORMATS.xlsx.contentType)) return 'xlsx';
+    return null;
+  }
+
+  /**
+   * Read every row matching a query, batch by batch
+   * @param {Object} Model - Sequelize model
+   * @param {Object} query - findAll options (where, include, order, paranoid)
+   * @param {number} batchSize - Rows per batch
+   */
+  static async *findInBatches(Model, query, batchSize = EXPORT_BATCH_SIZE) {
+    // id as tie-breaker keeps offset paging stable when the sort column has duplicates
+    const order = [...(query.order || []), ['id', 'ASC']];
+    for (let offset = 0; ; offset += batchSize) {
+      const rows = await Model.findAll({ ...query, order, limit: batchSize, offset });
+      if (rows.length) yield rows;
+      if (rows.length < batchSize) return;
+    }
+  }
+
+  static getColumns(resource, role) {
+    const restricted = getRestrictedFields(role, resource);
+    return COLUMNS[resource].filter(column => !restricted.includes(column.key));
+  }
+
+  static _toRecord(row, columns) {
+    const source = row && typeof row.toJSON === 'function' ? row.toJSON() : row;
+    return columns.reduce((record, column) => {
+      const value = column.value ? column.value(source) : source[column.key];
+      record[column.key] = value === undefined ? null : value;
+      return record;
+    }, {});
+  }
+
+  /**
+   * Stream batches of rows to the response. Stops reading batches when the client disconnects.
+   * @param {Object} res - Express response object
+   * @param {Object} options - { format, resource, role, filename, batches }
+   *   batches: async iterable yielding arrays of model instances or plain objects
+   */
+  static async send(res, { format, resource, role, filename, batches }) {
+    const columns = this.getColumns(resource, role);
+    const { contentType, extension } = FORMATS[format];
+
+    // A closed or failed response never drains: stop waiting and stop querying
+    let closed = false;
+    const onClose = () => { closed = true; };
+    res.on('close', onClose);
+    res.on('error', onClose);
+    const drained = () => new Promise(resolve => {
+      const done = () => {
+        res.off('drain', done);
+        res.off('close', done);
+        res.off('error', done);
+        resolve();
+      };
+      res.on('drain', done);
+      res.on('close', done);
+      res.on('error', done);
+    });
+
+    try {
+      res.status(200);
+      res.setHeader('Content-Type', contentType);
+      const stamp = new Date().toISOString().slice(0, 10);
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}-${stamp}.${extension}"`);
+
+      if (format === 'csv') {
+        const stringifier = createObjectCsvStringifier({
+          header: columns.map(column => ({ id: column.key, title: column.header })),
+        });
+        // BOM so Excel opens the file as UTF-8
+        res.write('\uFEFF' + stringifier.getHeaderString());
+        for await (const rows of batches) {
+          const ok = res.write(stringifier.stringifyRecords(rows.map(row => this._toRecord(row, columns))));
+          if (!ok && !closed) await drained();
+          // Leaving the loop ends the batches generator, so no further pages are queried
+          if (closed) break;
+        }
+        if (!closed) res.end();
+        return;
+      }
+
+      const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+      const sheet = workbook.addWorksheet(resource);
+      sheet.columns = columns.map(column => ({ header: column.header, key: column.key, width: Math.max(12, column.header.length + 2) }));
+      sheet.getRow(1).font = { bold: true };
+      sheet.getRow(1).commit();
+      for await (const rows of batches) {
+        rows.forEach(row => sheet.addRow(this._toRecord(row, columns)).commit());
+        if (closed) break;
+      }
+      if (closed) return;
+      sheet.commit();
+      await workbook.commit();
+    } finally {
+      res.off('close', onClose);
+      res.off('error', onClose);
+    }
+  }
+
+  /**
+   * Stream an export, or report the failure: as JSON when nothing was sent yet,
+   * otherwise by aborting the half-written download
+   * @param {Object} res - Express response object
+   * @param {Object} options - See send()
+   */
+  static async respond(res, options) {
+    try {
+      await this.send(res, options);
+    } catch (error) {
+      console.error(`Error exporting ${options.resource}:`, error);
+      if (res.headersSent) {
+        res.destroy(error);
+        return;
+      }
+      res.status(500).json({
+        success: false,
+        message: `Failed to export ${options.resource}`,
+      });
+    }
+  }
+}
+
+ExportService.FORMATS = FORMATS;
+
+module.exports = ExportService;
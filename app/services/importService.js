@@ -0,0 +1,317 @@
+const { Readable } = require('stream');
+const csv = require('csv-parser');
+const { Op } = require('sequelize');
+const { sequelize } = require('../../config/db');
+const Purchase = require('../models/purchase');
+const Sale = require('../models/sale');
+const Supplier = require('../models/supplier');
+const Product = require('../models/product');
+const Location = require('../models/location');
+const { purchaseSchemas } = require('../validators/purchaseValidator');
+const { validateSaleCreate } = require('../validators/saleValidator');
+const AllocationService = require('./allocationService');
+const InventoryService = require('./inventoryService');
+
+const MAX_IMPORT_ROWS = 5000;
+
+// Accepted column headers (compared lowercased, without spaces/underscores/dashes) -> model field
+const PURCHASE_COLUMNS = {
+  date: 'date',
+  tanggal: 'date',
+  supplierid: 'supplierId',
+  supplier: 'supplier',
+  suppliername: 'supplier',
+  pemasok: 'supplier',
+  productid: 'productId',
+  locationid: 'locationId',
+  quantity: 'quantity',
+  qty: 'quantity',
+  karung: 'quantity',
+  weight: 'weight',
+  berat: 'weight',
+  extraweight: 'extraWeight',
+  price: 'price',
+  harga: 'price',
+  pelletcost: 'pelletCost',
+  truckcost: 'truckCost',
+  laborcost: 'laborCost',
+  moisturecontent: 'moistureContent',
+  moisture: 'moistureContent',
+  kadarair: 'moistureContent',
+  impuritycontent: 'impurityContent',
+  impurity: 'impurityContent',
+  kotoran: 'impurityContent',
+  netweight: null, // recalculated by the model
+  totalcost: null, // recalculated by the model
+};
+
+const SALE_COLUMNS = {
+  date: 'date',
+  tanggal: 'date',
+  purchaseid: 'purchaseId',
+  productid: 'productId',
+  locationid: 'locationId',
+  quantity: 'quantity',
+  qty: 'quantity',
+  karung: 'quantity',
+  weight: 'weight',
+  berat: 'weight',
+  extraweight: 'extraWeight',
+  price: 'price',
+  harga: 'price',
+  pellet: 'pellet',
+  pelletcost: 'pellet',
+  fuel: 'fuel',
+  fuelcost: 'fuel',
+  labor: 'labor',
+  laborcost: 'labor',
+  netprofit: null, // recalculated by the model
+};
+
+const normalizeHeader = header => String(header).toLowerCase().replace(/[\s_\-.]/g, '');
+
+// DD/MM/YYYY (spreadsheet exports) -> YYYY-MM-DD; anything else is left for Joi to judge
+const normalizeDate = (value) => {
+  const match = /^(\d{1,2})[/.](\d{1,2})[/.](\d{4})$/.exec(value);
+  if (!match) return value;
+  return `${match[3]}-${match[2].padStart(2, '0')}-${match[1].padStart(2, '0')}`;
+};
+
+const formatDate = (value) => (value instanceof Date ? value.toISOString().slice(0, 10) : value);
+
+const joiErrors = error => error.details.map(detail => ({
+  field: detail.path.join('.') || null,
+  message: detail.message,
+}));
+
+/**
+ * ImportService
+ * CSV import of historical purchase and sale ledgers.
+ * Rows are mapped to model fields, validated with the create schemas, and all valid rows are
+ * inserted in one transaction. dryRun validates and previews without writing.
+ */
+class ImportService {
+  /**
+   * Parse CSV text into objects keyed by model field
+   * @param {string} text - CSV content (first line is the header)
+   * @param {Object} columns - Header alias map
+   * @param {Object} mapping - Optional explicit { "CSV header": "modelField" } overrides
+   * @returns {Promise<Object>} { rows, ignoredColumns }
+   */
+  static async parseCsv(text, columns, mapping = {}) {
+    const content = String(text || '').replace(/^\uFEFF/, '');
+    if (!content.trim()) {
+      throw new Error('CSV content is empty');
+    }
+
+    // Spreadsheets with a comma decimal separator export ';'-separated files
+    const headerLine = content.split(/\r?\n/, 1)[0];
+    const separator = (headerLine.match(/;/g) || []).length > (headerLine.match(/,/g) || []).length ? ';' : ',';
+
+    const explicit = {};
+    Object.entries(mapping || {}).forEach(([header, field]) => {
+      explicit[normalizeHeader(header)] = field;
+    });
+    const allowedFields = new Set(Object.values(columns).filter(Boolean));
+    const ignoredColumns = [];
+
+    const rows = await new Promise((resolve, reject) => {
+      const parsed = [];
+      Readable.from([content])
+        .pipe(csv({
+          separator,
+          mapHeaders: ({ header }) => {
+            const key = normalizeHeader(header);
+            const field = key in explicit ? explicit[key] : columns[key];
+            if (!field || !allowedFields.has(field)) {
+              if (header.trim()) ignoredColumns.push(header.trim());
+              return null;
+            }
+            return field;
+          },
+          mapValues: ({ value }) => value.trim(),
+        }))
+        .on('data', row => parsed.push(row))
+        .on('error', reject)
+        .on('end', () => resolve(parsed));
+    });
+
+    if (rows.length > MAX_IMPORT_ROWS) {
+      throw new Error(`CSV has ${rows.length} rows; the import limit is ${MAX_IMPORT_ROWS}`);
+    }
+
+    // Blank cells fall back to schema defaults
+    const cleaned = rows.map(row => {
+      const out = {};
+      Object.entries(row).forEach(([field, value]) => {
+        if (value === '') return;
+        out[field] = field === 'date' ? normalizeDate(value) : value;
+      });
+      return out;
+    });
+
+    return { rows: cleaned, ignoredColumns };
+  }
+
+  // Ids of the products referenced by the rows that exist in the catalogue
+  static async _knownProductIds(rows) {
+    const ids = [...new Set(rows.map(r => parseInt(r.productId)).filter(Boolean))];
+    if (!ids.length) return new Set();
+    const products = await Product.findAll({ where: { id: ids }, attributes: ['id'] });
+    return new Set(products.map(p => p.id));
+  }
+
+  // Ids of the storage locations referenced by the rows that exist (and are not deleted)
+  static async _knownLocationIds(rows) {
+    const ids = [...new Set(rows.map(r => parseInt(r.locationId)).filter(Boolean))];
+    if (!ids.length) return new Set();
+    const locations = await Location.findAll({ where: { id: ids }, attributes: ['id'] });
+    return new Set(locations.map(l => l.id));
+  }
+
+  static _summary(parsedRows, results, ignoredColumns, dryRun) {
+    const valid = results.filter(r => !r.errors);
+    const invalid = results.filter(r => r.errors);
+    return {
+      dryRun,
+      totalRows: parsedRows.length,
+      validRows: valid.length,
+      invalidRows: invalid.length,
+      imported: 0,
+      ignoredColumns,
+      errors: invalid.map(r => ({ row: r.row, errors: r.errors })),
+      preview: dryRun ? valid.map(r => ({ row: r.row, ...r.value })) : undefined,
+    };
+  }
+
+  /**
+   * Import purchases from CSV
+   * @param {string} text - CSV content
+   * @param {Object} options - { dryRun, mapping }
+   * @returns {Promise<Object>} Import report
+   */
+  static async importPurchases(text, { dryRun = false, mapping } = {}) {
+    try {
+      const { rows, ignoredColumns } = await this.parseCsv(text, PURCHASE_COLUMNS, mapping);
+
+      // Resolve suppliers referenced by id or by exact name (soft-deleted suppliers are rejected)
+      const supplierIds = [...new Set(rows.map(r => parseInt(r.supplierId)).filter(Boolean))];
+      const supplierNames = [...new Set(rows.filter(r => !r.supplierId && r.supplier).map(r => r.supplier.toLowerCase()))];
+      const suppliers = supplierIds.length || supplierNames.length
+        ? await Supplier.findAll({
+          where: {
+            [Op.or]: [
+              { id: supplierIds },
+              sequelize.where(sequelize.fn('LOWER', sequelize.col('name')), { [Op.in]: supplierNames }),
+            ],
+          },
+        })
+        : [];
+      const byId = new Map(suppliers.map(s => [s.id, s]));
+      const byName = new Map(suppliers.map(s => [s.name.toLowerCase(), s]));
+      const productIds = await this._knownProductIds(rows);
+      const locationIds = await this._knownLocationIds(rows);
+
+      const results = rows.map((row, index) => {
+        const line = index + 2; // header is line 1
+        const { error, value } = purchaseSchemas.create.validate(row, { abortEarly: false, stripUnknown: true });
+        if (error) return { row: line, errors: joiErrors(error) };
+        if (value.productId && !productIds.has(value.productId)) {
+          return { row: line, errors: [{ field: 'productId', message: 'Product not found' }] };
+        }
+        if (value.locationId && !locationIds.has(value.locationId)) {
+          return { row: line, errors: [{ field: 'locationId', message: 'Location not found' }] };
+        }
+
+        if (value.supplierId) {
+          const supplier = byId.get(value.supplierId);
+          if (!supplier) return { row: line, errors: [{ field: 'supplierId', message: 'Supplier not found' }] };
+          if (!value.supplier) value.supplier = supplier.name;
+        } else if (value.supplier) {
+          // A misspelt name would otherwise import as a purchase no supplier's payables or statement include
+          const supplier = byName.get(value.supplier.toLowerCase());
+          if (!supplier) return { row: line, errors: [{ field: 'supplier', message: 'Supplier not found' }] };
+          value.supplierId = supplier.id;
+          value.supplier = supplier.name;
+        }
+
+        return { row: line, value: { ...value, date: formatDate(value.date) } };
+      });
+
+      const report = this._summary(rows, results, ignoredColumns, dryRun);
+      if (dryRun || report.validRows === 0) return report;
+
+      await sequelize.transaction(async (transaction) => {
+        for (const result of results.filter(r => !r.errors)) {
+          const purchase = await Purchase.create(result.value, { transaction });
+          await InventoryService.postPurchase(purchase, { transaction });
+        }
+      });
+      report.imported = report.validRows;
+      return report;
+    } catch (error) {
+      console.error('Error importing purchases:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Import sales from CSV
+   * @param {string} text - CSV content
+   * @param {Object} options - { dryRun, mapping }
+   * @returns {Promise<Object>} Import report
+   */
+  static async importSales(text, { dryRun = false, mapping } = {}) {
+    try {
+      const { rows, ignoredColumns } = await this.parseCsv(text, SALE_COLUMNS, mapping);
+
+      // Every lot with its remaining weight; rows are drawn from it the same way saved sales are
+      const lots = rows.length ? await AllocationService.loadLots() : [];
+      const purchaseIds = new Set(lots.map(lot => lot.purchaseId));
+      const costingMethod = AllocationService.getCostingMethod();
+      const productIds = await this._knownProductIds(rows);
+      const locationIds = await this._knownLocationIds(rows);
+
+      // Rows are checked in file order, so earlier rows use up stock before later ones
+      const results = rows.map((row, index) => {
+        const line = index + 2;
+        const { error, value } = validateSaleCreate(row);
+        if (error) return { row: line, errors: joiErrors(error) };
+        if (value.productId && !productIds.has(value.productId)) {
+          return { row: line, errors: [{ field: 'productId', message: 'Product not found' }] };
+        }
+        if (value.locationId && !locationIds.has(value.locationId)) {
+          return { row: line, errors: [{ field: 'locationId', message: 'Location not found' }] };
+        }
+
+        if (value.purchaseId && !purchaseIds.has(value.purchaseId)) {
+          return { row: line, errors: [{ field: 'purchaseId', message: 'Purchase not found' }] };
+        }
+        const requested = value.quantity * value.weight + (value.extraWeight || 0);
+        try {
+          AllocationService.draw(AllocationService.lotsFor(lots, value), requested, costingMethod);
+        } catch (error) {
+          return { row: line, errors: [{ field: 'weight', message: error.message }] };
+        }
+
+        return { row: line, value: { ...value, date: formatDate(value.date) } };
+      });
+
+      const report = this._summary(rows, results, ignoredColumns, dryRun);
+      if (dryRun || report.validRows === 0) return report;
+
+      await sequelize.transaction(async (transaction) => {
+        for (const result of results.filter(r => !r.errors)) {
+          await AllocationService.saveSale(Sale.build(result.value), { transaction });
+        }
+      });
+      report.imported = report.validRows;
+      return report;
+    } catch (error) {
+      console.error('Error importing sales:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = ImportService;
@@ -0,0 +1,496 @@
+const InventoryMovement = require('../models/inventoryMovement');
+const Purchase = require('../models/purchase');
+const Product = require('../models/product');
+const MillingBatch = require('../models/millingBatch');
+const MillingBatchOutput = require('../models/millingBatchOutput');
+const Location = require('../models/location');
+const StockTransfer = require('../models/stockTransfer');
+const LocationService = require('./locationService');
+const { Op } = require('sequelize');
+const { sequelize } = require('../../config/db');
+const { getCurrentUser } = require('../middleware/requestContext');
+
+const round = (value, digits) => Number(value.toFixed(digits));
+
+// A lot's stock at one location (null: unassigned)
+const lotKey = (row) => `${row.purchaseId ? `purchase:${row.purchaseId}` : `output:${row.millingOutputId}`}@${row.locationId || ''}`;
+
+const locationInclude = (as = 'locationData') => ({ model: Location, as, attributes: Location.SUMMARY_ATTRIBUTES, paranoid: false });
+
+/**
+ * InventoryService
+ * Posts purchases, sales, milling batches, manual adjustments and transfers between locations to the
+ * stock ledger (inventory_movements) and reads lot balances and movement history from it.
+ * Every row is at a location (null: unassigned stock), so a lot's stock can be spread over locations.
+ */
+class InventoryService {
+  /**
+   * Bring what a document has posted in line with its current lines, appending only the difference.
+   * Posting [] reverses everything the document posted (e.g. when it is deleted).
+   * @param {string} sourceType - 'purchase' | 'sale' | 'milling_batch'
+   * @param {number} sourceId - Document ID
+   * @param {Array} lines - [{ purchaseId | millingOutputId, productId, locationId, weight }] with signed weights
+   * @param {Object} options - { date, transaction }
+   * @returns {Promise<Array>} Movements appended
+   */
+  static async postSource(sourceType, sourceId, lines, { date, transaction } = {}) {
+    const posted = await InventoryMovement.findAll({
+      where: { sourceType, sourceId },
+      attributes: [
+        'purchaseId',
+        'millingOutputId',
+        'productId',
+        'locationId',
+        [sequelize.fn('SUM', sequelize.col('weight')), 'weight'],
+      ],
+      group: ['purchase_id', 'milling_output_id', 'product_id', 'location_id'],
+      raw: true,
+      transaction,
+    });
+
+    const lots = new Map();
+    posted.forEach(row => {
+      const lot = lots.get(lotKey(row)) || { ...row, posted: 0, wanted: 0 };
+      lot.posted += parseFloat(row.weight) || 0;
+      lots.set(lotKey(row), lot);
+    });
+    lines.forEach(line => {
+      const lot = lots.get(lotKey(line)) || { posted: 0, wanted: 0 };
+      lots.set(lotKey(line), {
+        ...lot,
+        purchaseId: line.purchaseId || null,
+        millingOutputId: line.millingOutputId || null,
+        locationId: line.locationId || null,
+        productId: line.productId || lot.productId || null,
+        wanted: lot.wanted + parseFloat(line.weight),
+      });
+    });
+
+    const user = getCurrentUser();
+    const movements = [];
+    lots.forEach(lot => {
+      const weight = round(lot.wanted - lot.posted, 2);
+      if (Math.abs(weight) < 0.01) return;
+      movements.push({
+        date,
+        type: weight > 0 ? 'in' : 'out',
+        purchaseId: lot.purchaseId || null,
+        millingOutputId: lot.millingOutputId || null,
+        productId: lot.productId || null,
+        locationId: lot.locationId || null,
+        weight,
+        sourceType,
+        sourceId,
+        userId: user ? user.id : null,
+      });
+    });
+
+    if (!movements.length) return [];
+    return InventoryMovement.bulkCreate(movements, { transaction });
+  }
+
+  // A purchase brings its total weight into its own lot at its location; a deleted one takes it out again
+  static postPurchase(purchase, { transaction } = {}) {
+    const lines = purchase.isSoftDeleted() ? [] : [{
+      purchaseId: purchase.id,
+      productId: purchase.productId,
+      locationId: purchase.locationId,
+      weight: purchase.calculateTotalWeight(),
+    }];
+    return this.postSource('purchase', purchase.id, lines, { date: purchase.date, transaction });
+  }
+
+  // A sale takes the weight of each allocation from its lot, at the location it ships from
+  static postSale(sale, allocations, { transaction } = {}) {
+    const lines = allocations.map(allocation => ({
+      purchaseId: allocation.purchaseId,
+      millingOutputId: allocation.millingOutputId,
+      productId: allocation.productId,
+      locationId: sale.locationId,
+      weight: -parseFloat(allocation.weight),
+    }));
+    return this.postSource('sale', sale.id, lines, { date: sale.date, transaction });
+  }
+
+  // A milling batch takes paddy from its input purchases and brings its outputs in as new lots, both at its location
+  static postMillingBatch(batch, inputs, outputs, { transaction } = {}) {
+    const lines = [
+      ...inputs.map(input => ({
+        purchaseId: input.purchaseId,
+        productId: input.productId,
+        locationId: batch.locationId,
+        weight: -parseFloat(input.weight),
+      })),
+      ...outputs.map(output => ({
+        millingOutputId: output.id,
+        productId: output.productId,
+        locationId: batch.locationId,
+        weight: parseFloat(output.weight),
+      })),
+    ];
+    return this.postSource('milling_batch', batch.id, lines, { date: batch.date, transaction });
+  }
+
+  /**
+   * Current balance of every lot (purchases and outputs of batches that are not deleted) per location, oldest first
+   * @param {Object} options - { productId, locationId, lotType: 'purchase' | 'milling_output', includeEmpty, groupBy: 'product' | 'location' }
+   * @returns {Promise<Array>} Lot balances at each location (inWeight, outWeight, adjustedWeight, transferredWeight, balance),
+   *   or sums per product or per location when grouped
+   */
+  static async getBalances(options = {}) {
+    try {
+      const { productId, locationId, lotType, includeEmpty, groupBy } = options;
+      const productWhere = productId ? { productId } : {};
+      const productInclude = { model: Product, as: 'productData', attributes: Product.SUMMARY_ATTRIBUTES, paranoid: false };
+
+      const purchases = lotType === 'milling_output' ? [] : await Purchase.findAll({
+        where: productWhere,
+        attributes: ['id', 'date', 'supplier', 'productId'],
+        include: [productInclude],
+        order: [['date', 'ASC'], ['id', 'ASC']],
+      });
+      const outputs = lotType === 'purchase' ? [] : await MillingBatchOutput.findAll({
+        where: productWhere,
+        include: [
+          { model: MillingBatch, as: 'batch', attributes: ['id', 'date', 'machine', 'shift'], required: true },
+          productInclude,
+        ],
+        order: [[{ model: MillingBatch, as: 'batch' }, 'date', 'ASC'], ['id', 'ASC']],
+      });
+      const [purchaseTotals, outputTotals, locations] = await Promise.all([
+        InventoryMovement.totalsByLotAndLocation('purchaseId', purchases.map(p => p.id)),
+        InventoryMovement.totalsByLotAndLocation('millingOutputId', outputs.map(o => o.id)),
+        Location.findAll({ attributes: Location.SUMMARY_ATTRIBUTES, paranoid: false }),
+      ]);
+      const locationById = new Map(locations.map(location => [location.id, location]));
+
+      // One entry per location the lot has stock history at
+      const atLocations = (totals, lot) => Array.from((totals || new Map()).entries())
+        .filter(([lotLocationId]) => !locationId || lotLocationId === parseInt(locationId))
+        .map(([lotLocationId, lotTotals]) => ({
+          ...lot,
+          locationId: lotLocationId,
+          locationData: lotLocationId ? locationById.get(lotLocationId) || null : null,
+          inWeight: lotTotals.inWeight,
+          outWeight: lotTotals.outWeight,
+          adjustedWeight: lotTotals.adjustedWeight,
+          transferredWeight: lotTotals.transferredWeight,
+          balance: lotTotals.balance,
+        }));
+
+      const lots = [
+        ...purchases.flatMap(purchase => atLocations(purchaseTotals.get(purchase.id), {
+          lotType: 'purchase',
+          purchaseId: purchase.id,
+          millingOutputId: null,
+          date: purchase.date,
+          supplier: purchase.supplier,
+          productId: purchase.productId || null,
+          productData: purchase.productData || null,
+        })),
+        ...outputs.flatMap(output => atLocations(outputTotals.get(output.id), {
+          lotType: 'milling_output',
+          purchaseId: null,
+          millingOutputId: output.id,
+          batchId: output.batchId,
+          date: output.batch.date,
+          productId: output.productId,
+          productData: output.productData || null,
+        })),
+      ]
+        .filter(lot => includeEmpty === true || includeEmpty === 'true' || lot.balance > 0)
+        .sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+
+      if (groupBy !== 'product' && groupBy !== 'location') {
+        return lots;
+      }
+
+      const groups = new Map();
+      lots.forEach(lot => {
+        const key = (groupBy === 'product' ? lot.productId : lot.locationId) || null;
+        const group = groups.get(key) || (groupBy === 'product'
+          ? {
+            productId: key,
+            productName: lot.productData ? lot.productData.name : null,
+            unit: lot.productData ? lot.productData.unit : null,
+          }
+          : {
+            locationId: key,
+            locationName: lot.locationData ? lot.locationData.name : null,
+            locationType: lot.locationData ? lot.locationData.type : null,
+          });
+        group.lotCount = (group.lotCount || 0) + 1;
+        group.inWeight = round((group.inWeight || 0) + lot.inWeight, 2);
+        group.outWeight = round((group.outWeight || 0) + lot.outWeight, 2);
+        group.adjustedWeight = round((group.adjustedWeight || 0) + lot.adjustedWeight, 2);
+        group.transferredWeight = round((group.transferredWeight || 0) + lot.transferredWeight, 2);
+        group.balance = round((group.balance || 0) + lot.balance, 2);
+        groups.set(key, group);
+      });
+      return Array.from(groups.values());
+    } catch (error) {
+      console.error('Error getting inventory balances:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Movement history with pagination and filtering, newest first
+   * @param {Object} options - { page, limit, purchaseId, millingOutputId, productId, locationId, type, sourceType, startDate, endDate }
+   * @returns {Promise<Object>} Movements with pagination
+   */
+  static async getMovements(options = {}) {
+    try {
+      const {
+        page = 1,
+        limit = 20,
+        purchaseId,
+        millingOutputId,
+        productId,
+        locationId,
+        type,
+        sourceType,
+        startDate,
+        endDate,
+      } = options;
+      const offset = (page - 1) * limit;
+
+      const where = {};
+      if (purchaseId) where.purchaseId = purchaseId;
+      if (millingOutputId) where.millingOutputId = millingOutputId;
+      if (productId) where.productId = productId;
+      if (locationId) where.locationId = locationId;
+      if (type) where.type = type;
+      if (sourceType) where.sourceType = sourceType;
+      if (startDate || endDate) {
+        where.date = {};
+        if (startDate) where.date[Op.gte] = new Date(startDate);
+        if (endDate) where.date[Op.lte] = new Date(endDate);
+      }
+
+      const { count, rows } = await InventoryMovement.findAndCountAll({
+        where,
+        include: [
+          { model: Product, as: 'productData', attributes: Product.SUMMARY_ATTRIBUTES, paranoid: false },
+          locationInclude(),
+        ],
+        order: [['date', 'DESC'], ['id', 'DESC']],
+        limit: parseInt(limit),
+        offset,
+      });
+
+      return {
+        movements: rows,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(count / limit),
+          totalItems: count,
+          itemsPerPage: parseInt(limit),
+        },
+      };
+    } catch (error) {
+      console.error('Error getting inventory movements:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a manual adjustment of one lot at one location: a signed weight, or a counted weight for a stock count
+   * @param {Object} data - { date, purchaseId | millingOutputId, locationId (omit for unassigned stock), reason, weight | countedWeight, notes }
+   * @returns {Promise<Object>} Adjustment movement with the lot's new balance at that location
+   */
+  static async createAdjustment(data) {
+    try {
+      const { purchaseId, millingOutputId, countedWeight, ...info } = data;
+      const locationId = info.locationId || null;
+      await LocationService.assertLocationExists(locationId);
+
+      return await sequelize.transaction(async (transaction) => {
+        const lot = purchaseId
+          ? await Purchase.findByPk(purchaseId, { transaction, lock: transaction.LOCK.UPDATE })
+          : await MillingBatchOutput.findByPk(millingOutputId, {
+            include: [{ model: MillingBatch, as: 'batch', attributes: ['id'], required: true }],
+            transaction,
+            lock: { level: transaction.LOCK.UPDATE, of: MillingBatchOutput },
+          });
+        if (!lot) {
+          throw new Error(purchaseId ? 'Purchase not found' : 'Milling output not found');
+        }
+
+        const totals = purchaseId
+          ? await InventoryMovement.totalsByPurchase([lot.id], { locationId, transaction })
+          : await InventoryMovement.totalsByOutput([lot.id], { locationId, transaction });
+        const balance = totals.has(lot.id) ? totals.get(lot.id).balance : 0;
+
+        const weight = round(countedWeight !== undefined ? countedWeight - balance : info.weight, 2);
+        if (weight === 0) {
+          throw new Error('Adjustment does not change the stock');
+        }
+        if (round(balance + weight, 2) < 0) {
+          throw new Error(`Adjustment would make stock negative. Available: ${balance.toFixed(2)}kg, Adjustment: ${weight.toFixed(2)}kg`);
+        }
+
+        const user = getCurrentUser();
+        const movement = await InventoryMovement.create({
+          ...info,
+          date: info.date || new Date(),
+          type: 'adjust',
+          purchaseId: purchaseId || null,
+          millingOutputId: millingOutputId || null,
+          productId: lot.productId || null,
+          locationId,
+          weight,
+          sourceType: 'adjustment',
+          sourceId: null,
+          userId: user ? user.id : null,
+        }, { transaction });
+
+        return { ...movement.toJSON(), balance: round(balance + weight, 2) };
+      });
+    } catch (error) {
+      console.error('Error creating inventory adjustment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Move stock of one lot from one location to another (from unassigned stock when fromLocationId is omitted)
+   * @param {Object} data - { date, purchaseId | millingOutputId, fromLocationId, toLocationId, weight, notes }
+   * @returns {Promise<Object>} Transfer with the lot's new balances at both locations
+   */
+  static async createTransfer(data) {
+    try {
+      const { purchaseId, millingOutputId, weight, notes } = data;
+      const fromLocationId = data.fromLocationId || null;
+      const toLocationId = data.toLocationId;
+      if (fromLocationId === toLocationId) {
+        throw new Error('Transfer must be between two different locations');
+      }
+      await LocationService.assertLocationExists(fromLocationId);
+      await LocationService.assertLocationExists(toLocationId);
+
+      return await sequelize.transaction(async (transaction) => {
+        const lot = purchaseId
+          ? await Purchase.findByPk(purchaseId, { transaction, lock: transaction.LOCK.UPDATE })
+          : await MillingBatchOutput.findByPk(millingOutputId, {
+            include: [{ model: MillingBatch, as: 'batch', attributes: ['id'], required: true }],
+            transaction,
+            lock: { level: transaction.LOCK.UPDATE, of: MillingBatchOutput },
+          });
+        if (!lot) {
+          throw new Error(purchaseId ? 'Purchase not found' : 'Milling output not found');
+        }
+
+        const lotField = purchaseId ? 'purchaseId' : 'millingOutputId';
+        const totals = await InventoryMovement.totalsByLotAndLocation(lotField, [lot.id], { transaction });
+        const atLocation = (id) => {
+          const lotTotals = totals.has(lot.id) ? totals.get(lot.id).get(id) : null;
+          return lotTotals ? lotTotals.balance : 0;
+        };
+        const available = atLocation(fromLocationId);
+        if (round(weight, 2) > round(available, 2)) {
+          throw new Error(`Insufficient stock at the source location. Available: ${available.toFixed(2)}kg, Requested: ${weight.toFixed(2)}kg`);
+        }
+
+        const user = getCurrentUser();
+        const transfer = await StockTransfer.create({
+          date: data.date || new Date(),
+          purchaseId: purchaseId || null,
+          millingOutputId: millingOutputId || null,
+          productId: lot.productId || null,
+          fromLocationId,
+          toLocationId,
+          weight: round(weight, 2),
+          userId: user ? user.id : null,
+          notes: notes || null,
+        }, { transaction });
+
+        const row = {
+          date: transfer.date,
+          type: 'transfer',
+          purchaseId: transfer.purchaseId,
+          millingOutputId: transfer.millingOutputId,
+          productId: transfer.productId,
+          sourceType: 'transfer',
+          sourceId: transfer.id,
+          userId: transfer.userId,
+          notes: transfer.notes,
+        };
+        await InventoryMovement.bulkCreate([
+          { ...row, locationId: fromLocationId, weight: -round(weight, 2) },
+          { ...row, locationId: toLocationId, weight: round(weight, 2) },
+        ], { transaction });
+
+        return {
+          ...transfer.toJSON(),
+          fromBalance: round(available - weight, 2),
+          toBalance: round(atLocation(toLocationId) + weight, 2),
+        };
+      });
+    } catch (error) {
+      console.error('Error creating stock transfer:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Transfers between locations with pagination and filtering, newest first
+   * @param {Object} options - { page, limit, purchaseId, millingOutputId, productId, locationId (either side), startDate, endDate }
+   * @returns {Promise<Object>} Transfers with pagination
+   */
+  static async getTransfers(options = {}) {
+    try {
+      const {
+        page = 1,
+        limit = 20,
+        purchaseId,
+        millingOutputId,
+        productId,
+        locationId,
+        startDate,
+        endDate,
+      } = options;
+      const offset = (page - 1) * limit;
+
+      const where = {};
+      if (purchaseId) where.purchaseId = purchaseId;
+      if (millingOutputId) where.millingOutputId = millingOutputId;
+      if (productId) where.productId = productId;
+      if (locationId) {
+        where[Op.or] = [{ fromLocationId: locationId }, { toLocationId: locationId }];
+      }
+      if (startDate || endDate) {
+        where.date = {};
+        if (startDate) where.date[Op.gte] = new Date(startDate);
+        if (endDate) where.date[Op.lte] = new Date(endDate);
+      }
+
+      const { count, rows } = await StockTransfer.findAndCountAll({
+        where,
+        include: [
+          { model: Product, as: 'productData', attributes: Product.SUMMARY_ATTRIBUTES, paranoid: false },
+          locationInclude('fromLocation'),
+          locationInclude('toLocation'),
+        ],
+        order: [['date', 'DESC'], ['id', 'DESC']],
+        limit: parseInt(limit),
+        offset,
+      });
+
+      return {
+        transfers: rows,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(count / limit),
+          totalItems: count,
+          itemsPerPage: parseInt(limit),
+        },
+      };
+    } catch (error) {
+      console.error('Error getting stock transfers:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = InventoryService;
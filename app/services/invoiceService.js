@@ -1,37 +1,221 @@
 const Invoice = require('../models/invoice');
 const InvoiceItem = require('../models/invoiceItem');
+const InvoicePayment = require('../models/invoicePayment');
+const InvoiceReminder = require('../models/invoiceReminder');
+const Product = require('../models/product');
+const Customer = require('../models/customer');
+const Sale = require('../models/sale');
 const { Op } = require('sequelize');
+const { sequelize } = require('../../config/db');
+const config = require('../../config/environment');
+const DocumentService = require('./documentService');
+const NumberingService = require('./numberingService');
+const ExportService = require('./exportService');
+const ProductService = require('./productService');
+const CustomerService = require('./customerService');
+const { getCurrentUser } = require('../middleware/requestContext');
+const { getAllowedRoles } = require('../../config/permissions');
 // moment not required; using native Date
 
+const INVOICE_NUMBER_ASSIGNED = 'Invoice numbers are assigned from the invoice numbering series and cannot be set or changed';
+
 class InvoiceService {
+  // Status follows payments: re-derive it whenever amount or paidAmount changes
+  static async _syncPaymentStatus(invoice, options = {}) {
+    const status = Invoice.deriveStatus(invoice.amount, invoice.paidAmount);
+    if (status !== invoice.status) {
+      await invoice.update({ status }, options);
+    }
+    return invoice;
+  }
+
+  // Sum of an invoice's item totals
+  static async _sumItems(invoiceId, options = {}) {
+    const sumRows = await InvoiceItem.findAll({
+      where: { invoiceId },
+      attributes: [[InvoiceItem.sequelize.fn('SUM', InvoiceItem.sequelize.col('total')), 'total']],
+      raw: true,
+      transaction: options.transaction,
+    });
+    return parseFloat(sumRows[0].total) || 0;
+  }
+
+  // Payments already recorded must stay covered: an invoice cannot be reduced below its paid amount
+  static _assertAmountCoversPayments(invoice) {
+    const amount = parseFloat(invoice.amount) || 0;
+    const paid = parseFloat(invoice.paidAmount) || 0;
+    if (amount < paid) {
+      throw new Error(`Invoice amount cannot be below the amount already paid. Paid: ${paid.toFixed(2)}, New amount: ${amount.toFixed(2)}`);
+    }
+  }
+
+  // Check an item's product and default its name to the product name.
+  // Sale links are only set by createInvoiceFromSales, which checks the sale is not invoiced yet.
+  static async _prepareItem(item, { keepSaleLink = false } = {}) {
+    const { saleId, ...rest } = item;
+    const prepared = keepSaleLink ? item : rest;
+    const product = await ProductService.assertProductExists(item.productId);
+    if (product && !item.name) {
+      return { ...prepared, name: product.name };
+    }
+    return prepared;
+  }
+
+  // Lock the sales and make sure none of them is already on a live invoice
+  static async _assertSalesNotInvoiced(saleIds, { transaction, exceptInvoiceId } = {}) {
+    if (!saleIds.length) return;
+    await Sale.findAll({ where: { id: saleIds }, attributes: ['id'], lock: transaction.LOCK.UPDATE, transaction });
+    const invoiced = await InvoiceItem.findInvoicedSales(saleIds, { transaction });
+    for (const [saleId, invoice] of invoiced) {
+      if (invoice.id !== exceptInvoiceId) {
+        throw new Error(`Sale ${saleId} is already invoiced on ${invoice.invoiceNumber}`);
+      }
+    }
+  }
+
+  static _customerInclude() {
+    return { model: Customer, as: 'customerData', attributes: Customer.SUMMARY_ATTRIBUTES, paranoid: false };
+  }
+
+  // Invoices with at least one item of the given product
+  static _productFilter(productId) {
+    return {
+      [Op.in]: sequelize.literal(`(SELECT invoice_id FROM invoice_items WHERE product_id = ${parseInt(productId)})`),
+    };
+  }
+
+  /**
+   * Credit check for a new invoice: the customer's unpaid balance plus the new amount must stay within
+   * their credit limit, and none of their invoices may be more than CREDIT_OVERDUE_BLOCK_DAYS overdue.
+   * Within a transaction the customer row is locked first, so concurrent invoices for the same customer
+   * are checked one after the other instead of each seeing the balance without the other.
+   * @param {Object} customer - { customerId, customer } as stored on the invoice
+   * @param {number} amount - Amount of the new invoice
+   * @param {Object} options - { transaction, exceptInvoiceId: invoice left out of the balance (the one being updated) }
+   * @returns {Promise<Object>} Customer exposure, credit limit and the checks that failed (violations)
+   */
+  static async checkCredit({ customerId = null, customer = null } = {}, amount = 0, options = {}) {
+    const { transaction } = options;
+    const record = customerId
+      ? await Customer.findByPk(customerId, { transaction, lock: transaction ? transaction.LOCK.UPDATE : undefined })
+      : null;
+    const exposure = await Invoice.getCustomerExposure({ customerId, customer }, options);
+    const creditLimit = record && record.creditLimit !== null ? parseFloat(record.creditLimit) : null;
+    const newBalance = Math.round((exposure.outstandingBalance + (parseFloat(amount) || 0)) * 100) / 100;
+    const { overdueBlockDays } = config.credit;
+
+    const violations = [];
+    if (creditLimit !== null && newBalance > creditLimit) {
+      violations.push(`outstanding balance ${exposure.outstandingBalance.toFixed(2)} plus this invoice would be ${newBalance.toFixed(2)}, above the credit limit of ${creditLimit.toFixed(2)}`);
+    }
+    if (overdueBlockDays > 0 && exposure.maxDaysOverdue > overdueBlockDays) {
+      violations.push(`an invoice is ${exposure.maxDaysOverdue} days overdue (limit ${overdueBlockDays} days)`);
+    }
+
+    return {
+      ...exposure,
+      creditLimit,
+      newBalance,
+      availableCredit: creditLimit !== null ? Math.max(0, Math.round((creditLimit - exposure.outstandingBalance) * 100) / 100) : null,
+      violations,
+    };
+  }
+
+  // Run the credit check and, when it fails, accept a manager's override. Returns the override fields
+  // to store on the invoice, so its audit entry records who overrode and why.
+  static async _enforceCredit(info, amount, { creditOverride, creditOverrideReason } = {}, options = {}) {
+    const credit = await this.checkCredit(info, amount, options);
+    if (credit.violations.length === 0) return {};
+    if (creditOverride !== true && creditOverride !== 'true') {
+      throw new Error(`Credit check failed for ${info.customer}: ${credit.violations.join('; ')}`);
+    }
+    const user = getCurrentUser();
+    if (!config.isAuthBypassed() && (!user || !getAllowedRoles('invoices', 'overrideCredit').includes(user.role))) {
+      throw new Error('Only a manager or admin can override the credit check');
+    }
+    if (!creditOverrideReason || !String(creditOverrideReason).trim()) {
+      throw new Error('A reason is required to override the credit check');
+    }
+    return {
+      creditOverrideBy: user ? user.id : null,
+      creditOverrideReason: String(creditOverrideReason).trim(),
+    };
+  }
+
+  // After an existing (locked) invoice changed: a higher amount, or the balance moving to another
+  // customer, is checked like a new invoice, leaving the invoice's own old balance out of the exposure
+  static async _enforceCreditOnChange(invoice, previous, override = {}, { transaction } = {}) {
+    const outstanding = invoice.getOutstandingBalance();
+    const customerChanged = invoice.customerId !== previous.customerId || invoice.customer !== previous.customer;
+    if (outstanding <= 0 || (!customerChanged && (parseFloat(invoice.amount) || 0) <= previous.amount)) return;
+    const fields = await this._enforceCredit(invoice, outstanding, override, { transaction, exceptInvoiceId: invoice.id });
+    if (fields.creditOverrideReason) await invoice.update(fields, { transaction });
+  }
+
+  // Amount and customer of an invoice before a change, for _enforceCreditOnChange
+  static _creditSnapshot(invoice) {
+    return { amount: parseFloat(invoice.amount) || 0, customerId: invoice.customerId, customer: invoice.customer };
+  }
+
   /**
    * Create a new invoice with items
    * @param {Object} invoiceData - Invoice data with items
+   * @param {Object} options - { fromSales: keep the items' saleId links (createInvoiceFromSales only) }
    * @returns {Promise<Object>} Created invoice
    */
-  static async createInvoice(data) {
+  static async createInvoice(data, options = {}) {
     try {
-      const { items = [], ...info } = data;
-      // Normalize: if amount not provided but items provided, compute after items inserted (hookless manual)
-      const invoice = await Invoice.create(info);
-      if (items.length > 0) {
-        const prepared = items.map(it => ({ ...it, invoiceId: invoice.id }));
+      // status/paidAmount are derived from recorded payments; the credit override is set below only
+      const {
+        items: rawItems = [], status, paidAmount, creditOverride, creditOverrideReason, creditOverrideBy, ...info
+      } = data;
+      // Numbers come from the numbering series only, so the series stays gap-free and unique
+      if (info.invoiceNumber) {
+        throw new Error(INVOICE_NUMBER_ASSIGNED);
+      }
+      Object.assign(info, await CustomerService.resolveCustomer(info));
+      const items = await Promise.all(rawItems.map(item => this._prepareItem(item, { keepSaleLink: options.fromSales })));
+      const saleIds = items.filter(it => it.saleId).map(it => it.saleId);
+      const amount = info.amount
+        ? parseFloat(info.amount)
+        : items.reduce((sum, it) => sum + parseFloat(it.quantity) * parseFloat(it.price), 0);
+      // One transaction for number + invoice + items: a failed create gives its number back
+      const invoiceId = await sequelize.transaction(async (transaction) => {
+        await this._assertSalesNotInvoiced(saleIds, { transaction });
+        Object.assign(info, await this._enforceCredit(info, amount, { creditOverride, creditOverrideReason }, { transaction }));
+        info.invoiceNumber = await NumberingService.next('invoice', { date: info.date, transaction });
+        // Normalize: if amount not provided but items provided, compute after items inserted (hookless manual)
+        const invoice = await Invoice.create(info, { transaction });
+        if (items.length > 0) {
+          const prepared = items.map(it => ({ ...it, invoiceId: invoice.id }));
           await InvoiceItem.bulkCreate(prepared.map(it => ({
             ...it,
             total: parseFloat(it.quantity) * parseFloat(it.price)
-          })));
-        // Recompute amount from items if not explicitly passed
-        if (!info.amount) {
-          const sumRows = await InvoiceItem.findAll({
-            where: { invoiceId: invoice.id },
-            attributes: [[InvoiceItem.sequelize.fn('SUM', InvoiceItem.sequelize.col('total')), 'total']],
-            raw: true,
-          });
-          const total = parseFloat(sumRows[0].total) || 0;
-          await invoice.update({ amount: total });
+          })), { transaction });
+          // Recompute amount from items if not explicitly passed
+          if (!info.amount) {
+            const sumRows = await InvoiceItem.findAll({
+              where: { invoiceId: invoice.id },
+              attributes: [[InvoiceItem.sequelize.fn('SUM', InvoiceItem.sequelize.col('total')), 'total']],
+              raw: true,
+              transaction,
+            });
+            const total = parseFloat(sumRows[0].total) || 0;
+            await invoice.update({ amount: total }, { transaction });
+          }
         }
-      }
-      const full = await Invoice.findByPk(invoice.id, { include: [{ model: InvoiceItem, as: 'items' }] });
+        return invoice.id;
+      });
+      const full = await Invoice.findByPk(invoiceId, {
+        include: [
+          {
+            model: InvoiceItem,
+            as: 'items',
+            include: [{ model: Product, as: 'productData', attributes: Product.SUMMARY_ATTRIBUTES, paranoid: false }],
+          },
+          this._customerInclude(),
+        ],
+      });
       return full;
     } catch (err) {
       console.error('Error creating invoice:', err);
@@ -39,36 +223,113 @@ class InvoiceService {
     }
   }
 
+  /**
+   * Invoice one or more sales of the same customer: one item per sale, billing its total weight (kg)
+   * at its price per kg. The items keep the link to the sale, and a sale already on a live invoice
+   * cannot be invoiced again.
+   * @param {Array<number>} saleIds - Sales to invoice
+   * @param {Object} data - Invoice fields (date, dueDate, customerId/customer, credit override)
+   * @returns {Promise<Object>} Created invoice
+   */
+  static async createInvoiceFromSales(saleIds, data = {}) {
+    try {
+      const ids = [...new Set((saleIds || []).map(id => parseInt(id)))];
+      if (!ids.length || ids.some(id => !Number.isInteger(id) || id <= 0)) {
+        throw new Error('At least one valid sale ID is required');
+      }
+      if (!data.dueDate) {
+        throw new Error('Due date is required');
+      }
+
+      const sales = await Sale.findAll({
+        where: { id: ids },
+        include: [{ model: Product, as: 'productData', attributes: Product.SUMMARY_ATTRIBUTES, paranoid: false }],
+        order: [['date', 'ASC'], ['id', 'ASC']],
+      });
+      const found = new Set(sales.map(sale => sale.id));
+      const missing = ids.filter(id => !found.has(id));
+      if (missing.length) {
+        throw new Error(missing.length === 1 && ids.length === 1 ? 'Sale not found' : `Sales not found: ${missing.join(', ')}`);
+      }
+
+      // The invoice goes to the sales' customer; sales without one can join any customer's invoice
+      const saleCustomerIds = [...new Set(sales.map(sale => sale.customerId).filter(Boolean))];
+      if (saleCustomerIds.length > 1) {
+        throw new Error('Sales belong to different customers; invoice them separately');
+      }
+      const customerId = data.customerId ? parseInt(data.customerId) : (saleCustomerIds[0] || null);
+      if (saleCustomerIds.length && saleCustomerIds[0] !== customerId) {
+        throw new Error('Sales belong to a different customer than the invoice');
+      }
+      if (!customerId && !data.customer) {
+        throw new Error('Customer is required: the sales have no customer');
+      }
+
+      const items = sales.map(sale => {
+        const totalWeight = (parseFloat(sale.quantity) || 0) * (parseFloat(sale.weight) || 0) + (parseFloat(sale.extraWeight) || 0);
+        const product = sale.productData ? sale.productData.name : 'Sale';
+        return {
+          saleId: sale.id,
+          productId: sale.productId || null,
+          name: `${product} (sale #${sale.id}, ${sale.date}, ${sale.quantity} sacks)`,
+          quantity: Math.round(totalWeight * 100) / 100,
+          price: sale.price,
+        };
+      });
+
+      const { items: ignoredItems, amount, saleIds: ignoredSaleIds, ...info } = data;
+      return await this.createInvoice({
+        ...info,
+        customerId,
+        date: info.date || new Date().toISOString().slice(0, 10),
+        items,
+      }, { fromSales: true });
+    } catch (err) {
+      console.error('Error creating invoice from sales:', err);
+      throw err;
+    }
+  }
+
   /**
    * Get all invoices with pagination and filtering
    * @param {Object} options - Query options
    * @returns {Promise<Object>} Invoices with pagination
    */
+  static _buildListQuery(options = {}) {
+    const { sortBy = 'date', sortOrder = 'DESC', customer, customerId, status, startDate, endDate, minAmount, maxAmount, overdue, productId, includeDeleted } = options;
+    const where = {};
+    if (customer) where.customer = { [Op.iLike]: `%${customer}%` };
+    if (customerId) where.customerId = customerId;
+    if (productId) where.id = this._productFilter(productId);
+    if (status) where.status = status;
+    if (startDate || endDate) {
+      where.date = {};
+      if (startDate) where.date[Op.gte] = new Date(startDate);
+      if (endDate) where.date[Op.lte] = new Date(endDate);
+    }
+    if (minAmount || maxAmount) {
+      where.amount = {};
+      if (minAmount) where.amount[Op.gte] = parseFloat(minAmount);
+      if (maxAmount) where.amount[Op.lte] = parseFloat(maxAmount);
+    }
+    if (overdue === 'true') {
+      where.dueDate = { [Op.lt]: new Date() };
+      where.status = { [Op.ne]: 'paid' };
+    }
+    return {
+      where,
+      include: [{ model: InvoiceItem, as: 'items' }, this._customerInclude()],
+      order: [[sortBy, sortOrder.toUpperCase()]],
+      paranoid: !(includeDeleted === true || includeDeleted === 'true'),
+    };
+  }
+
   static async getAllInvoices(options = {}) {
     try {
-      const { page = 1, limit = 10, sortBy = 'date', sortOrder = 'DESC', customer, status, startDate, endDate, minAmount, maxAmount, overdue } = options;
-      const where = {};
-      if (customer) where.customer = { [Op.iLike]: `%${customer}%` };
-      if (status) where.status = status;
-      if (startDate || endDate) {
-        where.date = {};
-        if (startDate) where.date[Op.gte] = new Date(startDate);
-        if (endDate) where.date[Op.lte] = new Date(endDate);
-      }
-      if (minAmount || maxAmount) {
-        where.amount = {};
-        if (minAmount) where.amount[Op.gte] = parseFloat(minAmount);
-        if (maxAmount) where.amount[Op.lte] = parseFloat(maxAmount);
-      }
-      if (overdue === 'true') {
-        where.dueDate = { [Op.lt]: new Date() };
-        where.status = { [Op.ne]: 'paid' };
-      }
+      const { page = 1, limit = 10 } = options;
       const offset = (page - 1) * limit;
       const { count, rows } = await Invoice.findAndCountAll({
-        where,
-        include: [{ model: InvoiceItem, as: 'items' }],
-        order: [[sortBy, sortOrder.toUpperCase()]],
+        ...this._buildListQuery(options),
         limit: parseInt(limit),
         offset,
       });
@@ -87,6 +348,11 @@ class InvoiceService {
     }
   }
 
+  // Every invoice matching the listing filters (no pagination), in batches
+  static exportInvoices(options = {}) {
+    return ExportService.findInBatches(Invoice, this._buildListQuery(options));
+  }
+
   /**
    * Get invoice by ID
    * @param {number} id - Invoice ID
@@ -99,7 +365,21 @@ class InvoiceService {
           {
             model: InvoiceItem,
             as: 'items',
+            include: [{ model: Product, as: 'productData', attributes: Product.SUMMARY_ATTRIBUTES, paranoid: false }],
+          },
+          {
+            model: InvoicePayment,
+            as: 'payments',
+          },
+          {
+            model: InvoiceReminder,
+            as: 'reminders',
           },
+          this._customerInclude(),
+        ],
+        order: [
+          [{ model: InvoicePayment, as: 'payments' }, 'date', 'ASC'],
+          [{ model: InvoiceReminder, as: 'reminders' }, 'created_at', 'ASC'],
         ],
       });
 
@@ -122,31 +402,46 @@ class InvoiceService {
    */
   static async updateInvoice(id, data) {
     try {
-      const { items, ...invoiceUpdate } = data;
-      const invoice = await Invoice.findByPk(id, { include: [{ model: InvoiceItem, as: 'items' }] });
-      if (!invoice) throw new Error('Invoice not found');
-      await invoice.update(invoiceUpdate);
-      if (items) {
-        await InvoiceItem.destroy({ where: { invoiceId: id } });
-        if (items.length > 0) {
-          const prepared = items.map(it => ({ ...it, invoiceId: id }));
+      const { items, status, paidAmount, creditOverride, creditOverrideReason, creditOverrideBy, ...invoiceUpdate } = data;
+      // One transaction for the invoice and its items: a rejected update leaves both as they were
+      await sequelize.transaction(async (transaction) => {
+        const invoice = await Invoice.findByPk(id, { transaction, lock: transaction.LOCK.UPDATE });
+        if (!invoice) throw new Error('Invoice not found');
+        if (invoiceUpdate.invoiceNumber && invoiceUpdate.invoiceNumber !== invoice.invoiceNumber) {
+          throw new Error(INVOICE_NUMBER_ASSIGNED);
+        }
+        const previous = this._creditSnapshot(invoice);
+        if (invoiceUpdate.customerId !== undefined || invoiceUpdate.customer !== undefined) {
+          Object.assign(invoiceUpdate, await CustomerService.resolveCustomer({
+            customerId: invoiceUpdate.customerId,
+            customer: invoiceUpdate.customer !== undefined ? invoiceUpdate.customer : invoice.customer,
+          }));
+        }
+        await invoice.update(invoiceUpdate, { transaction });
+        if (items) {
+          // Replacing the items would drop their sale links and let those sales be invoiced twice
+          const saleItems = await InvoiceItem.count({ where: { invoiceId: id, saleId: { [Op.ne]: null } }, transaction });
+          if (saleItems > 0) {
+            throw new Error('Cannot replace the items of an invoice created from sales; update or delete its items individually');
+          }
+          await InvoiceItem.destroy({ where: { invoiceId: id }, transaction });
+          if (items.length > 0) {
+            const prepared = items.map(({ saleId, ...it }) => ({ ...it, invoiceId: id }));
             await InvoiceItem.bulkCreate(prepared.map(it => ({
               ...it,
               total: parseFloat(it.quantity) * parseFloat(it.price)
-            })));
-          // If amount not provided, recalc
-          if (!invoiceUpdate.amount) {
-            const sumRows = await InvoiceItem.findAll({
-              where: { invoiceId: id },
-              attributes: [[InvoiceItem.sequelize.fn('SUM', InvoiceItem.sequelize.col('total')), 'total']],
-              raw: true,
-            });
-            const total = parseFloat(sumRows[0].total) || 0;
-            await invoice.update({ amount: total });
+            })), { transaction });
+            // If amount not provided, recalc
+            if (!invoiceUpdate.amount) {
+              await invoice.update({ amount: await this._sumItems(id, { transaction }) }, { transaction });
+            }
           }
         }
-      }
-      return await Invoice.findByPk(id, { include: [{ model: InvoiceItem, as: 'items' }] });
+        this._assertAmountCoversPayments(invoice);
+        await this._enforceCreditOnChange(invoice, previous, { creditOverride, creditOverrideReason }, { transaction });
+        await this._syncPaymentStatus(invoice, { transaction });
+      });
+      return await Invoice.findByPk(id, { include: [{ model: InvoiceItem, as: 'items' }, this._customerInclude()] });
     } catch (err) {
       console.error('Error updating invoice:', err);
       throw err;
@@ -154,7 +449,7 @@ class InvoiceService {
   }
 
   /**
-   * Delete invoice
+   * Delete invoice (soft delete; items are kept so the invoice can be restored intact)
    * @param {number} id - Invoice ID
    * @returns {Promise<void>}
    */
@@ -162,33 +457,137 @@ class InvoiceService {
     try {
       const invoice = await Invoice.findByPk(id);
       if (!invoice) throw new Error('Invoice not found');
-      await InvoiceItem.destroy({ where: { invoiceId: id } });
       await invoice.destroy();
       return true;
     } catch (err) {
-      console.error('Error marking invoice as paid:', err);
+      console.error('Error deleting invoice:', err);
       throw err;
     }
   }
 
   /**
-   * Mark invoice as paid
+   * Restore a soft-deleted invoice
    * @param {number} id - Invoice ID
+   * @returns {Promise<Object>} Restored invoice with items
+   */
+  static async restoreInvoice(id) {
+    try {
+      const invoice = await Invoice.findByPk(id, { paranoid: false });
+      if (!invoice) throw new Error('Invoice not found');
+      if (!invoice.deleted_at) throw new Error('Invoice is not deleted');
+      await sequelize.transaction(async (transaction) => {
+        // Its sales may have been invoiced again while it was deleted
+        const items = await InvoiceItem.findAll({ where: { invoiceId: id }, attributes: ['saleId'], transaction });
+        await this._assertSalesNotInvoiced(items.filter(it => it.saleId).map(it => it.saleId), { transaction });
+        await invoice.restore({ transaction });
+      });
+      return await this.getInvoiceById(id);
+    } catch (err) {
+      console.error('Error restoring invoice:', err);
+      throw err;
+    }
+  }
+
+  /**
+   * Mark invoice as paid by recording a payment for the outstanding balance
+   * @param {number} id - Invoice ID
+   * @param {Object} paymentData - Optional payment details (date, method, reference, notes)
    * @returns {Promise<Object>} Paid invoice with items
    */
-  static async markAsPaid(id) {
+  static async markAsPaid(id, paymentData = {}) {
     try {
-      const invoice = await Invoice.findByPk(id, { include: [{ model: InvoiceItem, as: 'items' }] });
+      const invoice = await Invoice.findByPk(id);
       if (!invoice) throw new Error('Invoice not found');
       if (invoice.status === 'paid') throw new Error('Invoice is already paid');
-      await invoice.update({ status: 'paid' });
-      return invoice;
+      if (invoice.getOutstandingBalance() <= 0) throw new Error('Invoice has no outstanding balance');
+      const { invoice: paid } = await this.recordPayment(id, {
+        ...paymentData,
+        amount: invoice.getOutstandingBalance(),
+      });
+      return paid;
     } catch (err) {
       console.error('Error marking invoice as paid:', err);
       throw err;
     }
   }
 
+  /**
+   * Record a (partial) payment against an invoice
+   * @param {number} invoiceId - Invoice ID
+   * @param {Object} paymentData - Payment data (amount, date, method, reference, notes)
+   * @returns {Promise<Object>} Created payment and updated invoice
+   */
+  static async recordPayment(invoiceId, paymentData) {
+    try {
+      const paymentId = await sequelize.transaction(async (transaction) => {
+        // Lock the invoice so concurrent payments cannot overpay it
+        const invoice = await Invoice.findByPk(invoiceId, { transaction, lock: transaction.LOCK.UPDATE });
+        if (!invoice) throw new Error('Invoice not found');
+        if (invoice.status === 'paid') throw new Error('Invoice is already paid');
+
+        const amount = parseFloat(paymentData.amount);
+        const outstanding = invoice.getOutstandingBalance();
+        if (!(amount > 0)) throw new Error('Payment amount must be greater than 0');
+        if (amount > outstanding) {
+          throw new Error(`Payment exceeds outstanding balance. Outstanding: ${outstanding.toFixed(2)}, Requested: ${amount.toFixed(2)}`);
+        }
+
+        const payment = await InvoicePayment.create({
+          invoiceId: invoice.id,
+          amount,
+          date: paymentData.date || new Date(),
+          method: paymentData.method,
+          reference: paymentData.reference,
+          notes: paymentData.notes,
+        }, { transaction });
+
+        const paidAmount = Math.round(((parseFloat(invoice.paidAmount) || 0) + amount) * 100) / 100;
+        await invoice.update({ paidAmount }, { transaction });
+        await this._syncPaymentStatus(invoice, { transaction });
+        return payment.id;
+      });
+
+      const payment = await InvoicePayment.findByPk(paymentId);
+      const invoice = await Invoice.findByPk(invoiceId, {
+        include: [
+          { model: InvoiceItem, as: 'items' },
+          { model: InvoicePayment, as: 'payments' },
+        ],
+        order: [[{ model: InvoicePayment, as: 'payments' }, 'date', 'ASC']],
+      });
+      return { payment, invoice };
+    } catch (err) {
+      console.error('Error recording invoice payment:', err);
+      throw err;
+    }
+  }
+
+  /**
+   * Get payments recorded against an invoice
+   * @param {number} invoiceId - Invoice ID
+   * @returns {Promise<Object>} Payments with amount, paid and outstanding totals
+   */
+  static async getInvoicePayments(invoiceId) {
+    try {
+      const invoice = await Invoice.findByPk(invoiceId);
+      if (!invoice) throw new Error('Invoice not found');
+      const payments = await InvoicePayment.findAll({
+        where: { invoiceId },
+        order: [['date', 'ASC'], ['id', 'ASC']],
+      });
+      return {
+        payments,
+        amount: parseFloat(invoice.amount) || 0,
+        paidAmount: parseFloat(invoice.paidAmount) || 0,
+        outstandingBalance: invoice.getOutstandingBalance(),
+        status: invoice.status,
+      };
+    } catch (err) {
+      console.error('Error getting invoice payments:', err);
+      throw err;
+    }
+  }
+
   /**
    * Add item to existing invoice
    * @param {number} invoiceId - Invoice ID
@@ -197,20 +596,21 @@ class InvoiceService {
    */
   static async addInvoiceItem(invoiceId, itemData) {
     try {
-      const invoice = await Invoice.findByPk(invoiceId);
-      if (!invoice) throw new Error('Invoice not found');
-      if (invoice.status === 'paid') throw new Error('Cannot add items to paid invoice');
-      const computedTotal = parseFloat(itemData.quantity) * parseFloat(itemData.price);
-      const item = await InvoiceItem.create({ ...itemData, invoiceId, total: computedTotal });
-      // Recalculate amount
-      const sumRows = await InvoiceItem.findAll({
-        where: { invoiceId },
-        attributes: [[InvoiceItem.sequelize.fn('SUM', InvoiceItem.sequelize.col('total')), 'total']],
-        raw: true,
+      const { creditOverride, creditOverrideReason, ...fields } = itemData;
+      // One transaction with the invoice locked: the new amount is checked against payments and credit together
+      return await sequelize.transaction(async (transaction) => {
+        const invoice = await Invoice.findByPk(invoiceId, { transaction, lock: transaction.LOCK.UPDATE });
+        if (!invoice) throw new Error('Invoice not found');
+        if (invoice.status === 'paid') throw new Error('Cannot add items to paid invoice');
+        const prepared = await this._prepareItem(fields);
+        const computedTotal = parseFloat(prepared.quantity) * parseFloat(prepared.price);
+        const previous = this._creditSnapshot(invoice);
+        const item = await InvoiceItem.create({ ...prepared, invoiceId: invoice.id, total: computedTotal }, { transaction });
+        await invoice.update({ amount: await this._sumItems(invoice.id, { transaction }) }, { transaction });
+        await this._enforceCreditOnChange(invoice, previous, { creditOverride, creditOverrideReason }, { transaction });
+        await this._syncPaymentStatus(invoice, { transaction });
+        return item;
       });
-      const total = parseFloat(sumRows[0].total) || 0;
-      await invoice.update({ amount: total });
-      return item;
     } catch (err) {
       console.error('Error adding invoice item:', err);
       throw err;
@@ -225,24 +625,29 @@ class InvoiceService {
    */
   static async updateInvoiceItem(itemId, updateData) {
     try {
-      const item = await InvoiceItem.findByPk(itemId, { include: [{ model: Invoice, as: 'invoice' }] });
-      if (!item) throw new Error('Invoice item not found');
-      if (item.invoice.status === 'paid') throw new Error('Cannot update items of paid invoice');
-      const patch = { ...updateData };
-      if (patch.quantity != null || patch.price != null) {
-        const newQty = patch.quantity != null ? patch.quantity : item.quantity;
-        const newPrice = patch.price != null ? patch.price : item.price;
-        patch.total = parseFloat(newQty) * parseFloat(newPrice);
-      }
-      await item.update(patch);
-      const sumRows = await InvoiceItem.findAll({
-        where: { invoiceId: item.invoiceId },
-        attributes: [[InvoiceItem.sequelize.fn('SUM', InvoiceItem.sequelize.col('total')), 'total']],
-        raw: true,
+      return await sequelize.transaction(async (transaction) => {
+        const item = await InvoiceItem.findByPk(itemId, { transaction });
+        // Items of a deleted invoice are hidden with it
+        const invoice = item && await Invoice.findByPk(item.invoiceId, { transaction, lock: transaction.LOCK.UPDATE });
+        if (!invoice) throw new Error('Invoice item not found');
+        if (invoice.status === 'paid') throw new Error('Cannot update items of paid invoice');
+        const previous = this._creditSnapshot(invoice);
+        const { saleId, creditOverride, creditOverrideReason, ...patch } = updateData;
+        if (patch.productId && patch.productId !== item.productId) {
+          await ProductService.assertProductExists(patch.productId);
+        }
+        if (patch.quantity != null || patch.price != null) {
+          const newQty = patch.quantity != null ? patch.quantity : item.quantity;
+          const newPrice = patch.price != null ? patch.price : item.price;
+          patch.total = parseFloat(newQty) * parseFloat(newPrice);
+        }
+        await item.update(patch, { transaction });
+        await invoice.update({ amount: await this._sumItems(item.invoiceId, { transaction }) }, { transaction });
+        this._assertAmountCoversPayments(invoice);
+        await this._enforceCreditOnChange(invoice, previous, { creditOverride, creditOverrideReason }, { transaction });
+        await this._syncPaymentStatus(invoice, { transaction });
+        return item;
       });
-      const total = parseFloat(sumRows[0].total) || 0;
-      await item.invoice.update({ amount: total });
-      return item;
     } catch (err) {
       console.error('Error updating invoice item:', err);
       throw err;
@@ -256,21 +661,17 @@ class InvoiceService {
    */
   static async deleteInvoiceItem(itemId) {
     try {
-      const item = await InvoiceItem.findByPk(itemId, { include: [{ model: Invoice, as: 'invoice' }] });
-      if (!item) throw new Error('Invoice item not found');
-      if (item.invoice.status === 'paid') throw new Error('Cannot delete items from paid invoice');
-      const invoiceId = item.invoiceId;
-      await item.destroy();
-      const sumRows = await InvoiceItem.findAll({
-        where: { invoiceId },
-        attributes: [[InvoiceItem.sequelize.fn('SUM', InvoiceItem.sequelize.col('total')), 'total']],
-        raw: true,
+      await sequelize.transaction(async (transaction) => {
+        const item = await InvoiceItem.findByPk(itemId, { transaction });
+        // Items of a deleted invoice are hidden with it
+        const invoice = item && await Invoice.findByPk(item.invoiceId, { transaction, lock: transaction.LOCK.UPDATE });
+        if (!invoice) throw new Error('Invoice item not found');
+        if (invoice.status === 'paid') throw new Error('Cannot delete items from paid invoice');
+        await item.destroy({ transaction });
+        await invoice.update({ amount: await this._sumItems(item.invoiceId, { transaction }) }, { transaction });
+        this._assertAmountCoversPayments(invoice);
+        await this._syncPaymentStatus(invoice, { transaction });
       });
-      const total = sumRows.length > 0 && sumRows[0].total !== null
-        ? parseFloat(sumRows[0].total)
-        : 0;
-      const invoice = await Invoice.findByPk(invoiceId);
-      if (invoice) await invoice.update({ amount: total });
     } catch (err) {
       console.error('Error deleting invoice item:', err);
       throw err;
@@ -333,7 +734,7 @@ class InvoiceService {
    */
   static async getInvoiceStats(options = {}) {
     try {
-      const { startDate, endDate, status } = options;
+      const { startDate, endDate, status, productId } = options;
       const where = {};
       if (startDate || endDate) {
         where.date = {};
@@ -341,12 +742,14 @@ class InvoiceService {
         if (endDate) where.date[Op.lte] = new Date(endDate);
       }
       if (status) where.status = status;
+      if (productId) where.id = this._productFilter(productId);
       const totals = await Invoice.findAll({
         where,
         attributes: [
           [Invoice.sequelize.fn('COUNT', Invoice.sequelize.col('id')), 'totalInvoices'],
           [Invoice.sequelize.fn('SUM', Invoice.sequelize.col('amount')), 'totalAmount'],
           [Invoice.sequelize.fn('AVG', Invoice.sequelize.col('amount')), 'avgAmount'],
+          [Invoice.sequelize.fn('SUM', Invoice.sequelize.col('paid_amount')), 'paidAmount'],
         ],
         raw: true,
       });
@@ -364,33 +767,67 @@ class InvoiceService {
         where: { ...where, dueDate: { [Op.lt]: new Date() }, status: { [Op.ne]: 'paid' } },
         attributes: [
           [Invoice.sequelize.fn('COUNT', Invoice.sequelize.col('id')), 'overdueCount'],
-          [Invoice.sequelize.fn('SUM', Invoice.sequelize.col('amount')), 'overdueAmount'],
+          [Invoice.sequelize.fn('SUM', Invoice.sequelize.literal('amount - paid_amount')), 'overdueAmount'],
         ],
         raw: true,
       });
+      // Linked invoices group on the customer record; free-text ones on the name ignoring case and spacing
+      const unlinkedName = Invoice.sequelize.literal("CASE WHEN customer_id IS NULL THEN LOWER(REGEXP_REPLACE(TRIM(customer), '\\s+', ' ', 'g')) END");
       const customerRows = await Invoice.findAll({
         where,
         attributes: [
-          'customer',
+          'customerId',
+          [Invoice.sequelize.fn('MIN', Invoice.sequelize.col('customer')), 'customer'],
           [Invoice.sequelize.fn('COUNT', Invoice.sequelize.col('id')), 'invoiceCount'],
           [Invoice.sequelize.fn('SUM', Invoice.sequelize.col('amount')), 'totalAmount'],
         ],
-        group: ['customer'],
+        group: [Invoice.sequelize.col('customer_id'), unlinkedName],
         order: [[Invoice.sequelize.fn('SUM', Invoice.sequelize.col('amount')), 'DESC']],
         limit: 10,
         raw: true,
       });
+      const customers = await Customer.nameMap(customerRows.map(r => r.customerId));
+      // Item-level totals per product (items without a product are grouped under productId null)
+      const productRows = await InvoiceItem.findAll({
+        where: productId ? { productId } : {},
+        attributes: [
+          'productId',
+          [Invoice.sequelize.fn('COUNT', Invoice.sequelize.col('InvoiceItem.id')), 'itemCount'],
+          [Invoice.sequelize.fn('SUM', Invoice.sequelize.col('InvoiceItem.quantity')), 'totalQuantity'],
+          [Invoice.sequelize.fn('SUM', Invoice.sequelize.col('InvoiceItem.total')), 'totalAmount'],
+        ],
+        include: [{ model: Invoice, as: 'invoice', where, attributes: [] }],
+        group: [Invoice.sequelize.col('InvoiceItem.product_id')],
+        raw: true,
+      });
+      const products = await Product.nameMap(productRows.map(r => r.productId));
       const t = totals[0] || {};
       return {
         summary: {
           totalInvoices: parseInt(t.totalInvoices) || 0,
           totalAmount: parseFloat(t.totalAmount) || 0,
           avgAmount: parseFloat(t.avgAmount) || 0,
+          paidAmount: parseFloat(t.paidAmount) || 0,
+          outstandingAmount: (parseFloat(t.totalAmount) || 0) - (parseFloat(t.paidAmount) || 0),
           overdueCount: parseInt(overdueRows[0]?.overdueCount) || 0,
           overdueAmount: parseFloat(overdueRows[0]?.overdueAmount) || 0,
         },
         statusBreakdown: statusRows.map(r => ({ status: r.status, count: parseInt(r.count), amount: parseFloat(r.amount) })),
-        topCustomers: customerRows.map(r => ({ customer: r.customer, invoiceCount: parseInt(r.invoiceCount), totalAmount: parseFloat(r.totalAmount) })),
+        topCustomers: customerRows.map(r => ({
+          customerId: r.customerId || null,
+          customer: customers.has(r.customerId) ? customers.get(r.customerId).name : Customer.normalizeName(r.customer),
+          invoiceCount: parseInt(r.invoiceCount),
+          totalAmount: parseFloat(r.totalAmount),
+        })),
+        byProduct: productRows
+          .map(r => ({
+            productId: r.productId || null,
+            productName: products.has(r.productId) ? products.get(r.productId).name : null,
+            itemCount: parseInt(r.itemCount) || 0,
+            totalQuantity: parseFloat(r.totalQuantity) || 0,
+            totalAmount: parseFloat(r.totalAmount) || 0,
+          }))
+          .sort((a, b) => b.totalAmount - a.totalAmount),
       };
     } catch (err) {
       console.error('Error getting invoice statistics:', err);
@@ -401,18 +838,21 @@ class InvoiceService {
   /**
    * Get monthly invoice trends
    * @param {number} year - Year to analyze
+   * @param {Object} options - { productId: only invoices containing that product }
    * @returns {Promise<Array>} Monthly trends
    */
-  static async getMonthlyTrends(year = new Date().getFullYear()) {
+  static async getMonthlyTrends(year = new Date().getFullYear(), options = {}) {
     try {
+      const where = { date: { [Op.between]: [`${year}-01-01`, `${year}-12-31`] } };
+      if (options.productId) where.id = this._productFilter(options.productId);
       const rows = await Invoice.findAll({
-        where: { date: { [Op.between]: [`${year}-01-01`, `${year}-12-31`] } },
+        where,
         attributes: [
           [Invoice.sequelize.fn('EXTRACT', Invoice.sequelize.literal('MONTH FROM date')), 'month'],
           [Invoice.sequelize.fn('COUNT', Invoice.sequelize.col('id')), 'invoiceCount'],
           [Invoice.sequelize.fn('SUM', Invoice.sequelize.col('amount')), 'totalAmount'],
           [Invoice.sequelize.fn('COUNT', Invoice.sequelize.literal("CASE WHEN status = 'paid' THEN 1 END")), 'paidCount'],
-          [Invoice.sequelize.fn('SUM', Invoice.sequelize.literal("CASE WHEN status = 'paid' THEN amount ELSE 0 END")), 'paidAmount'],
+          [Invoice.sequelize.fn('SUM', Invoice.sequelize.col('paid_amount')), 'paidAmount'],
         ],
         group: [Invoice.sequelize.fn('EXTRACT', Invoice.sequelize.literal('MONTH FROM date'))],
         order: [Invoice.sequelize.fn('EXTRACT', Invoice.sequelize.literal('MONTH FROM date'))],
@@ -441,24 +881,13 @@ class InvoiceService {
   }
 
   /**
-   * Generate invoice number
-   * @param {Date} date - Invoice date
-   * @returns {Promise<string>} Generated invoice number
+   * Preview the next invoice number (not reserved; the number is allocated when the invoice is created)
+   * @param {Date|string} date - Invoice date
+   * @returns {Promise<string>} Next invoice number
    */
   static async generateInvoiceNumber(date = new Date()) {
     try {
-      const year = date.getFullYear();
-      const month = String(date.getMonth() + 1).padStart(2, '0');
-      const last = await Invoice.findOne({
-        where: { invoiceNumber: { [Op.like]: `INV-${year}${month}-%` } },
-        order: [['invoiceNumber', 'DESC']],
-      });
-      let sequence = 1;
-      if (last) {
-        const lastSeq = last.invoiceNumber.split('-')[2];
-        sequence = parseInt(lastSeq) + 1;
-      }
-      return `INV-${year}${month}-${String(sequence).padStart(4, '0')}`;
+      return await NumberingService.preview('invoice', date);
     } catch (err) {
       console.error('Error generating invoice number:', err);
       throw err;
@@ -466,42 +895,302 @@ class InvoiceService {
   }
 
   /**
-   * Get aging report
+   * Build the template data for the printable invoice
+   * @param {Object} invoice - Invoice instance with items and payments
+   * @returns {Object} Template data
+   */
+  static _buildInvoiceDocument(invoice) {
+    const money = v => DocumentService.formatMoney(v);
+    const statusLabels = { paid: 'Paid', unpaid: 'Unpaid', partially_paid: 'Partially paid' };
+    const payments = (invoice.payments || []).map(p => ({
+      date: DocumentService.formatDate(p.date),
+      method: p.method,
+      reference: p.reference || '-',
+      amount: money(p.amount),
+    }));
+    return {
+      company: config.company,
+      invoice: {
+        number: invoice.invoiceNumber,
+        customer: invoice.customer,
+        date: DocumentService.formatDate(invoice.date),
+        dueDate: DocumentService.formatDate(invoice.dueDate),
+        status: invoice.status,
+        statusLabel: statusLabels[invoice.status] || invoice.status,
+        amount: money(invoice.amount),
+        paidAmount: money(invoice.paidAmount),
+        outstandingBalance: money(invoice.getOutstandingBalance()),
+      },
+      items: (invoice.items || []).map((item, index) => ({
+        no: index + 1,
+        name: item.name,
+        quantity: DocumentService.formatNumber(item.quantity),
+        price: money(item.price),
+        total: money(item.total),
+      })),
+      payments,
+      hasPayments: payments.length > 0,
+      generatedAt: DocumentService.formatDate(new Date()),
+    };
+  }
+
+  /**
+   * Render an invoice with the invoice.html template
+   * @param {number} id - Invoice ID
+   * @param {Object} options - { format: 'pdf' | 'html' }
+   * @returns {Promise<Object>} { filename, content }
+   */
+  static async renderInvoiceDocument(id, { format = 'pdf' } = {}) {
+    try {
+      const invoice = await this.getInvoiceById(id);
+      const data = this._buildInvoiceDocument(invoice);
+      if (format === 'html') {
+        return { filename: `${invoice.invoiceNumber}.html`, content: await DocumentService.renderTemplate('invoice.html', data) };
+      }
+      return { filename: `${invoice.invoiceNumber}.pdf`, content: await DocumentService.renderPdf('invoice.html', data) };
+    } catch (err) {
+      console.error('Error rendering invoice document:', err);
+      throw err;
+    }
+  }
+
+  /**
+   * Bucket unpaid invoices by days overdue (current, 1-30, 31-60, 61-90, 90+)
+   * @param {Array} rows - [{ invoice, outstanding }] with invoice a plain object that has dueDate
+   * @param {Date} asOf - Day the days overdue are counted to
+   * @returns {Object} { totalUnpaidAmount, totalUnpaidInvoices, agingBuckets }
+   */
+  static _bucketAging(rows, asOf = new Date()) {
+    const buckets = {
+      current: { invoices: [], amount: 0 },
+      overdue1_30: { invoices: [], amount: 0 },
+      overdue31_60: { invoices: [], amount: 0 },
+      overdue61_90: { invoices: [], amount: 0 },
+      overdue90Plus: { invoices: [], amount: 0 },
+    };
+    rows.forEach(({ invoice, outstanding: amt }) => {
+      const daysOverdue = Math.floor((asOf - new Date(invoice.dueDate)) / (1000 * 60 * 60 * 24));
+      const dto = { ...invoice, daysOverdue };
+      if (daysOverdue < 0) { buckets.current.invoices.push(dto); buckets.current.amount += amt; }
+      else if (daysOverdue <= 30) { buckets.overdue1_30.invoices.push(dto); buckets.overdue1_30.amount += amt; }
+      else if (daysOverdue <= 60) { buckets.overdue31_60.invoices.push(dto); buckets.overdue31_60.amount += amt; }
+      else if (daysOverdue <= 90) { buckets.overdue61_90.invoices.push(dto); buckets.overdue61_90.amount += amt; }
+      else { buckets.overdue90Plus.invoices.push(dto); buckets.overdue90Plus.amount += amt; }
+    });
+    const totalAmount = Object.values(buckets).reduce((s, b) => s + b.amount, 0);
+    const withPct = Object.fromEntries(Object.entries(buckets).map(([k, v]) => [k, { ...v, percentage: totalAmount > 0 ? ((v.amount / totalAmount) * 100).toFixed(2) : 0 }]));
+    return { totalUnpaidAmount: totalAmount, totalUnpaidInvoices: rows.length, agingBuckets: withPct };
+  }
+
+  /**
+   * Get aging report, bucketed on outstanding balance (amount minus payments)
    * @returns {Promise<Object>} Aging report
    */
   static async getAgingReport() {
     try {
-      const now = new Date();
       const rows = await Invoice.findAll({
         where: { status: { [Op.ne]: 'paid' } },
         include: [{ model: InvoiceItem, as: 'items' }],
         order: [['dueDate', 'ASC']],
       });
-      const buckets = {
-        current: { invoices: [], amount: 0 },
-        overdue1_30: { invoices: [], amount: 0 },
-        overdue31_60: { invoices: [], amount: 0 },
-        overdue61_90: { invoices: [], amount: 0 },
-        overdue90Plus: { invoices: [], amount: 0 },
-      };
-      rows.forEach(inv => {
-        const daysOverdue = Math.floor((now - new Date(inv.dueDate)) / (1000 * 60 * 60 * 24));
-        const dto = { ...inv.toJSON(), daysOverdue };
-        const amt = parseFloat(inv.amount) || 0;
-        if (daysOverdue < 0) { buckets.current.invoices.push(dto); buckets.current.amount += amt; }
-        else if (daysOverdue <= 30) { buckets.overdue1_30.invoices.push(dto); buckets.overdue1_30.amount += amt; }
-        else if (daysOverdue <= 60) { buckets.overdue31_60.invoices.push(dto); buckets.overdue31_60.amount += amt; }
-        else if (daysOverdue <= 90) { buckets.overdue61_90.invoices.push(dto); buckets.overdue61_90.amount += amt; }
-        else { buckets.overdue90Plus.invoices.push(dto); buckets.overdue90Plus.amount += amt; }
-      });
-      const totalAmount = Object.values(buckets).reduce((s, b) => s + b.amount, 0);
-      const withPct = Object.fromEntries(Object.entries(buckets).map(([k, v]) => [k, { ...v, percentage: totalAmount > 0 ? ((v.amount / totalAmount) * 100).toFixed(2) : 0 }]));
-      return { totalUnpaidAmount: totalAmount, totalUnpaidInvoices: rows.length, agingBuckets: withPct };
+      return this._bucketAging(rows.map(inv => ({ invoice: inv.toJSON(), outstanding: inv.getOutstandingBalance() })));
     } catch (err) {
       console.error('Error getting aging report:', err);
       throw err;
     }
   }
+
+  /**
+   * Statement of account for one customer: invoices (charges) and payments in date order with the
+   * running balance, the opening balance before the period and the aging of what is unpaid at its end.
+   * The customer is a customer record (customerId) or a name; a name that has a record is treated as
+   * that record. Either way unlinked invoices issued to the same name are included.
+   * @param {Object} options - { customerId, customer, from, to } (dates YYYY-MM-DD, inclusive; to defaults to today)
+   * @returns {Promise<Object>} Customer, period, opening/closing balance, entries, totals and aging
+   */
+  static async getCustomerStatement({ customerId, customer, from, to } = {}) {
+    try {
+      let match = { customerId: null, customer: customer || null };
+      let customerData = null;
+      if (customerId) {
+        customerData = await Customer.findByPk(customerId, { paranoid: false });
+        if (!customerData) throw new Error('Customer not found');
+      } else if (customer) {
+        customerData = await Customer.findByExactName(customer);
+      } else {
+        throw new Error('Customer is required');
+      }
+      if (customerData) match = { customerId: customerData.id, customer: customerData.name };
+
+      const end = to || new Date().toISOString().slice(0, 10);
+      const invoices = await Invoice.findAll({
+        where: { [Op.or]: Invoice.customerMatches(match), date: { [Op.lte]: end } },
+        order: [['date', 'ASC'], ['id', 'ASC']],
+      });
+      if (!customerData && !invoices.length) throw new Error('Customer not found');
+
+      const payments = invoices.length
+        ? await InvoicePayment.findAll({
+          where: { invoiceId: invoices.map(inv => inv.id), date: { [Op.lte]: end } },
+          order: [['date', 'ASC'], ['id', 'ASC']],
+        })
+        : [];
+      const invoiceById = new Map(invoices.map(inv => [inv.id, inv]));
+      const round2 = value => Math.round(value * 100) / 100;
+
+      // Invoices settled before payments were recorded one by one have paidAmount without payment rows;
+      // that part is shown as paid on the invoice date
+      const recorded = new Map();
+      payments.forEach(p => recorded.set(p.invoiceId, (recorded.get(p.invoiceId) || 0) + (parseFloat(p.amount) || 0)));
+      const credits = payments.map(p => ({
+        date: p.date,
+        invoice: invoiceById.get(p.invoiceId),
+        amount: parseFloat(p.amount) || 0,
+        sourceId: p.id,
+        reference: p.reference || null,
+        method: p.method,
+      }));
+      invoices.forEach(inv => {
+        const unrecorded = round2((parseFloat(inv.paidAmount) || 0) - (recorded.get(inv.id) || 0));
+        if (unrecorded > 0 && !payments.some(p => p.invoiceId === inv.id && p.date > end)) {
+          credits.push({ date: inv.date, invoice: inv, amount: unrecorded, sourceId: null, reference: null, method: null });
+        }
+      });
+
+      const inPeriod = date => !from || String(date) >= from;
+      let openingBalance = 0;
+      invoices.filter(inv => !inPeriod(inv.date)).forEach(inv => { openingBalance += parseFloat(inv.amount) || 0; });
+      credits.filter(c => !inPeriod(c.date)).forEach(c => { openingBalance -= c.amount; });
+      openingBalance = round2(openingBalance);
+
+      const entries = [
+        ...invoices.filter(inv => inPeriod(inv.date)).map(inv => ({
+          date: inv.date,
+          type: 'invoice',
+          invoiceId: inv.id,
+          paymentId: null,
+          reference: inv.invoiceNumber,
+          description: `Due ${inv.dueDate}`,
+          charge: round2(parseFloat(inv.amount) || 0),
+          payment: 0,
+        })),
+        ...credits.filter(c => inPeriod(c.date)).map(c => ({
+          date: c.date,
+          type: 'payment',
+          invoiceId: c.invoice.id,
+          paymentId: c.sourceId,
+          reference: c.reference || c.invoice.invoiceNumber,
+          description: c.sourceId
+            ? `Payment on ${c.invoice.invoiceNumber}${c.method ? ` (${c.method})` : ''}`
+            : `Paid on ${c.invoice.invoiceNumber} (no payment record)`,
+          charge: 0,
+          payment: round2(c.amount),
+        })),
+      ].sort((a, b) => String(a.date).localeCompare(String(b.date))
+        || (a.type === b.type ? 0 : a.type === 'invoice' ? -1 : 1)
+        || (a.paymentId || a.invoiceId) - (b.paymentId || b.invoiceId));
+
+      let balance = openingBalance;
+      entries.forEach(entry => {
+        balance = round2(balance + entry.charge - entry.payment);
+        entry.balance = balance;
+      });
+
+      // What each invoice still owed at the end of the period
+      const paidBy = new Map();
+      credits.forEach(c => paidBy.set(c.invoice.id, (paidBy.get(c.invoice.id) || 0) + c.amount));
+      const unpaid = invoices
+        .map(inv => ({
+          invoice: {
+            id: inv.id,
+            invoiceNumber: inv.invoiceNumber,
+            date: inv.date,
+            dueDate: inv.dueDate,
+            amount: parseFloat(inv.amount) || 0,
+          },
+          outstanding: round2(Math.max(0, (parseFloat(inv.amount) || 0) - (paidBy.get(inv.id) || 0))),
+        }))
+        .filter(row => row.outstanding > 0)
+        .map(row => ({ ...row, invoice: { ...row.invoice, outstandingBalance: row.outstanding } }));
+      const aging = this._bucketAging(unpaid, new Date(`${end}T23:59:59Z`));
+
+      return {
+        customer: customerData
+          ? { id: customerData.id, name: customerData.name, contactPerson: customerData.contactPerson, phone: customerData.phone, address: customerData.address }
+          : { id: null, name: Customer.normalizeName(customer) },
+        period: { from: from || null, to: end },
+        openingBalance,
+        closingBalance: balance,
+        entries,
+        totals: {
+          invoices: entries.filter(entry => entry.type === 'invoice').length,
+          payments: entries.filter(entry => entry.type === 'payment').length,
+          invoiced: round2(entries.reduce((sum, entry) => sum + entry.charge, 0)),
+          paid: round2(entries.reduce((sum, entry) => sum + entry.payment, 0)),
+        },
+        aging,
+      };
+    } catch (err) {
+      console.error('Error getting customer statement:', err);
+      throw err;
+    }
+  }
+
+  /**
+   * Render a customer statement with the customer-statement.html template
+   * @param {Object} options - getCustomerStatement options plus format: 'pdf' | 'html'
+   * @returns {Promise<Object>} { filename, content }
+   */
+  static async renderCustomerStatement({ format = 'pdf', ...options } = {}) {
+    try {
+      const statement = await this.getCustomerStatement(options);
+      const money = v => DocumentService.formatMoney(v);
+      const bucketLabels = {
+        current: 'Current',
+        overdue1_30: '1-30 days',
+        overdue31_60: '31-60 days',
+        overdue61_90: '61-90 days',
+        overdue90Plus: 'Over 90 days',
+      };
+      const data = {
+        company: config.company,
+        customer: statement.customer,
+        period: {
+          from: statement.period.from ? DocumentService.formatDate(statement.period.from) : 'First invoice',
+          to: DocumentService.formatDate(statement.period.to),
+        },
+        openingBalance: money(statement.openingBalance),
+        closingBalance: money(statement.closingBalance),
+        entries: statement.entries.map(entry => ({
+          date: DocumentService.formatDate(entry.date),
+          type: entry.type === 'invoice' ? 'Invoice' : 'Payment',
+          reference: entry.reference,
+          description: entry.description,
+          charge: entry.charge ? money(entry.charge) : '',
+          payment: entry.payment ? money(entry.payment) : '',
+          balance: money(entry.balance),
+        })),
+        totals: {
+          invoiced: money(statement.totals.invoiced),
+          paid: money(statement.totals.paid),
+        },
+        aging: Object.entries(statement.aging.agingBuckets).map(([key, bucket]) => ({
+          label: bucketLabels[key],
+          amount: money(bucket.amount),
+        })),
+        generatedAt: DocumentService.formatDate(new Date()),
+      };
+      const slug = String(statement.customer.id || statement.customer.name).toLowerCase().replace(/[^a-z0-9]+/g, '-');
+      const filename = `statement-customer-${slug}-${statement.period.to}`;
+      if (format === 'html') {
+        return { filename: `${filename}.html`, content: await DocumentService.renderTemplate('customer-statement.html', data) };
+      }
+      return { filename: `${filename}.pdf`, content: await DocumentService.renderPdf('customer-statement.html', data) };
+    } catch (err) {
+      console.error('Error rendering customer statement:', err);
+      throw err;
+    }
+  }
 }
 
 module.exports = InvoiceService;
\ No newline at end of file
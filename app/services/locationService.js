@@ -0,0 +1,179 @@
+const Location = require('../models/location');
+const InventoryMovement = require('../models/inventoryMovement');
+const { Op } = require('sequelize');
+
+class LocationService {
+  /**
+   * Create a new storage location
+   * @param {Object} locationData - The location data
+   * @returns {Promise<Object>} Created location
+   */
+  static async createLocation(locationData) {
+    try {
+      const existingLocation = await Location.findOne({
+        where: {
+          name: {
+            [Op.iLike]: locationData.name.trim(),
+          },
+        },
+      });
+
+      if (existingLocation) {
+        throw new Error('Location with this name already exists');
+      }
+
+      return await Location.create(locationData);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get all storage locations
+   * @param {Object} options - { search, type, includeDeleted }
+   * @returns {Promise<Array>} Locations ordered by type and name
+   */
+  static async getAllLocations(options = {}) {
+    try {
+      const { search = '', type, includeDeleted } = options;
+      const whereClause = {};
+
+      if (search) {
+        whereClause.name = { [Op.iLike]: `%${search}%` };
+      }
+      if (type) {
+        whereClause.type = type;
+      }
+
+      return await Location.findAll({
+        where: whereClause,
+        order: [['type', 'ASC'], ['name', 'ASC']],
+        paranoid: !(includeDeleted === true || includeDeleted === 'true'),
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get location by ID
+   * @param {number} id - Location ID
+   * @returns {Promise<Object>} Location data
+   */
+  static async getLocationById(id) {
+    try {
+      const location = await Location.findByPk(id);
+
+      if (!location) {
+        throw new Error('Location not found');
+      }
+
+      return location;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Check that a location referenced by a purchase, sale, milling batch or stock movement exists
+   * @param {number|null} locationId - Location ID (empty values are allowed: unassigned stock)
+   * @returns {Promise<Object|null>} Location, or null when no location was given
+   */
+  static async assertLocationExists(locationId) {
+    if (locationId === undefined || locationId === null || locationId === '') return null;
+    const location = await Location.findByPk(locationId);
+    if (!location) {
+      throw new Error('Location not found');
+    }
+    return location;
+  }
+
+  /**
+   * Update location by ID
+   * @param {number} id - Location ID
+   * @param {Object} updateData - Data to update
+   * @returns {Promise<Object>} Updated location
+   */
+  static async updateLocation(id, updateData) {
+    try {
+      const location = await Location.findByPk(id);
+
+      if (!location) {
+        throw new Error('Location not found');
+      }
+
+      if (updateData.name && updateData.name !== location.name) {
+        const existingLocation = await Location.findOne({
+          where: {
+            name: {
+              [Op.iLike]: updateData.name.trim(),
+            },
+            id: {
+              [Op.ne]: id,
+            },
+          },
+        });
+
+        if (existingLocation) {
+          throw new Error('Location with this name already exists');
+        }
+      }
+
+      await location.update(updateData);
+      return location;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Delete location by ID (soft delete; stock history keeps its location link)
+   * @param {number} id - Location ID
+   * @returns {Promise<boolean>} Success status
+   */
+  static async deleteLocation(id) {
+    try {
+      const location = await Location.findByPk(id);
+
+      if (!location) {
+        throw new Error('Location not found');
+      }
+
+      // Stock still held here would be stranded; transfer it out first
+      const stock = parseFloat(await InventoryMovement.sum('weight', { where: { locationId: id } })) || 0;
+      if (Number(stock.toFixed(2)) > 0) {
+        throw new Error(`Cannot delete location with stock. Remaining: ${stock.toFixed(2)}kg`);
+      }
+
+      await location.destroy();
+      return true;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Restore a soft-deleted location
+   * @param {number} id - Location ID
+   * @returns {Promise<Object>} Restored location
+   */
+  static async restoreLocation(id) {
+    try {
+      const location = await Location.findByPk(id, { paranoid: false });
+
+      if (!location) {
+        throw new Error('Location not found');
+      }
+      if (!location.deleted_at) {
+        throw new Error('Location is not deleted');
+      }
+
+      await location.restore();
+      return location;
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = LocationService;
@@ -0,0 +1,471 @@
+const MillingBatch = require('../models/millingBatch');
+const MillingBatchInput = require('../models/millingBatchInput');
+const MillingBatchOutput = require('../models/millingBatchOutput');
+const SaleAllocation = require('../models/saleAllocation');
+const Purchase = require('../models/purchase');
+const Product = require('../models/product');
+const Location = require('../models/location');
+const { Op } = require('sequelize');
+const { sequelize } = require('../../config/db');
+const InventoryMovement = require('../models/inventoryMovement');
+const InventoryService = require('./inventoryService');
+const LocationService = require('./locationService');
+
+const round = (value, digits) => Number(value.toFixed(digits));
+
+/**
+ * MillingBatchService
+ * Paddy consumed from purchases is milled into products (head rice, broken rice, bran, husk).
+ * Outputs carry the batch cost per kg and are the lots sales of those products draw from.
+ */
+class MillingBatchService {
+  // Check inputs against the weight of each purchase still held at the batch's location (null: unassigned stock)
+  // and price them at its landed cost per kg
+  static async _prepareInputs(inputs, { locationId = null, excludeBatchId, transaction } = {}) {
+    const weights = new Map();
+    inputs.forEach(input => {
+      weights.set(input.purchaseId, (weights.get(input.purchaseId) || 0) + parseFloat(input.weight));
+    });
+    const purchaseIds = [...weights.keys()];
+
+    const purchases = await Purchase.findAll({
+      where: { id: purchaseIds },
+      order: [['date', 'ASC'], ['id', 'ASC']],
+      transaction,
+      lock: transaction ? transaction.LOCK.UPDATE : undefined,
+    });
+    if (purchases.length !== purchaseIds.length) {
+      throw new Error('Purchase not found');
+    }
+    const balances = await InventoryMovement.totalsByPurchase(purchaseIds, {
+      excludeSource: { sourceType: 'milling_batch', sourceId: excludeBatchId },
+      locationId,
+      transaction,
+    });
+    const where = locationId ? ` at location ${locationId}` : '';
+
+    return purchases.map(purchase => {
+      const weight = weights.get(purchase.id);
+      const totalWeight = purchase.calculateTotalWeight();
+      const available = balances.has(purchase.id) ? balances.get(purchase.id).balance : 0;
+      if (round(weight, 2) > round(available, 2)) {
+        throw new Error(`Insufficient inventory in purchase ${purchase.id}${where}. Available: ${available.toFixed(2)}kg, Requested: ${weight.toFixed(2)}kg`);
+      }
+      const unitCost = totalWeight > 0 ? (parseFloat(purchase.totalCost) || 0) / totalWeight : 0;
+      return {
+        purchaseId: purchase.id,
+        productId: purchase.productId,
+        weight: round(weight, 2),
+        unitCost: round(unitCost, 4),
+        cost: round(weight * unitCost, 2),
+      };
+    });
+  }
+
+  // Check output products and spread the batch cost (paddy + processing) over the output weight
+  static async _prepareOutputs(outputs, inputs, processingCost, { transaction } = {}) {
+    const productIds = [...new Set(outputs.map(output => output.productId))];
+    const products = await Product.findAll({ where: { id: productIds }, transaction });
+    if (products.length !== productIds.length) {
+      throw new Error('Product not found');
+    }
+    const productById = new Map(products.map(product => [product.id, product]));
+    if (products.some(product => product.category === 'paddy')) {
+      throw new Error('Milling output must be milled rice or a by-product');
+    }
+
+    const inputWeight = inputs.reduce((sum, input) => sum + input.weight, 0);
+    const outputWeight = outputs.reduce((sum, output) => sum + parseFloat(output.weight), 0);
+    if (round(outputWeight, 2) > round(inputWeight, 2)) {
+      throw new Error(`Output weight (${outputWeight.toFixed(2)}kg) cannot exceed input weight (${inputWeight.toFixed(2)}kg)`);
+    }
+    const milledWeight = outputs
+      .filter(output => productById.get(output.productId).category === 'milled')
+      .reduce((sum, output) => sum + parseFloat(output.weight), 0);
+
+    const inputCost = inputs.reduce((sum, input) => sum + input.cost, 0);
+    const totalCost = inputCost + (parseFloat(processingCost) || 0);
+    const unitCost = outputWeight > 0 ? totalCost / outputWeight : 0;
+
+    return {
+      outputs: outputs.map(output => ({
+        productId: output.productId,
+        weight: round(parseFloat(output.weight), 2),
+        unitCost: round(unitCost, 4),
+        cost: round(parseFloat(output.weight) * unitCost, 2),
+      })),
+      totals: {
+        inputWeight: round(inputWeight, 2),
+        outputWeight: round(outputWeight, 2),
+        rendement: inputWeight > 0 ? round((milledWeight / inputWeight) * 100, 2) : null,
+        inputCost: round(inputCost, 2),
+      },
+    };
+  }
+
+  // Replace the batch's lines and post them to the stock ledger (replaced outputs take their movements with them)
+  static async _saveLines(batch, inputs, outputs, transaction) {
+    const batchId = batch.id;
+    await MillingBatchInput.destroy({ where: { batchId }, transaction });
+    await MillingBatchOutput.destroy({ where: { batchId }, transaction });
+    await MillingBatchInput.bulkCreate(inputs.map(input => ({ ...input, batchId })), { transaction });
+    const created = await MillingBatchOutput.bulkCreate(outputs.map(output => ({ ...output, batchId })), { transaction });
+    await InventoryService.postMillingBatch(batch, inputs, created, { transaction });
+  }
+
+  // Whether anything other than the batch itself (a sale, an adjustment or a transfer) has moved its output
+  static async _outputMoved(outputIds, { transaction } = {}) {
+    if (!outputIds.length) return false;
+    const drawn = await SaleAllocation.totalsByOutput(outputIds, { transaction });
+    if (drawn.size) return true;
+    const moved = await InventoryMovement.count({
+      where: { millingOutputId: outputIds, sourceType: ['adjustment', 'transfer'] },
+      transaction,
+    });
+    return moved > 0;
+  }
+
+  // drawn: output id -> weight sold; balances: output id -> stock ledger totals (remaining falls back to output - sold)
+  static _serializeBatch(row, drawn = new Map(), balances = null) {
+    const batch = row.toJSON ? row.toJSON() : row;
+    const inputWeight = parseFloat(batch.inputWeight) || 0;
+    const outputWeight = parseFloat(batch.outputWeight) || 0;
+    batch.totalCost = (parseFloat(batch.inputCost) || 0) + (parseFloat(batch.processingCost) || 0);
+    batch.lossWeight = round(inputWeight - outputWeight, 2);
+    batch.totalYield = inputWeight > 0 ? round((outputWeight / inputWeight) * 100, 2) : null;
+    if (Array.isArray(batch.outputs)) {
+      batch.outputs = batch.outputs.map(output => {
+        const soldWeight = drawn.has(output.id) ? drawn.get(output.id).weight : 0;
+        if (!balances) {
+          return { ...output, soldWeight, remainingWeight: round(parseFloat(output.weight) - soldWeight, 2) };
+        }
+        const { adjustedWeight = 0, balance = 0 } = balances.get(output.id) || {};
+        return { ...output, soldWeight, adjustedWeight, remainingWeight: round(balance, 2) };
+      });
+    }
+    return batch;
+  }
+
+  static _detailIncludes() {
+    return [
+      { model: Location, as: 'locationData', attributes: Location.SUMMARY_ATTRIBUTES, paranoid: false },
+      {
+        model: MillingBatchInput,
+        as: 'inputs',
+        include: [{ model: Purchase, as: 'purchaseData', attributes: ['id', 'date', 'supplier', 'productId'], paranoid: false }],
+      },
+      {
+        model: MillingBatchOutput,
+        as: 'outputs',
+        include: [{ model: Product, as: 'productData', attributes: Product.SUMMARY_ATTRIBUTES, paranoid: false }],
+      },
+    ];
+  }
+
+  /**
+   * Record a milling batch
+   * @param {Object} data - { date, locationId, machine, shift, processingCost, notes, inputs: [{ purchaseId, weight }], outputs: [{ productId, weight }] }
+   * @returns {Promise<Object>} Created batch with inputs and outputs
+   */
+  static async createBatch(data) {
+    try {
+      const { inputs, outputs, ...info } = data;
+      await LocationService.assertLocationExists(info.locationId);
+      const batchId = await sequelize.transaction(async (transaction) => {
+        const preparedInputs = await this._prepareInputs(inputs, { locationId: info.locationId || null, transaction });
+        const prepared = await this._prepareOutputs(outputs, preparedInputs, info.processingCost, { transaction });
+        const batch = await MillingBatch.create({ ...info, ...prepared.totals }, { transaction });
+        await this._saveLines(batch, preparedInputs, prepared.outputs, transaction);
+        return batch.id;
+      });
+      return await this.getBatchById(batchId);
+    } catch (error) {
+      console.error('Error creating milling batch:', error);
+      throw error;
+    }
+  }
+
+  static _buildListQuery(options = {}) {
+    const {
+      sortBy = 'date',
+      sortOrder = 'DESC',
+      startDate,
+      endDate,
+      machine,
+      shift,
+      productId,
+      locationId,
+      includeDeleted,
+    } = options;
+
+    const where = {};
+    if (machine) where.machine = { [Op.iLike]: `%${machine}%` };
+    if (shift) where.shift = shift;
+    if (locationId) where.locationId = locationId;
+    // Batches with an output of the given product
+    if (productId) {
+      where.id = {
+        [Op.in]: sequelize.literal(`(SELECT batch_id FROM milling_batch_outputs WHERE product_id = ${parseInt(productId)})`),
+      };
+    }
+    if (startDate || endDate) {
+      where.date = {};
+      if (startDate) where.date[Op.gte] = new Date(startDate);
+      if (endDate) where.date[Op.lte] = new Date(endDate);
+    }
+
+    return {
+      where,
+      include: [
+        {
+          model: MillingBatchOutput,
+          as: 'outputs',
+          include: [{ model: Product, as: 'productData', attributes: Product.SUMMARY_ATTRIBUTES, paranoid: false }],
+        },
+        { model: Location, as: 'locationData', attributes: Location.SUMMARY_ATTRIBUTES, paranoid: false },
+      ],
+      order: [[sortBy, sortOrder.toUpperCase()], ['id', 'DESC']],
+      distinct: true,
+      paranoid: !(includeDeleted === true || includeDeleted === 'true'),
+    };
+  }
+
+  /**
+   * Get milling batches with pagination and filtering
+   * @param {Object} options - { page, limit, startDate, endDate, machine, shift, productId, locationId, includeDeleted, sortBy, sortOrder }
+   * @returns {Promise<Object>} Batches with pagination
+   */
+  static async getAllBatches(options = {}) {
+    try {
+      const { page = 1, limit = 10 } = options;
+      const offset = (page - 1) * limit;
+
+      const { count, rows } = await MillingBatch.findAndCountAll({
+        ...this._buildListQuery(options),
+        limit: parseInt(limit),
+        offset,
+      });
+
+      return {
+        batches: rows.map(row => this._serializeBatch(row)),
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(count / limit),
+          totalItems: count,
+          itemsPerPage: parseInt(limit),
+        },
+      };
+    } catch (error) {
+      console.error('Error getting milling batches:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a milling batch with its inputs and outputs (outputs include weight sold and remaining)
+   * @param {number} id - Batch ID
+   * @returns {Promise<Object>} Batch details
+   */
+  static async getBatchById(id) {
+    try {
+      const batch = await MillingBatch.findByPk(id, { include: this._detailIncludes() });
+      if (!batch) {
+        throw new Error('Milling batch not found');
+      }
+      const outputIds = batch.outputs.map(output => output.id);
+      const [drawn, balances] = await Promise.all([
+        SaleAllocation.totalsByOutput(outputIds),
+        InventoryMovement.totalsByOutput(outputIds),
+      ]);
+      return this._serializeBatch(batch, drawn, balances);
+    } catch (error) {
+      console.error('Error getting milling batch by ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a milling batch. Inputs, outputs and processing cost set the cost of the output and the location
+   * says where its stock is, so they can only change while none of the output has been sold, adjusted or transferred.
+   * @param {number} id - Batch ID
+   * @param {Object} data - Fields to update (inputs/outputs replace the existing lines)
+   * @returns {Promise<Object>} Updated batch
+   */
+  static async updateBatch(id, data) {
+    try {
+      const { inputs, outputs, ...info } = data;
+      const batch = await MillingBatch.findByPk(id, {
+        include: [
+          { model: MillingBatchInput, as: 'inputs' },
+          { model: MillingBatchOutput, as: 'outputs' },
+        ],
+      });
+      if (!batch) {
+        throw new Error('Milling batch not found');
+      }
+      const locationChanged = info.locationId !== undefined && (info.locationId || null) !== (batch.locationId || null);
+      if (locationChanged) {
+        await LocationService.assertLocationExists(info.locationId);
+      }
+
+      await sequelize.transaction(async (transaction) => {
+        let lines = null;
+        if (inputs || outputs || info.processingCost !== undefined || locationChanged) {
+          if (await this._outputMoved(batch.outputs.map(output => output.id), { transaction })) {
+            throw new Error('Cannot change inputs, outputs, costs or location of a milling batch whose output has been sold, adjusted or transferred');
+          }
+
+          const locationId = locationChanged ? info.locationId || null : batch.locationId || null;
+          const preparedInputs = await this._prepareInputs(
+            inputs || batch.inputs.map(input => ({ purchaseId: input.purchaseId, weight: input.weight })),
+            { locationId, excludeBatchId: batch.id, transaction }
+          );
+          const prepared = await this._prepareOutputs(
+            outputs || batch.outputs.map(output => ({ productId: output.productId, weight: output.weight })),
+            preparedInputs,
+            info.processingCost !== undefined ? info.processingCost : batch.processingCost,
+            { transaction }
+          );
+          Object.assign(info, prepared.totals);
+          lines = { inputs: preparedInputs, outputs: prepared.outputs };
+        }
+        // Update first so the lines are posted with the batch's new date and location
+        await batch.update(info, { transaction });
+        if (lines) {
+          await this._saveLines(batch, lines.inputs, lines.outputs, transaction);
+        }
+      });
+
+      return await this.getBatchById(id);
+    } catch (error) {
+      console.error('Error updating milling batch:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a milling batch (soft delete; its paddy goes back to the purchases)
+   * @param {number} id - Batch ID
+   * @returns {Promise<void>}
+   */
+  static async deleteBatch(id) {
+    try {
+      const batch = await MillingBatch.findByPk(id, { include: [{ model: MillingBatchOutput, as: 'outputs' }] });
+      if (!batch) {
+        throw new Error('Milling batch not found');
+      }
+
+      const drawn = await SaleAllocation.totalsByOutput(batch.outputs.map(output => output.id));
+      if (drawn.size) {
+        throw new Error('Cannot delete milling batch with sold output');
+      }
+
+      await sequelize.transaction(async (transaction) => {
+        await batch.destroy({ transaction });
+        await InventoryService.postMillingBatch(batch, [], [], { transaction });
+      });
+    } catch (error) {
+      console.error('Error deleting milling batch:', error);
+      throw error;
+    }
+  }
+
+  // Restoring takes the paddy from the purchases again, so re-check stock
+  static async restoreBatch(id) {
+    try {
+      const batch = await MillingBatch.findByPk(id, {
+        paranoid: false,
+        include: [
+          { model: MillingBatchInput, as: 'inputs' },
+          { model: MillingBatchOutput, as: 'outputs' },
+        ],
+      });
+      if (!batch) {
+        throw new Error('Milling batch not found');
+      }
+      if (!batch.deleted_at) {
+        throw new Error('Milling batch is not deleted');
+      }
+
+      await sequelize.transaction(async (transaction) => {
+        const inputs = await this._prepareInputs(
+          batch.inputs.map(input => ({ purchaseId: input.purchaseId, weight: input.weight })),
+          { locationId: batch.locationId || null, excludeBatchId: batch.id, transaction }
+        );
+        await batch.restore({ transaction });
+        await InventoryService.postMillingBatch(batch, inputs, batch.outputs, { transaction });
+      });
+      return await this.getBatchById(id);
+    } catch (error) {
+      console.error('Error restoring milling batch:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Milled output still in stock (outputs of batches that are not deleted, oldest first)
+   * @param {Object} options - { productId, groupBy: 'product' sums per product }
+   * @returns {Promise<Array>} Outputs with soldWeight and remainingWeight
+   */
+  static async getOutputInventory(options = {}) {
+    try {
+      const { productId, groupBy } = options;
+      const outputs = await MillingBatchOutput.findAll({
+        where: productId ? { productId } : {},
+        include: [
+          { model: MillingBatch, as: 'batch', attributes: ['id', 'date', 'machine', 'shift', 'rendement'], required: true },
+          { model: Product, as: 'productData', attributes: Product.SUMMARY_ATTRIBUTES, paranoid: false },
+        ],
+        order: [[{ model: MillingBatch, as: 'batch' }, 'date', 'ASC'], ['id', 'ASC']], // FIFO
+      });
+      const outputIds = outputs.map(output => output.id);
+      const [drawn, balances] = await Promise.all([
+        SaleAllocation.totalsByOutput(outputIds),
+        InventoryMovement.totalsByOutput(outputIds),
+      ]);
+
+      const items = outputs
+        .map(output => {
+          const soldWeight = drawn.has(output.id) ? drawn.get(output.id).weight : 0;
+          const { adjustedWeight = 0, balance = 0 } = balances.get(output.id) || {};
+          return {
+            ...output.toJSON(),
+            soldWeight,
+            adjustedWeight,
+            remainingWeight: round(balance, 2),
+          };
+        })
+        .filter(item => item.remainingWeight > 0);
+
+      if (groupBy !== 'product') {
+        return items;
+      }
+
+      const groups = new Map();
+      items.forEach(item => {
+        const group = groups.get(item.productId) || {
+          productId: item.productId,
+          productName: item.productData ? item.productData.name : null,
+          unit: item.productData ? item.productData.unit : null,
+          outputCount: 0,
+          totalWeight: 0,
+          soldWeight: 0,
+          adjustedWeight: 0,
+          remainingWeight: 0,
+        };
+        group.outputCount += 1;
+        group.totalWeight += item.weight;
+        group.soldWeight += item.soldWeight;
+        group.adjustedWeight += item.adjustedWeight;
+        group.remainingWeight += item.remainingWeight;
+        groups.set(item.productId, group);
+      });
+      return Array.from(groups.values());
+    } catch (error) {
+      console.error('Error getting milled output inventory:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = MillingBatchService;
@@ -0,0 +1,45 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * FileNotifier
+ * Stand-in for a real channel (local setups and tests): appends each reminder as a JSON line to a file
+ */
+class FileNotifier {
+  /**
+   * @param {Object} options - { path }
+   */
+  constructor(options = {}) {
+    this.channel = 'file';
+    this.path = options.path;
+  }
+
+  /**
+   * Every invoice can be "sent" to the file; the customer's email or phone is recorded when known
+   * @param {Object|null} customer - Customer the invoice is linked to
+   * @returns {string} Recipient label
+   */
+  recipientFor(customer) {
+    return (customer && (customer.email || customer.phone || customer.name)) || 'unlinked customer';
+  }
+
+  /**
+   * Send one reminder
+   * @param {Object} message - { to, subject, text, invoice, threshold, daysOverdue }
+   */
+  async send({ to, subject, text, invoice, threshold, daysOverdue }) {
+    await fs.promises.mkdir(path.dirname(this.path), { recursive: true });
+    const line = JSON.stringify({
+      sentAt: new Date().toISOString(),
+      to,
+      subject,
+      text,
+      invoiceNumber: invoice.invoiceNumber,
+      threshold,
+      daysOverdue,
+    });
+    await fs.promises.appendFile(this.path, `${line}\n`);
+  }
+}
+
+module.exports = FileNotifier;
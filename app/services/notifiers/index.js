@@ -0,0 +1,30 @@
+const config = require('../../../config/environment');
+const SmtpNotifier = require('./smtpNotifier');
+const WebhookNotifier = require('./webhookNotifier');
+const FileNotifier = require('./fileNotifier');
+
+// Reminder channels. A notifier has a channel name, recipientFor(customer) returning the address
+// to send to (null: cannot reach this customer) and async send({ to, subject, text, ... }).
+const NOTIFIERS = {
+  smtp: SmtpNotifier,
+  webhook: WebhookNotifier,
+  file: FileNotifier,
+};
+
+/**
+ * Notifier for a reminder channel, configured from config.reminders
+ * @param {string} channel - smtp | webhook | file (default: REMINDER_CHANNEL)
+ * @returns {Object} Notifier
+ */
+const createNotifier = (channel = config.reminders.channel) => {
+  const Notifier = NOTIFIERS[channel];
+  if (!Notifier) {
+    throw new Error(`Unknown reminder channel: ${channel}. Use one of: ${Object.keys(NOTIFIERS).join(', ')}`);
+  }
+  return new Notifier(config.reminders[channel]);
+};
+
+module.exports = {
+  NOTIFIERS,
+  createNotifier,
+};
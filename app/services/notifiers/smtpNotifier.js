@@ -0,0 +1,40 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * SmtpNotifier
+ * Emails reminders to the customer's email address
+ */
+class SmtpNotifier {
+  /**
+   * @param {Object} options - { host, port, secure, user, password, from }
+   */
+  constructor(options = {}) {
+    this.channel = 'smtp';
+    this.from = options.from;
+    this.transport = nodemailer.createTransport({
+      host: options.host,
+      port: options.port,
+      secure: options.secure,
+      auth: options.user ? { user: options.user, pass: options.password } : undefined,
+    });
+  }
+
+  /**
+   * Address a reminder for this customer goes to
+   * @param {Object|null} customer - Customer the invoice is linked to
+   * @returns {string|null} Email address, or null when the customer has none
+   */
+  recipientFor(customer) {
+    return (customer && customer.email) || null;
+  }
+
+  /**
+   * Send one reminder
+   * @param {Object} message - { to, subject, text }
+   */
+  async send({ to, subject, text }) {
+    await this.transport.sendMail({ from: this.from, to, subject, text });
+  }
+}
+
+module.exports = SmtpNotifier;
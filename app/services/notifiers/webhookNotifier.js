@@ -0,0 +1,48 @@
+const axios = require('axios');
+
+/**
+ * WebhookNotifier
+ * Posts reminders as JSON to a messaging gateway (e.g. a WhatsApp gateway) for the customer's phone
+ */
+class WebhookNotifier {
+  /**
+   * @param {Object} options - { url, token }
+   */
+  constructor(options = {}) {
+    if (!options.url) {
+      throw new Error('REMINDER_WEBHOOK_URL is required for the webhook reminder channel');
+    }
+    this.channel = 'webhook';
+    this.url = options.url;
+    this.token = options.token;
+  }
+
+  /**
+   * Phone number a reminder for this customer goes to
+   * @param {Object|null} customer - Customer the invoice is linked to
+   * @returns {string|null} Phone number, or null when the customer has none
+   */
+  recipientFor(customer) {
+    return (customer && customer.phone) || null;
+  }
+
+  /**
+   * Send one reminder; a non-2xx answer from the gateway is a failure
+   * @param {Object} message - { to, subject, text, invoice, threshold, daysOverdue }
+   */
+  async send({ to, subject, text, invoice, threshold, daysOverdue }) {
+    await axios.post(this.url, {
+      phone: to,
+      message: text,
+      subject,
+      invoiceNumber: invoice.invoiceNumber,
+      threshold,
+      daysOverdue,
+    }, {
+      headers: this.token ? { Authorization: `Bearer ${this.token}` } : {},
+      timeout: 10000,
+    });
+  }
+}
+
+module.exports = WebhookNotifier;
@@ -0,0 +1,115 @@
+const DocumentSequence = require('../models/documentSequence');
+const config = require('../../config/environment');
+const { sequelize } = require('../../config/db');
+
+const RESETS = ['monthly', 'yearly', 'never'];
+
+/**
+ * NumberingService
+ * Gap-free document numbers from per-series, per-period counters (config.numbering).
+ *
+ * Pattern tokens: {prefix} {YYYY} {YY} {MM} {DD} {seq}
+ * Reset: 'monthly' | 'yearly' | 'never'
+ */
+class NumberingService {
+  // 'YYYY-MM-DD' strings are calendar dates: read them in local time, not UTC midnight
+  static toDate(value) {
+    if (!value) return new Date();
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      const [year, month, day] = value.split('-').map(Number);
+      return new Date(year, month - 1, day);
+    }
+    return new Date(value);
+  }
+
+  /**
+   * Check every series can produce unique numbers: the pattern needs {seq}, and a series that resets
+   * must carry its period in the pattern, or each new period would repeat the numbers of the last one.
+   * Called at startup.
+   * @throws {Error} Listing every misconfigured series
+   */
+  static validateConfig() {
+    const problems = [];
+    Object.entries(config.numbering).forEach(([series, { pattern, reset }]) => {
+      const has = token => pattern.includes(`{${token}}`);
+      const hasYear = has('YYYY') || has('YY');
+      if (!RESETS.includes(reset)) {
+        problems.push(`${series}: unknown reset "${reset}" (use ${RESETS.join(', ')})`);
+      }
+      if (!has('seq')) {
+        problems.push(`${series}: pattern "${pattern}" has no {seq}`);
+      }
+      if (reset === 'monthly' && !(has('MM') && hasYear)) {
+        problems.push(`${series}: monthly reset needs {MM} and {YYYY} or {YY} in pattern "${pattern}"`);
+      }
+      if (reset === 'yearly' && !hasYear) {
+        problems.push(`${series}: yearly reset needs {YYYY} or {YY} in pattern "${pattern}"`);
+      }
+    });
+    if (problems.length) {
+      throw new Error(`Invalid document numbering configuration: ${problems.join('; ')}`);
+    }
+  }
+
+  static getSeriesConfig(series) {
+    const seriesConfig = config.numbering[series];
+    if (!seriesConfig) {
+      throw new Error(`Unknown numbering series: ${series}`);
+    }
+    return seriesConfig;
+  }
+
+  static getPeriod(date, reset) {
+    const year = String(date.getFullYear());
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    if (reset === 'monthly') return `${year}${month}`;
+    if (reset === 'yearly') return year;
+    return 'all';
+  }
+
+  static format(seriesConfig, date, value) {
+    const year = String(date.getFullYear());
+    const tokens = {
+      prefix: seriesConfig.prefix,
+      YYYY: year,
+      YY: year.slice(-2),
+      MM: String(date.getMonth() + 1).padStart(2, '0'),
+      DD: String(date.getDate()).padStart(2, '0'),
+      seq: String(value).padStart(seriesConfig.padding, '0'),
+    };
+    return seriesConfig.pattern.replace(/\{(\w+)\}/g, (match, token) => (token in tokens ? tokens[token] : match));
+  }
+
+  /**
+   * Allocate the next number of a series.
+   * Pass the transaction that creates the document: the number is only consumed if it commits.
+   * @param {string} series - Series name (e.g. 'invoice')
+   * @param {Object} options - { date, transaction }
+   * @returns {Promise<string>} Formatted document number
+   */
+  static async next(series, { date, transaction } = {}) {
+    date = this.toDate(date);
+    const seriesConfig = this.getSeriesConfig(series);
+    const period = this.getPeriod(date, seriesConfig.reset);
+    const value = transaction
+      ? await DocumentSequence.nextValue(series, period, { transaction })
+      : await sequelize.transaction(t => DocumentSequence.nextValue(series, period, { transaction: t }));
+    return this.format(seriesConfig, date, value);
+  }
+
+  /**
+   * Preview the next number without reserving it
+   * @param {string} series - Series name
+   * @param {Date|string} date - Document date
+   * @returns {Promise<string>} Formatted document number
+   */
+  static async preview(series, date) {
+    date = this.toDate(date);
+    const seriesConfig = this.getSeriesConfig(series);
+    const period = this.getPeriod(date, seriesConfig.reset);
+    const current = await DocumentSequence.currentValue(series, period);
+    return this.format(seriesConfig, date, current + 1);
+  }
+}
+
+module.exports = NumberingService;
@@ -0,0 +1,172 @@
+const Product = require('../models/product');
+const { Op } = require('sequelize');
+
+class ProductService {
+  /**
+   * Create a new product
+   * @param {Object} productData - The product data
+   * @returns {Promise<Object>} Created product
+   */
+  static async createProduct(productData) {
+    try {
+      const existingProduct = await Product.findOne({
+        where: {
+          name: {
+            [Op.iLike]: productData.name.trim(),
+          },
+        },
+      });
+
+      if (existingProduct) {
+        throw new Error('Product with this name already exists');
+      }
+
+      return await Product.create(productData);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get the product catalogue
+   * @param {Object} options - { search, category, includeDeleted }
+   * @returns {Promise<Array>} Products ordered by category and name
+   */
+  static async getAllProducts(options = {}) {
+    try {
+      const { search = '', category, includeDeleted } = options;
+      const whereClause = {};
+
+      if (search) {
+        whereClause.name = { [Op.iLike]: `%${search}%` };
+      }
+      if (category) {
+        whereClause.category = category;
+      }
+
+      return await Product.findAll({
+        where: whereClause,
+        order: [['category', 'ASC'], ['name', 'ASC']],
+        paranoid: !(includeDeleted === true || includeDeleted === 'true'),
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get product by ID
+   * @param {number} id - Product ID
+   * @returns {Promise<Object>} Product data
+   */
+  static async getProductById(id) {
+    try {
+      const product = await Product.findByPk(id);
+
+      if (!product) {
+        throw new Error('Product not found');
+      }
+
+      return product;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Check that a product referenced by a purchase, sale or invoice item exists
+   * @param {number|null} productId - Product ID (empty values are allowed)
+   * @returns {Promise<Object|null>} Product, or null when no product was given
+   */
+  static async assertProductExists(productId) {
+    if (productId === undefined || productId === null || productId === '') return null;
+    const product = await Product.findByPk(productId);
+    if (!product) {
+      throw new Error('Product not found');
+    }
+    return product;
+  }
+
+  /**
+   * Update product by ID
+   * @param {number} id - Product ID
+   * @param {Object} updateData - Data to update
+   * @returns {Promise<Object>} Updated product
+   */
+  static async updateProduct(id, updateData) {
+    try {
+      const product = await Product.findByPk(id);
+
+      if (!product) {
+        throw new Error('Product not found');
+      }
+
+      if (updateData.name && updateData.name !== product.name) {
+        const existingProduct = await Product.findOne({
+          where: {
+            name: {
+              [Op.iLike]: updateData.name.trim(),
+            },
+            id: {
+              [Op.ne]: id,
+            },
+          },
+        });
+
+        if (existingProduct) {
+          throw new Error('Product with this name already exists');
+        }
+      }
+
+      await product.update(updateData);
+      return product;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Delete product by ID (soft delete; existing records keep their product link)
+   * @param {number} id - Product ID
+   * @returns {Promise<boolean>} Success status
+   */
+  static async deleteProduct(id) {
+    try {
+      const product = await Product.findByPk(id);
+
+      if (!product) {
+        throw new Error('Product not found');
+      }
+
+      await product.destroy();
+      return true;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Restore a soft-deleted product
+   * @param {number} id - Product ID
+   * @returns {Promise<Object>} Restored product
+   */
+  static async restoreProduct(id) {
+    try {
+      const product = await Product.findByPk(id, { paranoid: false });
+
+      if (!product) {
+        throw new Error('Product not found');
+      }
+      if (!product.deleted_at) {
+        throw new Error('Product is not deleted');
+      }
+
+      await product.restore();
+      return product;
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = ProductService;
@@ -1,6 +1,36 @@
 const Purchase = require('../models/purchase');
 const Supplier = require('../models/supplier');
+const Product = require('../models/product');
+const Location = require('../models/location');
 const { Op } = require('sequelize');
+const ExportService = require('./exportService');
+const ProductService = require('./productService');
+const LocationService = require('./locationService');
+const AllocationService = require('./allocationService');
+const InventoryService = require('./inventoryService');
+const InventoryMovement = require('../models/inventoryMovement');
+const SupplierPayment = require('../models/supplierPayment');
+const SupplierPaymentAllocation = require('../models/supplierPaymentAllocation');
+const { sequelize } = require('../../config/db');
+
+// Moisture and impurity averages are weighted by purchase weight, over purchases where they were measured
+const emptyQuality = () => ({ moistureWeight: 0, moistureSum: 0, impurityWeight: 0, impuritySum: 0 });
+
+const addQuality = (quality, purchase, weight) => {
+  if (purchase.moistureContent !== null && purchase.moistureContent !== undefined) {
+    quality.moistureWeight += weight;
+    quality.moistureSum += Number(purchase.moistureContent) * weight;
+  }
+  if (purchase.impurityContent !== null && purchase.impurityContent !== undefined) {
+    quality.impurityWeight += weight;
+    quality.impuritySum += Number(purchase.impurityContent) * weight;
+  }
+};
+
+const qualitySummary = quality => ({
+  averageMoisture: quality.moistureWeight > 0 ? Math.round((quality.moistureSum / quality.moistureWeight) * 100) / 100 : null,
+  averageImpurity: quality.impurityWeight > 0 ? Math.round((quality.impuritySum / quality.impurityWeight) * 100) / 100 : null,
+});
 
 class PurchaseService {
   /**
@@ -18,8 +48,14 @@ class PurchaseService {
       if (supplier.status === 'inactive') {
         throw new Error('Cannot create purchase for inactive supplier');
       }
+      await ProductService.assertProductExists(purchaseData.productId);
+      await LocationService.assertLocationExists(purchaseData.locationId);
 
-      const purchase = await Purchase.create(purchaseData);
+      const purchase = await sequelize.transaction(async (transaction) => {
+        const created = await Purchase.create(purchaseData, { transaction });
+        await InventoryService.postPurchase(created, { transaction });
+        return created;
+      });
       return await Purchase.findByPk(purchase.id, {
         include: [
           {
@@ -27,6 +63,8 @@ class PurchaseService {
             as: 'supplierData',
             attributes: ['id', 'name', 'contact_person', 'phone', 'address'],
           },
+          { model: Product, as: 'productData', attributes: Product.SUMMARY_ATTRIBUTES, paranoid: false },
+          { model: Location, as: 'locationData', attributes: Location.SUMMARY_ATTRIBUTES, paranoid: false },
         ],
       });
     } catch (error) {
@@ -35,6 +73,88 @@ class PurchaseService {
     }
   }
 
+  /**
+   * Build the where/include/order options shared by the listing and the export
+   * @param {Object} options - Query options
+   * @returns {Object} findAll options
+   */
+  static _buildListQuery(options = {}) {
+    const {
+      sortBy = 'date',
+      sortOrder = 'DESC',
+      supplierId,
+      productId,
+      locationId,
+      startDate,
+      endDate,
+      minTotalCost,
+      maxTotalCost,
+      paymentStatus,
+      includeDeleted,
+    } = options;
+
+    const whereClause = {};
+
+    // Filter by supplier
+    if (supplierId) {
+      whereClause.supplierId = supplierId;
+    }
+
+    // Filter by product
+    if (productId) {
+      whereClause.productId = productId;
+    }
+
+    // Filter by the location the paddy was received at
+    if (locationId) {
+      whereClause.locationId = locationId;
+    }
+
+    // Filter by date range
+    if (startDate || endDate) {
+      whereClause.date = {};
+      if (startDate) whereClause.date[Op.gte] = new Date(startDate);
+      if (endDate) whereClause.date[Op.lte] = new Date(endDate);
+    }
+
+    // Filter by amount range
+    if (minTotalCost || maxTotalCost) {
+      whereClause.totalCost = {};
+      if (minTotalCost) whereClause.totalCost[Op.gte] = parseFloat(minTotalCost);
+      if (maxTotalCost) whereClause.totalCost[Op.lte] = parseFloat(maxTotalCost);
+    }
+
+    // Filter by what has been paid to the supplier (unpaid = nothing paid yet, outstanding = not fully paid),
+    // matching Purchase.derivePaymentStatus: a purchase with nothing to pay counts as paid
+    if (paymentStatus) {
+      const paid = sequelize.col('Purchase.paid_amount');
+      const total = sequelize.col('Purchase.total_cost');
+      const conditions = {
+        paid: [sequelize.where(paid, Op.gte, total)],
+        unpaid: [{ paidAmount: 0 }, sequelize.where(paid, Op.lt, total)],
+        partially_paid: [{ paidAmount: { [Op.gt]: 0 } }, sequelize.where(paid, Op.lt, total)],
+        outstanding: [sequelize.where(paid, Op.lt, total)],
+      }[paymentStatus];
+      if (conditions) whereClause[Op.and] = conditions;
+    }
+
+    return {
+      where: whereClause,
+      include: [
+        {
+          model: Supplier,
+          as: 'supplierData',
+          attributes: ['id', 'name', 'contact_person', 'phone', 'address'],
+          paranoid: false, // keep supplier details on history after the supplier is deleted
+        },
+        { model: Product, as: 'productData', attributes: Product.SUMMARY_ATTRIBUTES, paranoid: false },
+        { model: Location, as: 'locationData', attributes: Location.SUMMARY_ATTRIBUTES, paranoid: false },
+      ],
+      order: [[sortBy, sortOrder.toUpperCase()]],
+      paranoid: !(includeDeleted === true || includeDeleted === 'true'),
+    };
+  }
+
   /**
    * Get all purchases with pagination and filtering
    * @param {Object} options - Query options
@@ -42,50 +162,11 @@ class PurchaseService {
    */
   static async getAllPurchases(options = {}) {
     try {
-      const {
-        page = 1,
-        limit = 10,
-        sortBy = 'date',
-        sortOrder = 'DESC',
-        supplierId,
-        startDate,
-        endDate,
-        minTotalCost,
-        maxTotalCost,
-      } = options;
-
+      const { page = 1, limit = 10 } = options;
       const offset = (page - 1) * limit;
-      const whereClause = {};
-
-      // Filter by supplier
-      if (supplierId) {
-        whereClause.supplierId = supplierId;
-      }
-
-      // Filter by date range
-      if (startDate || endDate) {
-        whereClause.date = {};
-        if (startDate) whereClause.date[Op.gte] = new Date(startDate);
-        if (endDate) whereClause.date[Op.lte] = new Date(endDate);
-      }
-
-      // Filter by amount range
-      if (minTotalCost || maxTotalCost) {
-        whereClause.totalCost = {};
-        if (minTotalCost) whereClause.totalCost[Op.gte] = parseFloat(minTotalCost);
-        if (maxTotalCost) whereClause.totalCost[Op.lte] = parseFloat(maxTotalCost);
-      }
 
       const { count, rows } = await Purchase.findAndCountAll({
-        where: whereClause,
-        include: [
-          {
-            model: Supplier,
-            as: 'supplierData',
-            attributes: ['id', 'name', 'contact_person', 'phone', 'address'],
-          },
-        ],
-        order: [[sortBy, sortOrder.toUpperCase()]],
+        ...this._buildListQuery(options),
         limit: parseInt(limit),
         offset: offset,
       });
@@ -105,6 +186,15 @@ class PurchaseService {
     }
   }
 
+  /**
+   * Every purchase matching the listing filters (no pagination), in batches
+   * @param {Object} options - Query options
+   * @returns {AsyncGenerator<Array>} Batches of purchases
+   */
+  static exportPurchases(options = {}) {
+    return ExportService.findInBatches(Purchase, this._buildListQuery(options));
+  }
+
   /**
    * Get purchase by ID
    * @param {number} id - Purchase ID
@@ -118,6 +208,14 @@ class PurchaseService {
             model: Supplier,
             as: 'supplierData',
             attributes: ['id', 'name', 'contact_person', 'phone', 'address'],
+            paranoid: false,
+          },
+          { model: Product, as: 'productData', attributes: Product.SUMMARY_ATTRIBUTES, paranoid: false },
+          { model: Location, as: 'locationData', attributes: Location.SUMMARY_ATTRIBUTES, paranoid: false },
+          {
+            model: SupplierPaymentAllocation,
+            as: 'paymentAllocations',
+            include: [{ model: SupplierPayment, as: 'payment', attributes: ['id', 'date', 'method', 'reference'] }],
           },
         ],
       });
@@ -148,6 +246,9 @@ class PurchaseService {
 
       // If supplier_id is being updated, verify the new supplier exists and is active
       if (updateData.supplierId && updateData.supplierId !== purchase.supplierId) {
+        if (parseFloat(purchase.paidAmount) > 0) {
+          throw new Error('Cannot change the supplier of a purchase with supplier payments; delete the payments first');
+        }
         const supplier = await Supplier.findByPk(updateData.supplierId);
         if (!supplier) {
           throw new Error('Supplier not found');
@@ -156,8 +257,46 @@ class PurchaseService {
           throw new Error('Cannot assign purchase to inactive supplier');
         }
       }
+      if (updateData.productId && updateData.productId !== purchase.productId) {
+        await ProductService.assertProductExists(updateData.productId);
+      }
+      if (updateData.locationId !== undefined && (updateData.locationId || null) !== (purchase.locationId || null)) {
+        await LocationService.assertLocationExists(updateData.locationId);
+        // Moving the receipt would leave whatever already happened at the old location without stock
+        const used = await InventoryMovement.count({
+          where: { purchaseId: purchase.id, sourceType: { [Op.ne]: 'purchase' } },
+        });
+        if (used > 0) {
+          throw new Error('Cannot change the location of a purchase whose stock has already moved; transfer it instead');
+        }
+      }
 
-      await purchase.update(updateData);
+      await sequelize.transaction(async (transaction) => {
+        // Sales and milling batches lock the purchases they draw from, so they wait for this update
+        await purchase.reload({ transaction, lock: transaction.LOCK.UPDATE });
+        const previousWeight = purchase.calculateTotalWeight();
+        await purchase.update(updateData, { transaction });
+        // The save hooks recompute totalCost; it must still cover what was already paid
+        if ((parseFloat(purchase.paidAmount) || 0) > (parseFloat(purchase.totalCost) || 0)) {
+          throw new Error('Purchase total cannot be less than the amount already paid to the supplier');
+        }
+        // A smaller lot must still cover, at every location, what sales, milling batches, adjustments
+        // and transfers already took from it: the ledger balance without the purchase's own posting
+        if (purchase.calculateTotalWeight() < previousWeight) {
+          const balances = (await InventoryMovement.totalsByLotAndLocation('purchaseId', [purchase.id], {
+            excludeSource: { sourceType: 'purchase', sourceId: purchase.id },
+            transaction,
+          })).get(purchase.id) || new Map();
+          balances.forEach((totals, locationId) => {
+            const received = locationId === (purchase.locationId || null) ? purchase.calculateTotalWeight() : 0;
+            if (Math.round((received + totals.balance) * 100) / 100 < 0) {
+              const usedWeight = Math.round(-totals.balance * 100) / 100;
+              throw new Error(`Purchase weight cannot be less than the ${usedWeight} kg already sold, milled, adjusted or transferred out of it`);
+            }
+          });
+        }
+        await InventoryService.postPurchase(purchase, { transaction });
+      });
 
       return await Purchase.findByPk(id, {
         include: [
@@ -166,6 +305,8 @@ class PurchaseService {
             as: 'supplierData',
             attributes: ['id', 'name', 'contact_person', 'phone', 'address'],
           },
+          { model: Product, as: 'productData', attributes: Product.SUMMARY_ATTRIBUTES, paranoid: false },
+          { model: Location, as: 'locationData', attributes: Location.SUMMARY_ATTRIBUTES, paranoid: false },
         ],
       });
     } catch (error) {
@@ -175,32 +316,66 @@ class PurchaseService {
   }
 
   /**
-   * Delete purchase
+   * Delete purchase (soft delete; can be undone with restorePurchase)
    * @param {number} id - Purchase ID
    * @returns {Promise<void>}
    */
   static async deletePurchase(id) {
     try {
-      const purchase = await Purchase.findByPk(id, {
-        include: ['sales'], // Check if purchase has associated sales
-      });
+      const purchase = await Purchase.findByPk(id);
 
       if (!purchase) {
         throw new Error('Purchase not found');
       }
 
-      // Check if purchase has associated sales
-      if (purchase.sales && purchase.sales.length > 0) {
+      // Check if any (non-deleted) sale or milling batch draws weight from this purchase
+      const usage = (await AllocationService.purchaseUsage([purchase.id])).get(purchase.id);
+      if (usage.soldWeight > 0) {
         throw new Error('Cannot delete purchase with associated sales');
       }
+      if (usage.milledWeight > 0) {
+        throw new Error('Cannot delete purchase used in milling batches');
+      }
+      if (parseFloat(purchase.paidAmount) > 0) {
+        throw new Error('Cannot delete purchase with supplier payments; delete the payments first');
+      }
 
-      await purchase.destroy();
+      await sequelize.transaction(async (transaction) => {
+        await purchase.destroy({ transaction });
+        await InventoryService.postPurchase(purchase, { transaction });
+      });
     } catch (error) {
       console.error('Error deleting purchase:', error);
       throw error;
     }
   }
 
+  /**
+   * Restore a soft-deleted purchase
+   * @param {number} id - Purchase ID
+   * @returns {Promise<Object>} Restored purchase
+   */
+  static async restorePurchase(id) {
+    try {
+      const purchase = await Purchase.findByPk(id, { paranoid: false });
+      if (!purchase) {
+        throw new Error('Purchase not found');
+      }
+      if (!purchase.deleted_at) {
+        throw new Error('Purchase is not deleted');
+      }
+
+      await sequelize.transaction(async (transaction) => {
+        await purchase.restore({ transaction });
+        await InventoryService.postPurchase(purchase, { transaction });
+      });
+      return await this.getPurchaseById(id);
+    } catch (error) {
+      console.error('Error restoring purchase:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get purchases by supplier
    * @param {number} supplierId - Supplier ID
@@ -277,7 +452,7 @@ class PurchaseService {
    */
   static async getPurchaseStats(options = {}) {
     try {
-  const { startDate, endDate, supplierId } = options;
+  const { startDate, endDate, supplierId, productId } = options;
       const whereClause = {};
 
       // Filter by date range
@@ -289,6 +464,7 @@ class PurchaseService {
 
       // Filter by supplier
       if (supplierId) whereClause.supplierId = supplierId;
+      if (productId) whereClause.productId = productId;
 
       const purchases = await Purchase.findAll({
         where: whereClause,
@@ -298,6 +474,7 @@ class PurchaseService {
             as: 'supplierData',
             attributes: ['id', 'name'],
           },
+          { model: Product, as: 'productData', attributes: Product.SUMMARY_ATTRIBUTES, paranoid: false },
         ],
       });
 
@@ -306,8 +483,11 @@ class PurchaseService {
       let totalWeight = 0;
       let totalCost = 0;
       let totalPrice = 0;
+      let totalNetWeight = 0;
+      const overallQuality = emptyQuality();
 
       const supplierAgg = new Map();
+      const productAgg = new Map();
 
       purchases.forEach(purchase => {
         totalPurchases += 1;
@@ -320,13 +500,18 @@ class PurchaseService {
   const laborCost = Number(purchase.laborCost) || 0;
   const pelletCost = Number(purchase.pelletCost) || 0;
   const computedWeight = quantity * weight + extraWeight;
-  const computedCost = computedWeight * price + truckCost + laborCost + pelletCost;
+        const netWeight = purchase.netWeight !== null && purchase.netWeight !== undefined
+          ? Number(purchase.netWeight)
+          : computedWeight;
+  const computedCost = netWeight * price + truckCost + laborCost + pelletCost;
         const cost = Number(purchase.totalCost) || computedCost;
 
         totalQuantity += quantity;
   totalWeight += computedWeight;
+        totalNetWeight += netWeight;
         totalCost += cost;
         totalPrice += price;
+        addQuality(overallQuality, purchase, computedWeight);
 
         if (purchase.supplierId) {
           const existing = supplierAgg.get(purchase.supplierId) || {
@@ -334,17 +519,38 @@ class PurchaseService {
             supplierName: purchase.supplierData?.name || null,
             purchaseCount: 0,
             totalAmount: 0,
+            totalWeight: 0,
+            netWeight: 0,
+            priceWeight: 0,
+            quality: emptyQuality(),
           };
 
           existing.purchaseCount += 1;
           existing.totalAmount += cost;
+          existing.totalWeight += computedWeight;
+          existing.netWeight += netWeight;
+          existing.priceWeight += price * netWeight;
+          addQuality(existing.quality, purchase, computedWeight);
           supplierAgg.set(purchase.supplierId, existing);
         }
+
+        // Purchases recorded before the catalogue existed are grouped under productId null
+        const productKey = purchase.productId || null;
+        const productEntry = productAgg.get(productKey) || {
+          productId: productKey,
+          productName: purchase.productData?.name || null,
+          purchaseCount: 0,
+          totalWeight: 0,
+          totalAmount: 0,
+        };
+        productEntry.purchaseCount += 1;
+        productEntry.totalWeight += computedWeight;
+        productEntry.totalAmount += cost;
+        productAgg.set(productKey, productEntry);
       });
 
-      const supplierStats = Array.from(supplierAgg.values())
-        .sort((a, b) => b.totalAmount - a.totalAmount)
-        .slice(0, 10);
+      const suppliers = Array.from(supplierAgg.values())
+        .sort((a, b) => b.totalAmount - a.totalAmount);
 
       const avgUnitPrice = totalPurchases > 0 ? totalPrice / totalPurchases : 0;
 
@@ -353,15 +559,32 @@ class PurchaseService {
           totalPurchases,
           totalQuantity,
           totalWeight,
+          totalNetWeight,
           totalCost,
           avgUnitPrice,
+          ...qualitySummary(overallQuality),
         },
-        topSuppliers: supplierStats.map(item => ({
+        topSuppliers: suppliers.slice(0, 10).map(item => ({
           supplierId: item.supplierId,
           supplierName: item.supplierName,
           purchaseCount: item.purchaseCount,
           totalAmount: item.totalAmount,
+          averageMoisture: qualitySummary(item.quality).averageMoisture,
         })),
+        // Moisture and impurity per supplier, for every supplier in the period
+        bySupplier: suppliers.map(item => ({
+          supplierId: item.supplierId,
+          supplierName: item.supplierName,
+          purchaseCount: item.purchaseCount,
+          totalAmount: item.totalAmount,
+          totalWeight: item.totalWeight,
+          netWeight: item.netWeight,
+          deductionWeight: Math.round((item.totalWeight - item.netWeight) * 100) / 100,
+          // Price per kg of net payable weight, weighted by that weight
+          averagePricePerKg: item.netWeight > 0 ? Math.round((item.priceWeight / item.netWeight) * 100) / 100 : null,
+          ...qualitySummary(item.quality),
+        })),
+        byProduct: Array.from(productAgg.values()).sort((a, b) => b.totalAmount - a.totalAmount),
       };
     } catch (error) {
       console.error('Error getting purchase statistics:', error);
@@ -371,16 +594,29 @@ class PurchaseService {
 
   /**
    * Get available inventory from purchases
-   * @param {Object} options - Filter options
-   * @returns {Promise<Array>} Available inventory
+   * @param {Object} options - Filter options (productId, riceType, locationId, groupBy=product)
+   *   locationId limits adjustedWeight and remainingWeight to stock at that location, and the list to purchases with stock history there
+   * @returns {Promise<Array>} Available inventory per purchase, or per product when grouped
    */
   static async getAvailableInventory(options = {}) {
     try {
-      const { riceType } = options;
+      const { productId, riceType, locationId, groupBy } = options;
       const whereClause = {};
 
+      if (productId) {
+        whereClause.productId = productId;
+      }
+
+      const productInclude = {
+        model: Product,
+        as: 'productData',
+        attributes: Product.SUMMARY_ATTRIBUTES,
+        paranoid: false,
+      };
+      // riceType predates the product catalogue; it now matches on the product name
       if (riceType) {
-        whereClause.rice_type = { [Op.iLike]: `%${riceType}%` };
+        productInclude.where = { name: { [Op.iLike]: `%${riceType}%` } };
+        productInclude.required = true;
       }
 
       // Get purchases with their remaining weight (weight that hasn't been sold)
@@ -388,6 +624,8 @@ class PurchaseService {
         where: whereClause,
         attributes: [
           'id',
+          'productId',
+          'locationId',
           'quantity',
           'weight',
           'extraWeight',
@@ -404,31 +642,60 @@ class PurchaseService {
             as: 'supplierData',
             attributes: ['id', 'name'],
           },
-          {
-            model: require('../models/sale'),
-            as: 'sales',
-            attributes: ['id', 'quantity', 'weight', 'extraWeight'],
-          },
+          productInclude,
         ],
         order: [['date', 'ASC']], // FIFO
       });
+      const [usage, balances] = await Promise.all([
+        AllocationService.purchaseUsage(inventory.map(p => p.id)),
+        InventoryMovement.totalsByPurchase(inventory.map(p => p.id), locationId ? { locationId: parseInt(locationId) } : {}),
+      ]);
+
+      // Augment with remaining weight: the purchase's balance in the stock ledger
+      // (totalWeight - weight sold - weight milled + adjustments), at one location when filtered
+      const items = inventory
+        .filter(p => !locationId || balances.has(p.id))
+        .map(p => {
+          const totalWeight = p.calculateTotalWeight();
+          const { soldWeight, milledWeight } = usage.get(p.id);
+          const { adjustedWeight = 0, balance: remainingWeight = 0 } = balances.get(p.id) || {};
+          return {
+            ...p.toJSON(),
+            totalWeight,
+            soldWeight,
+            milledWeight,
+            adjustedWeight,
+            remainingWeight,
+          };
+        });
 
-      // Augment with remaining weight (totalWeight - soldWeight)
-      return inventory.map(p => {
-        const unitWeight = parseFloat(p.weight) + parseFloat(p.extraWeight || 0);
-        const totalWeight = parseFloat(p.quantity) * unitWeight;
-        const soldWeight = (p.sales || []).reduce((acc, s) => {
-          const saleUnitWeight = parseFloat(s.weight) + parseFloat(s.extraWeight || 0);
-          return acc + (parseFloat(s.quantity) * saleUnitWeight);
-        }, 0);
-        const remainingWeight = totalWeight - soldWeight;
-        return {
-          ...p.toJSON(),
-          totalWeight,
-          soldWeight,
-          remainingWeight,
+      if (groupBy !== 'product') {
+        return items;
+      }
+
+      const groups = new Map();
+      items.forEach(item => {
+        const key = item.productId || null;
+        const group = groups.get(key) || {
+          productId: key,
+          productName: item.productData ? item.productData.name : null,
+          unit: item.productData ? item.productData.unit : null,
+          purchaseCount: 0,
+          totalWeight: 0,
+          soldWeight: 0,
+          milledWeight: 0,
+          adjustedWeight: 0,
+          remainingWeight: 0,
         };
+        group.purchaseCount += 1;
+        group.totalWeight += item.totalWeight;
+        group.soldWeight += item.soldWeight;
+        group.milledWeight += item.milledWeight;
+        group.adjustedWeight += item.adjustedWeight;
+        group.remainingWeight += item.remainingWeight;
+        groups.set(key, group);
       });
+      return Array.from(groups.values());
     } catch (error) {
       console.error('Error getting available inventory:', error);
       throw error;
@@ -438,17 +705,23 @@ class PurchaseService {
   /**
    * Get monthly purchase trends
    * @param {number} year - Year to analyze
+   * @param {Object} options - { productId, groupBy: 'product' adds a byProduct breakdown per month }
    * @returns {Promise<Array>} Monthly trends
    */
-  static async getMonthlyTrends(year = new Date().getFullYear()) {
+  static async getMonthlyTrends(year = new Date().getFullYear(), options = {}) {
     try {
-      const purchases = await Purchase.findAll({
-        where: {
-          date: {
-            [Op.between]: [new Date(`${year}-01-01`), new Date(`${year}-12-31`)],
-          },
+      const { productId, groupBy } = options;
+      const whereClause = {
+        date: {
+          [Op.between]: [new Date(`${year}-01-01`), new Date(`${year}-12-31`)],
         },
-        attributes: ['id', 'date', 'quantity', 'weight', 'extraWeight', 'totalCost'],
+      };
+      if (productId) whereClause.productId = productId;
+
+      const purchases = await Purchase.findAll({
+        where: whereClause,
+        attributes: ['id', 'date', 'productId', 'quantity', 'weight', 'extraWeight', 'totalCost'],
+        include: [{ model: Product, as: 'productData', attributes: ['id', 'name'], paranoid: false }],
       });
 
       const monthlyTotals = Array.from({ length: 12 }, (_, index) => ({
@@ -457,6 +730,7 @@ class PurchaseService {
         purchaseCount: 0,
         totalWeight: 0,
         totalCost: 0,
+        ...(groupBy === 'product' ? { byProduct: [] } : {}),
       }));
 
       purchases.forEach(purchase => {
@@ -473,6 +747,24 @@ class PurchaseService {
         monthBucket.purchaseCount += 1;
     monthBucket.totalWeight += quantity * (weight + extraWeight);
         monthBucket.totalCost += totalCost;
+
+        if (monthBucket.byProduct) {
+          const key = purchase.productId || null;
+          let entry = monthBucket.byProduct.find(p => p.productId === key);
+          if (!entry) {
+            entry = {
+              productId: key,
+              productName: purchase.productData ? purchase.productData.name : null,
+              purchaseCount: 0,
+              totalWeight: 0,
+              totalCost: 0,
+            };
+            monthBucket.byProduct.push(entry);
+          }
+          entry.purchaseCount += 1;
+          entry.totalWeight += quantity * (weight + extraWeight);
+          entry.totalCost += totalCost;
+        }
       });
 
       return monthlyTotals;
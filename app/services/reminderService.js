@@ -0,0 +1,263 @@
+const Invoice = require('../models/invoice');
+const InvoiceReminder = require('../models/invoiceReminder');
+const Customer = require('../models/customer');
+const { Op } = require('sequelize');
+const config = require('../../config/environment');
+const DocumentService = require('./documentService');
+const { createNotifier } = require('./notifiers');
+
+const DAY = 1000 * 60 * 60 * 24;
+
+// YYYY-MM-DD of a date in server time, so a run at 08:00 counts the local day
+const localDate = (date = new Date()) => [
+  date.getFullYear(),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0'),
+].join('-');
+
+const addDays = (day, days) => new Date(Date.parse(day) + days * DAY).toISOString().slice(0, 10);
+
+/**
+ * ReminderService
+ * Daily reminders for unpaid invoices. Each invoice gets one reminder per threshold it crosses
+ * (config.reminders.thresholds, days relative to the due date); when several are crossed at once,
+ * e.g. after the scheduler was down, only the latest is sent. Every reminder is recorded on the
+ * invoice (invoice_reminders); failed ones are retried on the next run.
+ */
+class ReminderService {
+  /**
+   * Threshold an invoice is at: the highest one its days overdue have reached
+   * @param {number} daysOverdue - Days past the due date (negative before it)
+   * @param {number[]} thresholds - Thresholds in days relative to the due date
+   * @returns {number|null} Threshold, or null when none is reached yet
+   */
+  static thresholdFor(daysOverdue, thresholds = config.reminders.thresholds) {
+    const reached = thresholds.filter(threshold => threshold <= daysOverdue);
+    return reached.length ? Math.max(...reached) : null;
+  }
+
+  /**
+   * Unpaid invoices due a reminder on a day
+   * @param {string} asOf - Day (YYYY-MM-DD)
+   * @returns {Promise<Array>} [{ invoice, threshold, daysOverdue }]
+   */
+  static async findDue(asOf) {
+    const { thresholds } = config.reminders;
+    if (!thresholds.length) return [];
+
+    // The earliest threshold (e.g. -3, due in 3 days) decides how far ahead to look
+    const invoices = await Invoice.findAll({
+      where: {
+        status: { [Op.ne]: 'paid' },
+        dueDate: { [Op.lte]: addDays(asOf, -Math.min(...thresholds)) },
+      },
+      include: [{
+        model: Customer,
+        as: 'customerData',
+        attributes: ['id', 'name', 'phone', 'email'],
+        required: false,
+      }],
+      order: [['dueDate', 'ASC'], ['id', 'ASC']],
+    });
+    if (!invoices.length) return [];
+
+    const sent = await InvoiceReminder.findAll({
+      where: { invoiceId: invoices.map(invoice => invoice.id), status: 'sent' },
+      attributes: ['invoiceId', 'threshold'],
+    });
+    const lastSent = new Map();
+    sent.forEach(reminder => {
+      lastSent.set(reminder.invoiceId, Math.max(lastSent.has(reminder.invoiceId) ? lastSent.get(reminder.invoiceId) : -Infinity, reminder.threshold));
+    });
+
+    return invoices
+      .map(invoice => {
+        const daysOverdue = Math.round((Date.parse(asOf) - Date.parse(invoice.dueDate)) / DAY);
+        return { invoice, daysOverdue, threshold: this.thresholdFor(daysOverdue, thresholds) };
+      })
+      .filter(({ invoice, threshold }) => threshold !== null
+        && invoice.getOutstandingBalance() > 0
+        && !(lastSent.get(invoice.id) >= threshold));
+  }
+
+  /**
+   * Subject and text of a reminder
+   * @param {Object} invoice - Invoice
+   * @param {Object|null} customer - Customer the invoice is linked to
+   * @param {number} daysOverdue - Days past the due date (negative before it)
+   * @returns {Object} { subject, text }
+   */
+  static buildMessage(invoice, customer, daysOverdue) {
+    const dueDate = DocumentService.formatDate(invoice.dueDate);
+    let when;
+    if (daysOverdue < 0) when = `is due in ${-daysOverdue} day${daysOverdue === -1 ? '' : 's'}, on ${dueDate}`;
+    else if (daysOverdue === 0) when = `is due today, ${dueDate}`;
+    else when = `was due on ${dueDate} and is ${daysOverdue} day${daysOverdue === 1 ? '' : 's'} overdue`;
+
+    const { company } = config;
+    const text = [
+      `Dear ${customer ? customer.name : invoice.customer},`,
+      '',
+      `This is a reminder that invoice ${invoice.invoiceNumber} dated ${DocumentService.formatDate(invoice.date)} for ${DocumentService.formatMoney(invoice.amount)} ${when}.`,
+      `The outstanding balance is ${DocumentService.formatMoney(invoice.getOutstandingBalance())}.`,
+      'Please disregard this message if payment has already been made.',
+      '',
+      company.name,
+      ...[company.phone, company.email].filter(Boolean),
+    ].join('\n');
+
+    return {
+      subject: daysOverdue > 0
+        ? `Overdue invoice ${invoice.invoiceNumber}`
+        : `Payment reminder: invoice ${invoice.invoiceNumber}`,
+      text,
+    };
+  }
+
+  /**
+   * Send the reminders due on a day through the configured channel and record them on the invoices
+   * @param {Object} options - { date (YYYY-MM-DD, default today), dryRun (list without sending), channel }
+   * @returns {Promise<Object>} Run summary with one line per invoice
+   */
+  static async run({ date, dryRun = false, channel } = {}) {
+    if (this._running) throw new Error('Reminder run already in progress');
+    this._running = true;
+    try {
+      const asOf = date || localDate();
+      const notifier = createNotifier(channel);
+      const due = await this.findDue(asOf);
+
+      // Unlinked invoices reach the customer record of the same name, if there is one
+      const byName = new Map();
+      const customerOf = async (invoice) => {
+        if (invoice.customerData) return invoice.customerData;
+        if (!invoice.customer) return null;
+        const key = Customer.normalizeName(invoice.customer).toLowerCase();
+        if (!byName.has(key)) byName.set(key, await Customer.findByExactName(invoice.customer));
+        return byName.get(key);
+      };
+
+      const reminders = [];
+      for (const { invoice, threshold, daysOverdue } of due) {
+        const customer = await customerOf(invoice);
+        const recipient = notifier.recipientFor(customer);
+        const line = {
+          invoiceId: invoice.id,
+          invoiceNumber: invoice.invoiceNumber,
+          customer: customer ? customer.name : invoice.customer,
+          threshold,
+          daysOverdue,
+          recipient,
+          status: null,
+          error: null,
+        };
+        reminders.push(line);
+
+        if (!recipient) {
+          line.status = 'skipped';
+          line.error = `No ${notifier.channel === 'smtp' ? 'email' : 'phone'} for this customer`;
+          continue;
+        }
+        if (dryRun) {
+          line.status = 'pending';
+          continue;
+        }
+
+        try {
+          await notifier.send({ to: recipient, ...this.buildMessage(invoice, customer, daysOverdue), invoice, threshold, daysOverdue });
+          line.status = 'sent';
+        } catch (err) {
+          console.error(`Error sending reminder for invoice ${invoice.invoiceNumber}:`, err.message);
+          line.status = 'failed';
+          line.error = err.message;
+        }
+        await InvoiceReminder.create({
+          invoiceId: invoice.id,
+          threshold,
+          daysOverdue,
+          outstandingBalance: invoice.getOutstandingBalance(),
+          channel: notifier.channel,
+          recipient,
+          status: line.status,
+          error: line.error,
+        });
+      }
+
+      const count = status => reminders.filter(line => line.status === status).length;
+      return {
+        asOf,
+        channel: notifier.channel,
+        dryRun,
+        due: reminders.length,
+        sent: count('sent'),
+        failed: count('failed'),
+        skipped: count('skipped'),
+        reminders,
+      };
+    } catch (err) {
+      console.error('Error sending invoice reminders:', err);
+      throw err;
+    } finally {
+      this._running = false;
+    }
+  }
+
+  /**
+   * Next time the daily run is due
+   * @param {Date} now - Current time
+   * @returns {Date} Today at config.reminders.runAt, or tomorrow when that has passed
+   */
+  static nextRunAt(now = new Date()) {
+    const [hours, minutes] = config.reminders.runAt.split(':').map(value => parseInt(value) || 0);
+    const next = new Date(now);
+    next.setHours(hours, minutes, 0, 0);
+    if (next <= now) next.setDate(next.getDate() + 1);
+    return next;
+  }
+
+  /**
+   * Start the daily scheduler when REMINDERS_ENABLED is set. Under pm2 cluster mode only instance 0
+   * runs it, so customers are not reminded once per instance.
+   * @returns {boolean} Whether the scheduler was started
+   */
+  static start() {
+    if (!config.reminders.enabled || this._timer) return false;
+    if (process.env.NODE_APP_INSTANCE !== undefined && process.env.NODE_APP_INSTANCE !== '0') return false;
+    try {
+      createNotifier();
+    } catch (err) {
+      console.error('❌ Invoice reminders not started:', err.message);
+      return false;
+    }
+    this._scheduleNext();
+    return true;
+  }
+
+  static _scheduleNext() {
+    const delay = this.nextRunAt().getTime() - Date.now();
+    this._timer = setTimeout(async () => {
+      // Each reminder is recorded on its invoice; failed sends are also logged by run()
+      try {
+        await this.run();
+      } catch (err) {
+        // Logged by run(); try again tomorrow
+      }
+      this._scheduleNext();
+    }, delay);
+    // Do not keep the process alive just for the reminders
+    this._timer.unref();
+  }
+
+  /**
+   * Stop the daily scheduler
+   */
+  static stop() {
+    clearTimeout(this._timer);
+    this._timer = null;
+  }
+}
+
+ReminderService._timer = null;
+ReminderService._running = false;
+
+module.exports = ReminderService;
@@ -1,8 +1,22 @@
 const Sale = require('../models/sale');
 const Purchase = require('../models/purchase');
 const Supplier = require('../models/supplier');
+const Product = require('../models/product');
+const Location = require('../models/location');
+const Customer = require('../models/customer');
+const SaleAllocation = require('../models/saleAllocation');
+const Invoice = require('../models/invoice');
+const InvoiceItem = require('../models/invoiceItem');
+const MillingBatchOutput = require('../models/millingBatchOutput');
+const InventoryMovement = require('../models/inventoryMovement');
 const { Op } = require('sequelize');
 const { sequelize } = require('../../config/db');
+const ExportService = require('./exportService');
+const ProductService = require('./productService');
+const LocationService = require('./locationService');
+const CustomerService = require('./customerService');
+const AllocationService = require('./allocationService');
+const InventoryService = require('./inventoryService');
 
 /**
  * SaleService
@@ -26,27 +40,47 @@ class SaleService {
     return quantity * weightPerSack + extraWeight;
   }
 
-  static async _getSoldWeightForPurchase(purchaseId, excludeSaleId = null) {
-    if (!purchaseId) return 0;
-    const where = { purchaseId };
-    if (excludeSaleId) where.id = { [Op.ne]: excludeSaleId };
+  // Sales that drew weight from a purchase lot (pinned or allocated automatically)
+  static _purchaseFilter(purchaseId) {
+    return {
+      [Op.in]: sequelize.literal(`(SELECT sale_id FROM sale_allocations WHERE purchase_id = ${parseInt(purchaseId)})`),
+    };
+  }
 
-    // Aggregate quantity * weight
-    const result = await Sale.findAll({
-      where,
-      attributes: [
-        [
-          sequelize.fn(
-            'COALESCE',
-            sequelize.fn('SUM', sequelize.literal('quantity * weight + COALESCE(extra_weight, 0)')),
-            0
-          ),
-          'soldWeight'
-        ],
+  // Sales on / not on a live invoice
+  static _invoicedFilter(invoiced) {
+    const operator = invoiced === true || invoiced === 'true' ? Op.in : Op.notIn;
+    return {
+      [operator]: sequelize.literal('(SELECT ii.sale_id FROM invoice_items ii JOIN invoices i ON i.id = ii.invoice_id WHERE ii.sale_id IS NOT NULL AND i.deleted_at IS NULL)'),
+    };
+  }
+
+  // Live invoice the sale is billed on (nested under invoiceItems, serialized as `invoice`)
+  static _invoiceInclude() {
+    return {
+      model: InvoiceItem,
+      as: 'invoiceItems',
+      attributes: ['id', 'invoiceId'],
+      include: [{ model: Invoice, as: 'invoice', attributes: ['id', 'invoiceNumber', 'status'] }],
+    };
+  }
+
+  // A sale on a live invoice cannot be deleted, nor its billed fields changed
+  static _assertNotInvoiced(invoice, action) {
+    if (invoice) {
+      throw new Error(`Cannot ${action} a sale that has been invoiced on ${invoice.invoiceNumber}`);
+    }
+  }
+
+  static _allocationInclude() {
+    return {
+      model: SaleAllocation,
+      as: 'allocations',
+      include: [
+        { model: Purchase, as: 'purchaseData', attributes: ['id', 'date', 'supplier', 'productId'], paranoid: false },
+        { model: MillingBatchOutput, as: 'outputData', attributes: ['id', 'batchId', 'productId'] },
       ],
-      raw: true,
-    });
-    return parseFloat(result[0].soldWeight) || 0;
+    };
   }
 
   static _serializeSale(row) {
@@ -54,34 +88,28 @@ class SaleService {
     const sale = row.toJSON ? row.toJSON() : row;
     sale.revenue = this._computeRevenue(sale);
     sale.totalWeight = this._computeTotalWeight(sale);
+    if (Array.isArray(sale.allocations)) {
+      sale.costOfGoodsSold = sale.allocations.reduce((sum, a) => sum + (parseFloat(a.cost) || 0), 0);
+    }
+    if (Array.isArray(sale.invoiceItems)) {
+      const billed = sale.invoiceItems.find(item => item.invoice);
+      sale.invoice = billed ? billed.invoice : null;
+      delete sale.invoiceItems;
+    }
     return sale;
   }
 
   // -------- CRUD --------
   static async createSale(data) {
     try {
-      const { purchaseId, quantity, weight, extraWeight = 0 } = data;
-
-      if (purchaseId) {
-        const purchase = await Purchase.findByPk(purchaseId, { include: [{ model: Supplier, as: 'supplierData' }] });
-        if (!purchase) throw new Error('Purchase not found');
-
-        const purchaseQuantity = parseFloat(purchase.quantity) || 0;
-        const purchaseWeightPerSack = parseFloat(purchase.weight) || 0;
-        const purchaseExtraWeight = parseFloat(purchase.extraWeight || 0);
-        const purchaseTotalWeight = purchaseQuantity * purchaseWeightPerSack + purchaseExtraWeight;
-        const existingSoldWeight = await this._getSoldWeightForPurchase(purchaseId);
-        const saleQuantity = parseFloat(quantity) || 0;
-        const saleWeightPerSack = parseFloat(weight) || 0;
-        const saleExtraWeight = parseFloat(extraWeight || 0);
-        const newSoldWeight = saleQuantity * saleWeightPerSack + saleExtraWeight;
-        const available = purchaseTotalWeight - existingSoldWeight;
-        if (newSoldWeight > available) {
-          throw new Error(`Insufficient inventory. Available: ${available.toFixed(2)}kg, Requested: ${newSoldWeight.toFixed(2)}kg`);
-        }
-      }
-
-      const sale = await Sale.create(data);
+      await ProductService.assertProductExists(data.productId);
+      await LocationService.assertLocationExists(data.locationId);
+      await CustomerService.assertCustomerExists(data.customerId);
+
+      // Weight is drawn from purchase and milling output lots (FIFO or weighted average) in the same transaction
+      const sale = await sequelize.transaction(transaction =>
+        AllocationService.saveSale(Sale.build(data), { transaction })
+      );
       const created = await Sale.findByPk(sale.id, {
         include: [
           {
@@ -89,6 +117,10 @@ class SaleService {
             as: 'purchaseData',
             include: [{ model: Supplier, as: 'supplierData', attributes: ['id', 'name'] }],
           },
+          { model: Product, as: 'productData', attributes: Product.SUMMARY_ATTRIBUTES, paranoid: false },
+          { model: Location, as: 'locationData', attributes: Location.SUMMARY_ATTRIBUTES, paranoid: false },
+          { model: Customer, as: 'customerData', attributes: Customer.SUMMARY_ATTRIBUTES, paranoid: false },
+          this._allocationInclude(),
         ],
       });
       return this._serializeSale(created);
@@ -98,54 +130,78 @@ class SaleService {
     }
   }
 
+  static _buildListQuery(options = {}) {
+    const {
+      sortBy = 'date',
+      sortOrder = 'DESC',
+      purchaseId,
+      productId,
+      locationId,
+      customerId,
+      invoiced,
+      startDate,
+      endDate,
+      includeDeleted,
+    } = options;
+
+    const where = {};
+    const idFilters = [];
+    if (purchaseId) idFilters.push({ id: this._purchaseFilter(purchaseId) });
+    if (invoiced === true || invoiced === false || invoiced === 'true' || invoiced === 'false') {
+      idFilters.push({ id: this._invoicedFilter(invoiced) });
+    }
+    if (idFilters.length) where[Op.and] = idFilters;
+    if (productId) where.productId = productId;
+    if (locationId) where.locationId = locationId;
+    if (customerId) where.customerId = customerId;
+    if (startDate || endDate) {
+      where.date = {};
+      if (startDate) where.date[Op.gte] = new Date(startDate);
+      if (endDate) where.date[Op.lte] = new Date(endDate);
+    }
+
+    return {
+      where,
+      include: [
+        {
+          model: Purchase,
+          as: 'purchaseData',
+          paranoid: false, // deleted purchases still back historical sales
+          include: [{ model: Supplier, as: 'supplierData', attributes: ['id', 'name'], paranoid: false }],
+        },
+        { model: Product, as: 'productData', attributes: Product.SUMMARY_ATTRIBUTES, paranoid: false },
+        { model: Location, as: 'locationData', attributes: Location.SUMMARY_ATTRIBUTES, paranoid: false },
+        { model: Customer, as: 'customerData', attributes: Customer.SUMMARY_ATTRIBUTES, paranoid: false },
+      ],
+      order: [[sortBy, sortOrder.toUpperCase()]],
+      paranoid: !(includeDeleted === true || includeDeleted === 'true'),
+    };
+  }
+
+  // Derived filtering (revenue / netProfit) post query (simple approach)
+  static _matchesDerivedFilters(sale, options = {}) {
+    const { minRevenue, maxRevenue, minNetProfit, maxNetProfit } = options;
+    if (minRevenue && sale.revenue < parseFloat(minRevenue)) return false;
+    if (maxRevenue && sale.revenue > parseFloat(maxRevenue)) return false;
+    if (minNetProfit && parseFloat(sale.netProfit || 0) < parseFloat(minNetProfit)) return false;
+    if (maxNetProfit && parseFloat(sale.netProfit || 0) > parseFloat(maxNetProfit)) return false;
+    return true;
+  }
+
   static async getAllSales(options = {}) {
     try {
-      const {
-        page = 1,
-        limit = 10,
-        sortBy = 'date',
-        sortOrder = 'DESC',
-        purchaseId,
-        startDate,
-        endDate,
-        minRevenue,
-        maxRevenue,
-        minNetProfit,
-        maxNetProfit,
-      } = options;
-
-      const where = {};
-      if (purchaseId) where.purchaseId = purchaseId;
-      if (startDate || endDate) {
-        where.date = {};
-        if (startDate) where.date[Op.gte] = new Date(startDate);
-        if (endDate) where.date[Op.lte] = new Date(endDate);
-      }
+      const { page = 1, limit = 10 } = options;
 
       const offset = (page - 1) * limit;
       const { count, rows } = await Sale.findAndCountAll({
-        where,
-        include: [
-          {
-            model: Purchase,
-            as: 'purchaseData',
-            include: [{ model: Supplier, as: 'supplierData', attributes: ['id', 'name'] }],
-          },
-        ],
-        order: [[sortBy, sortOrder.toUpperCase()]],
+        ...this._buildListQuery(options),
         limit: parseInt(limit),
         offset,
       });
 
-      // Derived filtering (revenue / netProfit) post query (simple approach)
-      let sales = rows.map(r => this._serializeSale(r));
-      sales = sales.filter(s => {
-        if (minRevenue && s.revenue < parseFloat(minRevenue)) return false;
-        if (maxRevenue && s.revenue > parseFloat(maxRevenue)) return false;
-        if (minNetProfit && parseFloat(s.netProfit || 0) < parseFloat(minNetProfit)) return false;
-        if (maxNetProfit && parseFloat(s.netProfit || 0) > parseFloat(maxNetProfit)) return false;
-        return true;
-      });
+      const sales = rows
+        .map(r => this._serializeSale(r))
+        .filter(s => this._matchesDerivedFilters(s, options));
 
       return {
         sales,
@@ -163,6 +219,16 @@ class SaleService {
     }
   }
 
+  // Every sale matching the listing filters (no pagination), serialized, in batches
+  static async *exportSales(options = {}) {
+    for await (const rows of ExportService.findInBatches(Sale, this._buildListQuery(options))) {
+      const sales = rows
+        .map(r => this._serializeSale(r))
+        .filter(s => this._matchesDerivedFilters(s, options));
+      if (sales.length) yield sales;
+    }
+  }
+
   static async getSaleById(id) {
     try {
       const sale = await Sale.findByPk(id, {
@@ -170,8 +236,14 @@ class SaleService {
           {
             model: Purchase,
             as: 'purchaseData',
-            include: [{ model: Supplier, as: 'supplierData', attributes: ['id', 'name'] }],
+            paranoid: false,
+            include: [{ model: Supplier, as: 'supplierData', attributes: ['id', 'name'], paranoid: false }],
           },
+          { model: Product, as: 'productData', attributes: Product.SUMMARY_ATTRIBUTES, paranoid: false },
+          { model: Location, as: 'locationData', attributes: Location.SUMMARY_ATTRIBUTES, paranoid: false },
+          { model: Customer, as: 'customerData', attributes: Customer.SUMMARY_ATTRIBUTES, paranoid: false },
+          this._allocationInclude(),
+          this._invoiceInclude(),
         ],
       });
       if (!sale) throw new Error('Sale not found');
@@ -187,31 +259,29 @@ class SaleService {
       const sale = await Sale.findByPk(id);
       if (!sale) throw new Error('Sale not found');
 
-      const effectivePurchaseId = updateData.purchaseId || sale.purchaseId;
-      const newQuantity = updateData.quantity || sale.quantity;
-      const newWeightUnit = updateData.weight !== undefined ? updateData.weight : sale.weight;
-      const newExtraWeight = updateData.extraWeight !== undefined ? updateData.extraWeight : (sale.extraWeight || 0);
-
-      if (effectivePurchaseId) {
-        const purchase = await Purchase.findByPk(effectivePurchaseId);
-        if (!purchase) throw new Error('Purchase not found');
-
-        const purchaseQuantity = parseFloat(purchase.quantity) || 0;
-        const purchaseWeightPerSack = parseFloat(purchase.weight) || 0;
-        const purchaseExtraWeight = parseFloat(purchase.extraWeight || 0);
-        const purchaseTotalWeight = purchaseQuantity * purchaseWeightPerSack + purchaseExtraWeight;
-        const existingSoldWeight = await this._getSoldWeightForPurchase(effectivePurchaseId, id);
-        const saleQuantity = parseFloat(newQuantity) || 0;
-        const saleWeightPerSack = parseFloat(newWeightUnit) || 0;
-        const saleExtraWeight = parseFloat(newExtraWeight || 0);
-        const newSoldWeight = saleQuantity * saleWeightPerSack + saleExtraWeight;
-        const available = purchaseTotalWeight - existingSoldWeight;
-        if (newSoldWeight > available) {
-          throw new Error(`Insufficient inventory. Available: ${available.toFixed(2)}kg, Requested: ${newSoldWeight.toFixed(2)}kg`);
-        }
+      if (updateData.productId && updateData.productId !== sale.productId) {
+        await ProductService.assertProductExists(updateData.productId);
+      }
+      if (updateData.locationId && updateData.locationId !== sale.locationId) {
+        await LocationService.assertLocationExists(updateData.locationId);
+      }
+      if (updateData.customerId && updateData.customerId !== sale.customerId) {
+        await CustomerService.assertCustomerExists(updateData.customerId);
       }
+      await sequelize.transaction(async (transaction) => {
+        // Invoicing locks the sale too, so it cannot be invoiced between this check and the update
+        await sale.reload({ transaction, lock: transaction.LOCK.UPDATE });
+        const billedChange = ['quantity', 'weight', 'extraWeight', 'price', 'customerId']
+          .some(field => updateData[field] !== undefined && Number(updateData[field] || 0) !== Number(sale[field] || 0));
+        if (billedChange) {
+          const invoiced = await InvoiceItem.findInvoicedSales([sale.id], { transaction });
+          this._assertNotInvoiced(invoiced.get(sale.id), 'change the quantity, weight, price or customer of');
+        }
 
-      await sale.update(updateData);
+        // A new weight, lot or location gives the old allocations back and draws again
+        sale.set(updateData);
+        await AllocationService.saveSale(sale, { transaction });
+      });
 
       const updated = await Sale.findByPk(id, {
         include: [
@@ -220,6 +290,11 @@ class SaleService {
             as: 'purchaseData',
             include: [{ model: Supplier, as: 'supplierData', attributes: ['id', 'name'] }],
           },
+          { model: Product, as: 'productData', attributes: Product.SUMMARY_ATTRIBUTES, paranoid: false },
+          { model: Location, as: 'locationData', attributes: Location.SUMMARY_ATTRIBUTES, paranoid: false },
+          { model: Customer, as: 'customerData', attributes: Customer.SUMMARY_ATTRIBUTES, paranoid: false },
+          this._allocationInclude(),
+          this._invoiceInclude(),
         ],
       });
       return this._serializeSale(updated);
@@ -229,17 +304,47 @@ class SaleService {
     }
   }
 
+  // Allocations stay with the deleted sale but no longer count against their lots;
+  // the ledger gets the weight back into the lots
   static async deleteSale(id) {
     try {
-      const sale = await Sale.findByPk(id);
-      if (!sale) throw new Error('Sale not found');
-      await sale.destroy();
+      await sequelize.transaction(async (transaction) => {
+        const sale = await Sale.findByPk(id, { transaction, lock: transaction.LOCK.UPDATE });
+        if (!sale) throw new Error('Sale not found');
+        const invoiced = await InvoiceItem.findInvoicedSales([sale.id], { transaction });
+        this._assertNotInvoiced(invoiced.get(sale.id), 'delete');
+        await sale.destroy({ transaction });
+        await InventoryService.postSale(sale, [], { transaction });
+      });
     } catch (err) {
       console.error('Error deleting sale:', err);
       throw err;
     }
   }
 
+  // Restoring draws the sale's weight from the lots again, so re-check stock
+  static async restoreSale(id) {
+    try {
+      const sale = await Sale.findByPk(id, { paranoid: false });
+      if (!sale) throw new Error('Sale not found');
+      if (!sale.deleted_at) throw new Error('Sale is not deleted');
+
+      if (sale.purchaseId) {
+        const purchase = await Purchase.findByPk(sale.purchaseId);
+        if (!purchase) throw new Error('Cannot restore sale of a deleted purchase');
+      }
+
+      await sequelize.transaction(async (transaction) => {
+        await sale.restore({ transaction });
+        await AllocationService.saveSale(sale, { transaction, reallocate: true });
+      });
+      return await this.getSaleById(id);
+    } catch (err) {
+      console.error('Error restoring sale:', err);
+      throw err;
+    }
+  }
+
   static async getSalesByPurchase(purchaseId, options = {}) {
     try {
       const { limit = 10, sortOrder = 'DESC' } = options;
@@ -247,7 +352,7 @@ class SaleService {
       if (!purchase) throw new Error('Purchase not found');
 
       const sales = await Sale.findAll({
-        where: { purchaseId },
+        where: { id: this._purchaseFilter(purchaseId) },
         include: [
           {
             model: Purchase,
@@ -293,9 +398,10 @@ class SaleService {
 
   static async getSaleStats(options = {}) {
     try {
-      const { startDate, endDate, purchaseId } = options;
+      const { startDate, endDate, purchaseId, productId } = options;
       const where = {};
-      if (purchaseId) where.purchaseId = purchaseId;
+      if (purchaseId) where.id = this._purchaseFilter(purchaseId);
+      if (productId) where.productId = productId;
       if (startDate || endDate) {
         where.date = {};
         if (startDate) where.date[Op.gte] = new Date(startDate);
@@ -323,6 +429,20 @@ class SaleService {
         ? (rendementValues.reduce((a, b) => a + b, 0) / rendementValues.length).toFixed(2)
         : '0.00';
 
+      const productRows = await Sale.findAll({
+        where,
+        attributes: [
+          'productId',
+          [sequelize.fn('COUNT', sequelize.col('id')), 'salesCount'],
+          [sequelize.fn('SUM', sequelize.literal('quantity * weight + COALESCE(extra_weight, 0)')), 'totalWeight'],
+          [sequelize.fn('SUM', sequelize.literal('(quantity * weight + COALESCE(extra_weight, 0)) * price')), 'totalRevenue'],
+          [sequelize.fn('SUM', sequelize.col('net_profit')), 'totalProfit'],
+        ],
+        group: [sequelize.col('product_id')],
+        raw: true,
+      });
+      const products = await Product.nameMap(productRows.map(r => r.productId));
+
       return {
         summary: {
           totalSales: parseInt(agg.totalSales) || 0,
@@ -335,6 +455,17 @@ class SaleService {
             ? ((parseFloat(agg.totalProfit || 0) / parseFloat(agg.totalRevenue)) * 100).toFixed(2)
             : '0.00',
         },
+        // Sales recorded before the catalogue existed are grouped under productId null
+        byProduct: productRows
+          .map(r => ({
+            productId: r.productId || null,
+            productName: products.has(r.productId) ? products.get(r.productId).name : null,
+            salesCount: parseInt(r.salesCount) || 0,
+            totalWeight: parseFloat(r.totalWeight) || 0,
+            totalRevenue: parseFloat(r.totalRevenue) || 0,
+            totalProfit: parseFloat(r.totalProfit) || 0,
+          }))
+          .sort((a, b) => b.totalRevenue - a.totalRevenue),
       };
     } catch (err) {
       console.error('Error getting sale statistics:', err);
@@ -344,8 +475,9 @@ class SaleService {
 
   static async getProfitabilityAnalysis(options = {}) {
     try {
-      const { startDate, endDate, groupBy = 'month' } = options;
+      const { startDate, endDate, productId, groupBy = 'month' } = options;
       const where = {};
+      if (productId) where.productId = productId;
       if (startDate || endDate) {
         where.date = {};
         if (startDate) where.date[Op.gte] = new Date(startDate);
@@ -354,6 +486,9 @@ class SaleService {
 
       let dateExpr;
       switch (groupBy) {
+        case 'product':
+          dateExpr = sequelize.col('product_id');
+          break;
         case 'day':
           dateExpr = sequelize.fn('DATE', sequelize.col('date'));
           break;
@@ -380,8 +515,11 @@ class SaleService {
         raw: true,
       });
 
+      const products = groupBy === 'product' ? await Product.nameMap(rows.map(r => r.period)) : null;
       const trends = rows.map(r => ({
-        period: r.period,
+        ...(products
+          ? { productId: r.period || null, productName: products.has(r.period) ? products.get(r.period).name : null }
+          : { period: r.period }),
         salesCount: parseInt(r.salesCount) || 0,
         totalWeight: parseFloat(r.totalWeight) || 0,
         totalRevenue: parseFloat(r.totalRevenue) || 0,
@@ -412,54 +550,59 @@ class SaleService {
     }
   }
 
-  static async getInventoryTurnover() {
+  static async getInventoryTurnover(options = {}) {
     try {
+      const { productId, locationId } = options;
       const rows = await Purchase.findAll({
-        attributes: [
-          'id', 'date', 'quantity', 'weight', 'extraWeight',
-          // Disambiguate columns by qualifying with table alias to avoid Postgres 42702 (ambiguous column)
-          [
-            sequelize.literal(
-              '"Purchase"."quantity" * ("Purchase"."weight" + COALESCE("Purchase"."extra_weight", 0))'
-            ),
-            'totalWeight'
-          ],
-          [
-            sequelize.fn(
-              'COALESCE',
-              sequelize.fn(
-                'SUM',
-                sequelize.literal('"sales"."quantity" * ("sales"."weight" + COALESCE("sales"."extra_weight", 0))')
-              ),
-              0
-            ),
-            'soldWeight'
-          ],
-          [sequelize.fn('COUNT', sequelize.col('sales.id')), 'salesCount'],
-        ],
+        where: productId ? { productId } : {},
+        attributes: ['id', 'date', 'productId', 'quantity', 'weight', 'extraWeight'],
         include: [
-          { model: Sale, as: 'sales', attributes: [] },
           { model: Supplier, as: 'supplierData', attributes: ['id', 'name'] },
+          { model: Product, as: 'productData', attributes: ['id', 'name'], paranoid: false },
         ],
-        group: ['Purchase.id', 'supplierData.id'],
-        raw: true,
       });
+      const [usage, balances] = await Promise.all([
+        AllocationService.purchaseUsage(rows.map(r => r.id)),
+        InventoryMovement.totalsByPurchase(rows.map(r => r.id), locationId ? { locationId: parseInt(locationId) } : {}),
+      ]);
 
       const now = new Date();
-      return rows.map(r => {
-        const totalWeight = parseFloat(r.totalWeight) || 0;
-        const soldWeight = parseFloat(r.soldWeight) || 0;
-        const remainingWeight = totalWeight - soldWeight;
-        const turnoverRate = totalWeight > 0 ? ((soldWeight / totalWeight) * 100).toFixed(2) : '0.00';
+      // At one location the figures are that location's share of each purchase, from the ledger:
+      // totalWeight is what was received there plus what was transferred in (net), remainingWeight its balance there
+      const atLocation = (r) => {
+        const totals = balances.get(r.id);
+        const transferredOut = totals.transferredWeight < 0 ? -totals.transferredWeight : 0;
+        return {
+          totalWeight: Number((totals.balance + totals.soldWeight + totals.milledWeight + transferredOut - totals.adjustedWeight).toFixed(2)),
+          soldWeight: totals.soldWeight,
+          milledWeight: totals.milledWeight,
+          transferredWeight: totals.transferredWeight,
+        };
+      };
+
+      return rows.filter(r => !locationId || balances.has(r.id)).map(r => {
+        const { soldWeight: usageSold, milledWeight: usageMilled, saleCount } = usage.get(r.id);
+        const figures = locationId
+          ? atLocation(r)
+          : { totalWeight: r.calculateTotalWeight(), soldWeight: usageSold, milledWeight: usageMilled };
+        const { totalWeight, soldWeight, milledWeight } = figures;
+        const { adjustedWeight = 0, balance: remainingWeight = 0 } = balances.get(r.id) || {};
+        // Paddy sent to the mill has left the warehouse just like paddy sold
+        const turnoverRate = totalWeight > 0 ? (((soldWeight + milledWeight) / totalWeight) * 100).toFixed(2) : '0.00';
         const daysInStock = Math.floor((now - new Date(r.date)) / (1000 * 60 * 60 * 24));
         return {
           purchaseId: r.id,
-            supplierName: r['supplierData.name'],
+            supplierName: r.supplierData ? r.supplierData.name : null,
+          productId: r.productId || null,
+          productName: r.productData ? r.productData.name : null,
           totalWeight,
           soldWeight,
+          milledWeight,
+          adjustedWeight,
+          ...(locationId ? { locationId: parseInt(locationId), transferredWeight: figures.transferredWeight } : {}),
           remainingWeight,
           turnoverRate: parseFloat(turnoverRate),
-          salesCount: parseInt(r.salesCount) || 0,
+          salesCount: saleCount,
           daysInStock,
           purchaseDate: r.date,
         };
@@ -0,0 +1,304 @@
+const SupplierPayment = require('../models/supplierPayment');
+const SupplierPaymentAllocation = require('../models/supplierPaymentAllocation');
+const Purchase = require('../models/purchase');
+const Supplier = require('../models/supplier');
+const { Op } = require('sequelize');
+const { sequelize } = require('../../config/db');
+const config = require('../../config/environment');
+
+const round2 = value => Math.round(value * 100) / 100;
+
+// Purchases the mill still owes money on
+const unpaidWhere = () => sequelize.where(sequelize.col('Purchase.paid_amount'), Op.lt, sequelize.col('Purchase.total_cost'));
+
+class SupplierPaymentService {
+  /**
+   * Date a purchase is due for payment: its date plus the configured payable term
+   * @param {string|Date} date - Purchase date
+   * @returns {Date} Due date
+   */
+  static payableDueDate(date) {
+    const due = new Date(date);
+    due.setDate(due.getDate() + (config.payables.termDays || 0));
+    return due;
+  }
+
+  /**
+   * Record a payment to a supplier and allocate it to the supplier's purchases. Purchases listed in
+   * data.purchases get the amount given for them; whatever is left goes to the oldest unpaid purchases.
+   * A payment cannot be more than the supplier is owed.
+   * @param {number} supplierId - Supplier ID
+   * @param {Object} data - Payment data (amount, date, method, reference, notes, purchases: [{ purchaseId, amount }])
+   * @returns {Promise<Object>} Created payment with its allocations
+   */
+  static async recordPayment(supplierId, data) {
+    try {
+      // A deleted supplier keeps its purchases, so what it is still owed can be paid off
+      const supplier = await Supplier.findByPk(supplierId, { paranoid: false });
+      if (!supplier) throw new Error('Supplier not found');
+
+      const amount = round2(parseFloat(data.amount));
+      if (!(amount > 0)) throw new Error('Payment amount must be greater than 0');
+
+      const paymentId = await sequelize.transaction(async (transaction) => {
+        // Lock the supplier's unpaid purchases so concurrent payments cannot overpay them
+        const purchases = await Purchase.findAll({
+          where: { [Op.and]: [{ supplierId: supplier.id }, unpaidWhere()] },
+          order: [['date', 'ASC'], ['id', 'ASC']],
+          transaction,
+          lock: transaction.LOCK.UPDATE,
+        });
+        const byId = new Map(purchases.map(p => [p.id, p]));
+        const allocations = new Map();
+        const remainingOn = p => round2(p.getOutstandingPayable() - (allocations.get(p.id) || 0));
+
+        let remaining = amount;
+        for (const line of data.purchases || []) {
+          const purchaseId = parseInt(line.purchaseId);
+          const lineAmount = round2(parseFloat(line.amount));
+          const purchase = byId.get(purchaseId);
+          if (!purchase) {
+            throw new Error(`Purchase ${purchaseId} is not an unpaid purchase of this supplier`);
+          }
+          if (!(lineAmount > 0)) throw new Error('Allocated amount must be greater than 0');
+          if (lineAmount > remainingOn(purchase)) {
+            throw new Error(`Allocation exceeds outstanding payable on purchase ${purchaseId}. Outstanding: ${remainingOn(purchase).toFixed(2)}, Requested: ${lineAmount.toFixed(2)}`);
+          }
+          if (lineAmount > remaining) {
+            throw new Error('Allocated amounts exceed the payment amount');
+          }
+          allocations.set(purchaseId, round2((allocations.get(purchaseId) || 0) + lineAmount));
+          remaining = round2(remaining - lineAmount);
+        }
+
+        // Oldest purchases first for the rest
+        for (const purchase of purchases) {
+          if (remaining <= 0) break;
+          const take = Math.min(remaining, remainingOn(purchase));
+          if (take <= 0) continue;
+          allocations.set(purchase.id, round2((allocations.get(purchase.id) || 0) + take));
+          remaining = round2(remaining - take);
+        }
+
+        if (remaining > 0) {
+          const outstanding = round2(purchases.reduce((sum, p) => sum + p.getOutstandingPayable(), 0));
+          throw new Error(`Payment exceeds the supplier's outstanding payable. Outstanding: ${outstanding.toFixed(2)}, Requested: ${amount.toFixed(2)}`);
+        }
+
+        const payment = await SupplierPayment.create({
+          supplierId: supplier.id,
+          amount,
+          date: data.date || new Date(),
+          method: data.method,
+          reference: data.reference,
+          notes: data.notes,
+        }, { transaction });
+
+        for (const [purchaseId, allocated] of allocations) {
+          const purchase = byId.get(purchaseId);
+          await SupplierPaymentAllocation.create({ paymentId: payment.id, purchaseId, amount: allocated }, { transaction });
+          await purchase.update({ paidAmount: round2((parseFloat(purchase.paidAmount) || 0) + allocated) }, { transaction });
+        }
+        return payment.id;
+      });
+
+      return await this.getPaymentById(paymentId);
+    } catch (err) {
+      console.error('Error recording supplier payment:', err);
+      throw err;
+    }
+  }
+
+  /**
+   * Get a supplier payment with the purchases it was allocated to
+   * @param {number} paymentId - Payment ID
+   * @returns {Promise<Object>} Payment
+   */
+  static async getPaymentById(paymentId) {
+    const payment = await SupplierPayment.findByPk(paymentId, {
+      include: [this._allocationInclude()],
+    });
+    if (!payment) throw new Error('Supplier payment not found');
+    return payment;
+  }
+
+  // Allocations of a payment with the purchases they paid
+  static _allocationInclude() {
+    return {
+      model: SupplierPaymentAllocation,
+      as: 'allocations',
+      include: [{
+        model: Purchase,
+        as: 'purchaseData',
+        attributes: ['id', 'date', 'totalCost', 'paidAmount'],
+        paranoid: false,
+      }],
+    };
+  }
+
+  /**
+   * Get the payments made to a supplier
+   * @param {number} supplierId - Supplier ID
+   * @param {Object} options - { startDate, endDate }
+   * @returns {Promise<Object>} Payments and their total
+   */
+  static async getSupplierPayments(supplierId, options = {}) {
+    try {
+      const supplier = await Supplier.findByPk(supplierId, { paranoid: false });
+      if (!supplier) throw new Error('Supplier not found');
+
+      const { startDate, endDate } = options;
+      const where = { supplierId: supplier.id };
+      if (startDate || endDate) {
+        where.date = {};
+        if (startDate) where.date[Op.gte] = startDate;
+        if (endDate) where.date[Op.lte] = endDate;
+      }
+
+      const payments = await SupplierPayment.findAll({
+        where,
+        include: [this._allocationInclude()],
+        order: [['date', 'DESC'], ['id', 'DESC']],
+      });
+      return {
+        payments,
+        totalPaid: round2(payments.reduce((sum, p) => sum + (parseFloat(p.amount) || 0), 0)),
+      };
+    } catch (err) {
+      console.error('Error getting supplier payments:', err);
+      throw err;
+    }
+  }
+
+  /**
+   * What the mill owes a supplier across all of the supplier's purchases
+   * @param {number} supplierId - Supplier ID
+   * @returns {Promise<Object>} { totalPayable, totalPaid, outstandingBalance, unpaidPurchases, oldestUnpaidDate }
+   */
+  static async getPayableSummary(supplierId) {
+    const [row] = await Purchase.findAll({
+      where: { supplierId },
+      attributes: [
+        [sequelize.fn('COALESCE', sequelize.fn('SUM', sequelize.col('total_cost')), 0), 'totalPayable'],
+        [sequelize.fn('COALESCE', sequelize.fn('SUM', sequelize.col('paid_amount')), 0), 'totalPaid'],
+        [sequelize.literal('COUNT(*) FILTER (WHERE paid_amount < total_cost)'), 'unpaidPurchases'],
+        [sequelize.literal('MIN(date) FILTER (WHERE paid_amount < total_cost)'), 'oldestUnpaidDate'],
+      ],
+      raw: true,
+    });
+    const totalPayable = round2(parseFloat(row && row.totalPayable) || 0);
+    const totalPaid = round2(parseFloat(row && row.totalPaid) || 0);
+    return {
+      totalPayable,
+      totalPaid,
+      outstandingBalance: round2(Math.max(0, totalPayable - totalPaid)),
+      unpaidPurchases: parseInt(row && row.unpaidPurchases) || 0,
+      oldestUnpaidDate: (row && row.oldestUnpaidDate) || null,
+    };
+  }
+
+  /**
+   * Delete a supplier payment and take its amounts back off the purchases it paid
+   * @param {number} paymentId - Payment ID
+   * @returns {Promise<boolean>} Success status
+   */
+  static async deletePayment(paymentId) {
+    try {
+      await sequelize.transaction(async (transaction) => {
+        const payment = await SupplierPayment.findByPk(paymentId, {
+          include: [{ model: SupplierPaymentAllocation, as: 'allocations' }],
+          transaction,
+        });
+        if (!payment) throw new Error('Supplier payment not found');
+
+        for (const allocation of payment.allocations) {
+          const purchase = await Purchase.findByPk(allocation.purchaseId, {
+            transaction,
+            lock: transaction.LOCK.UPDATE,
+            paranoid: false,
+          });
+          if (purchase) {
+            const paidAmount = round2(Math.max(0, (parseFloat(purchase.paidAmount) || 0) - (parseFloat(allocation.amount) || 0)));
+            await purchase.update({ paidAmount }, { transaction });
+          }
+        }
+        await SupplierPaymentAllocation.destroy({ where: { paymentId: payment.id }, transaction });
+        await payment.destroy({ transaction });
+      });
+      return true;
+    } catch (err) {
+      console.error('Error deleting supplier payment:', err);
+      throw err;
+    }
+  }
+
+  /**
+   * Aging of what the mill owes suppliers, bucketed like the receivables aging report. A purchase is
+   * due config.payables.termDays after its date.
+   * @param {Object} options - { supplierId }
+   * @returns {Promise<Object>} Unpaid totals, aging buckets and per-supplier totals
+   */
+  static async getPayablesAgingReport(options = {}) {
+    try {
+      const now = new Date();
+      const where = { [Op.and]: [unpaidWhere()] };
+      if (options.supplierId) where[Op.and].push({ supplierId: options.supplierId });
+
+      const rows = await Purchase.findAll({
+        where,
+        include: [{ model: Supplier, as: 'supplierData', attributes: ['id', 'name'], paranoid: false }],
+        order: [['date', 'ASC'], ['id', 'ASC']],
+      });
+      const buckets = {
+        current: { purchases: [], amount: 0 },
+        overdue1_30: { purchases: [], amount: 0 },
+        overdue31_60: { purchases: [], amount: 0 },
+        overdue61_90: { purchases: [], amount: 0 },
+        overdue90Plus: { purchases: [], amount: 0 },
+      };
+      const bySupplier = new Map();
+      rows.forEach(purchase => {
+        const dueDate = this.payableDueDate(purchase.date);
+        const daysOverdue = Math.floor((now - dueDate) / (1000 * 60 * 60 * 24));
+        const dto = { ...purchase.toJSON(), dueDate: dueDate.toISOString().slice(0, 10), daysOverdue };
+        const amt = purchase.getOutstandingPayable();
+        let bucket;
+        if (daysOverdue < 0) bucket = buckets.current;
+        else if (daysOverdue <= 30) bucket = buckets.overdue1_30;
+        else if (daysOverdue <= 60) bucket = buckets.overdue31_60;
+        else if (daysOverdue <= 90) bucket = buckets.overdue61_90;
+        else bucket = buckets.overdue90Plus;
+        bucket.purchases.push(dto);
+        bucket.amount = round2(bucket.amount + amt);
+
+        const supplier = bySupplier.get(purchase.supplierId) || {
+          supplierId: purchase.supplierId,
+          supplierName: purchase.supplierData ? purchase.supplierData.name : null,
+          outstandingBalance: 0,
+          overdueBalance: 0,
+          unpaidPurchases: 0,
+          maxDaysOverdue: 0,
+        };
+        supplier.outstandingBalance = round2(supplier.outstandingBalance + amt);
+        if (daysOverdue > 0) supplier.overdueBalance = round2(supplier.overdueBalance + amt);
+        supplier.unpaidPurchases += 1;
+        supplier.maxDaysOverdue = Math.max(supplier.maxDaysOverdue, daysOverdue);
+        bySupplier.set(purchase.supplierId, supplier);
+      });
+      const totalAmount = round2(Object.values(buckets).reduce((s, b) => s + b.amount, 0));
+      const withPct = Object.fromEntries(Object.entries(buckets).map(([k, v]) => [k, { ...v, percentage: totalAmount > 0 ? ((v.amount / totalAmount) * 100).toFixed(2) : 0 }]));
+      return {
+        termDays: config.payables.termDays,
+        totalUnpaidAmount: totalAmount,
+        totalUnpaidPurchases: rows.length,
+        agingBuckets: withPct,
+        bySupplier: [...bySupplier.values()].sort((a, b) => b.outstandingBalance - a.outstandingBalance),
+      };
+    } catch (err) {
+      console.error('Error getting payables aging report:', err);
+      throw err;
+    }
+  }
+}
+
+module.exports = SupplierPaymentService;
@@ -1,5 +1,31 @@
 const Supplier = require('../models/supplier');
+const Purchase = require('../models/purchase');
+const SupplierPayment = require('../models/supplierPayment');
+const InventoryMovement = require('../models/inventoryMovement');
+const Sale = require('../models/sale');
+const SaleAllocation = require('../models/saleAllocation');
+const MillingBatch = require('../models/millingBatch');
+const MillingBatchInput = require('../models/millingBatchInput');
+const MillingBatchOutput = require('../models/millingBatchOutput');
 const { Op } = require('sequelize');
+const { sequelize } = require('../../config/db');
+const config = require('../../config/environment');
+const ExportService = require('./exportService');
+const DocumentService = require('./documentService');
+const SupplierPaymentService = require('./supplierPaymentService');
+const PurchaseService = require('./purchaseService');
+
+const round2 = value => Math.round(value * 100) / 100;
+
+// Ranking sort keys; quality and price rank best when lowest
+const PERFORMANCE_SORT_FIELDS = [
+  'profitContributed', 'profitPerKg', 'totalWeight', 'averageRendement',
+  'averagePricePerKg', 'averageMoisture', 'averageImpurity',
+];
+const LOWER_IS_BETTER = ['averagePricePerKg', 'averageMoisture', 'averageImpurity'];
+
+// Same-day statement lines: the purchase first, then adjustments to its stock, then payments
+const ENTRY_ORDER = { purchase: 0, adjustment: 1, payment: 2 };
 
 class SupplierService {
   /**
@@ -29,6 +55,48 @@ class SupplierService {
     }
   }
 
+  /**
+   * Build the where/order options shared by the listing and the export
+   * @param {Object} options - Query options
+   * @returns {Object} findAll options
+   */
+  static _buildListQuery(options = {}) {
+    const {
+      search = '',
+      status = 'all',
+      includeDeleted,
+    } = options;
+
+    const whereClause = {};
+
+    // Add search filter
+    if (search) {
+      whereClause[Op.or] = [
+        {
+          name: {
+            [Op.iLike]: `%${search}%`,
+          },
+        },
+        {
+          contact_person: {
+            [Op.iLike]: `%${search}%`,
+          },
+        },
+      ];
+    }
+
+    // Add status filter
+    if (status !== 'all') {
+      whereClause.status = status;
+    }
+
+    return {
+      where: whereClause,
+      order: [['name', 'ASC']],
+      paranoid: !(includeDeleted === true || includeDeleted === 'true'),
+    };
+  }
+
   /**
    * Get all suppliers with pagination and filtering
    * @param {Object} options - Query options
@@ -39,39 +107,14 @@ class SupplierService {
       const {
         page = 1,
         limit = 10,
-        search = '',
-        status = 'all',
       } = options;
 
       const offset = (page - 1) * limit;
-      const whereClause = {};
-
-      // Add search filter
-      if (search) {
-        whereClause[Op.or] = [
-          {
-            name: {
-              [Op.iLike]: `%${search}%`,
-            },
-          },
-          {
-            contact_person: {
-              [Op.iLike]: `%${search}%`,
-            },
-          },
-        ];
-      }
-
-      // Add status filter
-      if (status !== 'all') {
-        whereClause.status = status;
-      }
 
       const { count, rows: suppliers } = await Supplier.findAndCountAll({
-        where: whereClause,
+        ...this._buildListQuery(options),
         limit: parseInt(limit),
         offset: parseInt(offset),
-        order: [['name', 'ASC']],
       });
 
       const totalPages = Math.ceil(count / limit);
@@ -93,9 +136,18 @@ class SupplierService {
   }
 
   /**
-   * Get supplier by ID
+   * Every supplier matching the listing filters (no pagination), in batches
+   * @param {Object} options - Query options
+   * @returns {AsyncGenerator<Array>} Batches of suppliers
+   */
+  static exportSuppliers(options = {}) {
+    return ExportService.findInBatches(Supplier, this._buildListQuery(options));
+  }
+
+  /**
+   * Get supplier by ID, with what the mill still owes the supplier
    * @param {number} id - Supplier ID
-   * @returns {Promise<Object>} Supplier data
+   * @returns {Promise<Object>} Supplier data and payables summary
    */
   static async getSupplierById(id) {
     try {
@@ -105,7 +157,8 @@ class SupplierService {
         throw new Error('Supplier not found');
       }
 
-      return supplier;
+      const payables = await SupplierPaymentService.getPayableSummary(supplier.id);
+      return { ...supplier.toJSON(), payables };
     } catch (error) {
       throw error;
     }
@@ -151,7 +204,7 @@ class SupplierService {
   }
 
   /**
-   * Delete supplier by ID
+   * Delete supplier by ID (soft delete; existing purchases keep their supplier link)
    * @param {number} id - Supplier ID
    * @returns {Promise<boolean>} Success status
    */
@@ -170,6 +223,29 @@ class SupplierService {
     }
   }
 
+  /**
+   * Restore a soft-deleted supplier
+   * @param {number} id - Supplier ID
+   * @returns {Promise<Object>} Restored supplier
+   */
+  static async restoreSupplier(id) {
+    try {
+      const supplier = await Supplier.findByPk(id, { paranoid: false });
+
+      if (!supplier) {
+        throw new Error('Supplier not found');
+      }
+      if (!supplier.deleted_at) {
+        throw new Error('Supplier is not deleted');
+      }
+
+      await supplier.restore();
+      return supplier;
+    } catch (error) {
+      throw error;
+    }
+  }
+
   /**
    * Get active suppliers only
    * @returns {Promise<Array>} Active suppliers
@@ -223,6 +299,385 @@ class SupplierService {
     }
   }
 
+  /**
+   * Statement of account for a supplier: purchases (charges), payments and stock adjustments on the
+   * supplier's lots in date order, with the running payable balance. Adjustments only change weight.
+   * @param {number} id - Supplier ID
+   * @param {Object} options - { from, to } (YYYY-MM-DD, inclusive; no from = since the first purchase)
+   * @returns {Promise<Object>} Supplier, period, opening/closing balance, entries and totals
+   */
+  static async getSupplierStatement(id, options = {}) {
+    try {
+      const supplier = await Supplier.findByPk(id, { paranoid: false });
+      if (!supplier) {
+        throw new Error('Supplier not found');
+      }
+
+      const from = options.from || null;
+      const to = options.to || new Date().toISOString().slice(0, 10);
+      const inPeriod = { [Op.lte]: to };
+      if (from) inPeriod[Op.gte] = from;
+
+      let openingBalance = 0;
+      if (from) {
+        const before = { supplierId: supplier.id, date: { [Op.lt]: from } };
+        const charged = await Purchase.sum('totalCost', { where: before });
+        const paid = await SupplierPayment.sum('amount', { where: before });
+        openingBalance = round2((parseFloat(charged) || 0) - (parseFloat(paid) || 0));
+      }
+
+      const purchases = await Purchase.findBySupplier(supplier.id, { startDate: from, endDate: to, order: 'ASC' });
+      const payments = await SupplierPayment.findAll({
+        where: { supplierId: supplier.id, date: inPeriod },
+        order: [['date', 'ASC'], ['id', 'ASC']],
+      });
+      const adjustments = await InventoryMovement.findAll({
+        where: { sourceType: 'adjustment', date: inPeriod },
+        include: [{
+          model: Purchase,
+          as: 'purchaseData',
+          attributes: ['id', 'date'],
+          where: { supplierId: supplier.id },
+          required: true,
+        }],
+        order: [['date', 'ASC'], ['id', 'ASC']],
+      });
+
+      const entries = [
+        ...purchases.map(purchase => ({
+          date: purchase.date,
+          type: 'purchase',
+          sourceId: purchase.id,
+          reference: `Purchase #${purchase.id}`,
+          description: `${purchase.quantity} sacks`,
+          weight: round2(purchase.calculateTotalWeight()),
+          netWeight: round2(purchase.netWeight !== null && purchase.netWeight !== undefined
+            ? parseFloat(purchase.netWeight)
+            : purchase.calculateTotalWeight()),
+          charge: round2(parseFloat(purchase.totalCost) || 0),
+          payment: 0,
+        })),
+        ...payments.map(payment => ({
+          date: payment.date,
+          type: 'payment',
+          sourceId: payment.id,
+          reference: payment.reference || `Payment #${payment.id}`,
+          description: [payment.method, payment.notes].filter(Boolean).join(' - '),
+          weight: null,
+          netWeight: null,
+          charge: 0,
+          payment: round2(parseFloat(payment.amount) || 0),
+        })),
+        ...adjustments.map(movement => ({
+          date: movement.date,
+          type: 'adjustment',
+          sourceId: movement.id,
+          reference: `Purchase #${movement.purchaseId}`,
+          description: [movement.reason, movement.notes].filter(Boolean).join(' - ') || null,
+          weight: round2(parseFloat(movement.weight) || 0),
+          netWeight: null,
+          charge: 0,
+          payment: 0,
+        })),
+      ].sort((a, b) => String(a.date).localeCompare(String(b.date))
+        || ENTRY_ORDER[a.type] - ENTRY_ORDER[b.type]
+        || a.sourceId - b.sourceId);
+
+      let balance = openingBalance;
+      entries.forEach(entry => {
+        balance = round2(balance + entry.charge - entry.payment);
+        entry.balance = balance;
+      });
+
+      const sum = (list, field) => round2(list.reduce((total, entry) => total + (entry[field] || 0), 0));
+      const purchaseEntries = entries.filter(entry => entry.type === 'purchase');
+      const adjustmentEntries = entries.filter(entry => entry.type === 'adjustment');
+      const grossWeight = sum(purchaseEntries, 'weight');
+      const netWeight = sum(purchaseEntries, 'netWeight');
+
+      return {
+        supplier: {
+          id: supplier.id,
+          name: supplier.name,
+          contactPerson: supplier.contactPerson,
+          phone: supplier.phone,
+          address: supplier.address,
+        },
+        period: { from, to },
+        openingBalance,
+        closingBalance: balance,
+        entries,
+        totals: {
+          purchases: purchaseEntries.length,
+          payments: payments.length,
+          adjustments: adjustmentEntries.length,
+          charged: sum(entries, 'charge'),
+          paid: sum(entries, 'payment'),
+          weight: {
+            gross: grossWeight,
+            deduction: round2(grossWeight - netWeight),
+            net: netWeight,
+            adjusted: sum(adjustmentEntries, 'weight'),
+          },
+        },
+      };
+    } catch (error) {
+      console.error('Error getting supplier statement:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Render a supplier statement with the supplier-statement.html template
+   * @param {number} id - Supplier ID
+   * @param {Object} options - { from, to, format: 'pdf' | 'html' }
+   * @returns {Promise<Object>} { filename, content }
+   */
+  static async renderSupplierStatement(id, { from, to, format = 'pdf' } = {}) {
+    try {
+      const statement = await this.getSupplierStatement(id, { from, to });
+      const money = v => DocumentService.formatMoney(v);
+      const weight = v => (v === null ? '' : DocumentService.formatNumber(v));
+      const typeLabels = { purchase: 'Purchase', payment: 'Payment', adjustment: 'Stock adjustment' };
+      const data = {
+        company: config.company,
+        supplier: statement.supplier,
+        period: {
+          from: statement.period.from ? DocumentService.formatDate(statement.period.from) : 'First purchase',
+          to: DocumentService.formatDate(statement.period.to),
+        },
+        openingBalance: money(statement.openingBalance),
+        closingBalance: money(statement.closingBalance),
+        entries: statement.entries.map(entry => ({
+          date: DocumentService.formatDate(entry.date),
+          type: typeLabels[entry.type],
+          reference: entry.reference,
+          description: entry.description || '',
+          weight: weight(entry.weight),
+          netWeight: weight(entry.netWeight),
+          charge: entry.charge ? money(entry.charge) : '',
+          payment: entry.payment ? money(entry.payment) : '',
+          balance: money(entry.balance),
+        })),
+        totals: {
+          charged: money(statement.totals.charged),
+          paid: money(statement.totals.paid),
+          grossWeight: weight(statement.totals.weight.gross),
+          deductionWeight: weight(statement.totals.weight.deduction),
+          netWeight: weight(statement.totals.weight.net),
+          adjustedWeight: weight(statement.totals.weight.adjusted),
+        },
+        generatedAt: DocumentService.formatDate(new Date()),
+      };
+      const filename = `statement-supplier-${statement.supplier.id}-${statement.period.to}`;
+      if (format === 'html') {
+        return { filename: `${filename}.html`, content: await DocumentService.renderTemplate('supplier-statement.html', data) };
+      }
+      return { filename: `${filename}.pdf`, content: await DocumentService.renderPdf('supplier-statement.html', data) };
+    } catch (error) {
+      console.error('Error rendering supplier statement:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Follow the paddy of the given purchases into sales: straight from the purchase lot, or through
+   * the milling batches it was an input of (a batch output is split between suppliers by input weight).
+   * Each sale's net profit is shared out by the weight it drew from each supplier.
+   * @param {Array} purchases - Purchases (id, supplierId)
+   * @returns {Promise<Map>} supplierId -> { saleIds, soldWeight, profit, rendementWeight, rendementSum }
+   */
+  static async _traceSalesToSuppliers(purchases) {
+    const traced = new Map();
+    if (!purchases.length) return traced;
+
+    const supplierOf = new Map(purchases.map(purchase => [purchase.id, purchase.supplierId]));
+    const purchaseIds = [...supplierOf.keys()];
+
+    // Each batch's share per supplier and its rendement
+    const inputs = await MillingBatchInput.findAll({
+      where: { purchaseId: purchaseIds },
+      attributes: ['batchId', 'purchaseId', 'weight'],
+      include: [{ model: MillingBatch, as: 'batch', attributes: ['id', 'inputWeight', 'rendement'], required: true }],
+    });
+    const batches = new Map();
+    inputs.forEach(input => {
+      const batchInput = parseFloat(input.batch.inputWeight) || 0;
+      if (batchInput <= 0) return;
+      const batch = batches.get(input.batchId) || {
+        rendement: input.batch.rendement !== null ? parseFloat(input.batch.rendement) : null,
+        shares: [],
+      };
+      batch.shares.push({ supplierId: supplierOf.get(input.purchaseId), share: (parseFloat(input.weight) || 0) / batchInput });
+      batches.set(input.batchId, batch);
+    });
+
+    const outputs = batches.size
+      ? await MillingBatchOutput.findAll({ where: { batchId: [...batches.keys()] }, attributes: ['id', 'batchId'] })
+      : [];
+    const batchOf = new Map(outputs.map(output => [output.id, output.batchId]));
+
+    const lotConditions = [{ purchaseId: purchaseIds }];
+    if (batchOf.size) lotConditions.push({ millingOutputId: [...batchOf.keys()] });
+    const allocations = await SaleAllocation.findAll({
+      where: { [Op.or]: lotConditions },
+      attributes: ['saleId', 'purchaseId', 'millingOutputId', 'weight'],
+      include: [{ model: Sale, as: 'sale', attributes: ['id', 'netProfit'], required: true }],
+    });
+    if (!allocations.length) return traced;
+
+    // A sale may also draw from lots outside this set, so shares are of everything it drew
+    const saleTotals = await SaleAllocation.findAll({
+      where: { saleId: [...new Set(allocations.map(allocation => allocation.saleId))] },
+      attributes: ['saleId', [sequelize.fn('SUM', sequelize.col('weight')), 'weight']],
+      group: ['saleId'],
+      raw: true,
+    });
+    const saleWeight = new Map(saleTotals.map(row => [row.saleId, parseFloat(row.weight) || 0]));
+
+    const credit = (supplierId, saleId, weight, profit, rendement) => {
+      const entry = traced.get(supplierId) || { saleIds: new Set(), soldWeight: 0, profit: 0, rendementWeight: 0, rendementSum: 0 };
+      entry.saleIds.add(saleId);
+      entry.soldWeight += weight;
+      entry.profit += profit;
+      if (rendement !== null && rendement !== undefined) {
+        entry.rendementWeight += weight;
+        entry.rendementSum += rendement * weight;
+      }
+      traced.set(supplierId, entry);
+    };
+
+    allocations.forEach(allocation => {
+      const weight = parseFloat(allocation.weight) || 0;
+      const totalWeight = saleWeight.get(allocation.saleId) || 0;
+      if (weight <= 0 || totalWeight <= 0) return;
+      const profit = (parseFloat(allocation.sale.netProfit) || 0) * (weight / totalWeight);
+
+      if (allocation.purchaseId) {
+        credit(supplierOf.get(allocation.purchaseId), allocation.saleId, weight, profit, null);
+        return;
+      }
+      const batch = batches.get(batchOf.get(allocation.millingOutputId));
+      if (!batch) return;
+      batch.shares.forEach(({ supplierId, share }) => {
+        credit(supplierId, allocation.saleId, weight * share, profit * share, batch.rendement);
+      });
+    });
+    return traced;
+  }
+
+  /**
+   * Combine a supplier's purchase totals (from purchase stats) with what their paddy earned in sales
+   * @param {Object} purchaseTotals - bySupplier entry of PurchaseService.getPurchaseStats
+   * @param {Object} [sales] - Entry of _traceSalesToSuppliers
+   * @returns {Object} Scorecard
+   */
+  static _buildScorecard(purchaseTotals, sales) {
+    const soldWeight = sales ? round2(sales.soldWeight) : 0;
+    const profit = sales ? round2(sales.profit) : 0;
+    return {
+      supplierId: purchaseTotals.supplierId,
+      supplierName: purchaseTotals.supplierName,
+      purchaseCount: purchaseTotals.purchaseCount,
+      totalWeight: round2(purchaseTotals.totalWeight),
+      netWeight: round2(purchaseTotals.netWeight),
+      deductionWeight: purchaseTotals.deductionWeight,
+      totalAmount: round2(purchaseTotals.totalAmount),
+      averagePricePerKg: purchaseTotals.averagePricePerKg,
+      averageMoisture: purchaseTotals.averageMoisture,
+      averageImpurity: purchaseTotals.averageImpurity,
+      salesCount: sales ? sales.saleIds.size : 0,
+      soldWeight,
+      averageRendement: sales && sales.rendementWeight > 0
+        ? Math.round((sales.rendementSum / sales.rendementWeight) * 10) / 10
+        : null,
+      profitContributed: profit,
+      profitPerKg: soldWeight > 0 ? round2(profit / soldWeight) : null,
+    };
+  }
+
+  /**
+   * Performance scorecard of one supplier over the purchases delivered in a period
+   * @param {number} id - Supplier ID
+   * @param {Object} options - { startDate, endDate } (purchase dates; sales of that paddy count whenever they happened)
+   * @returns {Promise<Object>} Scorecard
+   */
+  static async getSupplierPerformance(id, options = {}) {
+    try {
+      const supplier = await Supplier.findByPk(id, { paranoid: false });
+      if (!supplier) {
+        throw new Error('Supplier not found');
+      }
+
+      const { startDate, endDate } = options;
+      const stats = await PurchaseService.getPurchaseStats({ startDate, endDate, supplierId: supplier.id });
+      const purchaseTotals = stats.bySupplier[0] || {
+        supplierId: supplier.id,
+        purchaseCount: 0,
+        totalWeight: 0,
+        netWeight: 0,
+        deductionWeight: 0,
+        totalAmount: 0,
+        averagePricePerKg: null,
+        averageMoisture: null,
+        averageImpurity: null,
+      };
+      const purchases = await Purchase.findBySupplier(supplier.id, { startDate, endDate });
+      const traced = await this._traceSalesToSuppliers(purchases);
+
+      return {
+        ...this._buildScorecard({ ...purchaseTotals, supplierName: supplier.name }, traced.get(supplier.id)),
+        period: { startDate: startDate || null, endDate: endDate || null },
+      };
+    } catch (error) {
+      console.error('Error getting supplier performance:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Rank suppliers by their scorecards over the purchases delivered in a period
+   * @param {Object} options - { startDate, endDate, sortBy, sortOrder, limit }
+   * @returns {Promise<Object>} Period, sort and ranked scorecards
+   */
+  static async getSupplierRanking(options = {}) {
+    try {
+      const { startDate, endDate, limit } = options;
+      const sortBy = PERFORMANCE_SORT_FIELDS.includes(options.sortBy) ? options.sortBy : 'profitContributed';
+      const sortOrder = (options.sortOrder || (LOWER_IS_BETTER.includes(sortBy) ? 'asc' : 'desc')).toLowerCase();
+
+      const stats = await PurchaseService.getPurchaseStats({ startDate, endDate });
+      const where = {};
+      if (startDate || endDate) {
+        where.date = {};
+        if (startDate) where.date[Op.gte] = startDate;
+        if (endDate) where.date[Op.lte] = endDate;
+      }
+      const purchases = await Purchase.findAll({ where, attributes: ['id', 'supplierId'] });
+      const traced = await this._traceSalesToSuppliers(purchases.filter(purchase => purchase.supplierId));
+
+      // Suppliers without a value for the sort field (e.g. nothing milled yet) go last
+      const direction = sortOrder === 'asc' ? 1 : -1;
+      const scorecards = stats.bySupplier
+        .map(totals => this._buildScorecard(totals, traced.get(totals.supplierId)))
+        .sort((a, b) => {
+          if (a[sortBy] === null || b[sortBy] === null) return (a[sortBy] === null) - (b[sortBy] === null);
+          return (a[sortBy] - b[sortBy]) * direction;
+        })
+        .map((scorecard, index) => ({ rank: index + 1, ...scorecard }));
+
+      return {
+        period: { startDate: startDate || null, endDate: endDate || null },
+        sortBy,
+        sortOrder,
+        suppliers: limit ? scorecards.slice(0, parseInt(limit)) : scorecards,
+      };
+    } catch (error) {
+      console.error('Error getting supplier ranking:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get supplier statistics
    * @returns {Promise<Object>} Statistics
@@ -1,14 +1,65 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
 const User = require('../models/user');
+const RefreshToken = require('../models/refreshToken');
+const RevokedToken = require('../models/revokedToken');
 const { Op } = require('sequelize');
-const { generateToken, generateRefreshToken } = require('../middleware/auth');
+const { sequelize } = require('../../config/db');
+const { generateToken, generateRefreshToken, verifyRefreshToken } = require('../middleware/auth');
+const { DEFAULT_ROLE } = require('../../config/permissions');
 
 class UserService {
   /**
-   * Register a new user
+   * Issue an access token plus a persisted refresh token
+   * @param {Object} user - User instance
+   * @param {Object} options - familyId to continue a rotation chain, transaction
+   * @returns {Promise<Object>} Access token, refresh token and refresh token ID
+   */
+  static async _issueTokens(user, { familyId, transaction } = {}) {
+    const tokenId = crypto.randomUUID();
+    const token = generateToken(user);
+    const refreshToken = generateRefreshToken(user, { tokenId, familyId: familyId || tokenId });
+    const { exp } = jwt.decode(refreshToken);
+
+    await RefreshToken.create({
+      userId: user.id,
+      tokenId,
+      familyId: familyId || tokenId,
+      expiresAt: new Date(exp * 1000),
+    }, { transaction });
+
+    return { token, refreshToken, tokenId };
+  }
+
+  /**
+   * Register a new user. Self-registration always gets the lowest-privilege role;
+   * admins grant more with createUser or changeUserRole.
    * @param {Object} userData - The user data
    * @returns {Promise<Object>} Created user with tokens
    */
   static async registerUser(userData) {
+    try {
+      const user = await this.createUser({ ...userData, role: DEFAULT_ROLE });
+
+      // Generate tokens
+      const { token, refreshToken } = await this._issueTokens(user);
+
+      return {
+        user: user.toJSON(),
+        token,
+        refreshToken,
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Create a user with a role (admin only; no tokens are issued)
+   * @param {Object} userData - username, password, role
+   * @returns {Promise<Object>} Created user
+   */
+  static async createUser(userData) {
     try {
       // Check if username already exists
       const existingUser = await User.findByUsername(userData.username);
@@ -17,21 +68,11 @@ class UserService {
       }
 
       // Create user (password will be hashed in model hook)
-      const user = await User.create({
+      return await User.create({
         username: userData.username,
         password: userData.password, // This will be hashed by the model hook
-        role: userData.role || 'manager',
+        role: userData.role || DEFAULT_ROLE,
       });
-
-      // Generate tokens
-      const token = generateToken(user);
-      const refreshToken = generateRefreshToken(user);
-
-      return {
-        user: user.toJSON(),
-        token,
-        refreshToken,
-      };
     } catch (error) {
       throw error;
     }
@@ -58,8 +99,7 @@ class UserService {
       }
 
       // Generate tokens
-      const token = generateToken(user);
-      const refreshToken = generateRefreshToken(user);
+      const { token, refreshToken } = await this._issueTokens(user);
 
       return {
         user: user.toJSON(),
@@ -71,6 +111,145 @@ class UserService {
     }
   }
 
+  /**
+   * Exchange a refresh token for a new access/refresh pair.
+   * Each refresh token is single-use; presenting one that was already
+   * rotated revokes the whole token family (every token from that login).
+   * @param {string} refreshToken - Refresh token issued at login or previous refresh
+   * @returns {Promise<Object>} User with new tokens
+   */
+  static async refreshSession(refreshToken) {
+    try {
+      if (!refreshToken) {
+        throw new Error('Refresh token is required');
+      }
+
+      let decoded;
+      try {
+        decoded = verifyRefreshToken(refreshToken);
+      } catch (err) {
+        throw new Error('Invalid or expired refresh token');
+      }
+
+      if (decoded.type !== 'refresh' || !decoded.jti) {
+        throw new Error('Invalid or expired refresh token');
+      }
+
+      // Family revocation must be committed even though the request is rejected,
+      // so the transaction resolves with an outcome and errors are thrown afterwards
+      const outcome = await sequelize.transaction(async (transaction) => {
+        const stored = await RefreshToken.findByTokenId(decoded.jti, {
+          transaction,
+          lock: transaction.LOCK.UPDATE,
+        });
+
+        if (!stored || stored.userId !== decoded.userId) {
+          return { error: 'Invalid or expired refresh token' };
+        }
+
+        if (stored.revokedAt) {
+          return { error: 'Refresh token has been revoked' };
+        }
+
+        if (stored.usedAt) {
+          await RefreshToken.revokeFamily(stored.familyId, { transaction });
+          return { error: 'Refresh token reuse detected - all sessions from this login have been revoked' };
+        }
+
+        if (stored.isExpired()) {
+          return { error: 'Invalid or expired refresh token' };
+        }
+
+        const user = await User.findByPk(stored.userId, { transaction });
+        if (!user) {
+          await RefreshToken.revokeFamily(stored.familyId, { transaction });
+          return { error: 'Invalid or expired refresh token' };
+        }
+
+        const tokens = await this._issueTokens(user, { familyId: stored.familyId, transaction });
+        await stored.update({ usedAt: new Date(), replacedBy: tokens.tokenId }, { transaction });
+
+        return { user, tokens };
+      });
+
+      if (outcome.error) {
+        throw new Error(outcome.error);
+      }
+
+      return {
+        user: outcome.user.toJSON(),
+        token: outcome.tokens.token,
+        refreshToken: outcome.tokens.refreshToken,
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Logout current session: blacklist the access token and revoke the refresh token family
+   * @param {Object} user - Authenticated user
+   * @param {Object} tokenInfo - Decoded access token payload
+   * @param {string} [refreshToken] - Refresh token of the same session, if the client has one
+   * @returns {Promise<boolean>} Success status
+   */
+  static async logoutSession(user, tokenInfo, refreshToken) {
+    try {
+      if (tokenInfo && tokenInfo.jti) {
+        await RevokedToken.findOrCreate({
+          where: { tokenId: tokenInfo.jti },
+          defaults: {
+            userId: user.id,
+            expiresAt: new Date(tokenInfo.exp * 1000),
+            reason: 'logout',
+          },
+        });
+      }
+
+      if (refreshToken) {
+        const decoded = jwt.decode(refreshToken);
+        if (decoded && decoded.jti) {
+          const stored = await RefreshToken.findByTokenId(decoded.jti);
+          if (stored && stored.userId === user.id) {
+            await RefreshToken.revokeFamily(stored.familyId);
+          }
+        }
+      }
+
+      await RevokedToken.purgeExpired();
+      return true;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Force logout every session of a user (admin only).
+   * Bumping tokenVersion invalidates all access tokens already issued.
+   * @param {number} userId - User ID
+   * @param {Object} [options] - transaction
+   * @returns {Promise<Object>} Updated user
+   */
+  static async revokeUserSessions(userId, { transaction } = {}) {
+    try {
+      const user = await User.findByPk(userId, { transaction });
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      await user.increment('tokenVersion', { transaction });
+      await RefreshToken.update(
+        { revokedAt: new Date() },
+        { where: { userId: user.id, revokedAt: null }, transaction }
+      );
+
+      await user.reload({ transaction });
+      return user.toJSON();
+    } catch (error) {
+      throw error;
+    }
+  }
+
   /**
    * Get user profile by ID
    * @param {number} userId - User ID
@@ -110,8 +289,12 @@ class UserService {
         }
       }
 
+      // Only the user's own credentials; the role is an admin decision (changeUserRole)
+      const changes = {};
+      if (updateData.username !== undefined) changes.username = updateData.username;
       // If password is being updated, it will be hashed by model hook
-      await user.update(updateData);
+      if (updateData.password !== undefined) changes.password = updateData.password;
+      await user.update(changes);
       return user.toJSON();
     } catch (error) {
       throw error;
@@ -183,6 +366,7 @@ class UserService {
         throw new Error('User not found');
       }
 
+      // Refresh tokens cascade with the user; access tokens fail the user lookup
       await user.destroy();
       return true;
     } catch (error) {
@@ -210,7 +394,9 @@ class UserService {
       }
 
       await user.update({ role: newRole });
-      return user.toJSON();
+
+      // Existing tokens still carry the old role claim
+      return await this.revokeUserSessions(user.id);
     } catch (error) {
       throw error;
     }
@@ -229,13 +415,23 @@ class UserService {
       const managerUsers = await User.count({
         where: { role: 'manager' },
       });
+      const operatorUsers = await User.count({
+        where: { role: 'operator' },
+      });
+      const accountantUsers = await User.count({
+        where: { role: 'accountant' },
+      });
 
       return {
         total: totalUsers,
         admin: adminUsers,
         manager: managerUsers,
+        operator: operatorUsers,
+        accountant: accountantUsers,
         adminPercentage: totalUsers > 0 ? ((adminUsers / totalUsers) * 100).toFixed(2) : 0,
         managerPercentage: totalUsers > 0 ? ((managerUsers / totalUsers) * 100).toFixed(2) : 0,
+        operatorPercentage: totalUsers > 0 ? ((operatorUsers / totalUsers) * 100).toFixed(2) : 0,
+        accountantPercentage: totalUsers > 0 ? ((accountantUsers / totalUsers) * 100).toFixed(2) : 0,
       };
     } catch (error) {
       throw error;
@@ -0,0 +1,298 @@
+const Joi = require('joi');
+const { MOVEMENT_TYPES, SOURCE_TYPES, ADJUSTMENT_REASONS } = require('../models/inventoryMovement');
+
+const lotId = (label) => Joi.number()
+  .integer()
+  .positive()
+  .messages({
+    'number.base': `${label} must be a number`,
+    'number.integer': `${label} must be an integer`,
+    'number.positive': `${label} must be positive`,
+  });
+
+// Validation schemas for the stock ledger
+const inventorySchemas = {
+  // Schema for lot balances query parameters
+  balances: Joi.object({
+    productId: lotId('Product ID').optional(),
+    locationId: lotId('Location ID').optional(),
+
+    lotType: Joi.string()
+      .valid('purchase', 'milling_output')
+      .optional()
+      .messages({
+        'any.only': 'Lot type must be one of: purchase, milling_output',
+      }),
+
+    includeEmpty: Joi.boolean()
+      .default(false)
+      .messages({
+        'boolean.base': 'includeEmpty must be true or false',
+      }),
+
+    groupBy: Joi.string()
+      .valid('product', 'location')
+      .optional()
+      .messages({
+        'any.only': 'groupBy must be one of: product, location',
+      }),
+  }),
+
+  // Schema for movement history query parameters
+  movements: Joi.object({
+    page: Joi.number()
+      .integer()
+      .min(1)
+      .default(1)
+      .messages({
+        'number.base': 'Page must be a number',
+        'number.integer': 'Page must be an integer',
+        'number.min': 'Page must be at least 1',
+      }),
+
+    limit: Joi.number()
+      .integer()
+      .min(1)
+      .max(100)
+      .default(20)
+      .messages({
+        'number.base': 'Limit must be a number',
+        'number.integer': 'Limit must be an integer',
+        'number.min': 'Limit must be at least 1',
+        'number.max': 'Limit cannot exceed 100',
+      }),
+
+    purchaseId: lotId('Purchase ID').optional(),
+    millingOutputId: lotId('Milling output ID').optional(),
+    productId: lotId('Product ID').optional(),
+    locationId: lotId('Location ID').optional(),
+
+    type: Joi.string()
+      .valid(...MOVEMENT_TYPES)
+      .optional()
+      .messages({
+        'any.only': `Type must be one of: ${MOVEMENT_TYPES.join(', ')}`,
+      }),
+
+    sourceType: Joi.string()
+      .valid(...SOURCE_TYPES)
+      .optional()
+      .messages({
+        'any.only': `Source type must be one of: ${SOURCE_TYPES.join(', ')}`,
+      }),
+
+    startDate: Joi.date()
+      .iso()
+      .optional()
+      .messages({
+        'date.base': 'Start date must be a valid date',
+        'date.format': 'Start date must be in ISO format (YYYY-MM-DD)',
+      }),
+
+    endDate: Joi.date()
+      .iso()
+      .optional()
+      .min(Joi.ref('startDate'))
+      .messages({
+        'date.base': 'End date must be a valid date',
+        'date.format': 'End date must be in ISO format (YYYY-MM-DD)',
+        'date.min': 'End date must be after start date',
+      }),
+  }),
+
+  // Schema for a manual adjustment of one lot
+  adjustment: Joi.object({
+    date: Joi.date()
+      .iso()
+      .optional()
+      .messages({
+        'date.base': 'Date must be a valid date',
+        'date.format': 'Date must be in ISO format (YYYY-MM-DD)',
+      }),
+
+    purchaseId: lotId('Purchase ID'),
+    millingOutputId: lotId('Milling output ID'),
+    // Location of the stock being adjusted; omit for unassigned stock
+    locationId: lotId('Location ID').optional().allow(null),
+
+    reason: Joi.string()
+      .valid(...ADJUSTMENT_REASONS)
+      .required()
+      .messages({
+        'any.only': `Reason must be one of: ${ADJUSTMENT_REASONS.join(', ')}`,
+        'any.required': 'Reason is required',
+      }),
+
+    // Signed change in kg: negative for shrinkage, drying loss or spoilage
+    weight: Joi.number()
+      .precision(2)
+      .invalid(0)
+      .messages({
+        'number.base': 'Weight must be a number',
+        'any.invalid': 'Weight cannot be zero',
+      }),
+
+    // Weight found in a stock count; the difference to the ledger balance is posted
+    countedWeight: Joi.number()
+      .min(0)
+      .precision(2)
+      .messages({
+        'number.base': 'Counted weight must be a number',
+        'number.min': 'Counted weight cannot be negative',
+      }),
+
+    notes: Joi.string()
+      .allow('', null)
+      .optional(),
+  })
+    .xor('purchaseId', 'millingOutputId')
+    .xor('weight', 'countedWeight')
+    .messages({
+      'object.xor': 'Provide only one of: {#peers}',
+      'object.missing': 'Provide one of: {#peers}',
+    }),
+
+  // Schema for moving stock of one lot between locations
+  transfer: Joi.object({
+    date: Joi.date()
+      .iso()
+      .optional()
+      .messages({
+        'date.base': 'Date must be a valid date',
+        'date.format': 'Date must be in ISO format (YYYY-MM-DD)',
+      }),
+
+    purchaseId: lotId('Purchase ID'),
+    millingOutputId: lotId('Milling output ID'),
+    // Omit to move unassigned stock (recorded before locations existed) into a location
+    fromLocationId: lotId('From location ID').optional().allow(null),
+    toLocationId: lotId('To location ID')
+      .required()
+      .messages({
+        'any.required': 'To location ID is required',
+      }),
+
+    weight: Joi.number()
+      .precision(2)
+      .min(0.01)
+      .required()
+      .messages({
+        'number.base': 'Weight must be a number',
+        'number.min': 'Weight must be greater than 0',
+        'any.required': 'Weight is required',
+      }),
+
+    notes: Joi.string()
+      .allow('', null)
+      .optional(),
+  })
+    .xor('purchaseId', 'millingOutputId')
+    .messages({
+      'object.xor': 'Provide only one of: {#peers}',
+      'object.missing': 'Provide one of: {#peers}',
+    }),
+
+  // Schema for transfer history query parameters
+  transfers: Joi.object({
+    page: Joi.number()
+      .integer()
+      .min(1)
+      .default(1)
+      .messages({
+        'number.base': 'Page must be a number',
+        'number.integer': 'Page must be an integer',
+        'number.min': 'Page must be at least 1',
+      }),
+
+    limit: Joi.number()
+      .integer()
+      .min(1)
+      .max(100)
+      .default(20)
+      .messages({
+        'number.base': 'Limit must be a number',
+        'number.integer': 'Limit must be an integer',
+        'number.min': 'Limit must be at least 1',
+        'number.max': 'Limit cannot exceed 100',
+      }),
+
+    purchaseId: lotId('Purchase ID').optional(),
+    millingOutputId: lotId('Milling output ID').optional(),
+    productId: lotId('Product ID').optional(),
+    locationId: lotId('Location ID').optional(),
+
+    startDate: Joi.date()
+      .iso()
+      .optional()
+      .messages({
+        'date.base': 'Start date must be a valid date',
+        'date.format': 'Start date must be in ISO format (YYYY-MM-DD)',
+      }),
+
+    endDate: Joi.date()
+      .iso()
+      .optional()
+      .min(Joi.ref('startDate'))
+      .messages({
+        'date.base': 'End date must be a valid date',
+        'date.format': 'End date must be in ISO format (YYYY-MM-DD)',
+        'date.min': 'End date must be after start date',
+      }),
+  }),
+};
+
+// Validation middleware factory
+const validateInventory = (schema) => {
+  return (req, res, next) => {
+    let dataToValidate;
+
+    switch (schema) {
+      case 'adjustment':
+      case 'transfer':
+        dataToValidate = req.body;
+        break;
+      case 'balances':
+      case 'movements':
+      case 'transfers':
+        dataToValidate = req.query;
+        break;
+      default:
+        return res.status(500).json({
+          success: false,
+          message: 'Invalid validation schema',
+        });
+    }
+
+    const { error, value } = inventorySchemas[schema].validate(dataToValidate, {
+      abortEarly: false,
+      stripUnknown: true,
+    });
+
+    if (error) {
+      const errors = error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message,
+      }));
+
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors,
+      });
+    }
+
+    // Assign validated and sanitized values back to request
+    if (schema === 'adjustment' || schema === 'transfer') {
+      req.body = value;
+    } else {
+      req.query = value;
+    }
+
+    next();
+  };
+};
+
+module.exports = {
+  inventorySchemas,
+  validateInventory,
+};
@@ -5,19 +5,28 @@ const validateInvoiceCreate = (data) => {
   // Backward compatibility mapping
   if (data && data.invoice_number && !data.invoiceNumber) data.invoiceNumber = data.invoice_number;
   if (data && data.due_date && !data.dueDate) data.dueDate = data.due_date;
+  if (data && data.customer_id && !data.customerId) data.customerId = data.customer_id;
   const schema = Joi.object({
-    invoiceNumber: Joi.string().trim().max(50).required().messages({
-      'string.base': 'Invoice number must be a string',
-      'string.empty': 'Invoice number cannot be empty',
-      'string.max': 'Invoice number cannot exceed 50 characters',
-      'any.required': 'Invoice number is required'
+    // Assigned from the invoice numbering series
+    invoiceNumber: Joi.any().forbidden().messages({
+      'any.unknown': 'Invoice numbers are assigned from the invoice numbering series and cannot be set or changed'
     }),
     date: Joi.date().iso().required().messages({
       'date.base': 'Date must be a valid date',
       'date.format': 'Date must be in ISO format',
       'any.required': 'Date is required'
     }),
-    customer: Joi.string().trim().max(255).required().messages({
+    // Either a customer record or a free-text customer name
+    customerId: Joi.number().integer().positive().allow(null).messages({
+      'number.base': 'Customer ID must be a number',
+      'number.integer': 'Customer ID must be an integer',
+      'number.positive': 'Customer ID must be positive'
+    }),
+    customer: Joi.string().trim().max(255).when('customerId', {
+      is: Joi.number().required(),
+      then: Joi.optional(),
+      otherwise: Joi.required()
+    }).messages({
       'string.base': 'Customer must be a string',
       'string.empty': 'Customer cannot be empty',
       'string.max': 'Customer cannot exceed 255 characters',
@@ -37,18 +46,34 @@ const validateInvoiceCreate = (data) => {
     status: Joi.string().valid('paid', 'unpaid').default('unpaid').messages({
       'any.only': 'Status must be either paid or unpaid'
     }),
+    // Issue the invoice despite a failed credit check (managers and admins only)
+    creditOverride: Joi.boolean().default(false).messages({
+      'boolean.base': 'Credit override must be true or false'
+    }),
+    creditOverrideReason: Joi.string().trim().max(1000).when('creditOverride', {
+      is: true,
+      then: Joi.required()
+    }).messages({
+      'string.base': 'Credit override reason must be a string',
+      'string.empty': 'Credit override reason cannot be empty',
+      'any.required': 'A reason is required to override the credit check'
+    }),
     // Invoice items (optional for creation, can be added separately)
     items: Joi.array().items(
       Joi.object({
+        productId: Joi.number().integer().positive().allow(null).messages({
+          'number.base': 'Item product ID must be a number',
+          'number.integer': 'Item product ID must be an integer',
+          'number.positive': 'Item product ID must be positive'
+        }),
         name: Joi.string().trim().max(255).required().messages({
           'string.base': 'Item name must be a string',
           'string.empty': 'Item name cannot be empty',
           'string.max': 'Item name cannot exceed 255 characters',
           'any.required': 'Item name is required'
         }),
-        quantity: Joi.number().integer().positive().required().messages({
+        quantity: Joi.number().positive().precision(2).required().messages({
           'number.base': 'Item quantity must be a number',
-          'number.integer': 'Item quantity must be an integer',
           'number.positive': 'Item quantity must be positive',
           'any.required': 'Item quantity is required'
         }),
@@ -70,6 +95,7 @@ const validateInvoiceCreate = (data) => {
 const validateInvoiceUpdate = (data) => {
   if (data && data.invoice_number && !data.invoiceNumber) data.invoiceNumber = data.invoice_number;
   if (data && data.due_date && !data.dueDate) data.dueDate = data.due_date;
+  if (data && data.customer_id && !data.customerId) data.customerId = data.customer_id;
   const schema = Joi.object({
     invoiceNumber: Joi.string().trim().max(50).messages({
       'string.base': 'Invoice number must be a string',
@@ -80,6 +106,11 @@ const validateInvoiceUpdate = (data) => {
       'date.base': 'Date must be a valid date',
       'date.format': 'Date must be in ISO format'
     }),
+    customerId: Joi.number().integer().positive().allow(null).messages({
+      'number.base': 'Customer ID must be a number',
+      'number.integer': 'Customer ID must be an integer',
+      'number.positive': 'Customer ID must be positive'
+    }),
     customer: Joi.string().trim().max(255).messages({
       'string.base': 'Customer must be a string',
       'string.empty': 'Customer cannot be empty',
@@ -119,6 +150,11 @@ const validateInvoiceSearch = (data) => {
     customer: Joi.string().trim().messages({
       'string.base': 'Customer must be a string'
     }),
+    customerId: Joi.number().integer().positive().messages({
+      'number.base': 'Customer ID must be a number',
+      'number.integer': 'Customer ID must be an integer',
+      'number.positive': 'Customer ID must be positive'
+    }),
     
     // Date range filters
     startDate: Joi.date().iso().messages({
@@ -153,8 +189,8 @@ const validateInvoiceSearch = (data) => {
     }),
     
     // Status filter
-    status: Joi.string().valid('paid', 'unpaid').messages({
-      'any.only': 'Status must be either paid or unpaid'
+    status: Joi.string().valid('paid', 'unpaid', 'partially_paid').messages({
+      'any.only': 'Status must be paid, unpaid or partially_paid'
     }),
     
     // Aging filters (for overdue invoices)
@@ -217,9 +253,96 @@ const validatePaymentUpdate = (data) => {
   return schema.validate(data, { abortEarly: false });
 };
 
+// Validation schema for recording a (partial) payment
+const validatePaymentCreate = (data) => {
+  const schema = Joi.object({
+    amount: Joi.number().positive().precision(2).required().messages({
+      'number.base': 'Amount must be a number',
+      'number.positive': 'Amount must be positive',
+      'any.required': 'Amount is required'
+    }),
+    date: Joi.date().iso().messages({
+      'date.base': 'Payment date must be a valid date',
+      'date.format': 'Payment date must be in ISO format'
+    }),
+    method: Joi.string().valid('cash', 'transfer', 'giro', 'cheque', 'other').default('cash').messages({
+      'any.only': 'Payment method must be one of: cash, transfer, giro, cheque, other'
+    }),
+    reference: Joi.string().trim().max(100).allow('', null).messages({
+      'string.base': 'Reference must be a string',
+      'string.max': 'Reference cannot exceed 100 characters'
+    }),
+    notes: Joi.string().trim().max(500).allow('', null).messages({
+      'string.base': 'Payment notes must be a string',
+      'string.max': 'Payment notes cannot exceed 500 characters'
+    })
+  });
+
+  return schema.validate(data, { abortEarly: false });
+};
+
+// Validation schema for the customer statement query
+const validateStatementQuery = (data) => {
+  // Backward compatibility mapping
+  if (data && data.customer_id && !data.customerId) data.customerId = data.customer_id;
+  if (data && data.customer_name && !data.customer) data.customer = data.customer_name;
+  const schema = Joi.object({
+    customerId: Joi.number().integer().positive().messages({
+      'number.base': 'Customer ID must be a number',
+      'number.integer': 'Customer ID must be an integer',
+      'number.positive': 'Customer ID must be positive'
+    }),
+    customer: Joi.string().trim().max(255).messages({
+      'string.base': 'Customer must be a string',
+      'string.empty': 'Customer cannot be empty',
+      'string.max': 'Customer cannot exceed 255 characters'
+    }),
+    from: Joi.date().iso().raw().messages({
+      'date.base': 'From must be a valid date',
+      'date.format': 'From must be in ISO format'
+    }),
+    // Only compared with from when from is given; to alone is a statement as of that day
+    to: Joi.date().iso().raw().when('from', { is: Joi.exist(), then: Joi.date().min(Joi.ref('from')) }).messages({
+      'date.base': 'To must be a valid date',
+      'date.format': 'To must be in ISO format',
+      'date.min': 'To must be on or after from'
+    }),
+    format: Joi.string().lowercase().valid('json', 'pdf', 'html', 'csv', 'xlsx').default('json').messages({
+      'any.only': 'Format must be one of: json, pdf, html, csv, xlsx'
+    }),
+    download: Joi.boolean().default(false)
+  }).or('customerId', 'customer').messages({
+    'object.missing': 'Customer is required (customer or customerId)'
+  });
+
+  return schema.validate(data, { abortEarly: false, stripUnknown: true });
+};
+
+// Validation schema for running the invoice reminders by hand
+const validateReminderRun = (data) => {
+  // Backward compatibility mapping
+  const body = { ...(data || {}) };
+  if (body.dry_run !== undefined && body.dryRun === undefined) body.dryRun = body.dry_run;
+  delete body.dry_run;
+  const schema = Joi.object({
+    date: Joi.date().iso().raw().messages({
+      'date.base': 'Date must be a valid date',
+      'date.format': 'Date must be in ISO format'
+    }),
+    dryRun: Joi.boolean().default(false).messages({
+      'boolean.base': 'Dry run must be true or false'
+    })
+  });
+
+  return schema.validate(body, { abortEarly: false });
+};
+
 module.exports = {
   validateInvoiceCreate,
   validateInvoiceUpdate,
   validateInvoiceSearch,
-  validatePaymentUpdate
+  validatePaymentUpdate,
+  validatePaymentCreate,
+  validateStatementQuery,
+  validateReminderRun
 };
\ No newline at end of file
@@ -0,0 +1,166 @@
+const Joi = require('joi');
+const { LOCATION_TYPES } = require('../models/location');
+
+// Validation schemas for Location
+const locationSchemas = {
+  // Schema for creating a new location
+  create: Joi.object({
+    name: Joi.string()
+      .min(2)
+      .max(100)
+      .trim()
+      .required()
+      .messages({
+        'string.empty': 'Location name is required',
+        'string.min': 'Location name must be at least 2 characters long',
+        'string.max': 'Location name cannot exceed 100 characters',
+        'any.required': 'Location name is required',
+      }),
+
+    type: Joi.string()
+      .valid(...LOCATION_TYPES)
+      .default('warehouse')
+      .messages({
+        'any.only': `Location type must be one of: ${LOCATION_TYPES.join(', ')}`,
+      }),
+
+    address: Joi.string()
+      .allow('')
+      .optional(),
+
+    description: Joi.string()
+      .allow('')
+      .optional(),
+  }),
+
+  // Schema for updating an existing location
+  update: Joi.object({
+    name: Joi.string()
+      .min(2)
+      .max(100)
+      .trim()
+      .optional()
+      .messages({
+        'string.empty': 'Location name cannot be empty',
+        'string.min': 'Location name must be at least 2 characters long',
+        'string.max': 'Location name cannot exceed 100 characters',
+      }),
+
+    type: Joi.string()
+      .valid(...LOCATION_TYPES)
+      .optional()
+      .messages({
+        'any.only': `Location type must be one of: ${LOCATION_TYPES.join(', ')}`,
+      }),
+
+    address: Joi.string()
+      .allow('')
+      .optional(),
+
+    description: Joi.string()
+      .allow('')
+      .optional(),
+  }).min(1).messages({
+    'object.min': 'At least one field must be provided for update',
+  }),
+
+  // Schema for query parameters
+  query: Joi.object({
+    search: Joi.string()
+      .max(100)
+      .trim()
+      .allow('')
+      .optional(),
+
+    type: Joi.string()
+      .valid(...LOCATION_TYPES)
+      .optional()
+      .messages({
+        'any.only': `Location type must be one of: ${LOCATION_TYPES.join(', ')}`,
+      }),
+
+    includeDeleted: Joi.boolean()
+      .default(false)
+      .messages({
+        'boolean.base': 'includeDeleted must be true or false',
+      }),
+  }),
+
+  // Schema for ID parameter
+  id: Joi.object({
+    id: Joi.number()
+      .integer()
+      .positive()
+      .required()
+      .messages({
+        'number.base': 'Location ID must be a number',
+        'number.integer': 'Location ID must be an integer',
+        'number.positive': 'Location ID must be positive',
+        'any.required': 'Location ID is required',
+      }),
+  }),
+};
+
+// Validation middleware factory
+const validateLocation = (schema) => {
+  return (req, res, next) => {
+    let dataToValidate;
+
+    switch (schema) {
+      case 'create':
+      case 'update':
+        dataToValidate = req.body;
+        break;
+      case 'query':
+        dataToValidate = req.query;
+        break;
+      case 'id':
+        dataToValidate = req.params;
+        break;
+      default:
+        return res.status(500).json({
+          success: false,
+          message: 'Invalid validation schema',
+        });
+    }
+
+    const { error, value } = locationSchemas[schema].validate(dataToValidate, {
+      abortEarly: false,
+      stripUnknown: true,
+    });
+
+    if (error) {
+      const errors = error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message,
+      }));
+
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors,
+      });
+    }
+
+    // Assign validated and sanitized values back to request
+    switch (schema) {
+      case 'create':
+      case 'update':
+        req.body = value;
+        break;
+      case 'query':
+        req.query = value;
+        break;
+      case 'id':
+        req.params = value;
+        break;
+    }
+
+    next();
+  };
+};
+
+module.exports = {
+  locationSchemas,
+  validateLocation,
+};
@@ -0,0 +1,390 @@
+const Joi = require('joi');
+const { SHIFTS } = require('../models/millingBatch');
+
+const inputItem = Joi.object({
+  purchaseId: Joi.number()
+    .integer()
+    .positive()
+    .required()
+    .messages({
+      'number.base': 'Input purchase ID must be a number',
+      'number.integer': 'Input purchase ID must be an integer',
+      'number.positive': 'Input purchase ID must be positive',
+      'any.required': 'Input purchase ID is required',
+    }),
+
+  weight: Joi.number()
+    .positive()
+    .precision(2)
+    .required()
+    .messages({
+      'number.base': 'Input weight must be a number',
+      'number.positive': 'Input weight must be positive',
+      'any.required': 'Input weight is required',
+    }),
+});
+
+const outputItem = Joi.object({
+  productId: Joi.number()
+    .integer()
+    .positive()
+    .required()
+    .messages({
+      'number.base': 'Output product ID must be a number',
+      'number.integer': 'Output product ID must be an integer',
+      'number.positive': 'Output product ID must be positive',
+      'any.required': 'Output product ID is required',
+    }),
+
+  weight: Joi.number()
+    .positive()
+    .precision(2)
+    .required()
+    .messages({
+      'number.base': 'Output weight must be a number',
+      'number.positive': 'Output weight must be positive',
+      'any.required': 'Output weight is required',
+    }),
+});
+
+// Validation schemas for MillingBatch
+const millingBatchSchemas = {
+  // Schema for recording a new batch
+  create: Joi.object({
+    date: Joi.date()
+      .iso()
+      .required()
+      .messages({
+        'date.base': 'Date must be a valid date',
+        'date.format': 'Date must be in ISO format (YYYY-MM-DD)',
+        'any.required': 'Date is required',
+      }),
+
+    machine: Joi.string()
+      .max(100)
+      .trim()
+      .allow('', null)
+      .optional()
+      .messages({
+        'string.max': 'Machine cannot exceed 100 characters',
+      }),
+
+    shift: Joi.string()
+      .valid(...SHIFTS)
+      .allow(null)
+      .optional()
+      .messages({
+        'any.only': `Shift must be one of: ${SHIFTS.join(', ')}`,
+      }),
+
+    // Where the batch runs; inputs are taken from and outputs stored at this location (empty: unassigned stock)
+    locationId: Joi.number()
+      .integer()
+      .positive()
+      .allow(null)
+      .optional()
+      .messages({
+        'number.base': 'Location ID must be a number',
+        'number.integer': 'Location ID must be an integer',
+        'number.positive': 'Location ID must be positive',
+      }),
+
+    processingCost: Joi.number()
+      .min(0)
+      .precision(2)
+      .default(0)
+      .messages({
+        'number.base': 'Processing cost must be a number',
+        'number.min': 'Processing cost cannot be negative',
+      }),
+
+    notes: Joi.string()
+      .allow('', null)
+      .optional(),
+
+    inputs: Joi.array()
+      .items(inputItem)
+      .min(1)
+      .required()
+      .messages({
+        'array.min': 'At least one input purchase is required',
+        'any.required': 'Inputs are required',
+      }),
+
+    outputs: Joi.array()
+      .items(outputItem)
+      .min(1)
+      .required()
+      .messages({
+        'array.min': 'At least one output product is required',
+        'any.required': 'Outputs are required',
+      }),
+  }),
+
+  // Schema for updating a batch (inputs/outputs replace the existing lines)
+  update: Joi.object({
+    date: Joi.date()
+      .iso()
+      .optional()
+      .messages({
+        'date.base': 'Date must be a valid date',
+        'date.format': 'Date must be in ISO format (YYYY-MM-DD)',
+      }),
+
+    machine: Joi.string()
+      .max(100)
+      .trim()
+      .allow('', null)
+      .optional()
+      .messages({
+        'string.max': 'Machine cannot exceed 100 characters',
+      }),
+
+    shift: Joi.string()
+      .valid(...SHIFTS)
+      .allow(null)
+      .optional()
+      .messages({
+        'any.only': `Shift must be one of: ${SHIFTS.join(', ')}`,
+      }),
+
+    // Where the batch runs; inputs are taken from and outputs stored at this location (empty: unassigned stock)
+    locationId: Joi.number()
+      .integer()
+      .positive()
+      .allow(null)
+      .optional()
+      .messages({
+        'number.base': 'Location ID must be a number',
+        'number.integer': 'Location ID must be an integer',
+        'number.positive': 'Location ID must be positive',
+      }),
+
+    processingCost: Joi.number()
+      .min(0)
+      .precision(2)
+      .optional()
+      .messages({
+        'number.base': 'Processing cost must be a number',
+        'number.min': 'Processing cost cannot be negative',
+      }),
+
+    notes: Joi.string()
+      .allow('', null)
+      .optional(),
+
+    inputs: Joi.array()
+      .items(inputItem)
+      .min(1)
+      .optional()
+      .messages({
+        'array.min': 'At least one input purchase is required',
+      }),
+
+    outputs: Joi.array()
+      .items(outputItem)
+      .min(1)
+      .optional()
+      .messages({
+        'array.min': 'At least one output product is required',
+      }),
+  }).min(1).messages({
+    'object.min': 'At least one field must be provided for update',
+  }),
+
+  // Schema for list query parameters
+  query: Joi.object({
+    page: Joi.number()
+      .integer()
+      .min(1)
+      .default(1)
+      .messages({
+        'number.base': 'Page must be a number',
+        'number.integer': 'Page must be an integer',
+        'number.min': 'Page must be at least 1',
+      }),
+
+    limit: Joi.number()
+      .integer()
+      .min(1)
+      .max(100)
+      .default(10)
+      .messages({
+        'number.base': 'Limit must be a number',
+        'number.integer': 'Limit must be an integer',
+        'number.min': 'Limit must be at least 1',
+        'number.max': 'Limit cannot exceed 100',
+      }),
+
+    startDate: Joi.date()
+      .iso()
+      .optional()
+      .messages({
+        'date.base': 'Start date must be a valid date',
+        'date.format': 'Start date must be in ISO format (YYYY-MM-DD)',
+      }),
+
+    endDate: Joi.date()
+      .iso()
+      .optional()
+      .min(Joi.ref('startDate'))
+      .messages({
+        'date.base': 'End date must be a valid date',
+        'date.format': 'End date must be in ISO format (YYYY-MM-DD)',
+        'date.min': 'End date must be after start date',
+      }),
+
+    machine: Joi.string()
+      .max(100)
+      .trim()
+      .allow('')
+      .optional(),
+
+    shift: Joi.string()
+      .valid(...SHIFTS)
+      .optional()
+      .messages({
+        'any.only': `Shift must be one of: ${SHIFTS.join(', ')}`,
+      }),
+
+    productId: Joi.number()
+      .integer()
+      .positive()
+      .optional()
+      .messages({
+        'number.base': 'Product ID must be a number',
+        'number.integer': 'Product ID must be an integer',
+        'number.positive': 'Product ID must be positive',
+      }),
+
+    locationId: Joi.number()
+      .integer()
+      .positive()
+      .optional()
+      .messages({
+        'number.base': 'Location ID must be a number',
+        'number.integer': 'Location ID must be an integer',
+        'number.positive': 'Location ID must be positive',
+      }),
+
+    includeDeleted: Joi.boolean()
+      .default(false)
+      .messages({
+        'boolean.base': 'includeDeleted must be true or false',
+      }),
+
+    sortBy: Joi.string()
+      .valid('date', 'rendement', 'inputWeight', 'outputWeight', 'created_at')
+      .default('date')
+      .messages({
+        'any.only': 'Sort by must be one of: date, rendement, inputWeight, outputWeight, created_at',
+      }),
+
+    sortOrder: Joi.string()
+      .valid('ASC', 'DESC', 'asc', 'desc')
+      .default('DESC')
+      .messages({
+        'any.only': 'Sort order must be ASC or DESC',
+      }),
+  }),
+
+  // Schema for milled output inventory query parameters
+  inventory: Joi.object({
+    productId: Joi.number()
+      .integer()
+      .positive()
+      .optional()
+      .messages({
+        'number.base': 'Product ID must be a number',
+        'number.integer': 'Product ID must be an integer',
+        'number.positive': 'Product ID must be positive',
+      }),
+
+    groupBy: Joi.string()
+      .valid('product')
+      .optional()
+      .messages({
+        'any.only': 'groupBy must be product',
+      }),
+  }),
+
+  // Schema for ID parameter
+  id: Joi.object({
+    id: Joi.number()
+      .integer()
+      .positive()
+      .required()
+      .messages({
+        'number.base': 'Milling batch ID must be a number',
+        'number.integer': 'Milling batch ID must be an integer',
+        'number.positive': 'Milling batch ID must be positive',
+        'any.required': 'Milling batch ID is required',
+      }),
+  }),
+};
+
+// Validation middleware factory
+const validateMillingBatch = (schema) => {
+  return (req, res, next) => {
+    let dataToValidate;
+
+    switch (schema) {
+      case 'create':
+      case 'update':
+        dataToValidate = req.body;
+        break;
+      case 'query':
+      case 'inventory':
+        dataToValidate = req.query;
+        break;
+      case 'id':
+        dataToValidate = req.params;
+        break;
+      default:
+        return res.status(500).json({
+          success: false,
+          message: 'Invalid validation schema',
+        });
+    }
+
+    const { error, value } = millingBatchSchemas[schema].validate(dataToValidate, {
+      abortEarly: false,
+      stripUnknown: true,
+    });
+
+    if (error) {
+      const errors = error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message,
+      }));
+
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors,
+      });
+    }
+
+    // Assign validated and sanitized values back to request
+    switch (schema) {
+      case 'create':
+      case 'update':
+        req.body = value;
+        break;
+      case 'query':
+      case 'inventory':
+        req.query = value;
+        break;
+      case 'id':
+        req.params = value;
+        break;
+    }
+
+    next();
+  };
+};
+
+module.exports = {
+  millingBatchSchemas,
+  validateMillingBatch,
+};
@@ -0,0 +1,175 @@
+const Joi = require('joi');
+const { PRODUCT_CATEGORIES } = require('../models/product');
+
+// Validation schemas for Product
+const productSchemas = {
+  // Schema for creating a new product
+  create: Joi.object({
+    name: Joi.string()
+      .min(2)
+      .max(255)
+      .trim()
+      .required()
+      .messages({
+        'string.empty': 'Product name is required',
+        'string.min': 'Product name must be at least 2 characters long',
+        'string.max': 'Product name cannot exceed 255 characters',
+        'any.required': 'Product name is required',
+      }),
+
+    category: Joi.string()
+      .valid(...PRODUCT_CATEGORIES)
+      .required()
+      .messages({
+        'any.only': `Category must be one of: ${PRODUCT_CATEGORIES.join(', ')}`,
+        'any.required': 'Category is required',
+      }),
+
+    unit: Joi.string()
+      .max(20)
+      .trim()
+      .default('kg')
+      .messages({
+        'string.max': 'Unit cannot exceed 20 characters',
+      }),
+
+    description: Joi.string()
+      .allow('')
+      .optional(),
+  }),
+
+  // Schema for updating an existing product
+  update: Joi.object({
+    name: Joi.string()
+      .min(2)
+      .max(255)
+      .trim()
+      .optional()
+      .messages({
+        'string.empty': 'Product name cannot be empty',
+        'string.min': 'Product name must be at least 2 characters long',
+        'string.max': 'Product name cannot exceed 255 characters',
+      }),
+
+    category: Joi.string()
+      .valid(...PRODUCT_CATEGORIES)
+      .optional()
+      .messages({
+        'any.only': `Category must be one of: ${PRODUCT_CATEGORIES.join(', ')}`,
+      }),
+
+    unit: Joi.string()
+      .max(20)
+      .trim()
+      .optional()
+      .messages({
+        'string.max': 'Unit cannot exceed 20 characters',
+      }),
+
+    description: Joi.string()
+      .allow('')
+      .optional(),
+  }).min(1).messages({
+    'object.min': 'At least one field must be provided for update',
+  }),
+
+  // Schema for query parameters
+  query: Joi.object({
+    search: Joi.string()
+      .max(255)
+      .trim()
+      .allow('')
+      .optional(),
+
+    category: Joi.string()
+      .valid(...PRODUCT_CATEGORIES)
+      .optional()
+      .messages({
+        'any.only': `Category must be one of: ${PRODUCT_CATEGORIES.join(', ')}`,
+      }),
+
+    includeDeleted: Joi.boolean()
+      .default(false)
+      .messages({
+        'boolean.base': 'includeDeleted must be true or false',
+      }),
+  }),
+
+  // Schema for ID parameter
+  id: Joi.object({
+    id: Joi.number()
+      .integer()
+      .positive()
+      .required()
+      .messages({
+        'number.base': 'Product ID must be a number',
+        'number.integer': 'Product ID must be an integer',
+        'number.positive': 'Product ID must be positive',
+        'any.required': 'Product ID is required',
+      }),
+  }),
+};
+
+// Validation middleware factory
+const validateProduct = (schema) => {
+  return (req, res, next) => {
+    let dataToValidate;
+
+    switch (schema) {
+      case 'create':
+      case 'update':
+        dataToValidate = req.body;
+        break;
+      case 'query':
+        dataToValidate = req.query;
+        break;
+      case 'id':
+        dataToValidate = req.params;
+        break;
+      default:
+        return res.status(500).json({
+          success: false,
+          message: 'Invalid validation schema',
+        });
+    }
+
+    const { error, value } = productSchemas[schema].validate(dataToValidate, {
+      abortEarly: false,
+      stripUnknown: true,
+    });
+
+    if (error) {
+      const errors = error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message,
+      }));
+
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors,
+      });
+    }
+
+    // Assign validated and sanitized values back to request
+    switch (schema) {
+      case 'create':
+      case 'update':
+        req.body = value;
+        break;
+      case 'query':
+        req.query = value;
+        break;
+      case 'id':
+        req.params = value;
+        break;
+    }
+
+    next();
+  };
+};
+
+module.exports = {
+  productSchemas,
+  validateProduct,
+};
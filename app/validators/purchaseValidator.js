@@ -6,6 +6,7 @@ const purchaseSchemas = {
   create: Joi.object({
     date: Joi.date()
       .iso()
+      .raw()
       .max('now')
       .required()
       .messages({
@@ -26,6 +27,29 @@ const purchaseSchemas = {
         'number.positive': 'Supplier ID must be positive',
       }),
     
+    productId: Joi.number()
+      .integer()
+      .positive()
+      .optional()
+      .allow(null)
+      .messages({
+        'number.base': 'Product ID must be a number',
+        'number.integer': 'Product ID must be an integer',
+        'number.positive': 'Product ID must be positive',
+      }),
+
+    // Location the paddy is received at (unassigned stock when empty)
+    locationId: Joi.number()
+      .integer()
+      .positive()
+      .optional()
+      .allow(null)
+      .messages({
+        'number.base': 'Location ID must be a number',
+        'number.integer': 'Location ID must be an integer',
+        'number.positive': 'Location ID must be positive',
+      }),
+    
     supplier: Joi.string()
       .max(255)
       .trim()
@@ -115,6 +139,30 @@ const purchaseSchemas = {
         'number.min': 'Labor cost must be non-negative',
         'number.max': 'Labor cost cannot exceed 1,000,000',
       }),
+
+    moistureContent: Joi.number()
+      .precision(2)
+      .min(0)
+      .max(100)
+      .optional()
+      .allow(null)
+      .messages({
+        'number.base': 'Moisture content must be a number',
+        'number.min': 'Moisture content must be non-negative',
+        'number.max': 'Moisture content cannot exceed 100%',
+      }),
+
+    impurityContent: Joi.number()
+      .precision(2)
+      .min(0)
+      .max(100)
+      .optional()
+      .allow(null)
+      .messages({
+        'number.base': 'Impurity content must be a number',
+        'number.min': 'Impurity content must be non-negative',
+        'number.max': 'Impurity content cannot exceed 100%',
+      }),
   }).custom((value, helpers) => {
     // Custom validation: Either supplierId or supplier name must be provided
     if (!value.supplierId && !value.supplier) {
@@ -127,6 +175,7 @@ const purchaseSchemas = {
   update: Joi.object({
     date: Joi.date()
       .iso()
+      .raw()
       .max('now')
       .optional()
       .messages({
@@ -146,6 +195,29 @@ const purchaseSchemas = {
         'number.positive': 'Supplier ID must be positive',
       }),
     
+    productId: Joi.number()
+      .integer()
+      .positive()
+      .optional()
+      .allow(null)
+      .messages({
+        'number.base': 'Product ID must be a number',
+        'number.integer': 'Product ID must be an integer',
+        'number.positive': 'Product ID must be positive',
+      }),
+
+    // Location the paddy is received at (unassigned stock when empty)
+    locationId: Joi.number()
+      .integer()
+      .positive()
+      .optional()
+      .allow(null)
+      .messages({
+        'number.base': 'Location ID must be a number',
+        'number.integer': 'Location ID must be an integer',
+        'number.positive': 'Location ID must be positive',
+      }),
+    
     supplier: Joi.string()
       .max(255)
       .trim()
@@ -232,6 +304,30 @@ const purchaseSchemas = {
         'number.min': 'Labor cost must be non-negative',
         'number.max': 'Labor cost cannot exceed 1,000,000',
       }),
+
+    moistureContent: Joi.number()
+      .precision(2)
+      .min(0)
+      .max(100)
+      .optional()
+      .allow(null)
+      .messages({
+        'number.base': 'Moisture content must be a number',
+        'number.min': 'Moisture content must be non-negative',
+        'number.max': 'Moisture content cannot exceed 100%',
+      }),
+
+    impurityContent: Joi.number()
+      .precision(2)
+      .min(0)
+      .max(100)
+      .optional()
+      .allow(null)
+      .messages({
+        'number.base': 'Impurity content must be a number',
+        'number.min': 'Impurity content must be non-negative',
+        'number.max': 'Impurity content cannot exceed 100%',
+      }),
   }).min(1).messages({
     'object.min': 'At least one field must be provided for update',
   }),
@@ -288,6 +384,26 @@ const purchaseSchemas = {
         'number.positive': 'Supplier ID must be positive',
       }),
     
+    productId: Joi.number()
+      .integer()
+      .positive()
+      .optional()
+      .messages({
+        'number.base': 'Product ID must be a number',
+        'number.integer': 'Product ID must be an integer',
+        'number.positive': 'Product ID must be positive',
+      }),
+
+    locationId: Joi.number()
+      .integer()
+      .positive()
+      .optional()
+      .messages({
+        'number.base': 'Location ID must be a number',
+        'number.integer': 'Location ID must be an integer',
+        'number.positive': 'Location ID must be positive',
+      }),
+    
     // Use canonical camelCase names; legacy minAmount/maxAmount mapped in middleware
     minTotalCost: Joi.number()
       .precision(2)
@@ -307,6 +423,13 @@ const purchaseSchemas = {
         'number.base': 'Maximum total cost must be a number',
         'number.min': 'Maximum total cost must be greater than minimum total cost',
       }),
+
+    paymentStatus: Joi.string()
+      .valid('paid', 'unpaid', 'partially_paid', 'outstanding')
+      .optional()
+      .messages({
+        'any.only': 'Payment status must be paid, unpaid, partially_paid, or outstanding',
+      }),
   }),
 
   // Schema for ID parameter
@@ -353,6 +476,12 @@ const validatePurchase = (schema) => {
       if (dataToValidate && dataToValidate.supplier_id && !dataToValidate.supplierId) {
         dataToValidate.supplierId = dataToValidate.supplier_id;
       }
+      if (dataToValidate && dataToValidate.product_id && !dataToValidate.productId) {
+        dataToValidate.productId = dataToValidate.product_id;
+      }
+      if (dataToValidate && dataToValidate.location_id && !dataToValidate.locationId) {
+        dataToValidate.locationId = dataToValidate.location_id;
+      }
       if (dataToValidate && dataToValidate.truck_cost && !dataToValidate.truckCost) {
         dataToValidate.truckCost = dataToValidate.truck_cost;
       }
@@ -365,8 +494,15 @@ const validatePurchase = (schema) => {
       if (dataToValidate && dataToValidate.pellet_cost && !dataToValidate.pelletCost) {
         dataToValidate.pelletCost = dataToValidate.pellet_cost;
       }
+      if (dataToValidate && dataToValidate.moisture_content !== undefined && dataToValidate.moistureContent === undefined) {
+        dataToValidate.moistureContent = dataToValidate.moisture_content;
+      }
+      if (dataToValidate && dataToValidate.impurity_content !== undefined && dataToValidate.impurityContent === undefined) {
+        dataToValidate.impurityContent = dataToValidate.impurity_content;
+      }
     } else if (schema === 'query') {
       if (dataToValidate.supplier_id && !dataToValidate.supplierId) dataToValidate.supplierId = dataToValidate.supplier_id;
+      if (dataToValidate.payment_status && !dataToValidate.paymentStatus) dataToValidate.paymentStatus = dataToValidate.payment_status;
       // Legacy amount filters -> new total cost filters
       if (dataToValidate.minAmount && !dataToValidate.minTotalCost) dataToValidate.minTotalCost = dataToValidate.minAmount;
       if (dataToValidate.maxAmount && !dataToValidate.maxTotalCost) dataToValidate.maxTotalCost = dataToValidate.maxAmount;
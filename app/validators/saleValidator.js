@@ -4,6 +4,9 @@ const Joi = require('joi');
 const validateSaleCreate = (data) => {
   // Backward compatibility mapping
   if (data && data.purchase_id && !data.purchaseId) data.purchaseId = data.purchase_id;
+  if (data && data.product_id && !data.productId) data.productId = data.product_id;
+  if (data && data.location_id && !data.locationId) data.locationId = data.location_id;
+  if (data && data.customer_id && !data.customerId) data.customerId = data.customer_id;
   if (data && data.extra_weight && !data.extraWeight) data.extraWeight = data.extra_weight;
   const schema = Joi.object({
     date: Joi.date().iso().required().messages({
@@ -16,6 +19,22 @@ const validateSaleCreate = (data) => {
       'number.integer': 'Purchase ID must be an integer',
       'number.positive': 'Purchase ID must be positive'
     }),
+    productId: Joi.number().integer().positive().allow(null).messages({
+      'number.base': 'Product ID must be a number',
+      'number.integer': 'Product ID must be an integer',
+      'number.positive': 'Product ID must be positive'
+    }),
+    // Location the sale ships from; its weight is drawn from stock there (unassigned stock when empty)
+    locationId: Joi.number().integer().positive().allow(null).messages({
+      'number.base': 'Location ID must be a number',
+      'number.integer': 'Location ID must be an integer',
+      'number.positive': 'Location ID must be positive'
+    }),
+    customerId: Joi.number().integer().positive().allow(null).messages({
+      'number.base': 'Customer ID must be a number',
+      'number.integer': 'Customer ID must be an integer',
+      'number.positive': 'Customer ID must be positive'
+    }),
     quantity: Joi.number().integer().positive().required().messages({
       'number.base': 'Quantity must be a number',
       'number.integer': 'Quantity must be an integer',
@@ -56,6 +75,9 @@ const validateSaleCreate = (data) => {
 // Validation schema for updating a sale
 const validateSaleUpdate = (data) => {
   if (data && data.purchase_id && !data.purchaseId) data.purchaseId = data.purchase_id;
+  if (data && data.product_id && !data.productId) data.productId = data.product_id;
+  if (data && data.location_id && !data.locationId) data.locationId = data.location_id;
+  if (data && data.customer_id && !data.customerId) data.customerId = data.customer_id;
   if (data && data.extra_weight && !data.extraWeight) data.extraWeight = data.extra_weight;
   const schema = Joi.object({
     date: Joi.date().iso().messages({
@@ -67,6 +89,22 @@ const validateSaleUpdate = (data) => {
       'number.integer': 'Purchase ID must be an integer',
       'number.positive': 'Purchase ID must be positive'
     }),
+    productId: Joi.number().integer().positive().allow(null).messages({
+      'number.base': 'Product ID must be a number',
+      'number.integer': 'Product ID must be an integer',
+      'number.positive': 'Product ID must be positive'
+    }),
+    // Location the sale ships from; its weight is drawn from stock there (unassigned stock when empty)
+    locationId: Joi.number().integer().positive().allow(null).messages({
+      'number.base': 'Location ID must be a number',
+      'number.integer': 'Location ID must be an integer',
+      'number.positive': 'Location ID must be positive'
+    }),
+    customerId: Joi.number().integer().positive().allow(null).messages({
+      'number.base': 'Customer ID must be a number',
+      'number.integer': 'Customer ID must be an integer',
+      'number.positive': 'Customer ID must be positive'
+    }),
     quantity: Joi.number().integer().positive().messages({
       'number.base': 'Quantity must be a number',
       'number.integer': 'Quantity must be an integer',
@@ -104,6 +142,9 @@ const validateSaleUpdate = (data) => {
 // Validation schema for sale search/filter parameters
 const validateSaleSearch = (data) => {
   if (data && data.purchase_id && !data.purchaseId) data.purchaseId = data.purchase_id;
+  if (data && data.product_id && !data.productId) data.productId = data.product_id;
+  if (data && data.location_id && !data.locationId) data.locationId = data.location_id;
+  if (data && data.customer_id && !data.customerId) data.customerId = data.customer_id;
   const schema = Joi.object({
     // Date range filters
     startDate: Joi.date().iso().messages({
@@ -159,6 +200,28 @@ const validateSaleSearch = (data) => {
       'number.integer': 'Purchase ID must be an integer',
       'number.positive': 'Purchase ID must be positive'
     }),
+
+    // Product filter
+    productId: Joi.number().integer().positive().messages({
+      'number.base': 'Product ID must be a number',
+      'number.integer': 'Product ID must be an integer',
+      'number.positive': 'Product ID must be positive'
+    }),
+
+    // Location filter
+    locationId: Joi.number().integer().positive().messages({
+      'number.base': 'Location ID must be a number',
+      'number.integer': 'Location ID must be an integer',
+      'number.positive': 'Location ID must be positive'
+    }),
+    customerId: Joi.number().integer().positive().messages({
+      'number.base': 'Customer ID must be a number',
+      'number.integer': 'Customer ID must be an integer',
+      'number.positive': 'Customer ID must be positive'
+    }),
+    invoiced: Joi.boolean().messages({
+      'boolean.base': 'Invoiced must be true or false'
+    }),
     
     // Pagination
     page: Joi.number().integer().min(1).default(1).messages({
@@ -1,4 +1,5 @@
 const Joi = require('joi');
+const SupplierPayment = require('../models/supplierPayment');
 
 // Validation schemas for Supplier
 const supplierSchemas = {
@@ -128,6 +129,211 @@ const supplierSchemas = {
       .messages({
         'any.only': 'Status filter must be active, inactive, or all',
       }),
+
+    includeDeleted: Joi.boolean()
+      .default(false)
+      .messages({
+        'boolean.base': 'includeDeleted must be true or false',
+      }),
+
+    format: Joi.string()
+      .lowercase()
+      .valid('json', 'csv', 'xlsx')
+      .optional()
+      .messages({
+        'any.only': 'Format must be json, csv, or xlsx',
+      }),
+  }),
+
+  // Schema for recording a payment to the supplier
+  payment: Joi.object({
+    amount: Joi.number()
+      .positive()
+      .precision(2)
+      .required()
+      .messages({
+        'number.base': 'Amount must be a number',
+        'number.positive': 'Amount must be positive',
+        'any.required': 'Amount is required',
+      }),
+
+    date: Joi.date()
+      .iso()
+      .optional()
+      .messages({
+        'date.base': 'Payment date must be a valid date',
+        'date.format': 'Payment date must be in ISO format',
+      }),
+
+    method: Joi.string()
+      .valid(...SupplierPayment.PAYMENT_METHODS)
+      .default('cash')
+      .messages({
+        'any.only': `Payment method must be one of: ${SupplierPayment.PAYMENT_METHODS.join(', ')}`,
+      }),
+
+    reference: Joi.string()
+      .trim()
+      .max(100)
+      .allow('', null)
+      .optional()
+      .messages({
+        'string.max': 'Reference cannot exceed 100 characters',
+      }),
+
+    notes: Joi.string()
+      .trim()
+      .max(500)
+      .allow('', null)
+      .optional()
+      .messages({
+        'string.max': 'Payment notes cannot exceed 500 characters',
+      }),
+
+    // Purchases to pay first; the rest of the amount goes to the oldest unpaid purchases
+    purchases: Joi.array()
+      .items(Joi.object({
+        purchaseId: Joi.number().integer().positive().required().messages({
+          'number.base': 'Purchase ID must be a number',
+          'any.required': 'Purchase ID is required',
+        }),
+        amount: Joi.number().positive().precision(2).required().messages({
+          'number.base': 'Allocated amount must be a number',
+          'number.positive': 'Allocated amount must be positive',
+          'any.required': 'Allocated amount is required',
+        }),
+      }))
+      .unique('purchaseId')
+      .optional()
+      .messages({
+        'array.unique': 'Each purchase can only be listed once',
+      }),
+  }),
+
+  // Schema for payment listing query parameters
+  paymentQuery: Joi.object({
+    startDate: Joi.date()
+      .iso()
+      .optional()
+      .messages({
+        'date.format': 'Start date must be in ISO format',
+      }),
+
+    endDate: Joi.date()
+      .iso()
+      .min(Joi.ref('startDate'))
+      .optional()
+      .messages({
+        'date.format': 'End date must be in ISO format',
+        'date.min': 'End date must be after start date',
+      }),
+  }),
+
+  // Schema for statement query parameters (dates stay YYYY-MM-DD strings)
+  statementQuery: Joi.object({
+    from: Joi.date()
+      .iso()
+      .raw()
+      .optional()
+      .messages({
+        'date.base': 'From must be a valid date',
+        'date.format': 'From must be in ISO format',
+      }),
+
+    to: Joi.date()
+      .iso()
+      .raw()
+      .min(Joi.ref('from'))
+      .optional()
+      .messages({
+        'date.base': 'To must be a valid date',
+        'date.format': 'To must be in ISO format',
+        'date.min': 'To must be on or after from',
+      }),
+
+    format: Joi.string()
+      .lowercase()
+      .valid('json', 'pdf', 'html')
+      .default('json')
+      .messages({
+        'any.only': 'Format must be json, pdf, or html',
+      }),
+
+    download: Joi.boolean()
+      .optional(),
+  }),
+
+  // Schema for performance scorecard and ranking query parameters (period of purchase dates)
+  performanceQuery: Joi.object({
+    startDate: Joi.date()
+      .iso()
+      .raw()
+      .optional()
+      .messages({
+        'date.format': 'Start date must be in ISO format',
+      }),
+
+    endDate: Joi.date()
+      .iso()
+      .raw()
+      .min(Joi.ref('startDate'))
+      .optional()
+      .messages({
+        'date.format': 'End date must be in ISO format',
+        'date.min': 'End date must be after start date',
+      }),
+
+    sortBy: Joi.string()
+      .valid('profitContributed', 'profitPerKg', 'totalWeight', 'averageRendement',
+        'averagePricePerKg', 'averageMoisture', 'averageImpurity')
+      .optional()
+      .messages({
+        'any.only': 'Sort field must be one of: profitContributed, profitPerKg, totalWeight, averageRendement, averagePricePerKg, averageMoisture, averageImpurity',
+      }),
+
+    sortOrder: Joi.string()
+      .lowercase()
+      .valid('asc', 'desc')
+      .optional()
+      .messages({
+        'any.only': 'Sort order must be asc or desc',
+      }),
+
+    limit: Joi.number()
+      .integer()
+      .min(1)
+      .max(100)
+      .optional()
+      .messages({
+        'number.base': 'Limit must be a number',
+        'number.min': 'Limit must be at least 1',
+        'number.max': 'Limit cannot exceed 100',
+      }),
+  }),
+
+  // Schema for payables aging query parameters
+  agingQuery: Joi.object({
+    supplierId: Joi.number()
+      .integer()
+      .positive()
+      .optional()
+      .messages({
+        'number.base': 'Supplier ID must be a number',
+      }),
+  }),
+
+  // Schema for payment ID parameter
+  paymentId: Joi.object({
+    paymentId: Joi.number()
+      .integer()
+      .positive()
+      .required()
+      .messages({
+        'number.base': 'Payment ID must be a number',
+        'number.integer': 'Payment ID must be an integer',
+        'number.positive': 'Payment ID must be positive',
+        'any.required': 'Payment ID is required',
+      }),
   }),
 
   // Schema for ID parameter
@@ -153,12 +359,18 @@ const validateSupplier = (schema) => {
     switch (schema) {
       case 'create':
       case 'update':
+      case 'payment':
         dataToValidate = req.body;
         break;
       case 'query':
+      case 'paymentQuery':
+      case 'statementQuery':
+      case 'performanceQuery':
+      case 'agingQuery':
         dataToValidate = req.query;
         break;
       case 'id':
+      case 'paymentId':
         dataToValidate = req.params;
         break;
       default:
@@ -190,12 +402,18 @@ const validateSupplier = (schema) => {
     switch (schema) {
       case 'create':
       case 'update':
+      case 'payment':
         req.body = value;
         break;
       case 'query':
+      case 'paymentQuery':
+      case 'statementQuery':
+      case 'performanceQuery':
+      case 'agingQuery':
         req.query = value;
         break;
       case 'id':
+      case 'paymentId':
         req.params = value;
         break;
     }
@@ -1,4 +1,5 @@
 const Joi = require('joi');
+const { ROLES, DEFAULT_ROLE } = require('../../config/permissions');
 
 // Validation schemas for User
 const userSchemas = {
@@ -26,12 +27,38 @@ const userSchemas = {
         'string.max': 'Password cannot exceed 100 characters',
         'any.required': 'Password is required',
       }),
+  }),
+
+  // Schema for an admin creating a user with a role
+  create: Joi.object({
+    username: Joi.string()
+      .min(3)
+      .max(255)
+      .trim()
+      .required()
+      .messages({
+        'string.empty': 'Username is required',
+        'string.min': 'Username must be at least 3 characters long',
+        'string.max': 'Username cannot exceed 255 characters',
+        'any.required': 'Username is required',
+      }),
+    
+    password: Joi.string()
+      .min(6)
+      .max(100)
+      .required()
+      .messages({
+        'string.empty': 'Password is required',
+        'string.min': 'Password must be at least 6 characters long',
+        'string.max': 'Password cannot exceed 100 characters',
+        'any.required': 'Password is required',
+      }),
     
     role: Joi.string()
-      .valid('admin', 'manager')
-      .default('manager')
+      .valid(...ROLES)
+      .default(DEFAULT_ROLE)
       .messages({
-        'any.only': 'Role must be either admin or manager',
+        'any.only': `Role must be one of: ${ROLES.join(', ')}`,
       }),
   }),
 
@@ -53,7 +80,7 @@ const userSchemas = {
       }),
   }),
 
-  // Schema for updating user profile
+  // Schema for updating user profile (the role is changed by an admin via PATCH /api/users/:id/role)
   update: Joi.object({
     username: Joi.string()
       .min(3)
@@ -75,13 +102,6 @@ const userSchemas = {
         'string.min': 'Password must be at least 6 characters long',
         'string.max': 'Password cannot exceed 100 characters',
       }),
-    
-    role: Joi.string()
-      .valid('admin', 'manager')
-      .optional()
-      .messages({
-        'any.only': 'Role must be either admin or manager',
-      }),
   }).min(1).messages({
     'object.min': 'At least one field must be provided for update',
   }),
@@ -111,10 +131,10 @@ const userSchemas = {
       }),
     
     role: Joi.string()
-      .valid('admin', 'manager', 'all')
+      .valid(...ROLES, 'all')
       .default('all')
       .messages({
-        'any.only': 'Role filter must be admin, manager, or all',
+        'any.only': `Role filter must be one of: ${ROLES.join(', ')}, all`,
       }),
   }),
 
@@ -140,6 +160,7 @@ const validateUser = (schema) => {
     
     switch (schema) {
       case 'register':
+      case 'create':
       case 'login':
       case 'update':
         dataToValidate = req.body;
@@ -178,6 +199,7 @@ const validateUser = (schema) => {
     // Assign validated and sanitized values back to request
     switch (schema) {
       case 'register':
+      case 'create':
       case 'login':
       case 'update':
         req.body = value;
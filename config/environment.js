@@ -1,4 +1,5 @@
 const dotenv = require('dotenv');
+const path = require('path');
 
 // Load environment variables
 dotenv.config();
@@ -27,6 +28,17 @@ const config = {
     expiresIn: process.env.JWT_EXPIRES_IN || '24h'
   },
 
+  // Authorization Configuration
+  // AUTH_BYPASS skips authentication/authorization on API routes (local testing only).
+  // Defaults to on under NODE_ENV=test and is always off in production.
+  auth: {
+    bypass: (process.env.NODE_ENV || 'development') !== 'production' && (
+      process.env.AUTH_BYPASS !== undefined
+        ? process.env.AUTH_BYPASS === 'true'
+        : process.env.NODE_ENV === 'test'
+    )
+  },
+
   // CORS Configuration
   cors: {
     allowedOrigins: process.env.ALLOWED_ORIGINS ? 
@@ -45,6 +57,88 @@ const config = {
     url: process.env.FRONTEND_URL || 'http://localhost:3000'
   },
 
+  // Company details printed on generated documents (invoice letterhead)
+  company: {
+    name: process.env.COMPANY_NAME || 'Rice Mill',
+    address: process.env.COMPANY_ADDRESS || '',
+    phone: process.env.COMPANY_PHONE || '',
+    email: process.env.COMPANY_EMAIL || ''
+  },
+
+  // Document numbering (see app/services/numberingService.js)
+  // Pattern tokens: {prefix} {YYYY} {YY} {MM} {DD} {seq}; reset: monthly | yearly | never
+  numbering: {
+    invoice: {
+      prefix: process.env.INVOICE_NUMBER_PREFIX || 'INV',
+      pattern: process.env.INVOICE_NUMBER_PATTERN || '{prefix}-{YYYY}{MM}-{seq}',
+      reset: process.env.INVOICE_NUMBER_RESET || 'monthly',
+      padding: parseInt(process.env.INVOICE_NUMBER_PADDING) || 4
+    }
+  },
+
+  // Inventory costing for sales drawn from purchase and milling output lots (see app/services/allocationService.js)
+  // fifo | weighted_average
+  inventory: {
+    costing: process.env.INVENTORY_COSTING || 'fifo'
+  },
+
+  // Quality deduction (rafaksi) on purchased paddy (see Purchase.calculateNetWeight in app/models/purchase.js)
+  // formula: excess | dry_weight | none; standards are the moisture and impurity % paid without deduction
+  purchasing: {
+    deductionFormula: process.env.PURCHASE_DEDUCTION_FORMULA || 'excess',
+    moistureStandard: process.env.PURCHASE_MOISTURE_STANDARD ? parseFloat(process.env.PURCHASE_MOISTURE_STANDARD) : 14,
+    impurityStandard: process.env.PURCHASE_IMPURITY_STANDARD ? parseFloat(process.env.PURCHASE_IMPURITY_STANDARD) : 0
+  },
+
+  // Supplier payables (see app/services/supplierPaymentService.js)
+  // A purchase is due PAYABLE_TERM_DAYS after its date; the payables aging report counts overdue days from then
+  payables: {
+    termDays: parseInt(process.env.PAYABLE_TERM_DAYS) || 0
+  },
+
+  // Credit control on new invoices (see InvoiceService.checkCredit in app/services/invoiceService.js)
+  // Customers with an invoice more than CREDIT_OVERDUE_BLOCK_DAYS overdue get no new invoice; 0 disables
+  credit: {
+    overdueBlockDays: process.env.CREDIT_OVERDUE_BLOCK_DAYS !== undefined ? parseInt(process.env.CREDIT_OVERDUE_BLOCK_DAYS) : 90
+  },
+
+  // Overdue invoice reminders (see app/services/reminderService.js and app/services/notifiers)
+  // Thresholds are days relative to the due date: -3 = due in 3 days, 30 = 30 days overdue.
+  // channel: smtp (customer email) | webhook (customer phone, e.g. a WhatsApp gateway) | file (appends to REMINDER_FILE)
+  reminders: {
+    enabled: process.env.REMINDERS_ENABLED === 'true',
+    runAt: process.env.REMINDERS_RUN_AT || '08:00',
+    thresholds: (process.env.REMINDER_THRESHOLDS || '-3,1,30,60')
+      .split(',')
+      .map(value => parseInt(value))
+      .filter(Number.isInteger),
+    channel: process.env.REMINDER_CHANNEL || 'file',
+    smtp: {
+      host: process.env.SMTP_HOST || 'localhost',
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER || '',
+      password: process.env.SMTP_PASSWORD || '',
+      from: process.env.REMINDER_EMAIL_FROM || process.env.COMPANY_EMAIL || ''
+    },
+    webhook: {
+      url: process.env.REMINDER_WEBHOOK_URL || '',
+      token: process.env.REMINDER_WEBHOOK_TOKEN || ''
+    },
+    file: {
+      path: process.env.REMINDER_FILE || path.join(__dirname, '..', 'logs', 'reminders.log')
+    }
+  },
+
+  // Document (PDF) rendering
+  // Templates in DOCUMENT_TEMPLATE_DIR override the built-in ones in app/templates by file name.
+  documents: {
+    templateDir: process.env.DOCUMENT_TEMPLATE_DIR || null,
+    defaultTemplateDir: path.join(__dirname, '..', 'app', 'templates'),
+    locale: process.env.DOCUMENT_LOCALE || 'id-ID',
+    currency: process.env.DOCUMENT_CURRENCY || 'IDR'
+  },
+
   // Get base URL for current environment
   getBaseUrl: function() {
     const protocol = this.server.nodeEnv === 'production' ? 'https' : 'http';
@@ -68,6 +162,11 @@ const config = {
   // Check if running in development
   isDevelopment: function() {
     return this.server.nodeEnv === 'development';
+  },
+
+  // Check if route-level auth is bypassed (never in production)
+  isAuthBypassed: function() {
+    return !this.isProduction() && this.auth.bypass;
   }
 };
 
@@ -0,0 +1,135 @@
+// Route-level permission matrix: resource -> action -> roles allowed
+// Every router guards its endpoints through authorize(resource, action) in app/middleware/auth.js,
+// so changing who may do what only requires editing this file.
+
+// operator: scale operator recording purchases/sales, never sees profit or cost figures
+// accountant: handles invoices only
+const ROLES = ['admin', 'manager', 'operator', 'accountant'];
+// Role of self-registered users; anything more is granted by an admin
+const DEFAULT_ROLE = 'operator';
+
+const permissions = {
+  users: {
+    read: ['admin'],
+    create: ['admin'],
+    update: ['admin'],
+    delete: ['admin'],
+  },
+  suppliers: {
+    // Accountants read suppliers for their payable balances
+    read: ['admin', 'manager', 'operator', 'accountant'],
+    create: ['admin', 'manager'],
+    update: ['admin', 'manager'],
+    delete: ['admin'],
+    restore: ['admin'],
+    // Scorecards and ranking: prices paid and profit traced to each supplier
+    viewPerformance: ['admin', 'manager'],
+  },
+  // Payments to suppliers and the payables they settle
+  supplierPayments: {
+    read: ['admin', 'manager', 'accountant'],
+    create: ['admin', 'manager', 'accountant'],
+    delete: ['admin'],
+  },
+  customers: {
+    read: ['admin', 'manager', 'operator', 'accountant'],
+    create: ['admin', 'manager', 'accountant'],
+    update: ['admin', 'manager', 'accountant'],
+    delete: ['admin'],
+    restore: ['admin'],
+  },
+  products: {
+    read: ['admin', 'manager', 'operator', 'accountant'],
+    create: ['admin', 'manager'],
+    update: ['admin', 'manager'],
+    delete: ['admin'],
+    restore: ['admin'],
+  },
+  locations: {
+    read: ['admin', 'manager', 'operator'],
+    create: ['admin', 'manager'],
+    update: ['admin', 'manager'],
+    delete: ['admin'],
+    restore: ['admin'],
+  },
+  purchases: {
+    read: ['admin', 'manager', 'operator'],
+    create: ['admin', 'manager', 'operator'],
+    update: ['admin', 'manager'],
+    delete: ['admin'],
+    restore: ['admin'],
+    import: ['admin', 'manager'],
+  },
+  inventory: {
+    read: ['admin', 'manager', 'operator'],
+    adjust: ['admin', 'manager'],
+    transfer: ['admin', 'manager', 'operator'],
+  },
+  milling: {
+    read: ['admin', 'manager', 'operator'],
+    create: ['admin', 'manager', 'operator'],
+    update: ['admin', 'manager'],
+    delete: ['admin'],
+    restore: ['admin'],
+  },
+  sales: {
+    read: ['admin', 'manager', 'operator'],
+    viewProfit: ['admin', 'manager'],
+    create: ['admin', 'manager', 'operator'],
+    update: ['admin', 'manager'],
+    delete: ['admin'],
+    restore: ['admin'],
+    import: ['admin', 'manager'],
+  },
+  invoices: {
+    read: ['admin', 'manager', 'accountant'],
+    create: ['admin', 'manager', 'accountant'],
+    update: ['admin', 'manager', 'accountant'],
+    delete: ['admin'],
+    restore: ['admin'],
+    // Issue an invoice past the customer's credit limit or overdue block (InvoiceService.checkCredit)
+    overrideCredit: ['admin', 'manager'],
+    // Send the due invoice reminders now instead of waiting for the daily run (ReminderService)
+    sendReminders: ['admin', 'manager', 'accountant'],
+  },
+  audit: {
+    read: ['admin'],
+  },
+};
+
+// Response fields stripped per role and resource (applied recursively, so nested
+// purchaseData and aggregated stats are covered too)
+const restrictedFields = {
+  operator: {
+    purchases: ['totalCost', 'pelletCost', 'truckCost', 'laborCost', 'paidAmount', 'outstandingPayable'],
+    suppliers: ['payables'],
+    milling: ['inputCost', 'processingCost', 'totalCost', 'unitCost', 'cost'],
+    sales: [
+      'netProfit', 'totalProfit', 'profitMargin', 'averageProfitMargin',
+      'pellet', 'fuel', 'labor', 'totalCost', 'pelletCost', 'truckCost', 'laborCost',
+      'costOfGoodsSold', 'unitCost', 'cost',
+    ],
+  },
+};
+
+// Resolve roles for a resource/action; throws so a typo fails at startup instead of opening a route
+const getAllowedRoles = (resource, action) => {
+  const roles = permissions[resource] && permissions[resource][action];
+  if (!roles) {
+    throw new Error(`No permission defined for ${resource}.${action}`);
+  }
+  return roles;
+};
+
+const getRestrictedFields = (role, resource) => {
+  return (restrictedFields[role] && restrictedFields[role][resource]) || [];
+};
+
+module.exports = {
+  ROLES,
+  DEFAULT_ROLE,
+  permissions,
+  restrictedFields,
+  getAllowedRoles,
+  getRestrictedFields,
+};
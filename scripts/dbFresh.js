@@ -7,11 +7,28 @@ const { sequelize } = require('../config/db');
 
 // Register all models so Sequelize knows about every table before syncing
 require('../app/models/supplier');
+require('../app/models/customer');
+require('../app/models/product');
+require('../app/models/location');
 require('../app/models/purchase');
+require('../app/models/millingBatch');
+require('../app/models/millingBatchInput');
+require('../app/models/millingBatchOutput');
 require('../app/models/sale');
+require('../app/models/saleAllocation');
+require('../app/models/inventoryMovement');
+require('../app/models/stockTransfer');
 require('../app/models/invoice');
 require('../app/models/invoiceItem');
+require('../app/models/invoicePayment');
+require('../app/models/invoiceReminder');
+require('../app/models/supplierPayment');
+require('../app/models/supplierPaymentAllocation');
+require('../app/models/documentSequence');
 require('../app/models/user');
+require('../app/models/refreshToken');
+require('../app/models/revokedToken');
+require('../app/models/auditLog');
 
 const confirmReset = () => {
   if (process.argv.includes('--force')) {
@@ -9,11 +9,20 @@ const { testConnection, syncDatabase } = require('./config/db');
 
 // Import routes
 const supplierRoutes = require('./app/routes/supplierRoutes');
+const customerRoutes = require('./app/routes/customerRoutes');
+const productRoutes = require('./app/routes/productRoutes');
+const locationRoutes = require('./app/routes/locationRoutes');
 const authRoutes = require('./app/routes/authRoutes');
 const userRoutes = require('./app/routes/userRoutes');
 const purchaseRoutes = require('./app/routes/purchaseRoutes');
+const millingBatchRoutes = require('./app/routes/millingBatchRoutes');
+const inventoryRoutes = require('./app/routes/inventoryRoutes');
 const saleRoutes = require('./app/routes/saleRoutes');
 const invoiceRoutes = require('./app/routes/invoiceRoutes');
+const auditRoutes = require('./app/routes/auditRoutes');
+const { requestContext } = require('./app/middleware/requestContext');
+const ReminderService = require('./app/services/reminderService');
+const NumberingService = require('./app/services/numberingService');
 
 // Create Express app
 const app = express();
@@ -28,6 +37,7 @@ app.use(cors({
 
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+app.use(requestContext);
 
 // Request logging middleware
 app.use((req, res, next) => {
@@ -59,10 +69,16 @@ app.get('/health', (req, res) => {
     database: 'Connected',
     endpoints: {
       suppliers: '/api/suppliers',
+      customers: '/api/customers',
+      products: '/api/products',
+      locations: '/api/locations',
       purchases: '/api/purchases',
+      millingBatches: '/api/milling-batches',
+      inventory: '/api/inventory',
       sales: '/api/sales',
       invoices: '/api/invoices',
-      users: '/api/users'
+      users: '/api/users',
+      audit: '/api/audit'
     }
   });
 });
@@ -79,9 +95,15 @@ const routeMappings = [
   { path: '/auth', router: authRoutes },
   { path: '/users', router: userRoutes },
   { path: '/suppliers', router: supplierRoutes },
+  { path: '/customers', router: customerRoutes },
+  { path: '/products', router: productRoutes },
+  { path: '/locations', router: locationRoutes },
   { path: '/purchases', router: purchaseRoutes },
+  { path: '/milling-batches', router: millingBatchRoutes },
+  { path: '/inventory', router: inventoryRoutes },
   { path: '/sales', router: saleRoutes },
   { path: '/invoices', router: invoiceRoutes },
+  { path: '/audit', router: auditRoutes },
 ];
 
 ['/api', ''].forEach(prefix => {
@@ -135,9 +157,15 @@ app.get('/', (req, res) => {
         auth: '/api/auth',
         users: '/api/users',
         suppliers: '/api/suppliers',
+        customers: '/api/customers',
+        products: '/api/products',
+        locations: '/api/locations',
         purchases: '/api/purchases',
+        millingBatches: '/api/milling-batches',
+        inventory: '/api/inventory',
         sales: '/api/sales',
         invoices: '/api/invoices',
+        audit: '/api/audit',
         health: '/health'
       }
     },
@@ -188,6 +216,9 @@ const HOST = process.env.HOST || 'localhost';
 // Start server function (returns the http server instance)
 const startServer = async (opts = {}) => {
   try {
+    // Refuse to start with a numbering pattern that would repeat invoice numbers
+    NumberingService.validateConfig();
+
     // Test database connection
     console.log('🔗 Testing database connection...');
     await testConnection();
@@ -207,12 +238,24 @@ const startServer = async (opts = {}) => {
       console.log(`� Health Check: ${config.getBaseUrl()}/health`);
       console.log(`🏠 Frontend URL: ${config.frontend.url}`);
       console.log(`🌍 Environment: ${config.server.nodeEnv}`);
+      if (config.isAuthBypassed()) {
+        console.log('⚠️  AUTH_BYPASS enabled: API routes are NOT authenticated');
+      }
       console.log('� Available endpoints:');
       console.log(`   - Suppliers: ${config.getApiBaseUrl()}/suppliers`);
+      console.log(`   - Customers: ${config.getApiBaseUrl()}/customers`);
+      console.log(`   - Products: ${config.getApiBaseUrl()}/products`);
+      console.log(`   - Locations: ${config.getApiBaseUrl()}/locations`);
       console.log(`   - Purchases: ${config.getApiBaseUrl()}/purchases`);
+      console.log(`   - Milling Batches: ${config.getApiBaseUrl()}/milling-batches`);
+      console.log(`   - Inventory: ${config.getApiBaseUrl()}/inventory`);
       console.log(`   - Sales: ${config.getApiBaseUrl()}/sales`);
       console.log(`   - Invoices: ${config.getApiBaseUrl()}/invoices`);
       console.log(`   - Users: ${config.getApiBaseUrl()}/users`);
+      console.log(`   - Audit: ${config.getApiBaseUrl()}/audit`);
+      if (ReminderService.start()) {
+        console.log(`⏰ Invoice reminders: daily at ${config.reminders.runAt} via ${config.reminders.channel}`);
+      }
       console.log('✅ Ready to accept connections!');
   });
   return srv;
@@ -0,0 +1,18 @@
+-- Migration: Revoked access tokens
+-- Access tokens revoked on logout are kept until they would have expired anyway.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS revoked_tokens (
+    id SERIAL PRIMARY KEY,
+    token_id VARCHAR(64) NOT NULL UNIQUE,
+    user_id INTEGER,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    reason VARCHAR(50),
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS revoked_tokens_token_id ON revoked_tokens (token_id);
+CREATE INDEX IF NOT EXISTS revoked_tokens_expires_at ON revoked_tokens (expires_at);
+
+COMMIT;
@@ -0,0 +1,9 @@
+-- Migration: Per-user token version for server-side session revocation
+-- Bumping token_version invalidates every access token issued before the bump.
+
+BEGIN;
+
+ALTER TABLE IF EXISTS users
+    ADD COLUMN IF NOT EXISTS token_version INTEGER DEFAULT 0 NOT NULL;
+
+COMMIT;
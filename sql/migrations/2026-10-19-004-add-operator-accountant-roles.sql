@@ -0,0 +1,6 @@
+-- Migration: Add operator and accountant user roles
+-- ALTER TYPE ... ADD VALUE cannot run inside a transaction block on PostgreSQL < 12,
+-- so this file intentionally has no BEGIN/COMMIT.
+
+ALTER TYPE enum_users_role ADD VALUE IF NOT EXISTS 'operator';
+ALTER TYPE enum_users_role ADD VALUE IF NOT EXISTS 'accountant';
@@ -0,0 +1,30 @@
+-- Migration: Audit trail
+-- One append-only row per create, update or delete of an audited record, with the record before
+-- and after the change. user_id has no foreign key so entries outlive the users they name.
+
+BEGIN;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'enum_audit_logs_action') THEN
+        CREATE TYPE enum_audit_logs_action AS ENUM ('create', 'update', 'delete');
+    END IF;
+END $$;
+
+CREATE TABLE IF NOT EXISTS audit_logs (
+    id SERIAL PRIMARY KEY,
+    entity_type VARCHAR(50) NOT NULL,
+    entity_id INTEGER,
+    action enum_audit_logs_action NOT NULL,
+    user_id INTEGER,
+    username VARCHAR(255),
+    before JSONB,
+    after JSONB,
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS audit_logs_entity_type_entity_id ON audit_logs (entity_type, entity_id);
+CREATE INDEX IF NOT EXISTS audit_logs_user_id ON audit_logs (user_id);
+CREATE INDEX IF NOT EXISTS audit_logs_created_at ON audit_logs (created_at);
+
+COMMIT;
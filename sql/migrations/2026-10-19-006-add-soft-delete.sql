@@ -0,0 +1,25 @@
+-- Migration: Soft delete for purchases, sales, invoices and suppliers
+-- Rows are no longer removed on DELETE; deleted_at is set instead and cleared on restore.
+-- ALTER TYPE ... ADD VALUE cannot run inside a transaction block on PostgreSQL < 12,
+-- so this file intentionally has no BEGIN/COMMIT (every statement is idempotent).
+-- The enum change is guarded with a DO block, which needs PostgreSQL 12 or later.
+
+ALTER TABLE IF EXISTS purchases
+    ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE IF EXISTS sales
+    ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE IF EXISTS invoices
+    ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE IF EXISTS suppliers
+    ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+
+-- Audit trail records restores as their own action (the type is created by the audit logs migration)
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM pg_type WHERE typname = 'enum_audit_logs_action') THEN
+        ALTER TYPE enum_audit_logs_action ADD VALUE IF NOT EXISTS 'restore';
+    END IF;
+END $$;
@@ -0,0 +1,28 @@
+-- Migration: Invoice payments
+-- Each payment received against an invoice; invoices.paid_amount holds their running total.
+
+BEGIN;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'enum_invoice_payments_method') THEN
+        CREATE TYPE enum_invoice_payments_method AS ENUM ('cash', 'transfer', 'giro', 'cheque', 'other');
+    END IF;
+END $$;
+
+CREATE TABLE IF NOT EXISTS invoice_payments (
+    id SERIAL PRIMARY KEY,
+    invoice_id INTEGER NOT NULL REFERENCES invoices (id) ON UPDATE CASCADE ON DELETE CASCADE,
+    amount DECIMAL(15, 2) NOT NULL,
+    date DATE NOT NULL DEFAULT CURRENT_DATE,
+    method enum_invoice_payments_method NOT NULL DEFAULT 'cash',
+    reference VARCHAR(100),
+    notes TEXT,
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS invoice_payments_invoice_id ON invoice_payments (invoice_id);
+CREATE INDEX IF NOT EXISTS invoice_payments_date ON invoice_payments (date);
+
+COMMIT;
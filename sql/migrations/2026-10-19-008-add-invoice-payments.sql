@@ -0,0 +1,14 @@
+-- Migration: Partial payments on invoices
+-- Adds the running total and the new status; the invoice_payments table has its own migration.
+-- ALTER TYPE ... ADD VALUE cannot run inside a transaction block on PostgreSQL < 12,
+-- so this file intentionally has no BEGIN/COMMIT (every statement is idempotent).
+
+ALTER TABLE IF EXISTS invoices
+    ADD COLUMN IF NOT EXISTS paid_amount DECIMAL(15,2) DEFAULT 0 NOT NULL;
+
+ALTER TYPE enum_invoices_status ADD VALUE IF NOT EXISTS 'partially_paid';
+
+-- Invoices already marked paid were settled in full
+UPDATE invoices
+SET paid_amount = COALESCE(amount, 0)
+WHERE status = 'paid' AND paid_amount = 0;
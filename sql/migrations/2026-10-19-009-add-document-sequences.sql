@@ -0,0 +1,31 @@
+-- Migration: Transactional counters for gap-free document numbers
+-- Seeds the invoice counter from existing INV-YYYYMM-NNNN numbers so new numbers continue after them.
+-- Adjust the seed if INVOICE_NUMBER_PATTERN / INVOICE_NUMBER_RESET differ from the defaults.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS document_sequences (
+    id SERIAL PRIMARY KEY,
+    series VARCHAR(50) NOT NULL,
+    period VARCHAR(20) NOT NULL,
+    last_value INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS document_sequences_series_period
+    ON document_sequences (series, period);
+
+INSERT INTO document_sequences (series, period, last_value, created_at, updated_at)
+SELECT 'invoice',
+       substring(invoice_number FROM '^INV-(\d{6})-\d+$'),
+       MAX(CAST(substring(invoice_number FROM '^INV-\d{6}-(\d+)$') AS INTEGER)),
+       NOW(),
+       NOW()
+FROM invoices
+WHERE invoice_number ~ '^INV-\d{6}-\d+$'
+GROUP BY 1
+ON CONFLICT (series, period)
+DO UPDATE SET last_value = GREATEST(document_sequences.last_value, EXCLUDED.last_value);
+
+COMMIT;
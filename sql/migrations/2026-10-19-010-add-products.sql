@@ -0,0 +1,41 @@
+-- Migration: Product catalogue (paddy, milled rice grades, by-products)
+-- Adds products and a nullable product_id on purchases, sales and invoice_items.
+-- Existing rows keep product_id NULL and show up as "no product" in per-product statistics.
+
+BEGIN;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'enum_products_category') THEN
+        CREATE TYPE enum_products_category AS ENUM ('paddy', 'milled', 'by_product');
+    END IF;
+END $$;
+
+CREATE TABLE IF NOT EXISTS products (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    category enum_products_category NOT NULL,
+    unit VARCHAR(20) NOT NULL DEFAULT 'kg',
+    description TEXT,
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    deleted_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS products_name ON products (name);
+CREATE INDEX IF NOT EXISTS products_category ON products (category);
+
+ALTER TABLE IF EXISTS purchases
+    ADD COLUMN IF NOT EXISTS product_id INTEGER REFERENCES products (id) ON UPDATE CASCADE ON DELETE SET NULL;
+
+ALTER TABLE IF EXISTS sales
+    ADD COLUMN IF NOT EXISTS product_id INTEGER REFERENCES products (id) ON UPDATE CASCADE ON DELETE SET NULL;
+
+ALTER TABLE IF EXISTS invoice_items
+    ADD COLUMN IF NOT EXISTS product_id INTEGER REFERENCES products (id) ON UPDATE CASCADE ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS purchases_product_id ON purchases (product_id);
+CREATE INDEX IF NOT EXISTS sales_product_id ON sales (product_id);
+CREATE INDEX IF NOT EXISTS invoice_items_product_id ON invoice_items (product_id);
+
+COMMIT;
@@ -0,0 +1,45 @@
+-- Migration: Sale allocations across purchase lots
+-- A sale now draws its weight from one or more purchase lots (FIFO or weighted average, INVENTORY_COSTING)
+-- and its cost of goods sold is the sum of the allocation costs.
+-- Existing sales linked to a purchase get a single allocation from that purchase at its landed cost per kg,
+-- which is the cost their net_profit was already computed with. Sales without a purchase get none.
+
+BEGIN;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'enum_sale_allocations_costing_method') THEN
+        CREATE TYPE enum_sale_allocations_costing_method AS ENUM ('fifo', 'weighted_average');
+    END IF;
+END $$;
+
+CREATE TABLE IF NOT EXISTS sale_allocations (
+    id SERIAL PRIMARY KEY,
+    sale_id INTEGER NOT NULL REFERENCES sales (id) ON UPDATE CASCADE ON DELETE CASCADE,
+    purchase_id INTEGER NOT NULL REFERENCES purchases (id) ON UPDATE CASCADE ON DELETE RESTRICT,
+    weight DECIMAL(12, 2) NOT NULL,
+    unit_cost DECIMAL(15, 4) NOT NULL,
+    cost DECIMAL(15, 2) NOT NULL,
+    costing_method enum_sale_allocations_costing_method NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS sale_allocations_sale_id ON sale_allocations (sale_id);
+CREATE INDEX IF NOT EXISTS sale_allocations_purchase_id ON sale_allocations (purchase_id);
+
+INSERT INTO sale_allocations (sale_id, purchase_id, weight, unit_cost, cost, costing_method)
+SELECT
+    s.id,
+    s.purchase_id,
+    s.quantity * s.weight + COALESCE(s.extra_weight, 0),
+    p.total_cost / (p.quantity * p.weight + COALESCE(p.extra_weight, 0)),
+    (s.quantity * s.weight + COALESCE(s.extra_weight, 0))
+        * p.total_cost / (p.quantity * p.weight + COALESCE(p.extra_weight, 0)),
+    'fifo'
+FROM sales s
+JOIN purchases p ON p.id = s.purchase_id
+WHERE p.quantity * p.weight + COALESCE(p.extra_weight, 0) > 0
+  AND NOT EXISTS (SELECT 1 FROM sale_allocations a WHERE a.sale_id = s.id);
+
+COMMIT;
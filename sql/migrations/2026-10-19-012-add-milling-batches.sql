@@ -0,0 +1,80 @@
+-- Migration: Milling batches
+-- A milling batch consumes paddy weight from one or more purchases (milling_batch_inputs)
+-- and records the weight of each product it yielded (milling_batch_outputs).
+-- Batch rendement is milled rice output over paddy input. Outputs are lots that sales draw from,
+-- so sale_allocations may now reference a milling output instead of a purchase.
+-- Existing sales keep their allocations and stored rendement; only sales saved from now on
+-- take their rendement from the batches they draw from.
+
+BEGIN;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'enum_milling_batches_shift') THEN
+        CREATE TYPE enum_milling_batches_shift AS ENUM ('morning', 'afternoon', 'night');
+    END IF;
+END $$;
+
+CREATE TABLE IF NOT EXISTS milling_batches (
+    id SERIAL PRIMARY KEY,
+    date DATE NOT NULL,
+    machine VARCHAR(100),
+    shift enum_milling_batches_shift,
+    input_weight DECIMAL(12, 2) NOT NULL DEFAULT 0,
+    output_weight DECIMAL(12, 2) NOT NULL DEFAULT 0,
+    rendement DECIMAL(5, 2),
+    input_cost DECIMAL(15, 2) NOT NULL DEFAULT 0,
+    processing_cost DECIMAL(15, 2) NOT NULL DEFAULT 0,
+    notes TEXT,
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    deleted_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS milling_batches_date ON milling_batches (date);
+CREATE INDEX IF NOT EXISTS milling_batches_machine ON milling_batches (machine);
+
+CREATE TABLE IF NOT EXISTS milling_batch_inputs (
+    id SERIAL PRIMARY KEY,
+    batch_id INTEGER NOT NULL REFERENCES milling_batches (id) ON UPDATE CASCADE ON DELETE CASCADE,
+    purchase_id INTEGER NOT NULL REFERENCES purchases (id) ON UPDATE CASCADE ON DELETE RESTRICT,
+    weight DECIMAL(12, 2) NOT NULL,
+    unit_cost DECIMAL(15, 4) NOT NULL,
+    cost DECIMAL(15, 2) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS milling_batch_inputs_batch_id ON milling_batch_inputs (batch_id);
+CREATE INDEX IF NOT EXISTS milling_batch_inputs_purchase_id ON milling_batch_inputs (purchase_id);
+
+CREATE TABLE IF NOT EXISTS milling_batch_outputs (
+    id SERIAL PRIMARY KEY,
+    batch_id INTEGER NOT NULL REFERENCES milling_batches (id) ON UPDATE CASCADE ON DELETE CASCADE,
+    product_id INTEGER NOT NULL REFERENCES products (id) ON UPDATE CASCADE ON DELETE RESTRICT,
+    weight DECIMAL(12, 2) NOT NULL,
+    unit_cost DECIMAL(15, 4) NOT NULL,
+    cost DECIMAL(15, 2) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS milling_batch_outputs_batch_id ON milling_batch_outputs (batch_id);
+CREATE INDEX IF NOT EXISTS milling_batch_outputs_product_id ON milling_batch_outputs (product_id);
+
+ALTER TABLE sale_allocations ALTER COLUMN purchase_id DROP NOT NULL;
+ALTER TABLE sale_allocations
+    ADD COLUMN IF NOT EXISTS milling_output_id INTEGER
+    REFERENCES milling_batch_outputs (id) ON UPDATE CASCADE ON DELETE CASCADE;
+
+CREATE INDEX IF NOT EXISTS sale_allocations_milling_output_id ON sale_allocations (milling_output_id);
+
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'sale_allocations_single_lot') THEN
+        ALTER TABLE sale_allocations ADD CONSTRAINT sale_allocations_single_lot
+            CHECK ((purchase_id IS NULL) <> (milling_output_id IS NULL));
+    END IF;
+END $$;
+
+COMMIT;
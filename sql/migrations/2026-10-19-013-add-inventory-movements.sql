@@ -0,0 +1,84 @@
+-- Migration: Inventory ledger
+-- Every change to the weight of a lot (a purchase or a milling batch output) is now a row in
+-- inventory_movements, and the remaining weight of a lot is the sum of its rows.
+-- Purchases, sales and milling batches post to it; manual adjustments record shrinkage, drying loss,
+-- spoilage and stock counts. The backfill posts what existing (non-deleted) documents hold today,
+-- so every lot starts with the same remaining weight it had before.
+
+BEGIN;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'enum_inventory_movements_type') THEN
+        CREATE TYPE enum_inventory_movements_type AS ENUM ('in', 'out', 'adjust', 'transfer');
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'enum_inventory_movements_reason') THEN
+        CREATE TYPE enum_inventory_movements_reason AS ENUM ('shrinkage', 'drying_loss', 'spoilage', 'stock_count', 'correction');
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'enum_inventory_movements_source_type') THEN
+        CREATE TYPE enum_inventory_movements_source_type AS ENUM ('purchase', 'sale', 'milling_batch', 'adjustment');
+    END IF;
+END $$;
+
+CREATE TABLE IF NOT EXISTS inventory_movements (
+    id SERIAL PRIMARY KEY,
+    date DATE NOT NULL,
+    type enum_inventory_movements_type NOT NULL,
+    reason enum_inventory_movements_reason,
+    purchase_id INTEGER REFERENCES purchases (id) ON UPDATE CASCADE ON DELETE RESTRICT,
+    milling_output_id INTEGER REFERENCES milling_batch_outputs (id) ON UPDATE CASCADE ON DELETE CASCADE,
+    product_id INTEGER REFERENCES products (id) ON UPDATE CASCADE ON DELETE SET NULL,
+    weight DECIMAL(12, 2) NOT NULL,
+    source_type enum_inventory_movements_source_type NOT NULL,
+    source_id INTEGER,
+    user_id INTEGER,
+    notes TEXT,
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    CONSTRAINT inventory_movements_single_lot CHECK ((purchase_id IS NULL) <> (milling_output_id IS NULL))
+);
+
+CREATE INDEX IF NOT EXISTS inventory_movements_purchase_id ON inventory_movements (purchase_id);
+CREATE INDEX IF NOT EXISTS inventory_movements_milling_output_id ON inventory_movements (milling_output_id);
+CREATE INDEX IF NOT EXISTS inventory_movements_product_id ON inventory_movements (product_id);
+CREATE INDEX IF NOT EXISTS inventory_movements_source_type_source_id ON inventory_movements (source_type, source_id);
+CREATE INDEX IF NOT EXISTS inventory_movements_date ON inventory_movements (date);
+
+-- Purchases bring their total weight in
+INSERT INTO inventory_movements (date, type, purchase_id, product_id, weight, source_type, source_id)
+SELECT p.date, 'in', p.id, p.product_id, p.quantity * p.weight + COALESCE(p.extra_weight, 0), 'purchase', p.id
+FROM purchases p
+WHERE p.deleted_at IS NULL
+  AND NOT EXISTS (
+      SELECT 1 FROM inventory_movements m WHERE m.source_type = 'purchase' AND m.source_id = p.id
+  );
+
+-- Milling batches take paddy out of their input purchases and bring their outputs in
+INSERT INTO inventory_movements (date, type, purchase_id, product_id, weight, source_type, source_id)
+SELECT b.date, 'out', i.purchase_id, p.product_id, -i.weight, 'milling_batch', b.id
+FROM milling_batch_inputs i
+JOIN milling_batches b ON b.id = i.batch_id AND b.deleted_at IS NULL
+JOIN purchases p ON p.id = i.purchase_id
+WHERE NOT EXISTS (
+    SELECT 1 FROM inventory_movements m WHERE m.source_type = 'milling_batch' AND m.source_id = b.id
+);
+
+INSERT INTO inventory_movements (date, type, milling_output_id, product_id, weight, source_type, source_id)
+SELECT b.date, 'in', o.id, o.product_id, o.weight, 'milling_batch', b.id
+FROM milling_batch_outputs o
+JOIN milling_batches b ON b.id = o.batch_id AND b.deleted_at IS NULL
+WHERE NOT EXISTS (
+    SELECT 1 FROM inventory_movements m WHERE m.milling_output_id = o.id AND m.source_type = 'milling_batch'
+);
+
+-- Sales take the weight of each allocation out of its lot
+INSERT INTO inventory_movements (date, type, purchase_id, milling_output_id, product_id, weight, source_type, source_id)
+SELECT s.date, 'out', a.purchase_id, a.milling_output_id, COALESCE(p.product_id, o.product_id), -a.weight, 'sale', s.id
+FROM sale_allocations a
+JOIN sales s ON s.id = a.sale_id AND s.deleted_at IS NULL
+LEFT JOIN purchases p ON p.id = a.purchase_id
+LEFT JOIN milling_batch_outputs o ON o.id = a.milling_output_id
+WHERE NOT EXISTS (
+    SELECT 1 FROM inventory_movements m WHERE m.source_type = 'sale' AND m.source_id = s.id
+);
+
+COMMIT;
@@ -0,0 +1,18 @@
+-- Migration: Moisture and impurity deductions on purchases
+-- Paddy is paid for by net weight: the weighed weight less a deduction (rafaksi) for moisture
+-- (kadar air) and impurity (kotoran) above the standard, per PURCHASE_DEDUCTION_FORMULA.
+-- total_cost is net_weight * price + truck, labor and pellet costs. Existing purchases have no
+-- measurements, so their net weight is their total weight and their total cost is unchanged.
+
+BEGIN;
+
+ALTER TABLE purchases ADD COLUMN IF NOT EXISTS moisture_content DECIMAL(5, 2);
+ALTER TABLE purchases ADD COLUMN IF NOT EXISTS impurity_content DECIMAL(5, 2);
+ALTER TABLE purchases ADD COLUMN IF NOT EXISTS deduction_weight DECIMAL(12, 2) NOT NULL DEFAULT 0;
+ALTER TABLE purchases ADD COLUMN IF NOT EXISTS net_weight DECIMAL(12, 2);
+
+UPDATE purchases
+SET net_weight = quantity * weight + COALESCE(extra_weight, 0)
+WHERE net_weight IS NULL;
+
+COMMIT;
@@ -0,0 +1,68 @@
+-- Migration: Storage locations
+-- Stock is now held at a location (a gudang or the mill floor). Purchases are received at, sales ship
+-- from and milling batches run at a location, and every stock ledger row records the location it
+-- changes. Existing rows keep location_id NULL: that stock is "unassigned" and behaves as before
+-- until it is transferred into a location. Transfers move the weight of one lot between locations.
+
+BEGIN;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'enum_locations_type') THEN
+        CREATE TYPE enum_locations_type AS ENUM ('warehouse', 'mill');
+    END IF;
+END $$;
+
+-- PostgreSQL 12+ allows this inside a transaction as long as the new value is not used before COMMIT
+ALTER TYPE enum_inventory_movements_source_type ADD VALUE IF NOT EXISTS 'transfer';
+
+CREATE TABLE IF NOT EXISTS locations (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    type enum_locations_type NOT NULL DEFAULT 'warehouse',
+    address TEXT,
+    description TEXT,
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    deleted_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS locations_name ON locations (name);
+
+ALTER TABLE purchases
+    ADD COLUMN IF NOT EXISTS location_id INTEGER REFERENCES locations (id) ON UPDATE CASCADE ON DELETE SET NULL;
+ALTER TABLE sales
+    ADD COLUMN IF NOT EXISTS location_id INTEGER REFERENCES locations (id) ON UPDATE CASCADE ON DELETE SET NULL;
+ALTER TABLE milling_batches
+    ADD COLUMN IF NOT EXISTS location_id INTEGER REFERENCES locations (id) ON UPDATE CASCADE ON DELETE SET NULL;
+-- Ledger rows must keep pointing at the location they changed
+ALTER TABLE inventory_movements
+    ADD COLUMN IF NOT EXISTS location_id INTEGER REFERENCES locations (id) ON UPDATE CASCADE ON DELETE RESTRICT;
+
+CREATE INDEX IF NOT EXISTS purchases_location_id ON purchases (location_id);
+CREATE INDEX IF NOT EXISTS sales_location_id ON sales (location_id);
+CREATE INDEX IF NOT EXISTS milling_batches_location_id ON milling_batches (location_id);
+CREATE INDEX IF NOT EXISTS inventory_movements_location_id ON inventory_movements (location_id);
+
+CREATE TABLE IF NOT EXISTS stock_transfers (
+    id SERIAL PRIMARY KEY,
+    date DATE NOT NULL,
+    purchase_id INTEGER REFERENCES purchases (id) ON UPDATE CASCADE ON DELETE RESTRICT,
+    milling_output_id INTEGER REFERENCES milling_batch_outputs (id) ON UPDATE CASCADE ON DELETE CASCADE,
+    product_id INTEGER REFERENCES products (id) ON UPDATE CASCADE ON DELETE SET NULL,
+    from_location_id INTEGER REFERENCES locations (id) ON UPDATE CASCADE ON DELETE RESTRICT,
+    to_location_id INTEGER NOT NULL REFERENCES locations (id) ON UPDATE CASCADE ON DELETE RESTRICT,
+    weight DECIMAL(12, 2) NOT NULL CHECK (weight > 0),
+    user_id INTEGER,
+    notes TEXT,
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    CONSTRAINT stock_transfers_single_lot CHECK ((purchase_id IS NULL) <> (milling_output_id IS NULL))
+);
+
+CREATE INDEX IF NOT EXISTS stock_transfers_date ON stock_transfers (date);
+CREATE INDEX IF NOT EXISTS stock_transfers_purchase_id ON stock_transfers (purchase_id);
+CREATE INDEX IF NOT EXISTS stock_transfers_milling_output_id ON stock_transfers (milling_output_id);
+CREATE INDEX IF NOT EXISTS stock_transfers_from_location_id ON stock_transfers (from_location_id);
+CREATE INDEX IF NOT EXISTS stock_transfers_to_location_id ON stock_transfers (to_location_id);
+
+COMMIT;
@@ -0,0 +1,79 @@
+-- Migration: Customer master data
+-- Invoices and sales can now point at a customer record instead of only a free-text name.
+-- The existing invoice customer strings are deduplicated into customers: names that differ only in
+-- case or spacing ("Toko  Berkah", "toko berkah ") become one customer, the invoices are linked to it
+-- and their customer text is rewritten to the customer's name. Sales have no customer text, so
+-- sales.customer_id starts NULL.
+
+BEGIN;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'enum_customers_status') THEN
+        CREATE TYPE enum_customers_status AS ENUM ('active', 'inactive');
+    END IF;
+END $$;
+
+CREATE TABLE IF NOT EXISTS customers (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    contact_person VARCHAR(255),
+    phone VARCHAR(20),
+    address TEXT,
+    credit_limit DECIMAL(15, 2) CHECK (credit_limit >= 0),
+    status enum_customers_status NOT NULL DEFAULT 'active',
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    deleted_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS customers_name ON customers (name);
+CREATE INDEX IF NOT EXISTS customers_status ON customers (status);
+
+ALTER TABLE invoices
+    ADD COLUMN IF NOT EXISTS customer_id INTEGER REFERENCES customers (id) ON UPDATE CASCADE ON DELETE SET NULL;
+ALTER TABLE sales
+    ADD COLUMN IF NOT EXISTS customer_id INTEGER REFERENCES customers (id) ON UPDATE CASCADE ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS invoices_customer_id ON invoices (customer_id);
+CREATE INDEX IF NOT EXISTS sales_customer_id ON sales (customer_id);
+
+-- One customer per normalized name. The spelling used on the most invoices becomes the customer
+-- name (ties go to the alphabetically first); names that already have a customer are skipped.
+WITH spellings AS (
+    SELECT
+        LOWER(REGEXP_REPLACE(TRIM(customer), '\s+', ' ', 'g')) AS normalized,
+        REGEXP_REPLACE(TRIM(customer), '\s+', ' ', 'g') AS spelling,
+        COUNT(*) AS uses
+    FROM invoices
+    WHERE customer IS NOT NULL AND TRIM(customer) <> ''
+    GROUP BY 1, 2
+),
+ranked AS (
+    SELECT
+        normalized,
+        spelling,
+        ROW_NUMBER() OVER (PARTITION BY normalized ORDER BY uses DESC, spelling ASC) AS rank
+    FROM spellings
+)
+INSERT INTO customers (name)
+SELECT ranked.spelling
+FROM ranked
+WHERE ranked.rank = 1
+  AND NOT EXISTS (
+      SELECT 1 FROM customers c
+      WHERE LOWER(REGEXP_REPLACE(TRIM(c.name), '\s+', ' ', 'g')) = ranked.normalized
+        AND c.deleted_at IS NULL
+  );
+
+UPDATE invoices i
+SET customer_id = c.id,
+    customer = c.name
+FROM customers c
+WHERE i.customer_id IS NULL
+  AND i.customer IS NOT NULL
+  AND LOWER(REGEXP_REPLACE(TRIM(i.customer), '\s+', ' ', 'g'))
+      = LOWER(REGEXP_REPLACE(TRIM(c.name), '\s+', ' ', 'g'))
+  AND c.deleted_at IS NULL;
+
+COMMIT;
@@ -0,0 +1,11 @@
+-- Migration: Credit check overrides on invoices
+-- New invoices are refused for customers over their credit limit or with an invoice more than
+-- CREDIT_OVERDUE_BLOCK_DAYS overdue. A manager can issue one anyway; who did so and why is kept on
+-- the invoice (and therefore in its audit entry). No foreign key, like audit_logs.user_id.
+
+BEGIN;
+
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS credit_override_by INTEGER;
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS credit_override_reason TEXT;
+
+COMMIT;
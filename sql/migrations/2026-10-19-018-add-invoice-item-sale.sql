@@ -0,0 +1,16 @@
+-- Migration: Invoices generated from sales
+-- An invoice item can bill a sale (sale_id); POST /api/sales/:id/invoice and POST /api/sales/invoice
+-- build such items from the sale's total weight and price per kg. A sale may be on at most one live
+-- (not deleted) invoice; that is checked by the application because deleted invoices keep their items.
+-- Quantities become decimal so an item can carry a weight in kg.
+
+BEGIN;
+
+ALTER TABLE invoice_items ALTER COLUMN quantity TYPE DECIMAL(12, 2);
+
+ALTER TABLE invoice_items
+    ADD COLUMN IF NOT EXISTS sale_id INTEGER REFERENCES sales (id) ON UPDATE CASCADE ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS invoice_items_sale_id ON invoice_items (sale_id);
+
+COMMIT;
@@ -0,0 +1,45 @@
+-- Migration: Supplier payments
+-- Payments the mill makes to suppliers. Each payment is allocated to one or more of the supplier's
+-- purchases (supplier_payment_allocations) and purchases.paid_amount keeps the running total, which
+-- gives the payable balance per purchase and per supplier. Existing purchases start unpaid
+-- (paid_amount 0); record the payments already made to bring the balances up to date.
+
+BEGIN;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'enum_supplier_payments_method') THEN
+        CREATE TYPE enum_supplier_payments_method AS ENUM ('cash', 'transfer', 'giro', 'cheque', 'other');
+    END IF;
+END $$;
+
+ALTER TABLE purchases
+    ADD COLUMN IF NOT EXISTS paid_amount DECIMAL(15, 2) NOT NULL DEFAULT 0 CHECK (paid_amount >= 0);
+
+CREATE TABLE IF NOT EXISTS supplier_payments (
+    id SERIAL PRIMARY KEY,
+    supplier_id INTEGER NOT NULL REFERENCES suppliers (id) ON UPDATE CASCADE ON DELETE RESTRICT,
+    amount DECIMAL(15, 2) NOT NULL CHECK (amount > 0),
+    date DATE NOT NULL DEFAULT CURRENT_DATE,
+    method enum_supplier_payments_method NOT NULL DEFAULT 'cash',
+    reference VARCHAR(100),
+    notes TEXT,
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS supplier_payments_supplier_id ON supplier_payments (supplier_id);
+CREATE INDEX IF NOT EXISTS supplier_payments_date ON supplier_payments (date);
+
+CREATE TABLE IF NOT EXISTS supplier_payment_allocations (
+    id SERIAL PRIMARY KEY,
+    payment_id INTEGER NOT NULL REFERENCES supplier_payments (id) ON UPDATE CASCADE ON DELETE CASCADE,
+    purchase_id INTEGER NOT NULL REFERENCES purchases (id) ON UPDATE CASCADE ON DELETE RESTRICT,
+    amount DECIMAL(15, 2) NOT NULL CHECK (amount > 0),
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS supplier_payment_allocations_payment_id ON supplier_payment_allocations (payment_id);
+CREATE INDEX IF NOT EXISTS supplier_payment_allocations_purchase_id ON supplier_payment_allocations (purchase_id);
+
+COMMIT;
@@ -0,0 +1,36 @@
+-- Migration: Invoice reminders
+-- The daily reminder run (REMINDERS_ENABLED) records every reminder it sends or fails to send in
+-- invoice_reminders. An invoice gets at most one sent reminder per threshold (days relative to the
+-- due date); failed attempts stay as history and are retried. Customers get an email address for
+-- reminders sent over SMTP.
+
+BEGIN;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'enum_invoice_reminders_status') THEN
+        CREATE TYPE enum_invoice_reminders_status AS ENUM ('sent', 'failed');
+    END IF;
+END $$;
+
+ALTER TABLE customers
+    ADD COLUMN IF NOT EXISTS email VARCHAR(255);
+
+CREATE TABLE IF NOT EXISTS invoice_reminders (
+    id SERIAL PRIMARY KEY,
+    invoice_id INTEGER NOT NULL REFERENCES invoices (id) ON UPDATE CASCADE ON DELETE CASCADE,
+    threshold INTEGER NOT NULL,
+    days_overdue INTEGER NOT NULL,
+    outstanding_balance DECIMAL(15, 2) NOT NULL,
+    channel VARCHAR(20) NOT NULL,
+    recipient VARCHAR(255) NOT NULL,
+    status enum_invoice_reminders_status NOT NULL DEFAULT 'sent',
+    error TEXT,
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS invoice_reminders_invoice_id ON invoice_reminders (invoice_id);
+CREATE UNIQUE INDEX IF NOT EXISTS invoice_reminders_invoice_id_threshold
+    ON invoice_reminders (invoice_id, threshold) WHERE status = 'sent';
+
+COMMIT;
@@ -154,7 +154,7 @@ const options = {
             },
             role: {
               type: 'string',
-              enum: ['admin', 'manager'],
+              enum: ['admin', 'manager', 'operator', 'accountant'],
               example: 'admin'
             },
             created_at: {
@@ -180,6 +180,24 @@ const options = {
               maxLength: 255,
               example: 'admin'
             },
+            password: {
+              type: 'string',
+              minLength: 6,
+              example: 'password123'
+            }
+          }
+        },
+
+        UserCreateByAdmin: {
+          type: 'object',
+          required: ['username', 'password'],
+          properties: {
+            username: {
+              type: 'string',
+              minLength: 3,
+              maxLength: 255,
+              example: 'kasir01'
+            },
             password: {
               type: 'string',
               minLength: 6,
@@ -187,9 +205,9 @@ const options = {
             },
             role: {
               type: 'string',
-              enum: ['admin', 'manager'],
-              default: 'manager',
-              example: 'admin'
+              enum: ['admin', 'manager', 'operator', 'accountant'],
+              default: 'operator',
+              example: 'accountant'
             }
           }
         },
@@ -283,123 +301,844 @@ const options = {
           }
         },
 
-        // Purchase schemas
-        Purchase: {
+        SupplierPayables: {
+          type: 'object',
+          description: 'What the mill owes the supplier (returned on GET /api/suppliers/{id})',
+          properties: {
+            total_payable: {
+              type: 'number',
+              format: 'decimal',
+              example: 125000000.00
+            },
+            total_paid: {
+              type: 'number',
+              format: 'decimal',
+              example: 100000000.00
+            },
+            outstanding_balance: {
+              type: 'number',
+              format: 'decimal',
+              example: 25000000.00
+            },
+            unpaid_purchases: {
+              type: 'integer',
+              example: 2
+            },
+            oldest_unpaid_date: {
+              type: 'string',
+              format: 'date',
+              nullable: true,
+              example: '2024-01-10'
+            }
+          }
+        },
+
+        SupplierPayment: {
           type: 'object',
           properties: {
             id: {
               type: 'integer',
               example: 1
             },
+            supplier_id: {
+              type: 'integer',
+              example: 1
+            },
+            amount: {
+              type: 'number',
+              format: 'decimal',
+              example: 10000000.00
+            },
             date: {
               type: 'string',
               format: 'date',
-              example: '2024-01-15'
+              example: '2024-01-20'
             },
-            supplier_id: {
+            method: {
+              type: 'string',
+              enum: ['cash', 'transfer', 'giro', 'cheque', 'other'],
+              example: 'transfer'
+            },
+            reference: {
+              type: 'string',
+              nullable: true,
+              example: 'TRF-0012'
+            },
+            notes: {
+              type: 'string',
+              nullable: true
+            },
+            allocations: {
+              type: 'array',
+              description: 'Purchases the payment was applied to',
+              items: {
+                type: 'object',
+                properties: {
+                  purchase_id: {
+                    type: 'integer',
+                    example: 12
+                  },
+                  amount: {
+                    type: 'number',
+                    format: 'decimal',
+                    example: 10000000.00
+                  }
+                }
+              }
+            },
+            created_at: {
+              type: 'string',
+              format: 'date-time',
+              example: '2024-01-20T10:30:00Z'
+            }
+          }
+        },
+
+        SupplierPaymentCreate: {
+          type: 'object',
+          required: ['amount'],
+          properties: {
+            amount: {
+              type: 'number',
+              format: 'decimal',
+              minimum: 0.01,
+              example: 10000000.00
+            },
+            date: {
+              type: 'string',
+              format: 'date',
+              description: 'Defaults to today',
+              example: '2024-01-20'
+            },
+            method: {
+              type: 'string',
+              enum: ['cash', 'transfer', 'giro', 'cheque', 'other'],
+              default: 'cash'
+            },
+            reference: {
+              type: 'string',
+              maxLength: 100
+            },
+            notes: {
+              type: 'string',
+              maxLength: 500
+            },
+            purchases: {
+              type: 'array',
+              description: 'Purchases to pay first; the rest of the amount goes to the oldest unpaid purchases',
+              items: {
+                type: 'object',
+                required: ['purchaseId', 'amount'],
+                properties: {
+                  purchaseId: {
+                    type: 'integer',
+                    example: 12
+                  },
+                  amount: {
+                    type: 'number',
+                    format: 'decimal',
+                    example: 5000000.00
+                  }
+                }
+              }
+            }
+          }
+        },
+
+        // Customer schemas
+        Customer: {
+          type: 'object',
+          properties: {
+            id: {
               type: 'integer',
               example: 1
             },
-            supplier: {
+            name: {
               type: 'string',
-              example: 'PT. Beras Sejahtera'
+              example: 'Toko Beras Berkah'
             },
-            quantity: {
-              type: 'integer',
-              example: 100
+            contact_person: {
+              type: 'string',
+              example: 'Siti Aminah'
             },
-            weight: {
+            phone: {
+              type: 'string',
+              example: '081298765432'
+            },
+            email: {
+              type: 'string',
+              format: 'email',
+              nullable: true,
+              description: 'Where invoice reminders are emailed',
+              example: 'berkah@example.com'
+            },
+            address: {
+              type: 'string',
+              example: 'Pasar Induk Cipinang Blok B No. 7, Jakarta'
+            },
+            credit_limit: {
               type: 'number',
               format: 'decimal',
-              example: 5000.50
+              nullable: true,
+              description: 'Maximum outstanding invoice balance; empty for no limit',
+              example: 50000000.00
             },
-            price: {
+            status: {
+              type: 'string',
+              enum: ['active', 'inactive'],
+              example: 'active'
+            },
+            created_at: {
+              type: 'string',
+              format: 'date-time',
+              example: '2024-01-15T10:30:00Z'
+            },
+            updated_at: {
+              type: 'string',
+              format: 'date-time',
+              example: '2024-01-15T10:30:00Z'
+            }
+          }
+        },
+
+        CustomerCreate: {
+          type: 'object',
+          required: ['name'],
+          properties: {
+            name: {
+              type: 'string',
+              maxLength: 255,
+              example: 'Toko Beras Berkah'
+            },
+            contactPerson: {
+              type: 'string',
+              maxLength: 255,
+              example: 'Siti Aminah'
+            },
+            phone: {
+              type: 'string',
+              maxLength: 20,
+              example: '081298765432'
+            },
+            email: {
+              type: 'string',
+              format: 'email',
+              maxLength: 255,
+              example: 'berkah@example.com'
+            },
+            address: {
+              type: 'string',
+              example: 'Pasar Induk Cipinang Blok B No. 7, Jakarta'
+            },
+            creditLimit: {
               type: 'number',
               format: 'decimal',
-              example: 25000000.00
+              minimum: 0,
+              nullable: true,
+              example: 50000000.00
+            },
+            status: {
+              type: 'string',
+              enum: ['active', 'inactive'],
+              default: 'active',
+              example: 'active'
+            }
+          }
+        },
+
+        // Product schemas
+        Product: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'integer',
+              example: 1
+            },
+            name: {
+              type: 'string',
+              example: 'Beras Premium'
+            },
+            category: {
+              type: 'string',
+              enum: ['paddy', 'milled', 'by_product'],
+              example: 'milled'
+            },
+            unit: {
+              type: 'string',
+              example: 'kg'
+            },
+            description: {
+              type: 'string',
+              example: 'Beras kepala, broken < 5%'
+            },
+            created_at: {
+              type: 'string',
+              format: 'date-time',
+              example: '2024-01-15T10:30:00Z'
+            },
+            updated_at: {
+              type: 'string',
+              format: 'date-time',
+              example: '2024-01-15T10:30:00Z'
+            }
+          }
+        },
+
+        // Location schemas
+        Location: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'integer',
+              example: 1
+            },
+            name: {
+              type: 'string',
+              example: 'Gudang 1'
+            },
+            type: {
+              type: 'string',
+              enum: ['warehouse', 'mill'],
+              example: 'warehouse'
+            },
+            address: {
+              type: 'string',
+              example: 'Jl. Raya Karawang No. 12'
+            },
+            description: {
+              type: 'string'
+            },
+            created_at: {
+              type: 'string',
+              format: 'date-time',
+              example: '2024-01-15T10:30:00Z'
+            },
+            updated_at: {
+              type: 'string',
+              format: 'date-time',
+              example: '2024-01-15T10:30:00Z'
+            }
+          }
+        },
+        StockTransfer: {
+          type: 'object',
+          description: 'Weight of one lot moved between locations; posts a pair of transfer rows to the stock ledger',
+          properties: {
+            id: {
+              type: 'integer',
+              example: 1
+            },
+            date: {
+              type: 'string',
+              format: 'date',
+              example: '2024-01-18'
+            },
+            purchase_id: {
+              type: 'integer',
+              nullable: true,
+              example: 1
+            },
+            milling_output_id: {
+              type: 'integer',
+              nullable: true,
+              example: null
+            },
+            product_id: {
+              type: 'integer',
+              example: 1
+            },
+            from_location_id: {
+              type: 'integer',
+              nullable: true,
+              description: 'Empty when unassigned stock (recorded before locations existed) is moved into a location',
+              example: 1
+            },
+            to_location_id: {
+              type: 'integer',
+              example: 2
+            },
+            weight: {
+              type: 'number',
+              format: 'decimal',
+              example: 1500.00
+            },
+            user_id: {
+              type: 'integer',
+              nullable: true,
+              example: 1
+            },
+            notes: {
+              type: 'string'
+            },
+            created_at: {
+              type: 'string',
+              format: 'date-time',
+              example: '2024-01-18T08:00:00Z'
+            }
+          }
+        },
+
+        // Purchase schemas
+        Purchase: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'integer',
+              example: 1
+            },
+            date: {
+              type: 'string',
+              format: 'date',
+              example: '2024-01-15'
+            },
+            supplier_id: {
+              type: 'integer',
+              example: 1
+            },
+            product_id: {
+              type: 'integer',
+              example: 1
+            },
+            location_id: {
+              type: 'integer',
+              nullable: true,
+              description: 'Location the paddy was received at; empty for unassigned stock',
+              example: 1
+            },
+            supplier: {
+              type: 'string',
+              example: 'PT. Beras Sejahtera'
+            },
+            quantity: {
+              type: 'integer',
+              example: 100
+            },
+            weight: {
+              type: 'number',
+              format: 'decimal',
+              example: 5000.50
+            },
+            price: {
+              type: 'number',
+              format: 'decimal',
+              example: 25000000.00
+            },
+            truck_cost: {
+              type: 'number',
+              format: 'decimal',
+              example: 500000.00
+            },
+            labor_cost: {
+              type: 'number',
+              format: 'decimal',
+              example: 300000.00
+            },
+            moisture_content: {
+              type: 'number',
+              format: 'decimal',
+              description: 'Moisture (kadar air) in %',
+              example: 16.5
+            },
+            impurity_content: {
+              type: 'number',
+              format: 'decimal',
+              description: 'Impurity (kotoran) in %',
+              example: 1.0
+            },
+            deduction_weight: {
+              type: 'number',
+              format: 'decimal',
+              description: 'Weight deducted for moisture and impurity above the standard (PURCHASE_DEDUCTION_FORMULA)',
+              example: 175.02
+            },
+            net_weight: {
+              type: 'number',
+              format: 'decimal',
+              description: 'Net payable weight; total_cost is net_weight x price plus truck, labor and pellet costs',
+              example: 4825.48
+            },
+            total_cost: {
+              type: 'number',
+              format: 'decimal',
+              example: 25800000.00
+            },
+            paid_amount: {
+              type: 'number',
+              format: 'decimal',
+              description: 'Supplier payments allocated to this purchase',
+              example: 10000000.00
+            },
+            outstanding_payable: {
+              type: 'number',
+              format: 'decimal',
+              description: 'total_cost less paid_amount',
+              example: 15800000.00
+            },
+            payment_status: {
+              type: 'string',
+              enum: ['unpaid', 'partially_paid', 'paid'],
+              example: 'partially_paid'
+            },
+            created_at: {
+              type: 'string',
+              format: 'date-time',
+              example: '2024-01-15T10:30:00Z'
+            },
+            updated_at: {
+              type: 'string',
+              format: 'date-time',
+              example: '2024-01-15T10:30:00Z'
+            }
+          }
+        },
+
+        PurchaseCreate: {
+          type: 'object',
+          required: ['date', 'quantity', 'weight', 'price'],
+          properties: {
+            date: {
+              type: 'string',
+              format: 'date',
+              example: '2024-01-15'
+            },
+            supplier_id: {
+              type: 'integer',
+              example: 1
+            },
+            location_id: {
+              type: 'integer',
+              nullable: true,
+              description: 'Location the paddy is received at',
+              example: 1
+            },
+            supplier: {
+              type: 'string',
+              example: 'PT. Beras Sejahtera'
+            },
+            quantity: {
+              type: 'integer',
+              minimum: 1,
+              example: 100
+            },
+            weight: {
+              type: 'number',
+              format: 'decimal',
+              minimum: 0,
+              example: 5000.50
+            },
+            price: {
+              type: 'number',
+              format: 'decimal',
+              minimum: 0,
+              example: 25000000.00
+            },
+            truck_cost: {
+              type: 'number',
+              format: 'decimal',
+              minimum: 0,
+              default: 0,
+              example: 500000.00
+            },
+            labor_cost: {
+              type: 'number',
+              format: 'decimal',
+              minimum: 0,
+              default: 0,
+              example: 300000.00
+            },
+            moisture_content: {
+              type: 'number',
+              format: 'decimal',
+              minimum: 0,
+              maximum: 100,
+              example: 16.5
+            },
+            impurity_content: {
+              type: 'number',
+              format: 'decimal',
+              minimum: 0,
+              maximum: 100,
+              example: 1.0
+            }
+          }
+        },
+
+        // Sale schemas
+        Sale: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'integer',
+              example: 1
+            },
+            date: {
+              type: 'string',
+              format: 'date',
+              example: '2024-01-20'
+            },
+            purchase_id: {
+              type: 'integer',
+              description: 'Optional: sell only from this purchase lot instead of allocating automatically',
+              example: 1
+            },
+            product_id: {
+              type: 'integer',
+              example: 1
+            },
+            customer_id: {
+              type: 'integer',
+              nullable: true,
+              example: 1
+            },
+            location_id: {
+              type: 'integer',
+              nullable: true,
+              description: 'Location the rice ships from; lots are drawn from stock held there (empty for unassigned stock)',
+              example: 1
+            },
+            quantity: {
+              type: 'integer',
+              example: 50
+            },
+            weight: {
+              type: 'number',
+              format: 'decimal',
+              example: 2500.25
+            },
+            price: {
+              type: 'number',
+              format: 'decimal',
+              example: 15000000.00
+            },
+            pellet: {
+              type: 'number',
+              format: 'decimal',
+              example: 200000.00
+            },
+            fuel: {
+              type: 'number',
+              format: 'decimal',
+              example: 150000.00
+            },
+            labor: {
+              type: 'number',
+              format: 'decimal',
+              example: 100000.00
+            },
+            net_profit: {
+              type: 'number',
+              format: 'decimal',
+              example: 2050000.00
+            },
+            rendement: {
+              type: 'string',
+              description: 'Weighted milling rendement of the batches the sale drew milled output from (sales from paddy purchases only keep the value stored on the sale)',
+              example: '62.0%'
+            },
+            allocations: {
+              type: 'array',
+              items: {
+                $ref: '#/components/schemas/SaleAllocation'
+              }
+            },
+            costOfGoodsSold: {
+              type: 'number',
+              example: 12500000.00
+            },
+            created_at: {
+              type: 'string',
+              format: 'date-time',
+              example: '2024-01-20T10:30:00Z'
+            },
+            updated_at: {
+              type: 'string',
+              format: 'date-time',
+              example: '2024-01-20T10:30:00Z'
+            }
+          }
+        },
+        SaleAllocation: {
+          type: 'object',
+          description: 'Weight a sale draws from one lot - a purchase or a milling batch output (FIFO or weighted average, see INVENTORY_COSTING)',
+          properties: {
+            id: {
+              type: 'integer',
+              example: 1
+            },
+            sale_id: {
+              type: 'integer',
+              example: 1
+            },
+            purchase_id: {
+              type: 'integer',
+              nullable: true,
+              example: 1
+            },
+            milling_output_id: {
+              type: 'integer',
+              nullable: true,
+              example: null
+            },
+            weight: {
+              type: 'number',
+              format: 'decimal',
+              example: 1250.00
+            },
+            unit_cost: {
+              type: 'number',
+              format: 'decimal',
+              example: 5000.0000
+            },
+            cost: {
+              type: 'number',
+              format: 'decimal',
+              example: 6250000.00
+            },
+            costing_method: {
+              type: 'string',
+              enum: ['fifo', 'weighted_average']
+            }
+          }
+        },
+
+        // Milling schemas
+        MillingBatch: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'integer',
+              example: 1
+            },
+            date: {
+              type: 'string',
+              format: 'date',
+              example: '2024-01-22'
+            },
+            location_id: {
+              type: 'integer',
+              nullable: true,
+              description: 'Where the batch runs; paddy is taken from and output stored at this location',
+              example: 1
+            },
+            machine: {
+              type: 'string',
+              example: 'Huller 1'
+            },
+            shift: {
+              type: 'string',
+              enum: ['morning', 'afternoon', 'night']
+            },
+            input_weight: {
+              type: 'number',
+              format: 'decimal',
+              example: 1000.00
+            },
+            output_weight: {
+              type: 'number',
+              format: 'decimal',
+              example: 950.00
+            },
+            rendement: {
+              type: 'number',
+              format: 'decimal',
+              description: 'Milled rice output as a percentage of paddy input (by-products excluded)',
+              example: 62.00
+            },
+            input_cost: {
+              type: 'number',
+              format: 'decimal',
+              example: 5000000.00
+            },
+            processing_cost: {
+              type: 'number',
+              format: 'decimal',
+              example: 250000.00
+            },
+            notes: {
+              type: 'string'
+            },
+            inputs: {
+              type: 'array',
+              items: {
+                $ref: '#/components/schemas/MillingBatchInput'
+              }
+            },
+            outputs: {
+              type: 'array',
+              items: {
+                $ref: '#/components/schemas/MillingBatchOutput'
+              }
+            }
+          }
+        },
+        MillingBatchInput: {
+          type: 'object',
+          description: 'Paddy weight a milling batch consumed from one purchase, at its landed cost',
+          properties: {
+            purchase_id: {
+              type: 'integer',
+              example: 1
             },
-            truck_cost: {
+            weight: {
               type: 'number',
               format: 'decimal',
-              example: 500000.00
+              example: 1000.00
             },
-            labor_cost: {
+            unit_cost: {
               type: 'number',
               format: 'decimal',
-              example: 300000.00
+              example: 5000.0000
             },
-            total_cost: {
+            cost: {
               type: 'number',
               format: 'decimal',
-              example: 25800000.00
-            },
-            created_at: {
-              type: 'string',
-              format: 'date-time',
-              example: '2024-01-15T10:30:00Z'
-            },
-            updated_at: {
-              type: 'string',
-              format: 'date-time',
-              example: '2024-01-15T10:30:00Z'
+              example: 5000000.00
             }
           }
         },
-
-        PurchaseCreate: {
+        MillingBatchOutput: {
           type: 'object',
-          required: ['date', 'quantity', 'weight', 'price'],
+          description: 'Weight of one product a milling batch yielded; sales draw from it as a lot',
           properties: {
-            date: {
-              type: 'string',
-              format: 'date',
-              example: '2024-01-15'
-            },
-            supplier_id: {
+            id: {
               type: 'integer',
               example: 1
             },
-            supplier: {
-              type: 'string',
-              example: 'PT. Beras Sejahtera'
-            },
-            quantity: {
+            product_id: {
               type: 'integer',
-              minimum: 1,
-              example: 100
+              example: 2
             },
             weight: {
               type: 'number',
               format: 'decimal',
-              minimum: 0,
-              example: 5000.50
+              example: 620.00
             },
-            price: {
+            unit_cost: {
               type: 'number',
               format: 'decimal',
-              minimum: 0,
-              example: 25000000.00
+              description: 'Batch cost (paddy plus processing) per kg of output',
+              example: 5526.3158
             },
-            truck_cost: {
+            cost: {
               type: 'number',
               format: 'decimal',
-              minimum: 0,
-              default: 0,
-              example: 500000.00
+              example: 3426315.79
             },
-            labor_cost: {
+            soldWeight: {
               type: 'number',
-              format: 'decimal',
-              minimum: 0,
-              default: 0,
-              example: 300000.00
+              example: 0
+            },
+            remainingWeight: {
+              type: 'number',
+              example: 620.00
             }
           }
         },
 
-        // Sale schemas
-        Sale: {
+        // Inventory schemas
+        InventoryMovement: {
           type: 'object',
+          description: 'One stock ledger row: a signed change to the weight of a purchase or milling output lot',
           properties: {
             id: {
               type: 'integer',
@@ -408,59 +1147,119 @@ const options = {
             date: {
               type: 'string',
               format: 'date',
-              example: '2024-01-20'
+              example: '2024-01-25'
+            },
+            type: {
+              type: 'string',
+              enum: ['in', 'out', 'adjust', 'transfer']
+            },
+            reason: {
+              type: 'string',
+              nullable: true,
+              enum: ['shrinkage', 'drying_loss', 'spoilage', 'stock_count', 'correction']
             },
             purchase_id: {
               type: 'integer',
+              nullable: true,
               example: 1
             },
-            quantity: {
+            milling_output_id: {
               type: 'integer',
-              example: 50
+              nullable: true,
+              example: null
             },
-            weight: {
-              type: 'number',
-              format: 'decimal',
-              example: 2500.25
+            product_id: {
+              type: 'integer',
+              example: 1
             },
-            price: {
-              type: 'number',
-              format: 'decimal',
-              example: 15000000.00
+            location_id: {
+              type: 'integer',
+              nullable: true,
+              description: 'Location the stock is held at; empty for unassigned stock',
+              example: 1
             },
-            pellet: {
+            weight: {
               type: 'number',
               format: 'decimal',
-              example: 200000.00
+              description: 'Positive adds to the lot, negative takes from it',
+              example: -25.50
             },
-            fuel: {
-              type: 'number',
-              format: 'decimal',
-              example: 150000.00
+            source_type: {
+              type: 'string',
+              enum: ['purchase', 'sale', 'milling_batch', 'adjustment', 'transfer']
             },
-            labor: {
-              type: 'number',
-              format: 'decimal',
-              example: 100000.00
+            source_id: {
+              type: 'integer',
+              nullable: true,
+              example: 3
             },
-            net_profit: {
-              type: 'number',
-              format: 'decimal',
-              example: 2050000.00
+            user_id: {
+              type: 'integer',
+              nullable: true,
+              example: 1
             },
-            rendement: {
-              type: 'string',
-              example: '50.0%'
+            notes: {
+              type: 'string'
             },
             created_at: {
               type: 'string',
               format: 'date-time',
-              example: '2024-01-20T10:30:00Z'
+              example: '2024-01-25T08:00:00Z'
+            }
+          }
+        },
+        InventoryBalance: {
+          type: 'object',
+          properties: {
+            lotType: {
+              type: 'string',
+              enum: ['purchase', 'milling_output']
             },
-            updated_at: {
+            purchaseId: {
+              type: 'integer',
+              nullable: true,
+              example: 1
+            },
+            millingOutputId: {
+              type: 'integer',
+              nullable: true,
+              example: null
+            },
+            locationId: {
+              type: 'integer',
+              nullable: true,
+              description: 'Balances are per lot and location; empty for unassigned stock',
+              example: 1
+            },
+            productId: {
+              type: 'integer',
+              example: 1
+            },
+            date: {
               type: 'string',
-              format: 'date-time',
-              example: '2024-01-20T10:30:00Z'
+              format: 'date',
+              example: '2024-01-15'
+            },
+            inWeight: {
+              type: 'number',
+              example: 5000.00
+            },
+            outWeight: {
+              type: 'number',
+              example: 2500.00
+            },
+            adjustedWeight: {
+              type: 'number',
+              example: -25.50
+            },
+            transferredWeight: {
+              type: 'number',
+              description: 'Net weight moved in (+) or out (-) of the location by transfers',
+              example: 0
+            },
+            balance: {
+              type: 'number',
+              example: 2474.50
             }
           }
         },
@@ -478,6 +1277,16 @@ const options = {
               type: 'integer',
               example: 1
             },
+            customer_id: {
+              type: 'integer',
+              nullable: true,
+              example: 1
+            },
+            location_id: {
+              type: 'integer',
+              nullable: true,
+              example: 1
+            },
             quantity: {
               type: 'integer',
               minimum: 1,
@@ -538,8 +1347,15 @@ const options = {
             },
             customer: {
               type: 'string',
+              description: 'Customer name as printed on the invoice',
               example: 'Toko Beras Berkah'
             },
+            customer_id: {
+              type: 'integer',
+              nullable: true,
+              description: 'Customer record; empty for a free-text customer',
+              example: 1
+            },
             amount: {
               type: 'number',
               format: 'decimal',
@@ -555,6 +1371,17 @@ const options = {
               enum: ['paid', 'unpaid'],
               example: 'unpaid'
             },
+            credit_override_by: {
+              type: 'integer',
+              nullable: true,
+              description: 'User who issued the invoice despite a failed credit check',
+              example: null
+            },
+            credit_override_reason: {
+              type: 'string',
+              nullable: true,
+              example: null
+            },
             created_at: {
               type: 'string',
               format: 'date-time',
@@ -576,21 +1403,22 @@ const options = {
 
         InvoiceCreate: {
           type: 'object',
-          required: ['invoice_number', 'date', 'customer', 'amount', 'due_date'],
+          required: ['date', 'amount', 'due_date'],
           properties: {
-            invoice_number: {
-              type: 'string',
-              maxLength: 50,
-              example: 'INV-2024-001'
-            },
             date: {
               type: 'string',
               format: 'date',
               example: '2024-01-25'
             },
+            customer_id: {
+              type: 'integer',
+              description: 'Customer record; the invoice takes its name. Either customer_id or customer is required',
+              example: 1
+            },
             customer: {
               type: 'string',
               maxLength: 255,
+              description: 'Free-text customer name; linked to the customer of that name when one exists',
               example: 'Toko Beras Berkah'
             },
             amount: {
@@ -609,6 +1437,16 @@ const options = {
               enum: ['paid', 'unpaid'],
               default: 'unpaid',
               example: 'unpaid'
+            },
+            credit_override: {
+              type: 'boolean',
+              default: false,
+              description: 'Issue the invoice even though the customer is over their credit limit or has an invoice more than CREDIT_OVERDUE_BLOCK_DAYS overdue (admin and manager only; without it the create fails with 409)'
+            },
+            credit_override_reason: {
+              type: 'string',
+              description: 'Required with credit_override; recorded on the invoice and in its audit entry',
+              example: 'Long-standing customer, payment promised this week'
             }
           }
         },
@@ -625,12 +1463,23 @@ const options = {
               type: 'integer',
               example: 1
             },
+            product_id: {
+              type: 'integer',
+              example: 1
+            },
+            sale_id: {
+              type: 'integer',
+              nullable: true,
+              description: 'Sale billed by this item (items generated from sales)',
+              example: 12
+            },
             name: {
               type: 'string',
               example: 'Beras Premium 5kg'
             },
             quantity: {
-              type: 'integer',
+              type: 'number',
+              format: 'decimal',
               example: 100
             },
             price: {
@@ -661,8 +1510,9 @@ const options = {
               example: 'Beras Premium 5kg'
             },
             quantity: {
-              type: 'integer',
-              minimum: 1,
+              type: 'number',
+              format: 'decimal',
+              minimum: 0.01,
               example: 100
             },
             price: {
@@ -768,6 +1618,187 @@ addPath('/api/sales/inventory-turnover', {
   }
 });
 
+// Invoices generated from sales
+const saleInvoiceProperties = {
+  date: { type: 'string', format: 'date', description: 'Invoice date (default: today)' },
+  due_date: { type: 'string', format: 'date', example: '2024-02-25' },
+  customer_id: { type: 'integer', description: "Default: the sales' customer; required (or customer) when the sales have none" },
+  customer: { type: 'string' },
+  credit_override: { type: 'boolean' },
+  credit_override_reason: { type: 'string' }
+};
+const saleInvoiceResponses = {
+  201: { description: 'Invoice created with one item per sale (total weight in kg at the sale price per kg)', content: { 'application/json': { schema: { $ref: '#/components/schemas/Invoice' } } } },
+  400: { $ref: '#/components/responses/BadRequest' },
+  403: { description: 'Credit override by a role other than admin or manager' },
+  409: { description: 'A sale is already on a live invoice, or the credit check failed' }
+};
+
+addPath('/api/sales/{id}/invoice', {
+  post: {
+    summary: 'Invoice a sale',
+    tags: ['Sales'],
+    parameters: [ { in: 'path', name: 'id', required: true, schema: { type: 'integer' } } ],
+    requestBody: {
+      required: true,
+      content: {
+        'application/json': { schema: { type: 'object', required: ['due_date'], properties: saleInvoiceProperties } }
+      }
+    },
+    responses: { ...saleInvoiceResponses, 404: { $ref: '#/components/responses/NotFound' } }
+  }
+});
+
+addPath('/api/sales/invoice', {
+  post: {
+    summary: 'Invoice several sales of one customer on a single invoice',
+    tags: ['Sales'],
+    requestBody: {
+      required: true,
+      content: {
+        'application/json': {
+          schema: {
+            type: 'object',
+            required: ['sale_ids', 'due_date'],
+            properties: { sale_ids: { type: 'array', items: { type: 'integer' }, example: [12, 13] }, ...saleInvoiceProperties }
+          }
+        }
+      }
+    },
+    responses: saleInvoiceResponses
+  }
+});
+
+// Customer statement endpoint
+addPath('/api/invoices/statement', {
+  get: {
+    summary: 'Statement of account for one customer',
+    description: 'Opening balance, invoices and payments in date order with the running balance, and aging of what is unpaid at the end of the period. Unlinked invoices issued to the same name are included.',
+    tags: ['Invoices'],
+    parameters: [
+      { in: 'query', name: 'customer', schema: { type: 'string' }, description: 'Customer name (required without customer_id)' },
+      { in: 'query', name: 'customer_id', schema: { type: 'integer' } },
+      { in: 'query', name: 'from', schema: { type: 'string', format: 'date' }, description: 'Start of the period (default: first invoice)' },
+      { in: 'query', name: 'to', schema: { type: 'string', format: 'date' }, description: 'End of the period and aging date (default: today)' },
+      { in: 'query', name: 'format', schema: { type: 'string', enum: ['json', 'pdf', 'html', 'csv', 'xlsx'], default: 'json' } },
+      { in: 'query', name: 'download', schema: { type: 'boolean', default: false }, description: 'Send the PDF as an attachment' }
+    ],
+    responses: {
+      200: {
+        description: 'Customer statement',
+        content: {
+          'application/json': {
+            schema: {
+              type: 'object',
+              properties: {
+                success: { type: 'boolean', example: true },
+                data: {
+                  type: 'object',
+                  properties: {
+                    customer: { type: 'object' },
+                    period: { type: 'object', properties: { from: { type: 'string', format: 'date', nullable: true }, to: { type: 'string', format: 'date' } } },
+                    opening_balance: { type: 'number', example: 0 },
+                    closing_balance: { type: 'number', example: 600000 },
+                    entries: {
+                      type: 'array',
+                      items: {
+                        type: 'object',
+                        properties: {
+                          date: { type: 'string', format: 'date' },
+                          type: { type: 'string', enum: ['invoice', 'payment'] },
+                          invoice_id: { type: 'integer' },
+                          payment_id: { type: 'integer', nullable: true },
+                          reference: { type: 'string' },
+                          description: { type: 'string' },
+                          charge: { type: 'number' },
+                          payment: { type: 'number' },
+                          balance: { type: 'number' }
+                        }
+                      }
+                    },
+                    totals: { type: 'object' },
+                    aging: { type: 'object', description: 'Same shape as /api/invoices/aging-report' }
+                  }
+                }
+              }
+            }
+          },
+          'application/pdf': { schema: { type: 'string', format: 'binary' } },
+          'text/csv': { schema: { type: 'string' } }
+        }
+      },
+      400: { $ref: '#/components/responses/BadRequest' },
+      404: { $ref: '#/components/responses/NotFound' }
+    }
+  }
+});
+
+// Invoice reminders endpoint
+addPath('/api/invoices/reminders/run', {
+  post: {
+    summary: 'Send the invoice reminders due on a day now',
+    description: 'Runs what the daily reminder scheduler runs: unpaid invoices that crossed a reminder threshold get one reminder through REMINDER_CHANNEL, recorded on the invoice.',
+    tags: ['Invoices'],
+    requestBody: {
+      required: false,
+      content: {
+        'application/json': {
+          schema: {
+            type: 'object',
+            properties: {
+              date: { type: 'string', format: 'date', description: 'Day to run for (default: today)' },
+              dry_run: { type: 'boolean', default: false, description: 'List the due reminders without sending them' }
+            }
+          }
+        }
+      }
+    },
+    responses: {
+      200: {
+        description: 'Run summary',
+        content: {
+          'application/json': {
+            schema: {
+              type: 'object',
+              properties: {
+                success: { type: 'boolean', example: true },
+                data: {
+                  type: 'object',
+                  properties: {
+                    as_of: { type: 'string', format: 'date' },
+                    channel: { type: 'string', enum: ['smtp', 'webhook', 'file'] },
+                    due: { type: 'integer' },
+                    sent: { type: 'integer' },
+                    failed: { type: 'integer' },
+                    skipped: { type: 'integer' },
+                    reminders: {
+                      type: 'array',
+                      items: {
+                        type: 'object',
+                        properties: {
+                          invoice_id: { type: 'integer' },
+                          invoice_number: { type: 'string' },
+                          threshold: { type: 'integer', example: 30 },
+                          days_overdue: { type: 'integer', example: 31 },
+                          recipient: { type: 'string', nullable: true },
+                          status: { type: 'string', enum: ['sent', 'failed', 'skipped', 'pending'] },
+                          error: { type: 'string', nullable: true }
+                        }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      },
+      400: { $ref: '#/components/responses/BadRequest' },
+      409: { description: 'A reminder run is already in progress' }
+    }
+  }
+});
+
 // Invoice mark as paid endpoint
 addPath('/api/invoices/{id}/paid', {
   patch: {
@@ -68,7 +68,6 @@ const testSale = {
 };
 
 const testInvoice = {
-  invoice_number: 'INV-TEST-001',
   customer_name: 'Test Customer',
   customer_address: 'Test Address',
   date: '2024-01-25',
@@ -188,7 +188,6 @@ echo "==========================="
 
 # Create Invoice
 run_curl "POST" "/api/invoices" '{
-    "invoice_number": "INV-001",
     "date": "2023-09-28",
     "customer": "Customer Test",
     "amount": 20000000.00,
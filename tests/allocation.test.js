@@ -0,0 +1,112 @@
+const { sequelize } = require('../config/db');
+const Purchase = require('../app/models/purchase');
+const Sale = require('../app/models/sale');
+const AllocationService = require('../app/services/allocationService');
+const PurchaseService = require('../app/services/purchaseService');
+const InventoryService = require('../app/services/inventoryService');
+const InventoryMovement = require('../app/models/inventoryMovement');
+
+const transaction = { LOCK: { UPDATE: 'UPDATE' } };
+
+const lots = () => [
+  { purchaseId: 1, productId: 1, locationId: null, date: '2026-01-05', remainingWeight: 100, unitCost: 5000 },
+  { purchaseId: 2, productId: 1, locationId: null, date: '2026-01-10', remainingWeight: 0, unitCost: 5500 },
+  { purchaseId: 3, productId: 1, locationId: null, date: '2026-01-20', remainingWeight: 300, unitCost: 6000 },
+];
+
+describe('Lot allocation', () => {
+  test('FIFO draws the oldest lots first at their own cost', () => {
+    const open = lots();
+
+    const allocations = AllocationService.draw(open, 150, 'fifo');
+
+    expect(allocations).toEqual([
+      expect.objectContaining({ purchaseId: 1, weight: 100, unitCost: 5000, cost: 500000, costingMethod: 'fifo' }),
+      expect.objectContaining({ purchaseId: 3, weight: 50, unitCost: 6000, cost: 300000, costingMethod: 'fifo' }),
+    ]);
+    expect(open[0].remainingWeight).toBe(0);
+    expect(open[2].remainingWeight).toBe(250);
+  });
+
+  test('weighted average prices every kg at the average cost of the open lots', () => {
+    const allocations = AllocationService.draw(lots(), 200, 'weighted_average');
+
+    // (100 x 5000 + 300 x 6000) / 400
+    expect(allocations.map(allocation => allocation.unitCost)).toEqual([5750, 5750]);
+    expect(allocations.reduce((sum, allocation) => sum + allocation.cost, 0)).toBe(1150000);
+  });
+
+  test('refuses to draw more than the lots hold', () => {
+    expect(() => AllocationService.draw(lots(), 400.5, 'fifo'))
+      .toThrow('Insufficient inventory. Available: 400.00kg, Requested: 400.50kg');
+  });
+
+  test('a sale pinned to a purchase only draws from that purchase at its location', () => {
+    const all = [
+      { purchaseId: 1, productId: 1, locationId: 2 },
+      { purchaseId: 1, productId: 1, locationId: null },
+      { purchaseId: 3, productId: 1, locationId: 2 },
+      { millingOutputId: 8, productId: 2, locationId: 2 },
+    ];
+
+    expect(AllocationService.lotsFor(all, { purchaseId: 1, locationId: 2 })).toEqual([all[0]]);
+    expect(AllocationService.lotsFor(all, { productId: 1, locationId: 2 })).toEqual([all[0], all[2]]);
+    expect(AllocationService.lotsFor(all, { locationId: null })).toEqual([all[1]]);
+  });
+
+  test('a sale saved without weight or lot changes keeps its allocations', async () => {
+    const sale = Sale.build({ id: 4, date: '2026-02-01', quantity: 10, weight: 50, price: 9000 }, { isNewRecord: false, raw: true });
+    sale.set('price', 9500);
+    const save = jest.spyOn(sale, 'save').mockResolvedValue(sale);
+    const allocate = jest.spyOn(AllocationService, 'allocate');
+
+    await AllocationService.saveSale(sale, { transaction });
+
+    expect(save).toHaveBeenCalledWith({ transaction });
+    expect(allocate).not.toHaveBeenCalled();
+  });
+
+  describe('purchase updates', () => {
+    let purchase;
+    let totals;
+
+    beforeEach(() => {
+      jest.spyOn(sequelize, 'transaction').mockImplementation(async fn => fn(transaction));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      purchase = Purchase.build(
+        { id: 3, date: '2026-01-20', quantity: 20, weight: 50, price: 6000, paidAmount: 0, locationId: 1 },
+        { isNewRecord: false, raw: true }
+      );
+      jest.spyOn(Purchase, 'findByPk').mockResolvedValue(purchase);
+      jest.spyOn(purchase, 'reload').mockResolvedValue(purchase);
+      jest.spyOn(purchase, 'update').mockImplementation(async function (values) { return Object.assign(this, values); });
+      // 1000 kg received at location 1: 300 kg transferred to location 2, 600 kg sold at location 1
+      totals = jest.spyOn(InventoryMovement, 'totalsByLotAndLocation')
+        .mockResolvedValue(new Map([[3, new Map([[1, { balance: -900 }], [2, { balance: 300 }]])]]));
+      jest.spyOn(InventoryService, 'postPurchase').mockResolvedValue();
+    });
+
+    test('cannot shrink a lot below what left it at its location, transfers included', async () => {
+      await expect(PurchaseService.updatePurchase(3, { quantity: 12 }))
+        .rejects.toThrow('Purchase weight cannot be less than the 900 kg already sold, milled, adjusted or transferred out of it');
+      expect(purchase.reload).toHaveBeenCalledWith({ transaction, lock: 'UPDATE' });
+      expect(InventoryService.postPurchase).not.toHaveBeenCalled();
+    });
+
+    test('can shrink a lot down to what left it, checked inside the transaction', async () => {
+      await PurchaseService.updatePurchase(3, { quantity: 18 });
+
+      expect(totals).toHaveBeenCalledWith('purchaseId', [3], {
+        excludeSource: { sourceType: 'purchase', sourceId: 3 },
+        transaction,
+      });
+      expect(InventoryService.postPurchase).toHaveBeenCalledWith(purchase, { transaction });
+    });
+
+    test('a bigger lot skips the check', async () => {
+      await PurchaseService.updatePurchase(3, { quantity: 22 });
+
+      expect(totals).not.toHaveBeenCalled();
+    });
+  });
+});
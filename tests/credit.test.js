@@ -0,0 +1,213 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.AUTH_BYPASS = 'false';
+
+const request = require('supertest');
+const { app } = require('../server');
+const { sequelize } = require('../config/db');
+const config = require('../config/environment');
+const User = require('../app/models/user');
+const RevokedToken = require('../app/models/revokedToken');
+const Customer = require('../app/models/customer');
+const Invoice = require('../app/models/invoice');
+const InvoiceItem = require('../app/models/invoiceItem');
+const InvoiceService = require('../app/services/invoiceService');
+const CustomerService = require('../app/services/customerService');
+const NumberingService = require('../app/services/numberingService');
+const { generateToken } = require('../app/middleware/auth');
+
+const transaction = { LOCK: { UPDATE: 'UPDATE' } };
+
+const users = {
+  1: { id: 1, username: 'manager', role: 'manager', tokenVersion: 0 },
+  3: { id: 3, username: 'accountant', role: 'accountant', tokenVersion: 0 },
+};
+const tokenFor = id => `Bearer ${generateToken(users[id])}`;
+
+const exposure = values => ({ outstandingBalance: 0, overdueBalance: 0, unpaidInvoices: 0, maxDaysOverdue: 0, ...values });
+
+describe('Customer credit control', () => {
+  beforeEach(() => {
+    jest.spyOn(sequelize, 'transaction').mockImplementation(async fn => fn(transaction));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(User, 'findByPk').mockImplementation(async id => users[id] || null);
+    jest.spyOn(RevokedToken, 'isRevoked').mockResolvedValue(false);
+  });
+
+  describe('credit check', () => {
+    test('locks the customer and flags a balance above the credit limit', async () => {
+      const findCustomer = jest.spyOn(Customer, 'findByPk').mockResolvedValue({ id: 2, creditLimit: '10000000.00' });
+      const getExposure = jest.spyOn(Invoice, 'getCustomerExposure')
+        .mockResolvedValue(exposure({ outstandingBalance: 8000000, unpaidInvoices: 2 }));
+
+      const credit = await InvoiceService.checkCredit({ customerId: 2, customer: 'CV Grosir Beras' }, 3000000, {
+        transaction,
+        exceptInvoiceId: 11,
+      });
+
+      expect(findCustomer).toHaveBeenCalledWith(2, { transaction, lock: 'UPDATE' });
+      expect(getExposure).toHaveBeenCalledWith({ customerId: 2, customer: 'CV Grosir Beras' }, { transaction, exceptInvoiceId: 11 });
+      expect(credit).toMatchObject({ creditLimit: 10000000, newBalance: 11000000, availableCredit: 2000000 });
+      expect(credit.violations).toEqual([
+        'outstanding balance 8000000.00 plus this invoice would be 11000000.00, above the credit limit of 10000000.00',
+      ]);
+    });
+
+    test('flags a customer with an invoice overdue past the block', async () => {
+      jest.spyOn(Customer, 'findByPk').mockResolvedValue({ id: 2, creditLimit: null });
+      jest.spyOn(Invoice, 'getCustomerExposure').mockResolvedValue(exposure({ outstandingBalance: 500000, maxDaysOverdue: 120 }));
+
+      const credit = await InvoiceService.checkCredit({ customerId: 2 }, 100000);
+
+      expect(credit.availableCredit).toBeNull();
+      expect(credit.violations).toEqual(['an invoice is 120 days overdue (limit 90 days)']);
+    });
+
+    test('a free-text customer without a record has no credit limit', async () => {
+      const findCustomer = jest.spyOn(Customer, 'findByPk');
+      jest.spyOn(Invoice, 'getCustomerExposure').mockResolvedValue(exposure({ outstandingBalance: 90000000 }));
+
+      const credit = await InvoiceService.checkCredit({ customer: 'Toko Sinar' }, 5000000);
+
+      expect(findCustomer).not.toHaveBeenCalled();
+      expect(credit.violations).toEqual([]);
+    });
+
+    test('a failed check is refused unless a manager overrides it', async () => {
+      jest.spyOn(InvoiceService, 'checkCredit').mockResolvedValue({ violations: ['over the limit'] });
+
+      await expect(InvoiceService._enforceCredit({ customer: 'CV Grosir Beras' }, 1000, { creditOverride: false }))
+        .rejects.toThrow('Credit check failed for CV Grosir Beras: over the limit');
+      await expect(InvoiceService._enforceCredit({ customer: 'CV Grosir Beras' }, 1000, { creditOverride: true }))
+        .rejects.toThrow('Only a manager or admin can override the credit check');
+    });
+
+    test('the auth bypass does not let an override through in production', async () => {
+      jest.spyOn(InvoiceService, 'checkCredit').mockResolvedValue({ violations: ['over the limit'] });
+      const override = { creditOverride: true, creditOverrideReason: 'Paid in cash on delivery' };
+      const bypass = config.auth.bypass;
+      config.auth.bypass = true;
+      const production = jest.spyOn(config, 'isProduction');
+      try {
+        production.mockReturnValue(true);
+        await expect(InvoiceService._enforceCredit({ customer: 'CV Grosir Beras' }, 1000, override))
+          .rejects.toThrow('Only a manager or admin can override the credit check');
+        production.mockReturnValue(false);
+        await expect(InvoiceService._enforceCredit({ customer: 'CV Grosir Beras' }, 1000, override))
+          .resolves.toEqual({ creditOverrideBy: null, creditOverrideReason: 'Paid in cash on delivery' });
+      } finally {
+        config.auth.bypass = bypass;
+      }
+    });
+  });
+
+  describe('POST /api/invoices', () => {
+    const body = {
+      date: '2026-03-15',
+      due_date: '2026-04-15',
+      customer_id: 2,
+      amount: 3000000,
+    };
+
+    beforeEach(() => {
+      jest.spyOn(CustomerService, 'resolveCustomer').mockResolvedValue({ customerId: 2, customer: 'CV Grosir Beras' });
+      jest.spyOn(Customer, 'findByPk').mockResolvedValue({ id: 2, creditLimit: '10000000.00' });
+      jest.spyOn(Invoice, 'getCustomerExposure').mockResolvedValue(exposure({ outstandingBalance: 8000000 }));
+    });
+
+    test('answers 409 when the credit check fails', async () => {
+      const create = jest.spyOn(Invoice, 'create');
+
+      const res = await request(app).post('/api/invoices').set('Authorization', tokenFor(3)).send(body);
+
+      expect(res.status).toBe(409);
+      expect(res.body.message).toMatch(/^Credit check failed for CV Grosir Beras: outstanding balance/);
+      expect(create).not.toHaveBeenCalled();
+    });
+
+    test('an accountant cannot override the credit check', async () => {
+      const res = await request(app).post('/api/invoices').set('Authorization', tokenFor(3))
+        .send({ ...body, credit_override: true, credit_override_reason: 'Paid in cash on delivery' });
+
+      expect(res.status).toBe(403);
+      expect(res.body.message).toBe('Only a manager or admin can override the credit check');
+    });
+
+    test('a manager override is stored with who overrode and why', async () => {
+      jest.spyOn(NumberingService, 'next').mockResolvedValue('INV-202603-0008');
+      const create = jest.spyOn(Invoice, 'create').mockImplementation(async info => ({ id: 11, ...info }));
+      jest.spyOn(Invoice, 'findByPk').mockResolvedValue({ id: 11, invoiceNumber: 'INV-202603-0008' });
+
+      const res = await request(app).post('/api/invoices').set('Authorization', tokenFor(1))
+        .send({ ...body, credit_override: true, credit_override_reason: 'Paid in cash on delivery' });
+
+      expect(res.status).toBe(201);
+      expect(create.mock.calls[0][0]).toMatchObject({ creditOverrideBy: 1, creditOverrideReason: 'Paid in cash on delivery' });
+    });
+  });
+
+  describe('invoice updates', () => {
+    let invoice;
+
+    beforeEach(() => {
+      invoice = Invoice.build(
+        { id: 11, invoiceNumber: 'INV-202603-0008', customerId: 2, customer: 'CV Grosir Beras', amount: 3000000, paidAmount: 1000000, status: 'partial' },
+        { isNewRecord: false, raw: true }
+      );
+      jest.spyOn(Invoice, 'findByPk').mockResolvedValue(invoice);
+      jest.spyOn(invoice, 'update').mockImplementation(async function (values) { return Object.assign(this, values); });
+    });
+
+    test('raising the amount checks the new balance without counting the invoice twice', async () => {
+      const enforce = jest.spyOn(InvoiceService, '_enforceCredit')
+        .mockRejectedValue(new Error('Credit check failed for CV Grosir Beras: over the limit'));
+
+      await expect(InvoiceService.updateInvoice(11, { amount: 4000000 })).rejects.toThrow('Credit check failed');
+      expect(enforce).toHaveBeenCalledWith(invoice, 3000000, expect.any(Object), { transaction, exceptInvoiceId: 11 });
+    });
+
+    test('lowering the amount skips the credit check', async () => {
+      const enforce = jest.spyOn(InvoiceService, '_enforceCredit');
+
+      await InvoiceService.updateInvoice(11, { amount: 2500000 });
+
+      expect(enforce).not.toHaveBeenCalled();
+      expect(invoice.update).toHaveBeenCalledWith({ amount: 2500000 }, { transaction });
+    });
+
+    test('POST /api/invoices/:id/items answers 409 when the added item takes the customer over their limit', async () => {
+      jest.spyOn(InvoiceItem, 'create').mockResolvedValue({ id: 21 });
+      jest.spyOn(InvoiceService, '_sumItems').mockResolvedValue(4500000);
+      const enforce = jest.spyOn(InvoiceService, '_enforceCredit')
+        .mockRejectedValue(new Error('Credit check failed for CV Grosir Beras: over the limit'));
+
+      const res = await request(app).post('/api/invoices/11/items').set('Authorization', tokenFor(3))
+        .send({ name: 'Beras premium', quantity: 30, price: 50000 });
+
+      expect(res.status).toBe(409);
+      expect(Invoice.findByPk).toHaveBeenCalledWith('11', { transaction, lock: 'UPDATE' });
+      expect(InvoiceItem.create).toHaveBeenCalledWith(expect.objectContaining({ invoiceId: 11, total: 1500000 }), { transaction });
+      expect(enforce).toHaveBeenCalledWith(invoice, 3500000, { creditOverride: undefined, creditOverrideReason: undefined }, {
+        transaction,
+        exceptInvoiceId: 11,
+      });
+    });
+
+    test('raising an item checks the new balance and stores a manager override', async () => {
+      const item = InvoiceItem.build({ id: 21, invoiceId: 11, name: 'Beras premium', quantity: 10, price: 50000, total: 500000 }, { isNewRecord: false, raw: true });
+      jest.spyOn(item, 'update').mockImplementation(async function (values) { return Object.assign(this, values); });
+      jest.spyOn(InvoiceItem, 'findByPk').mockResolvedValue(item);
+      jest.spyOn(InvoiceService, '_sumItems').mockResolvedValue(4000000);
+      const enforce = jest.spyOn(InvoiceService, '_enforceCredit')
+        .mockResolvedValue({ creditOverrideBy: 1, creditOverrideReason: 'Paid in cash on delivery' });
+
+      await InvoiceService.updateInvoiceItem(21, { quantity: 30, creditOverride: true, creditOverrideReason: 'Paid in cash on delivery' });
+
+      expect(item.update).toHaveBeenCalledWith({ quantity: 30, total: 1500000 }, { transaction });
+      expect(enforce).toHaveBeenCalledWith(invoice, 3000000, {
+        creditOverride: true,
+        creditOverrideReason: 'Paid in cash on delivery',
+      }, { transaction, exceptInvoiceId: 11 });
+      expect(invoice.update).toHaveBeenCalledWith({ creditOverrideBy: 1, creditOverrideReason: 'Paid in cash on delivery' }, { transaction });
+    });
+  });
+});
@@ -0,0 +1,68 @@
+const request = require('supertest');
+const { app } = require('../server');
+const PurchaseService = require('../app/services/purchaseService');
+const SaleService = require('../app/services/saleService');
+const CustomerService = require('../app/services/customerService');
+const InvoiceService = require('../app/services/invoiceService');
+
+const batches = rows => (async function* () { yield rows; })();
+
+describe('Listing exports', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  test('purchases export as CSV without a token when auth is bypassed', async () => {
+    jest.spyOn(PurchaseService, 'exportPurchases').mockReturnValue(batches([
+      { id: 7, date: '2026-01-10', quantity: 10, weight: 50, price: 6000, truckCost: 100000, totalCost: 3000000, supplierData: { name: 'Tani Makmur' } },
+    ]));
+
+    const res = await request(app).get('/api/purchases?format=csv');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/^text\/csv/);
+    const [header, row] = res.text.trim().split(/\r?\n/);
+    expect(header).toContain('Truck cost');
+    expect(header).toContain('Total cost');
+    expect(row).toContain('Tani Makmur');
+    expect(row).toContain('3000000');
+  });
+
+  test('sales export as CSV without a token when auth is bypassed', async () => {
+    jest.spyOn(SaleService, 'exportSales').mockReturnValue(batches([
+      { id: 4, date: '2026-02-01', quantity: 10, weight: 50, price: 9000 },
+    ]));
+
+    const res = await request(app).get('/api/sales?format=csv');
+
+    expect(res.status).toBe(200);
+    expect(res.text.trim().split(/\r?\n/)).toHaveLength(2);
+  });
+
+  test('customers export as CSV without a token when auth is bypassed', async () => {
+    jest.spyOn(CustomerService, 'exportCustomers').mockReturnValue(batches([
+      { id: 2, name: 'CV Grosir Beras', phone: '0812000111', creditLimit: 10000000 },
+    ]));
+
+    const res = await request(app).get('/api/customers?format=csv');
+
+    expect(res.status).toBe(200);
+    expect(res.text).toContain('CV Grosir Beras');
+  });
+
+  test('a customer statement exports as CSV without a token when auth is bypassed', async () => {
+    jest.spyOn(InvoiceService, 'getCustomerStatement').mockResolvedValue({
+      customer: { id: 2, name: 'CV Grosir Beras' },
+      period: { from: '2026-03-01', to: '2026-03-31' },
+      openingBalance: 1000000,
+      closingBalance: 4000000,
+      entries: [{ date: '2026-03-15', type: 'invoice', description: 'INV-202603-0008', debit: 3000000, balance: 4000000 }],
+    });
+
+    const res = await request(app).get('/api/invoices/statement?customer_id=2&format=csv');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-disposition']).toContain('statement-customer-2');
+    expect(res.text).toContain('INV-202603-0008');
+  });
+});
@@ -0,0 +1,26 @@
+const Supplier = require('../app/models/supplier');
+const ImportService = require('../app/services/importService');
+
+const csv = [
+  'tanggal;pemasok;karung;berat;harga',
+  '10/01/2026;tani makmur;10;50;6000',
+  '11/01/2026;Tani Makmor;8;50;6000',
+].join('\n');
+
+describe('CSV import', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  test('purchase rows name an existing supplier, ignoring case', async () => {
+    jest.spyOn(Supplier, 'findAll').mockResolvedValue([{ id: 1, name: 'Tani Makmur' }]);
+
+    const report = await ImportService.importPurchases(csv, { dryRun: true });
+
+    expect(report).toMatchObject({ totalRows: 2, validRows: 1, invalidRows: 1, imported: 0 });
+    expect(report.preview).toEqual([
+      expect.objectContaining({ row: 2, supplierId: 1, supplier: 'Tani Makmur', date: '2026-01-10' }),
+    ]);
+    expect(report.errors).toEqual([{ row: 3, errors: [{ field: 'supplier', message: 'Supplier not found' }] }]);
+  });
+});
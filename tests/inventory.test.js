@@ -0,0 +1,181 @@
+const request = require('supertest');
+const { app } = require('../server');
+const { sequelize } = require('../config/db');
+const Purchase = require('../app/models/purchase');
+const InventoryMovement = require('../app/models/inventoryMovement');
+const StockTransfer = require('../app/models/stockTransfer');
+const InventoryService = require('../app/services/inventoryService');
+const LocationService = require('../app/services/locationService');
+
+const transaction = { LOCK: { UPDATE: 'UPDATE' } };
+
+const buildPurchase = values => Purchase.build(
+  { id: 3, date: '2026-01-20', quantity: 10, weight: 50, productId: 1, locationId: 2, ...values },
+  { isNewRecord: false, raw: true }
+);
+
+describe('Stock ledger', () => {
+  let bulkCreate;
+
+  beforeEach(() => {
+    jest.spyOn(sequelize, 'transaction').mockImplementation(async fn => fn(transaction));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    bulkCreate = jest.spyOn(InventoryMovement, 'bulkCreate').mockImplementation(async rows => rows);
+  });
+
+  describe('posting documents', () => {
+    test('a purchase brings its total weight into its lot at its location', async () => {
+      jest.spyOn(InventoryMovement, 'findAll').mockResolvedValue([]);
+
+      await InventoryService.postPurchase(buildPurchase(), { transaction });
+
+      expect(bulkCreate).toHaveBeenCalledWith([
+        expect.objectContaining({ type: 'in', purchaseId: 3, productId: 1, locationId: 2, weight: 500, sourceType: 'purchase', sourceId: 3 }),
+      ], { transaction });
+    });
+
+    test('reposting an edited purchase appends only the difference', async () => {
+      jest.spyOn(InventoryMovement, 'findAll')
+        .mockResolvedValue([{ purchaseId: 3, millingOutputId: null, productId: 1, locationId: 2, weight: '500.00' }]);
+
+      const movements = await InventoryService.postPurchase(buildPurchase({ quantity: 8 }), { transaction });
+
+      expect(movements).toEqual([expect.objectContaining({ type: 'out', purchaseId: 3, weight: -100 })]);
+    });
+
+    test('a deleted purchase takes its weight out again', async () => {
+      jest.spyOn(InventoryMovement, 'findAll')
+        .mockResolvedValue([{ purchaseId: 3, millingOutputId: null, productId: 1, locationId: 2, weight: '500.00' }]);
+
+      const movements = await InventoryService.postPurchase(buildPurchase({ deleted_at: new Date('2026-01-25') }), { transaction });
+
+      expect(movements).toEqual([expect.objectContaining({ type: 'out', purchaseId: 3, locationId: 2, weight: -500 })]);
+    });
+
+    test('an unchanged document posts nothing', async () => {
+      jest.spyOn(InventoryMovement, 'findAll')
+        .mockResolvedValue([{ purchaseId: 3, millingOutputId: null, productId: 1, locationId: 2, weight: '500.00' }]);
+
+      const movements = await InventoryService.postPurchase(buildPurchase(), { transaction });
+
+      expect(movements).toEqual([]);
+      expect(bulkCreate).not.toHaveBeenCalled();
+    });
+
+    test('a sale takes each allocation out of its lot at the location it ships from', async () => {
+      jest.spyOn(InventoryMovement, 'findAll').mockResolvedValue([]);
+      const sale = { id: 4, date: '2026-02-01', locationId: 2 };
+
+      await InventoryService.postSale(sale, [
+        { purchaseId: 3, productId: 1, weight: '120.50' },
+        { millingOutputId: 21, productId: 2, weight: 80 },
+      ], { transaction });
+
+      expect(bulkCreate.mock.calls[0][0]).toEqual([
+        expect.objectContaining({ type: 'out', purchaseId: 3, millingOutputId: null, locationId: 2, weight: -120.5, sourceType: 'sale' }),
+        expect.objectContaining({ type: 'out', purchaseId: null, millingOutputId: 21, locationId: 2, weight: -80, sourceType: 'sale' }),
+      ]);
+    });
+
+    test('a milling batch takes its inputs out and brings its outputs in as new lots', async () => {
+      jest.spyOn(InventoryMovement, 'findAll').mockResolvedValue([]);
+      const batch = { id: 9, date: '2026-01-28', locationId: 2 };
+
+      await InventoryService.postMillingBatch(
+        batch,
+        [{ purchaseId: 3, productId: 1, weight: 1000 }],
+        [{ id: 21, productId: 2, weight: 620 }, { id: 22, productId: 3, weight: 180 }],
+        { transaction }
+      );
+
+      expect(bulkCreate.mock.calls[0][0]).toEqual([
+        expect.objectContaining({ type: 'out', purchaseId: 3, weight: -1000, sourceType: 'milling_batch', sourceId: 9 }),
+        expect.objectContaining({ type: 'in', millingOutputId: 21, productId: 2, weight: 620 }),
+        expect.objectContaining({ type: 'in', millingOutputId: 22, productId: 3, weight: 180 }),
+      ]);
+    });
+  });
+
+  describe('adjustments', () => {
+    beforeEach(() => {
+      jest.spyOn(LocationService, 'assertLocationExists').mockResolvedValue({ id: 2 });
+      jest.spyOn(Purchase, 'findByPk').mockResolvedValue(buildPurchase());
+      jest.spyOn(InventoryMovement, 'totalsByPurchase').mockResolvedValue(new Map([[3, { balance: 400 }]]));
+    });
+
+    test('a stock count posts the difference to the ledger balance', async () => {
+      const create = jest.spyOn(InventoryMovement, 'create')
+        .mockImplementation(async values => ({ toJSON: () => values }));
+
+      const adjustment = await InventoryService.createAdjustment({
+        purchaseId: 3, locationId: 2, reason: 'stock_count', countedWeight: 385.5,
+      });
+
+      expect(create).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'adjust', purchaseId: 3, locationId: 2, weight: -14.5, reason: 'stock_count', sourceType: 'adjustment',
+      }), { transaction });
+      expect(adjustment.balance).toBe(385.5);
+    });
+
+    test('cannot take more than the lot holds at the location', async () => {
+      const create = jest.spyOn(InventoryMovement, 'create');
+
+      await expect(InventoryService.createAdjustment({ purchaseId: 3, locationId: 2, reason: 'spoilage', weight: -450 }))
+        .rejects.toThrow('Adjustment would make stock negative. Available: 400.00kg, Adjustment: -450.00kg');
+      expect(create).not.toHaveBeenCalled();
+    });
+
+    test('a count matching the balance is refused', async () => {
+      await expect(InventoryService.createAdjustment({ purchaseId: 3, locationId: 2, reason: 'stock_count', countedWeight: 400 }))
+        .rejects.toThrow('Adjustment does not change the stock');
+    });
+
+    test('POST /api/inventory/adjustments answers 400 for a negative balance and 404 for a missing lot', async () => {
+      const negative = await request(app).post('/api/inventory/adjustments')
+        .send({ purchaseId: 3, locationId: 2, reason: 'shrinkage', weight: -450 });
+
+      Purchase.findByPk.mockResolvedValue(null);
+      const missing = await request(app).post('/api/inventory/adjustments')
+        .send({ purchaseId: 99, reason: 'shrinkage', weight: -5 });
+
+      expect(negative.status).toBe(400);
+      expect(missing.status).toBe(404);
+      expect(missing.body.message).toBe('Purchase not found');
+    });
+  });
+
+  describe('transfers', () => {
+    beforeEach(() => {
+      jest.spyOn(LocationService, 'assertLocationExists').mockResolvedValue({ id: 2 });
+      jest.spyOn(Purchase, 'findByPk').mockResolvedValue(buildPurchase());
+      jest.spyOn(InventoryMovement, 'totalsByLotAndLocation')
+        .mockResolvedValue(new Map([[3, new Map([[2, { balance: 300 }], [5, { balance: 20 }]])]]));
+    });
+
+    test('moves stock out of one location and into the other', async () => {
+      jest.spyOn(StockTransfer, 'create').mockImplementation(async values => ({ id: 15, ...values, toJSON: () => ({ id: 15, ...values }) }));
+
+      const transfer = await InventoryService.createTransfer({ purchaseId: 3, fromLocationId: 2, toLocationId: 5, weight: 120 });
+
+      expect(bulkCreate).toHaveBeenCalledWith([
+        expect.objectContaining({ type: 'transfer', purchaseId: 3, locationId: 2, weight: -120, sourceType: 'transfer', sourceId: 15 }),
+        expect.objectContaining({ type: 'transfer', purchaseId: 3, locationId: 5, weight: 120, sourceType: 'transfer', sourceId: 15 }),
+      ], { transaction });
+      expect(transfer).toMatchObject({ fromBalance: 180, toBalance: 140 });
+    });
+
+    test('cannot move more than the source location holds', async () => {
+      const create = jest.spyOn(StockTransfer, 'create');
+
+      await expect(InventoryService.createTransfer({ purchaseId: 3, fromLocationId: 5, toLocationId: 2, weight: 25 }))
+        .rejects.toThrow('Insufficient stock at the source location. Available: 20.00kg, Requested: 25.00kg');
+      expect(create).not.toHaveBeenCalled();
+    });
+
+    test('source and destination must differ', async () => {
+      await expect(InventoryService.createTransfer({ purchaseId: 3, fromLocationId: 2, toLocationId: 2, weight: 10 }))
+        .rejects.toThrow('Transfer must be between two different locations');
+      expect(sequelize.transaction).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,103 @@
+const request = require('supertest');
+const { app } = require('../server');
+const { sequelize } = require('../config/db');
+const config = require('../config/environment');
+const DocumentSequence = require('../app/models/documentSequence');
+const Invoice = require('../app/models/invoice');
+const NumberingService = require('../app/services/numberingService');
+const InvoiceService = require('../app/services/invoiceService');
+const CustomerService = require('../app/services/customerService');
+
+const transaction = { LOCK: { UPDATE: 'UPDATE' } };
+
+describe('Invoice numbering', () => {
+  const original = { ...config.numbering.invoice };
+
+  afterEach(() => {
+    config.numbering.invoice = { ...original };
+  });
+
+  test('formats numbers from the pattern tokens and padding', () => {
+    const date = new Date(2026, 2, 5);
+    const seriesConfig = { prefix: 'INV', pattern: '{prefix}/{YY}/{MM}{DD}/{seq}', padding: 5 };
+
+    expect(NumberingService.format(seriesConfig, date, 42)).toBe('INV/26/0305/00042');
+  });
+
+  test('counts per month, per year or over all time', () => {
+    const date = NumberingService.toDate('2026-12-31');
+
+    expect(date.getDate()).toBe(31);
+    expect(NumberingService.getPeriod(date, 'monthly')).toBe('202612');
+    expect(NumberingService.getPeriod(date, 'yearly')).toBe('2026');
+    expect(NumberingService.getPeriod(date, 'never')).toBe('all');
+  });
+
+  test('allocates the next value of the period inside the caller transaction', async () => {
+    const nextValue = jest.spyOn(DocumentSequence, 'nextValue').mockResolvedValue(7);
+
+    const number = await NumberingService.next('invoice', { date: '2026-03-15', transaction });
+
+    expect(number).toBe('INV-202603-0007');
+    expect(nextValue).toHaveBeenCalledWith('invoice', '202603', { transaction });
+  });
+
+  test('rejects unknown series', async () => {
+    await expect(NumberingService.next('receipt')).rejects.toThrow('Unknown numbering series: receipt');
+  });
+
+  test('accepts the default configuration', () => {
+    expect(() => NumberingService.validateConfig()).not.toThrow();
+  });
+
+  test('rejects a reset period missing from the pattern', () => {
+    config.numbering.invoice = { ...original, pattern: '{prefix}-{YYYY}-{seq}', reset: 'monthly' };
+    expect(() => NumberingService.validateConfig()).toThrow('monthly reset needs {MM} and {YYYY} or {YY}');
+
+    config.numbering.invoice = { ...original, pattern: '{prefix}-{seq}', reset: 'yearly' };
+    expect(() => NumberingService.validateConfig()).toThrow('yearly reset needs {YYYY} or {YY}');
+  });
+
+  test('rejects a pattern without {seq} and unknown resets', () => {
+    config.numbering.invoice = { ...original, pattern: '{prefix}-{YYYY}{MM}', reset: 'weekly' };
+
+    expect(() => NumberingService.validateConfig()).toThrow(/unknown reset "weekly".*has no \{seq\}/);
+  });
+
+  test('new invoices take their number from the series', async () => {
+    jest.spyOn(sequelize, 'transaction').mockImplementation(async fn => fn(transaction));
+    jest.spyOn(CustomerService, 'resolveCustomer').mockResolvedValue({ customerId: null, customer: 'CV Grosir Beras' });
+    jest.spyOn(InvoiceService, '_enforceCredit').mockResolvedValue({});
+    const next = jest.spyOn(NumberingService, 'next').mockResolvedValue('INV-202603-0008');
+    const create = jest.spyOn(Invoice, 'create').mockImplementation(async info => ({ id: 11, ...info }));
+    jest.spyOn(Invoice, 'findByPk').mockResolvedValue({ id: 11, invoiceNumber: 'INV-202603-0008' });
+
+    const invoice = await InvoiceService.createInvoice({
+      date: '2026-03-15',
+      dueDate: '2026-04-15',
+      customer: 'CV Grosir Beras',
+      amount: 1000000,
+    });
+
+    expect(next).toHaveBeenCalledWith('invoice', { date: '2026-03-15', transaction });
+    expect(create.mock.calls[0][0].invoiceNumber).toBe('INV-202603-0008');
+    expect(invoice.invoiceNumber).toBe('INV-202603-0008');
+  });
+
+  test('a client-supplied invoice number is refused', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const next = jest.spyOn(NumberingService, 'next');
+
+    const res = await request(app).post('/api/invoices').send({
+      invoice_number: 'INV-2026-999',
+      date: '2026-03-15',
+      due_date: '2026-04-15',
+      customer: 'CV Grosir Beras',
+      amount: 1000000,
+    });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/assigned from the invoice numbering series/);
+    expect(next).not.toHaveBeenCalled();
+  });
+});
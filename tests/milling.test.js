@@ -0,0 +1,113 @@
+const Purchase = require('../app/models/purchase');
+const Product = require('../app/models/product');
+const Sale = require('../app/models/sale');
+const MillingBatch = require('../app/models/millingBatch');
+const MillingBatchOutput = require('../app/models/millingBatchOutput');
+const InventoryMovement = require('../app/models/inventoryMovement');
+const SaleAllocation = require('../app/models/saleAllocation');
+const MillingBatchService = require('../app/services/millingBatchService');
+
+const products = [
+  { id: 1, name: 'Gabah', category: 'paddy' },
+  { id: 2, name: 'Beras Premium', category: 'milled' },
+  { id: 3, name: 'Dedak', category: 'by_product' },
+];
+
+const buildPurchase = values => Purchase.build(
+  { date: '2026-01-05', quantity: 20, weight: 50, productId: 1, ...values },
+  { isNewRecord: false, raw: true }
+);
+
+describe('Milling batches', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  test('inputs are priced at the landed cost per kg of their purchase', async () => {
+    jest.spyOn(Purchase, 'findAll').mockResolvedValue([buildPurchase({ id: 5, totalCost: 6000000 })]);
+    jest.spyOn(InventoryMovement, 'totalsByPurchase').mockResolvedValue(new Map([[5, { balance: 1000 }]]));
+
+    const inputs = await MillingBatchService._prepareInputs([{ purchaseId: 5, weight: 400 }, { purchaseId: 5, weight: 100 }]);
+
+    expect(inputs).toEqual([{ purchaseId: 5, productId: 1, weight: 500, unitCost: 6000, cost: 3000000 }]);
+  });
+
+  test('inputs cannot take more than the purchase still holds at the location', async () => {
+    jest.spyOn(Purchase, 'findAll').mockResolvedValue([buildPurchase({ id: 5, totalCost: 6000000 })]);
+    jest.spyOn(InventoryMovement, 'totalsByPurchase').mockResolvedValue(new Map([[5, { balance: 250 }]]));
+
+    await expect(MillingBatchService._prepareInputs([{ purchaseId: 5, weight: 300 }], { locationId: 2 }))
+      .rejects.toThrow('Insufficient inventory in purchase 5 at location 2. Available: 250.00kg, Requested: 300.00kg');
+  });
+
+  test('rendement counts milled rice only and the batch cost is spread over all output', async () => {
+    jest.spyOn(Product, 'findAll').mockResolvedValue(products.slice(1));
+    const inputs = [{ purchaseId: 5, weight: 1000, cost: 6000000 }];
+
+    const { outputs, totals } = await MillingBatchService._prepareOutputs(
+      [{ productId: 2, weight: 620 }, { productId: 3, weight: 180 }],
+      inputs,
+      400000
+    );
+
+    expect(totals).toEqual({ inputWeight: 1000, outputWeight: 800, rendement: 62, inputCost: 6000000 });
+    expect(outputs.map(output => output.unitCost)).toEqual([8000, 8000]);
+    expect(outputs[0].cost).toBe(4960000);
+  });
+
+  test('outputs must be milled products and cannot outweigh the input', async () => {
+    jest.spyOn(Product, 'findAll').mockResolvedValueOnce([products[0]]).mockResolvedValueOnce([products[1]]);
+    const inputs = [{ purchaseId: 5, weight: 500, cost: 3000000 }];
+
+    await expect(MillingBatchService._prepareOutputs([{ productId: 1, weight: 100 }], inputs, 0))
+      .rejects.toThrow('Milling output must be milled rice or a by-product');
+    await expect(MillingBatchService._prepareOutputs([{ productId: 2, weight: 600 }], inputs, 0))
+      .rejects.toThrow('Output weight (600.00kg) cannot exceed input weight (500.00kg)');
+  });
+
+  test('a batch whose output was sold cannot be deleted', async () => {
+    const batch = MillingBatch.build({ id: 9, date: '2026-01-08' }, { isNewRecord: false, raw: true });
+    batch.outputs = [{ id: 21 }, { id: 22 }];
+    jest.spyOn(MillingBatch, 'findByPk').mockResolvedValue(batch);
+    jest.spyOn(SaleAllocation, 'totalsByOutput').mockResolvedValue(new Map([[21, { weight: 50 }]]));
+    const destroy = jest.spyOn(batch, 'destroy');
+
+    await expect(MillingBatchService.deleteBatch(9)).rejects.toThrow('Cannot delete milling batch with sold output');
+    expect(destroy).not.toHaveBeenCalled();
+  });
+
+  describe('sale rendement', () => {
+    const buildSale = values => Sale.build(
+      { id: 4, date: '2026-02-01', quantity: 10, weight: 50, price: 12000, ...values },
+      { isNewRecord: false, raw: true }
+    );
+
+    test('is the milling yield of the batches drawn from, weighted by weight', async () => {
+      jest.spyOn(MillingBatchOutput, 'findAll').mockResolvedValue([
+        { id: 21, batch: { id: 9, rendement: '62.00' } },
+        { id: 31, batch: { id: 10, rendement: '65.00' } },
+      ]);
+      const sale = buildSale();
+      sale.allocations = [
+        { millingOutputId: 21, weight: 300, cost: 2400000 },
+        { millingOutputId: 31, weight: 200, cost: 1700000 },
+      ];
+
+      await Sale.runHooks('beforeSave', sale, {});
+
+      expect(sale.rendement).toBe('63.2%');
+      expect(sale.netProfit).toBe(6000000 - 4100000);
+    });
+
+    test('keeps the entered rendement of a sale drawn from paddy purchases', async () => {
+      const findOutputs = jest.spyOn(MillingBatchOutput, 'findAll');
+      const sale = buildSale({ rendement: '60%' });
+      sale.allocations = [{ purchaseId: 5, weight: 500, cost: 3000000 }];
+
+      await Sale.runHooks('beforeSave', sale, {});
+
+      expect(sale.rendement).toBe('60%');
+      expect(findOutputs).not.toHaveBeenCalled();
+    });
+  });
+});
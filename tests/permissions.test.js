@@ -0,0 +1,126 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.AUTH_BYPASS = 'false';
+
+const request = require('supertest');
+const { app } = require('../server');
+const User = require('../app/models/user');
+const RevokedToken = require('../app/models/revokedToken');
+const PurchaseService = require('../app/services/purchaseService');
+const InvoiceService = require('../app/services/invoiceService');
+const { generateToken, generateRefreshToken, optionalAuth } = require('../app/middleware/auth');
+const { getAllowedRoles, getRestrictedFields, ROLES, DEFAULT_ROLE } = require('../config/permissions');
+
+const users = {
+  1: { id: 1, username: 'admin', role: 'admin', tokenVersion: 0 },
+  2: { id: 2, username: 'operator', role: 'operator', tokenVersion: 0 },
+  3: { id: 3, username: 'accountant', role: 'accountant', tokenVersion: 0 },
+};
+const tokenFor = id => `Bearer ${generateToken(users[id])}`;
+
+const purchase = {
+  id: 7,
+  date: '2026-01-10',
+  quantity: 10,
+  weight: 50,
+  price: 6000,
+  totalCost: 3000000,
+  truckCost: 100000,
+  paidAmount: 0,
+  supplierData: { id: 1, name: 'Tani Makmur' },
+};
+
+describe('Role permissions', () => {
+  beforeEach(() => {
+    jest.spyOn(User, 'findByPk').mockImplementation(async id => users[id] || null);
+    jest.spyOn(RevokedToken, 'isRevoked').mockResolvedValue(false);
+  });
+
+  test('permission matrix covers the four roles and new users start as operator', () => {
+    expect(ROLES).toEqual(['admin', 'manager', 'operator', 'accountant']);
+    expect(DEFAULT_ROLE).toBe('operator');
+    expect(getAllowedRoles('purchases', 'create')).toContain('operator');
+    expect(getAllowedRoles('invoices', 'read')).not.toContain('operator');
+    expect(() => getAllowedRoles('purchases', 'approve')).toThrow('No permission defined for purchases.approve');
+  });
+
+  test('requests without a token are rejected', async () => {
+    const res = await request(app).get('/api/purchases');
+    expect(res.status).toBe(401);
+  });
+
+  test('CSV imports are refused before the upload is read', async () => {
+    const res = await request(app).post('/api/sales/import')
+      .set('Content-Type', 'text/csv')
+      .send(`date,purchaseId,quantity,weight,price\n${'2026-01-10,7,1,50,9000\n'.repeat(500000)}`);
+
+    expect(res.status).toBe(401);
+  });
+
+  test('operator sees purchases without their cost figures', async () => {
+    jest.spyOn(PurchaseService, 'getAllPurchases').mockResolvedValue({ purchases: [purchase], pagination: {} });
+
+    const res = await request(app).get('/api/purchases').set('Authorization', tokenFor(2));
+
+    expect(res.status).toBe(200);
+    expect(res.body.data[0]).toMatchObject({ id: 7, price: 6000, supplierData: { name: 'Tani Makmur' } });
+    getRestrictedFields('operator', 'purchases').forEach(field => {
+      expect(res.body.data[0]).not.toHaveProperty(field);
+    });
+  });
+
+  test('admin sees the full purchase', async () => {
+    jest.spyOn(PurchaseService, 'getAllPurchases').mockResolvedValue({ purchases: [purchase], pagination: {} });
+
+    const res = await request(app).get('/api/purchases').set('Authorization', tokenFor(1));
+
+    expect(res.status).toBe(200);
+    expect(res.body.data[0]).toMatchObject({ totalCost: 3000000, truckCost: 100000 });
+  });
+
+  test('operator cannot delete purchases or read invoices', async () => {
+    const deleteSpy = jest.spyOn(PurchaseService, 'deletePurchase');
+
+    const deleted = await request(app).delete('/api/purchases/7').set('Authorization', tokenFor(2));
+    const invoices = await request(app).get('/api/invoices').set('Authorization', tokenFor(2));
+
+    expect(deleted.status).toBe(403);
+    expect(deleteSpy).not.toHaveBeenCalled();
+    expect(invoices.status).toBe(403);
+  });
+
+  test('accountant reads invoices but cannot record purchases', async () => {
+    jest.spyOn(InvoiceService, 'getAllInvoices').mockResolvedValue({ invoices: [], pagination: {} });
+
+    const invoices = await request(app).get('/api/invoices').set('Authorization', tokenFor(3));
+    const created = await request(app).post('/api/purchases').set('Authorization', tokenFor(3)).send({});
+
+    expect(invoices.status).toBe(200);
+    expect(created.status).toBe(403);
+  });
+
+  test('a token issued before a role change is refused', async () => {
+    const token = tokenFor(2);
+    users[2] = { ...users[2], tokenVersion: 1 };
+    try {
+      const res = await request(app).get('/api/purchases').set('Authorization', token);
+      expect(res.status).toBe(401);
+      expect(res.body.message).toBe('Token has been revoked');
+    } finally {
+      users[2] = { ...users[2], tokenVersion: 0 };
+    }
+  });
+
+  test('a refresh token is not accepted as an access token', async () => {
+    const refreshToken = generateRefreshToken(users[1]);
+
+    const res = await request(app).get('/api/purchases').set('Authorization', `Bearer ${refreshToken}`);
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe('Invalid token');
+
+    const req = { headers: { authorization: `Bearer ${refreshToken}` } };
+    const next = jest.fn();
+    await optionalAuth(req, {}, next);
+    expect(req.user).toBeNull();
+    expect(next).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,147 @@
+const request = require('supertest');
+const { Op } = require('sequelize');
+const { app } = require('../server');
+const Invoice = require('../app/models/invoice');
+const InvoiceReminder = require('../app/models/invoiceReminder');
+const ReminderService = require('../app/services/reminderService');
+const DocumentService = require('../app/services/documentService');
+const FileNotifier = require('../app/services/notifiers/fileNotifier');
+const { createNotifier } = require('../app/services/notifiers');
+
+const buildInvoice = (values, customerData = null) => {
+  const invoice = Invoice.build(
+    { date: '2026-02-01', customer: 'CV Grosir Beras', amount: 3000000, paidAmount: 0, status: 'unpaid', ...values },
+    { isNewRecord: false, raw: true }
+  );
+  invoice.customerData = customerData;
+  return invoice;
+};
+
+describe('Invoice reminders', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  test('an invoice is at the highest threshold it has reached', () => {
+    const thresholds = [-3, 1, 30, 60];
+
+    expect(ReminderService.thresholdFor(-5, thresholds)).toBeNull();
+    expect(ReminderService.thresholdFor(-3, thresholds)).toBe(-3);
+    expect(ReminderService.thresholdFor(0, thresholds)).toBe(-3);
+    expect(ReminderService.thresholdFor(45, thresholds)).toBe(30);
+    expect(ReminderService.thresholdFor(400, thresholds)).toBe(60);
+  });
+
+  test('finds unpaid invoices past a threshold they were not yet reminded of', async () => {
+    const dueSoon = buildInvoice({ id: 1, invoiceNumber: 'INV-202603-0001', dueDate: '2026-03-12' });
+    const remindedAlready = buildInvoice({ id: 2, invoiceNumber: 'INV-202603-0002', dueDate: '2026-03-09' });
+    const longOverdue = buildInvoice({ id: 3, invoiceNumber: 'INV-202601-0003', dueDate: '2026-01-01' });
+    const settled = buildInvoice({ id: 4, invoiceNumber: 'INV-202601-0004', dueDate: '2026-01-01', paidAmount: 3000000 });
+    const findInvoices = jest.spyOn(Invoice, 'findAll').mockResolvedValue([dueSoon, remindedAlready, longOverdue, settled]);
+    jest.spyOn(InvoiceReminder, 'findAll').mockResolvedValue([
+      { invoiceId: 2, threshold: 1 },
+      { invoiceId: 3, threshold: 30 },
+    ]);
+
+    const due = await ReminderService.findDue('2026-03-10');
+
+    // The earliest threshold (-3) looks three days ahead
+    expect(findInvoices.mock.calls[0][0].where.dueDate).toEqual({ [Op.lte]: '2026-03-13' });
+    expect(due.map(({ invoice, threshold, daysOverdue }) => [invoice.id, threshold, daysOverdue])).toEqual([
+      [1, -3, -2],
+      [3, 60, 68],
+    ]);
+  });
+
+  test('the message says how late the invoice is and what is still owed', () => {
+    const invoice = buildInvoice({ invoiceNumber: 'INV-202602-0005', dueDate: '2026-02-15', paidAmount: 1000000 });
+
+    const overdue = ReminderService.buildMessage(invoice, { name: 'CV Grosir Beras Jaya' }, 1);
+    const upcoming = ReminderService.buildMessage(invoice, null, -3);
+
+    expect(overdue.subject).toBe('Overdue invoice INV-202602-0005');
+    expect(overdue.text).toMatch(/^Dear CV Grosir Beras Jaya,/);
+    expect(overdue.text).toContain(`was due on ${DocumentService.formatDate('2026-02-15')} and is 1 day overdue`);
+    expect(overdue.text).toContain(`The outstanding balance is ${DocumentService.formatMoney(2000000)}.`);
+    expect(upcoming.subject).toBe('Payment reminder: invoice INV-202602-0005');
+    expect(upcoming.text).toMatch(/^Dear CV Grosir Beras,/);
+    expect(upcoming.text).toContain('is due in 3 days');
+  });
+
+  describe('runs', () => {
+    let invoices;
+
+    beforeEach(() => {
+      invoices = [
+        buildInvoice({ id: 1, invoiceNumber: 'INV-202603-0001', dueDate: '2026-03-09' }, { id: 2, name: 'CV Grosir Beras', email: 'beli@grosir.test' }),
+        buildInvoice({ id: 3, invoiceNumber: 'INV-202601-0003', dueDate: '2026-01-01' }, { id: 5, name: 'Toko Sinar', phone: '0812000111' }),
+      ];
+      jest.spyOn(Invoice, 'findAll').mockResolvedValue(invoices);
+      jest.spyOn(InvoiceReminder, 'findAll').mockResolvedValue([]);
+    });
+
+    test('a dry run lists the reminders without sending or recording them', async () => {
+      const send = jest.spyOn(FileNotifier.prototype, 'send');
+      const record = jest.spyOn(InvoiceReminder, 'create');
+
+      const summary = await ReminderService.run({ date: '2026-03-10', dryRun: true, channel: 'file' });
+
+      expect(summary).toMatchObject({ asOf: '2026-03-10', channel: 'file', dryRun: true, due: 2, sent: 0 });
+      expect(summary.reminders.map(line => [line.invoiceNumber, line.recipient, line.status])).toEqual([
+        ['INV-202603-0001', 'beli@grosir.test', 'pending'],
+        ['INV-202601-0003', '0812000111', 'pending'],
+      ]);
+      expect(send).not.toHaveBeenCalled();
+      expect(record).not.toHaveBeenCalled();
+    });
+
+    test('records each reminder on its invoice, including the ones that failed to send', async () => {
+      jest.spyOn(FileNotifier.prototype, 'send')
+        .mockResolvedValueOnce()
+        .mockRejectedValueOnce(new Error('disk full'));
+      const record = jest.spyOn(InvoiceReminder, 'create').mockResolvedValue({});
+
+      const summary = await ReminderService.run({ date: '2026-03-10', channel: 'file' });
+
+      expect(summary).toMatchObject({ due: 2, sent: 1, failed: 1, skipped: 0 });
+      expect(record.mock.calls.map(([values]) => values)).toEqual([
+        expect.objectContaining({ invoiceId: 1, threshold: 1, daysOverdue: 1, channel: 'file', status: 'sent', error: null }),
+        expect.objectContaining({ invoiceId: 3, threshold: 60, outstandingBalance: 3000000, status: 'failed', error: 'disk full' }),
+      ]);
+      expect(ReminderService._running).toBe(false);
+    });
+
+    test('customers the channel cannot reach are skipped', async () => {
+      const summary = await ReminderService.run({ date: '2026-03-10', dryRun: true, channel: 'smtp' });
+
+      expect(summary.reminders.map(line => [line.invoiceNumber, line.status, line.error])).toEqual([
+        ['INV-202603-0001', 'pending', null],
+        ['INV-202601-0003', 'skipped', 'No email for this customer'],
+      ]);
+    });
+  });
+
+  test('POST /api/invoices/reminders/run answers 409 while a run is in progress', async () => {
+    ReminderService._running = true;
+    try {
+      const res = await request(app).post('/api/invoices/reminders/run').send({ dryRun: true });
+
+      expect(res.status).toBe(409);
+      expect(res.body.message).toBe('Reminder run already in progress');
+    } finally {
+      ReminderService._running = false;
+    }
+  });
+
+  test('the daily run is today at the configured time, or tomorrow once it has passed', () => {
+    const next = ReminderService.nextRunAt(new Date(2026, 2, 10, 7, 30));
+    const after = ReminderService.nextRunAt(new Date(2026, 2, 10, 9, 0));
+
+    expect([next.getDate(), next.getHours(), next.getMinutes()]).toEqual([10, 8, 0]);
+    expect([after.getDate(), after.getHours()]).toEqual([11, 8]);
+  });
+
+  test('unknown channels are refused', () => {
+    expect(() => createNotifier('sms')).toThrow('Unknown reminder channel: sms. Use one of: smtp, webhook, file');
+  });
+});
@@ -0,0 +1,98 @@
+const request = require('supertest');
+const { app } = require('../server');
+const { sequelize } = require('../config/db');
+const Sale = require('../app/models/sale');
+const Purchase = require('../app/models/purchase');
+const Invoice = require('../app/models/invoice');
+const InvoiceItem = require('../app/models/invoiceItem');
+const SaleService = require('../app/services/saleService');
+const PurchaseService = require('../app/services/purchaseService');
+const InvoiceService = require('../app/services/invoiceService');
+const InventoryService = require('../app/services/inventoryService');
+const AllocationService = require('../app/services/allocationService');
+
+const transaction = { LOCK: { UPDATE: 'UPDATE' } };
+
+const buildSale = () => Sale.build(
+  { id: 4, date: '2026-02-01', quantity: 10, weight: 50, price: 9000 },
+  { isNewRecord: false, raw: true }
+);
+
+describe('Soft delete and restore', () => {
+  beforeEach(() => {
+    jest.spyOn(sequelize, 'transaction').mockImplementation(async fn => fn(transaction));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  test('deleting a sale locks it, soft deletes it and returns its weight to the lots', async () => {
+    const sale = buildSale();
+    const findSale = jest.spyOn(Sale, 'findByPk').mockResolvedValue(sale);
+    jest.spyOn(InvoiceItem, 'findInvoicedSales').mockResolvedValue(new Map());
+    const destroy = jest.spyOn(sale, 'destroy').mockResolvedValue(sale);
+    const postSale = jest.spyOn(InventoryService, 'postSale').mockResolvedValue();
+
+    await SaleService.deleteSale(4);
+
+    expect(findSale).toHaveBeenCalledWith(4, { transaction, lock: 'UPDATE' });
+    expect(destroy).toHaveBeenCalledWith({ transaction });
+    expect(postSale).toHaveBeenCalledWith(sale, [], { transaction });
+  });
+
+  test('an invoiced sale cannot be deleted', async () => {
+    const sale = buildSale();
+    jest.spyOn(Sale, 'findByPk').mockResolvedValue(sale);
+    const findInvoiced = jest.spyOn(InvoiceItem, 'findInvoicedSales')
+      .mockResolvedValue(new Map([[4, { id: 9, invoiceNumber: 'INV-202602-0001' }]]));
+    const destroy = jest.spyOn(sale, 'destroy');
+
+    await expect(SaleService.deleteSale(4)).rejects.toThrow('Cannot delete a sale that has been invoiced on INV-202602-0001');
+    // Checked inside the transaction, after the sale row is locked
+    expect(findInvoiced).toHaveBeenCalledWith([4], { transaction });
+    expect(destroy).not.toHaveBeenCalled();
+  });
+
+  test('DELETE /api/sales/:id answers 409 for an invoiced sale', async () => {
+    jest.spyOn(Sale, 'findByPk').mockResolvedValue(buildSale());
+    jest.spyOn(InvoiceItem, 'findInvoicedSales')
+      .mockResolvedValue(new Map([[4, { id: 9, invoiceNumber: 'INV-202602-0001' }]]));
+
+    const res = await request(app).delete('/api/sales/4');
+
+    expect(res.status).toBe(409);
+    expect(res.body.success).toBe(false);
+  });
+
+  test('a purchase that sales drew from cannot be deleted', async () => {
+    const purchase = Purchase.build({ id: 3, date: '2026-01-10', quantity: 10, weight: 50 }, { isNewRecord: false, raw: true });
+    jest.spyOn(Purchase, 'findByPk').mockResolvedValue(purchase);
+    jest.spyOn(AllocationService, 'purchaseUsage')
+      .mockResolvedValue(new Map([[3, { soldWeight: 120, milledWeight: 0, saleCount: 1 }]]));
+    const destroy = jest.spyOn(purchase, 'destroy');
+
+    await expect(PurchaseService.deletePurchase(3)).rejects.toThrow('Cannot delete purchase with associated sales');
+    expect(destroy).not.toHaveBeenCalled();
+  });
+
+  test('only a deleted purchase can be restored', async () => {
+    const purchase = Purchase.build({ id: 3, date: '2026-01-10', deleted_at: null }, { isNewRecord: false, raw: true });
+    jest.spyOn(Purchase, 'findByPk').mockResolvedValue(purchase);
+
+    await expect(PurchaseService.restorePurchase(3)).rejects.toThrow('Purchase is not deleted');
+  });
+
+  test('an invoice is not restored when one of its sales was invoiced again meanwhile', async () => {
+    const invoice = Invoice.build(
+      { id: 5, invoiceNumber: 'INV-202602-0002', deleted_at: new Date('2026-02-10') },
+      { isNewRecord: false, raw: true }
+    );
+    jest.spyOn(Invoice, 'findByPk').mockResolvedValue(invoice);
+    jest.spyOn(InvoiceItem, 'findAll').mockResolvedValue([{ saleId: 4 }]);
+    jest.spyOn(Sale, 'findAll').mockResolvedValue([]);
+    jest.spyOn(InvoiceItem, 'findInvoicedSales')
+      .mockResolvedValue(new Map([[4, { id: 6, invoiceNumber: 'INV-202602-0003' }]]));
+    const restore = jest.spyOn(invoice, 'restore');
+
+    await expect(InvoiceService.restoreInvoice(5)).rejects.toThrow('Sale 4 is already invoiced on INV-202602-0003');
+    expect(restore).not.toHaveBeenCalled();
+  });
+});
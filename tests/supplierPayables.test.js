@@ -0,0 +1,132 @@
+const request = require('supertest');
+const { Op } = require('sequelize');
+const { app } = require('../server');
+const { sequelize } = require('../config/db');
+const Purchase = require('../app/models/purchase');
+const Supplier = require('../app/models/supplier');
+const SupplierPayment = require('../app/models/supplierPayment');
+const SupplierPaymentAllocation = require('../app/models/supplierPaymentAllocation');
+const PurchaseService = require('../app/services/purchaseService');
+const SupplierPaymentService = require('../app/services/supplierPaymentService');
+
+const transaction = { LOCK: { UPDATE: 'UPDATE' } };
+
+const buildPurchase = values => {
+  const purchase = Purchase.build(
+    { date: '2026-01-05', supplierId: 1, quantity: 10, weight: 50, price: 6000, paidAmount: 0, ...values },
+    { isNewRecord: false, raw: true }
+  );
+  jest.spyOn(purchase, 'update').mockImplementation(async function (changes) { return Object.assign(this, changes); });
+  return purchase;
+};
+
+describe('Supplier payables', () => {
+  beforeEach(() => {
+    jest.spyOn(sequelize, 'transaction').mockImplementation(async fn => fn(transaction));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  test('payment status follows what was paid against the total cost', () => {
+    expect(Purchase.derivePaymentStatus('3000000.00', '0.00')).toBe('unpaid');
+    expect(Purchase.derivePaymentStatus('3000000.00', '1000000.00')).toBe('partially_paid');
+    expect(Purchase.derivePaymentStatus('3000000.00', '3000000.00')).toBe('paid');
+    expect(Purchase.derivePaymentStatus(0, 0)).toBe('paid');
+  });
+
+  test('the unpaid filter leaves out purchases with nothing to pay', () => {
+    const { where } = PurchaseService._buildListQuery({ paymentStatus: 'unpaid' });
+
+    expect(where[Op.and]).toEqual([
+      { paidAmount: 0 },
+      sequelize.where(sequelize.col('Purchase.paid_amount'), Op.lt, sequelize.col('Purchase.total_cost')),
+    ]);
+  });
+
+  test('recording a payment leaves the cost of the purchase alone', async () => {
+    const purchase = Purchase.build(
+      { id: 3, date: '2026-01-05', quantity: 10, weight: 50, price: 6000, totalCost: 2950000, paidAmount: 0 },
+      { isNewRecord: false, raw: true }
+    );
+
+    purchase.set('paidAmount', 1000000);
+    await Purchase.runHooks('beforeUpdate', purchase, {});
+    expect(purchase.totalCost).toBe(2950000);
+
+    purchase.set('price', 6200);
+    await Purchase.runHooks('beforeUpdate', purchase, {});
+    expect(purchase.netWeight).toBeGreaterThan(0);
+    expect(purchase.totalCost).toBe(purchase.netWeight * 6200);
+  });
+
+  describe('payments', () => {
+    let older;
+    let newer;
+
+    beforeEach(() => {
+      older = buildPurchase({ id: 3, date: '2026-01-05', totalCost: 3000000, paidAmount: 1000000 });
+      newer = buildPurchase({ id: 4, date: '2026-01-12', totalCost: 2500000 });
+      jest.spyOn(Supplier, 'findByPk').mockResolvedValue({ id: 1, name: 'Tani Makmur' });
+      jest.spyOn(Purchase, 'findAll').mockResolvedValue([older, newer]);
+      jest.spyOn(SupplierPayment, 'create').mockResolvedValue({ id: 8 });
+      jest.spyOn(SupplierPaymentAllocation, 'create').mockResolvedValue({});
+      jest.spyOn(SupplierPaymentService, 'getPaymentById').mockResolvedValue({ id: 8 });
+    });
+
+    test('pays the oldest unpaid purchases first', async () => {
+      await SupplierPaymentService.recordPayment(1, { amount: 2500000 });
+
+      expect(SupplierPaymentAllocation.create.mock.calls.map(([values]) => values)).toEqual([
+        { paymentId: 8, purchaseId: 3, amount: 2000000 },
+        { paymentId: 8, purchaseId: 4, amount: 500000 },
+      ]);
+      expect(older.paidAmount).toBe(3000000);
+      expect(newer.paidAmount).toBe(500000);
+    });
+
+    test('a deleted supplier can still be paid what it is owed', async () => {
+      Supplier.findByPk.mockImplementation(async (id, options = {}) => (
+        options.paranoid === false ? { id: 1, name: 'Tani Makmur', deletedAt: new Date('2026-02-01') } : null
+      ));
+
+      await SupplierPaymentService.recordPayment(1, { amount: 1000000 });
+
+      expect(SupplierPayment.create).toHaveBeenCalledWith(expect.objectContaining({ supplierId: 1, amount: 1000000 }), { transaction });
+      expect(older.paidAmount).toBe(2000000);
+    });
+
+    test('a purchase listed on the payment is paid before the older ones', async () => {
+      await SupplierPaymentService.recordPayment(1, { amount: 1500000, purchases: [{ purchaseId: 4, amount: 1000000 }] });
+
+      expect(newer.paidAmount).toBe(1000000);
+      expect(older.paidAmount).toBe(1500000);
+    });
+
+    test('cannot pay more than the supplier is owed', async () => {
+      await expect(SupplierPaymentService.recordPayment(1, { amount: 5000000 }))
+        .rejects.toThrow("Payment exceeds the supplier's outstanding payable. Outstanding: 4500000.00, Requested: 5000000.00");
+      expect(SupplierPayment.create).not.toHaveBeenCalled();
+    });
+
+    test('POST /api/suppliers/:id/payments answers 400 for an allocation above what a purchase is owed', async () => {
+      const res = await request(app).post('/api/suppliers/1/payments')
+        .send({ amount: 2500000, purchases: [{ purchaseId: 3, amount: 2500000 }] });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('Allocation exceeds outstanding payable on purchase 3. Outstanding: 2000000.00, Requested: 2500000.00');
+    });
+
+    test('deleting a payment takes its amounts back off the purchases it paid', async () => {
+      const payment = { id: 8, allocations: [{ purchaseId: 3, amount: '2000000.00' }], destroy: jest.fn() };
+      older.paidAmount = 3000000;
+      jest.spyOn(SupplierPayment, 'findByPk').mockResolvedValue(payment);
+      const findPurchase = jest.spyOn(Purchase, 'findByPk').mockResolvedValue(older);
+      jest.spyOn(SupplierPaymentAllocation, 'destroy').mockResolvedValue(1);
+
+      await SupplierPaymentService.deletePayment(8);
+
+      expect(findPurchase).toHaveBeenCalledWith(3, { transaction, lock: 'UPDATE', paranoid: false });
+      expect(older.paidAmount).toBe(1000000);
+      expect(payment.destroy).toHaveBeenCalledWith({ transaction });
+    });
+  });
+});